@@ -0,0 +1,313 @@
+/*  Poweradmin, a friendly web-based admin tool for PowerDNS.
+ *  See <https://www.poweradmin.org> for more details.
+ *
+ *  Copyright 2007-2010 Rejo Zenger <rejo@zenger.nl>
+ *  Copyright 2010-2026 Poweradmin Development Team
+ *
+ *  This program is free software: you can redistribute it and/or modify
+ *  it under the terms of the GNU General Public License as published by
+ *  the Free Software Foundation, either version 3 of the License, or
+ *  (at your option) any later version.
+ *
+ *  This program is distributed in the hope that it will be useful,
+ *  but WITHOUT ANY WARRANTY; without even the implied warranty of
+ *  MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ *  GNU General Public License for more details.
+ *
+ *  You should have received a copy of the GNU General Public License
+ *  along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+
+
+/**
+ * AddRecordForm - Record rows of the add record page
+ *
+ * Adds and removes record rows and adapts each row to its record type: the
+ * priority field, the TTL default (reverse zones may use their own for PTR
+ * records), the PTR checkbox of A and AAAA records and the warnings about a
+ * CNAME at the zone apex and deprecated record types.
+ *
+ * Markup:
+ *   <script type="application/json" id="add-record-config">
+ *       {"zoneName": "example.com", "ttl": {"plain": 3600, "ptr": null}, "keepTtl": false}
+ *   </script>
+ *   <tbody id="recordsTableBody">
+ *       <tr class="record-row">
+ *           <select class="record-type-select"></select> <input class="name-field">
+ *           <input name="records[0][prio]"> <input class="ttl-input" name="records[0][ttl]">
+ *           <input class="ptr-checkbox"> <button class="remove-record"></button>
+ *           <div class="cname-root-warning"></div> <div class="deprecated-type-warning"></div>
+ *       </tr>
+ *   </tbody>
+ */
+const AddRecordForm = (function() {
+    // Record types that support priority field
+    const RECORD_TYPES_WITH_PRIORITY = ['MX', 'SRV', 'KX', 'NAPTR'];
+
+    // Deprecated record types
+    const DEPRECATED_RECORD_TYPES = ['SPF', 'DLV', 'AFSDB', 'KEY', 'MR', 'MINFO'];
+
+    const config = readConfig();
+
+    /**
+     * Read the page configuration rendered by the server
+     * @returns {Object} Zone name, TTL defaults and whether to keep the submitted TTL
+     */
+    function readConfig() {
+        const defaults = { zoneName: '', ttl: { plain: '', ptr: null }, keepTtl: false };
+        const element = document.getElementById('add-record-config');
+        try {
+            return Object.assign(defaults, JSON.parse(element ? element.textContent : '{}'));
+        } catch (error) {
+            console.error('Invalid add record configuration', error);
+            return defaults;
+        }
+    }
+
+    // Function to check if a record type supports priority
+    function supportsPriority(recordType) {
+        return RECORD_TYPES_WITH_PRIORITY.includes(recordType);
+    }
+
+    // Function to update priority field state based on record type
+    function updatePriorityFieldState(selectElement, priorityInput) {
+        const recordType = selectElement.value;
+
+        if (priorityInput) {
+            if (supportsPriority(recordType)) {
+                priorityInput.removeAttribute('readonly');
+                priorityInput.classList.remove('bg-dark-subtle');
+                priorityInput.setAttribute('tabindex', '0');
+            } else {
+                priorityInput.setAttribute('readonly', 'readonly');
+                priorityInput.classList.add('bg-dark-subtle');
+                priorityInput.value = '0';
+                priorityInput.setAttribute('tabindex', '-1');
+            }
+        }
+    }
+
+    // config.ttl.ptr is null when dns.ttl_reverse is unset or this is a forward
+    // zone (so forward-zone PTR records, e.g. RFC 2317, keep dns.ttl).
+    function updateTtlForType(typeSelect, ttlInput) {
+        if (!ttlInput || ttlInput.dataset.userEdited === 'true') {
+            return;
+        }
+        const isPtr = typeSelect.value === 'PTR';
+        ttlInput.value = isPtr && config.ttl.ptr !== null ? config.ttl.ptr : config.ttl.plain;
+    }
+
+    // Adapt the fields of a row to the record type chosen in it
+    function changeRecordType(select) {
+        const row = select.closest('tr');
+        updatePtrCheckboxVisibility(select);
+        updatePriorityFieldState(select, row.querySelector('input[name*="[prio]"]'));
+        updateTtlForType(select, row.querySelector('input[name*="[ttl]"]'));
+    }
+
+    function addNewRecord() {
+        const tableBody = document.getElementById('recordsTableBody');
+        const newRowIndex = tableBody.querySelectorAll('.record-row').length;
+
+        const firstRow = tableBody.querySelector('.record-row');
+        const newRow = firstRow.cloneNode(true);
+
+        // Update all input names with the new index
+        newRow.querySelectorAll('input, select').forEach(input => {
+            const name = input.getAttribute('name');
+            if (name) {
+                input.setAttribute('name', name.replace(/\[\d+\]/, '[' + newRowIndex + ']'));
+            }
+
+            // Clear values except for TTL which should keep the default
+            if (!name.includes('[ttl]')) {
+                if (input.tagName === 'SELECT') {
+                    // Keep the selected option
+                } else if (input.type === 'checkbox') {
+                    // Uncheck all checkboxes (PTR reverse record and A/AAAA forward record creation)
+                    input.checked = false;
+                } else {
+                    input.value = '';
+                }
+            }
+        });
+
+        // Drop validation messages copied over from the first row
+        if (typeof RecordValidator !== 'undefined') {
+            RecordValidator.reset(newRow);
+        }
+
+        tableBody.appendChild(newRow);
+        updateDeleteButtons();
+
+        // Initialize the PTR checkbox visibility for the new row
+        const typeSelect = newRow.querySelector('.record-type-select');
+        if (typeSelect) {
+            updatePtrCheckboxVisibility(typeSelect);
+            updatePriorityFieldState(typeSelect, newRow.querySelector('input[name*="[prio]"]'));
+        }
+
+        // Reset the user-edited flag on the cloned TTL so it tracks type changes again
+        const ttlInput = newRow.querySelector('.ttl-input');
+        if (ttlInput) {
+            delete ttlInput.dataset.userEdited;
+            trackTtlEdits(ttlInput);
+            if (typeSelect) {
+                updateTtlForType(typeSelect, ttlInput);
+            }
+        }
+
+        setupRecordWarningListeners(newRow);
+    }
+
+    function removeRecord(button) {
+        const row = button.closest('tr');
+        const tableBody = document.getElementById('recordsTableBody');
+
+        // Don't remove if it's the last row
+        if (tableBody.querySelectorAll('.record-row').length > 1) {
+            row.remove();
+
+            // Reindex the remaining rows
+            tableBody.querySelectorAll('.record-row').forEach((row, index) => {
+                row.querySelectorAll('input, select').forEach(input => {
+                    const name = input.getAttribute('name');
+                    if (name) {
+                        input.setAttribute('name', name.replace(/\[\d+\]/, '[' + index + ']'));
+                    }
+                });
+            });
+
+            updateDeleteButtons();
+        }
+    }
+
+    function updateDeleteButtons() {
+        const tableBody = document.getElementById('recordsTableBody');
+        const rowCount = tableBody.querySelectorAll('.record-row').length;
+
+        // Disable delete buttons if only one row, enable otherwise
+        tableBody.querySelectorAll('.remove-record').forEach(button => {
+            if (rowCount <= 1) {
+                button.setAttribute('disabled', 'disabled');
+                button.classList.add('disabled');
+            } else {
+                button.removeAttribute('disabled');
+                button.classList.remove('disabled');
+            }
+        });
+    }
+
+    function updatePtrCheckboxVisibility(selectElement) {
+        if (!selectElement) return;
+
+        const row = selectElement.closest('tr');
+        if (!row) return;
+
+        const ptrCheckbox = row.querySelector('.ptr-checkbox');
+        if (!ptrCheckbox) return;
+
+        // Only show the PTR checkbox for A and AAAA record types
+        const recordType = selectElement.value;
+        if (recordType === 'A' || recordType === 'AAAA') {
+            ptrCheckbox.style.visibility = 'visible';
+        } else {
+            ptrCheckbox.style.visibility = 'hidden';
+            ptrCheckbox.checked = false;
+        }
+    }
+
+    // Check if a deprecated record type is selected
+    function checkDeprecatedTypeWarning(row) {
+        const typeSelect = row.querySelector('.record-type-select');
+        const warningDiv = row.querySelector('.deprecated-type-warning');
+
+        if (!typeSelect || !warningDiv) return;
+
+        warningDiv.style.display = DEPRECATED_RECORD_TYPES.includes(typeSelect.value) ? 'block' : 'none';
+    }
+
+    // Check if a record is at the domain root (name equals zone name)
+    function checkCnameRootWarning(row) {
+        const typeSelect = row.querySelector('.record-type-select');
+        const nameField = row.querySelector('.name-field');
+        const warningDiv = row.querySelector('.cname-root-warning');
+
+        if (!typeSelect || !nameField || !warningDiv) return;
+
+        const isType = typeSelect.value === 'CNAME';
+        const name = nameField.value.trim();
+        const isAtRoot = (name === "" || name === config.zoneName || name === "@");
+
+        warningDiv.style.display = (isType && isAtRoot) ? 'block' : 'none';
+    }
+
+    // Update CNAME root warning and deprecated type warning when record type or name changes
+    function setupRecordWarningListeners(row) {
+        const typeSelect = row.querySelector('.record-type-select');
+        const nameField = row.querySelector('.name-field');
+
+        if (typeSelect) {
+            typeSelect.addEventListener('change', function() {
+                checkCnameRootWarning(row);
+                checkDeprecatedTypeWarning(row);
+            });
+        }
+
+        if (nameField) {
+            nameField.addEventListener('input', function() {
+                checkCnameRootWarning(row);
+            });
+        }
+
+        // Initial check
+        checkCnameRootWarning(row);
+        checkDeprecatedTypeWarning(row);
+    }
+
+    function trackTtlEdits(input) {
+        input.addEventListener('input', function() {
+            input.dataset.userEdited = 'true';
+        });
+    }
+
+    function init() {
+        if (!document.getElementById('recordsTableBody')) {
+            return;
+        }
+
+        updateDeleteButtons();
+        document.querySelectorAll('.record-type-select').forEach(function(select) {
+            updatePtrCheckboxVisibility(select);
+            // Initialize priority field state for each row
+            const row = select.closest('tr');
+            updatePriorityFieldState(select, row.querySelector('input[name*="[prio]"]'));
+            // Sync TTL to whatever the browser auto-selected so display matches backend.
+            const ttlInput = row.querySelector('.ttl-input');
+            if (ttlInput && !config.keepTtl) {
+                updateTtlForType(select, ttlInput);
+            }
+        });
+        document.querySelectorAll('.ttl-input').forEach(trackTtlEdits);
+        document.querySelectorAll('.record-row').forEach(setupRecordWarningListeners);
+    }
+
+    PageActions.register({
+        changeRecordType,
+        addNewRecord,
+        removeRecord
+    });
+
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', init);
+    } else {
+        init();
+    }
+
+    // Public API
+    return {
+        addNewRecord,
+        removeRecord
+    };
+})();
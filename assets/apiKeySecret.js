@@ -0,0 +1,61 @@
+/*  Poweradmin, a friendly web-based admin tool for PowerDNS.
+ *  See <https://www.poweradmin.org> for more details.
+ *
+ *  Copyright 2007-2010 Rejo Zenger <rejo@zenger.nl>
+ *  Copyright 2010-2026 Poweradmin Development Team
+ *
+ *  This program is free software: you can redistribute it and/or modify
+ *  it under the terms of the GNU General Public License as published by
+ *  the Free Software Foundation, either version 3 of the License, or
+ *  (at your option) any later version.
+ *
+ *  This program is distributed in the hope that it will be useful,
+ *  but WITHOUT ANY WARRANTY; without even the implied warranty of
+ *  MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ *  GNU General Public License for more details.
+ *
+ *  You should have received a copy of the GNU General Public License
+ *  along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+
+
+/**
+ * ApiKeySecret - Copy button of a newly created or regenerated API key
+ *
+ * Copies the secret and shows the data-label-copied text of the button for
+ * two seconds.
+ *
+ * Markup:
+ *   <input id="api-key-value" readonly>
+ *   <button id="copy-button" data-action-click="copyApiKey" data-label-copied="..."></button>
+ */
+const ApiKeySecret = (function() {
+    function copyApiKey() {
+        const keyElement = document.getElementById('api-key-value');
+        keyElement.select();
+        document.execCommand('copy');
+
+        const button = document.getElementById('copy-button');
+        const originalHTML = button.innerHTML;
+        button.innerHTML = '<i class="bi bi-check2 me-1 text-white"></i> ';
+        button.append(button.dataset.labelCopied || '');
+        button.classList.remove('btn-outline-secondary');
+        button.classList.add('btn-success');
+
+        setTimeout(() => {
+            button.innerHTML = originalHTML;
+            button.classList.remove('btn-success');
+            button.classList.add('btn-outline-secondary');
+        }, 2000);
+    }
+
+    PageActions.register({
+        copyApiKey
+    });
+
+    // Public API
+    return {
+        copyApiKey
+    };
+})();
@@ -0,0 +1,463 @@
+/*  Poweradmin, a friendly web-based admin tool for PowerDNS.
+ *  See <https://www.poweradmin.org> for more details.
+ *
+ *  Copyright 2007-2010 Rejo Zenger <rejo@zenger.nl>
+ *  Copyright 2010-2026 Poweradmin Development Team
+ *
+ *  This program is free software: you can redistribute it and/or modify
+ *  it under the terms of the GNU General Public License as published by
+ *  the Free Software Foundation, either version 3 of the License, or
+ *  (at your option) any later version.
+ *
+ *  This program is distributed in the hope that it will be useful,
+ *  but WITHOUT ANY WARRANTY; without even the implied warranty of
+ *  MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ *  GNU General Public License for more details.
+ *
+ *  You should have received a copy of the GNU General Public License
+ *  along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+
+
+
+
+
+/**
+ * BatchPtrPreview - Preview grid for the batch PTR form
+ *
+ * Expands the network of the batch PTR form into its addresses and the PTR
+ * names they would get, using the same rules as BatchReverseRecordCreator:
+ * IPv4 networks from /20 to /30 without network and broadcast address, and
+ * IPv6 /64 prefixes counting up from ::1. Each row shows whether a reverse
+ * zone covers the address and whether a PTR record already exists there.
+ * Only the ticked rows are submitted.
+ *
+ * Markup:
+ *   <form data-batch-ptr-form data-preview-url="/zones/batch-ptr/preview" data-label-*="...">
+ *       <input type="hidden" name="selected_addresses" disabled data-batch-ptr-selection>
+ *       <button type="button" data-batch-ptr-preview-button></button>
+ *       <div data-batch-ptr-preview-status></div>
+ *   </form>
+ *   <div data-batch-ptr-preview hidden>
+ *       <span data-preview-summary></span> <button data-preview-select="new"></button>
+ *       <input type="checkbox" data-preview-toggle-all> <tbody data-preview-rows></tbody>
+ *   </div>
+ *
+ * The reverse zones, existing PTR records and, in matching-only mode, the
+ * forward records come from BatchPtrRecordController::preview().
+ */
+const BatchPtrPreview = (function() {
+    // Largest IPv6 batch accepted by the server
+    const MAX_IPV6_COUNT = 1000;
+
+    // Form fields that change the generated rows
+    const PREVIEW_FIELDS = ['network_type', 'network_prefix', 'host_prefix', 'domain', 'ipv6_count', 'only_matching_records'];
+
+    /**
+     * Create an element with optional class and text
+     * @param {string} tag - Tag name
+     * @param {string} className - Class attribute
+     * @param {string} text - Text content
+     * @returns {Element} New element
+     */
+    function element(tag, className, text) {
+        const node = document.createElement(tag);
+        if (className) {
+            node.className = className;
+        }
+        if (text !== undefined && text !== null) {
+            node.textContent = String(text);
+        }
+        return node;
+    }
+
+    /**
+     * Expand an IPv6 address to 32 hex digits
+     * @param {string} text - Address
+     * @returns {string|null} Hex digits
+     */
+    function expandIPv6(text) {
+        const halves = text.toLowerCase().split('::');
+        if (halves.length > 2) {
+            return null;
+        }
+        const head = halves[0] ? halves[0].split(':') : [];
+        const tail = halves.length === 2 && halves[1] ? halves[1].split(':') : [];
+        const missing = 8 - head.length - tail.length;
+        if (missing < 0 || (halves.length === 1 && missing !== 0)) {
+            return null;
+        }
+        const groups = head.concat(new Array(halves.length === 2 ? missing : 0).fill('0'), tail);
+        if (groups.length !== 8 || groups.some(group => !/^[0-9a-f]{1,4}$/.test(group))) {
+            return null;
+        }
+        return groups.map(group => group.padStart(4, '0')).join('');
+    }
+
+    /**
+     * Parse an IPv4 or IPv6 address into a number
+     * @param {string} text - Address
+     * @returns {{family: number, value: bigint}|null} Parsed address
+     */
+    function parseAddress(text) {
+        if (text.includes(':')) {
+            const hex = expandIPv6(text);
+            return hex ? { family: 6, value: BigInt('0x' + hex) } : null;
+        }
+        const parts = text.split('.');
+        if (parts.length !== 4 || parts.some(part => !/^\d{1,3}$/.test(part) || Number(part) > 255)) {
+            return null;
+        }
+        return { family: 4, value: parts.reduce((value, part) => (value << 8n) + BigInt(part), 0n) };
+    }
+
+    /**
+     * Get the reverse name of an address
+     * @param {string} address - IPv4 or IPv6 address
+     * @returns {string} Name below in-addr.arpa or ip6.arpa
+     */
+    function reverseName(address) {
+        if (address.includes(':')) {
+            return expandIPv6(address).split('').reverse().join('.') + '.ip6.arpa';
+        }
+        return address.split('.').reverse().join('.') + '.in-addr.arpa';
+    }
+
+    /**
+     * Expand an IPv4 network into its host addresses
+     * @param {string} text - Network, e.g. "192.168.1.0/24" or "192.168.1" (/24)
+     * @returns {Array<{index: string, address: string}>|null} Hosts, or null if the server would reject the network
+     */
+    function expandIPv4Network(text) {
+        let [ip, cidr] = text.trim().split('/');
+        cidr = cidr === undefined ? 24 : Number(cidr);
+        if (ip.split('.').length === 3) {
+            ip += '.0';
+        }
+        const parsed = parseAddress(ip);
+        if (!parsed || parsed.family !== 4 || !Number.isInteger(cidr) || cidr < 20 || cidr > 30) {
+            return null;
+        }
+
+        const size = 2 ** (32 - cidr);
+        const network = Number(parsed.value) - (Number(parsed.value) % size);
+        const hosts = [];
+        // Network and broadcast address get no PTR record
+        for (let i = 1; i < size - 1; i++) {
+            const value = network + i;
+            hosts.push({
+                index: String(i),
+                address: [value >>> 24, (value >>> 16) & 255, (value >>> 8) & 255, value & 255].join('.')
+            });
+        }
+        return hosts;
+    }
+
+    /**
+     * Expand an IPv6 /64 prefix into its first addresses
+     * @param {string} text - Prefix of four groups, e.g. "2001:db8:1:1"
+     * @param {number} count - Number of addresses, including the skipped ::0
+     * @returns {Array<{index: string, address: string}>|null} Hosts, or null if the prefix is invalid
+     */
+    function expandIPv6Network(text, count) {
+        const prefix = text.trim();
+        if (prefix.split(':').length !== 4 || !expandIPv6(prefix + '::')) {
+            return null;
+        }
+
+        const hosts = [];
+        for (let i = 1; i < Math.min(count, MAX_IPV6_COUNT); i++) {
+            const hex = i.toString(16);
+            hosts.push({ index: hex, address: prefix + '::' + hex });
+        }
+        return hosts;
+    }
+
+    /**
+     * Find the most specific zone whose network contains an address
+     * @param {{family: number, value: bigint}} address - Parsed address
+     * @param {Array} zones - Zones from the preview endpoint
+     * @returns {Object|null} Zone
+     */
+    function findZone(address, zones) {
+        const bits = address.family === 4 ? 32 : 128;
+        let best = null;
+        zones.forEach(function(zone) {
+            const network = parseAddress(zone.network.network);
+            if (!network || network.family !== address.family) {
+                return;
+            }
+            const shift = BigInt(bits - zone.network.prefix);
+            if ((network.value >> shift) === (address.value >> shift)
+                && (!best || zone.network.prefix > best.network.prefix)) {
+                best = zone;
+            }
+        });
+        return best;
+    }
+
+    /**
+     * Combine the expanded hosts with what exists on the server
+     * @param {Array<{address: string, target: string}>} hosts - Addresses with their PTR targets
+     * @param {Object} result - Response of the preview endpoint
+     * @returns {Array<Object>} Rows with status "new", "other", "exists" or "no-zone"
+     */
+    function buildRows(hosts, result) {
+        const existing = new Map();
+        Object.entries(result.existing).forEach(function([address, contents]) {
+            const parsed = parseAddress(address);
+            if (parsed) {
+                existing.set(parsed.value, contents.map(content => content.toLowerCase().replace(/\.$/, '')));
+            }
+        });
+
+        return hosts.map(function(host) {
+            const parsed = parseAddress(host.address);
+            const zone = parsed ? findZone(parsed, result.zones) : null;
+            const contents = parsed ? (existing.get(parsed.value) || []) : [];
+            const target = host.target.toLowerCase().replace(/\.$/, '');
+
+            let status = 'new';
+            if (!zone) {
+                status = 'no-zone';
+            } else if (contents.length > 0) {
+                // The server skips any existing PTR, or only exact duplicates
+                status = result.prevent_duplicate_ptr || contents.includes(target) ? 'exists' : 'other';
+            }
+
+            return {
+                address: host.address,
+                reverse: parsed ? reverseName(host.address) : '',
+                target: host.target,
+                zone,
+                contents,
+                status,
+                selected: status === 'new' || status === 'other'
+            };
+        });
+    }
+
+    /**
+     * Set up the preview for the batch PTR form
+     * @param {HTMLFormElement} form - Batch PTR form
+     */
+    function init(form) {
+        const labels = form.dataset;
+        const card = document.querySelector('[data-batch-ptr-preview]');
+        const selection = form.querySelector('[data-batch-ptr-selection]');
+        const status = form.querySelector('[data-batch-ptr-preview-status]');
+        const previewButton = form.querySelector('[data-batch-ptr-preview-button]');
+        const body = card.querySelector('[data-preview-rows]');
+        const summary = card.querySelector('[data-preview-summary]');
+        const toggleAll = card.querySelector('[data-preview-toggle-all]');
+        let rows = null;
+        let controller = null;
+
+        const BADGES = {
+            'new': ['text-bg-success', labels.labelNew],
+            'other': ['text-bg-warning', labels.labelOther],
+            'exists': ['text-bg-secondary', labels.labelExists],
+            'no-zone': ['text-bg-danger', labels.labelNoZone]
+        };
+
+        function field(name) {
+            return form.elements.namedItem(name);
+        }
+
+        function updateSummary() {
+            const selected = rows.filter(row => row.selected).length;
+            const selectable = rows.filter(row => row.status !== 'no-zone').length;
+            summary.textContent = labels.labelSummary
+                .replace('{selected}', selected)
+                .replace('{total}', rows.length)
+                .replace('{existing}', rows.filter(row => row.contents.length > 0).length);
+            toggleAll.checked = selectable > 0 && selected === selectable;
+            toggleAll.indeterminate = selected > 0 && selected < selectable;
+        }
+
+        function renderRow(row) {
+            const tr = element('tr');
+            if (row.status === 'exists' || row.status === 'no-zone') {
+                tr.className = 'text-muted';
+            }
+
+            const checkCell = element('td');
+            const checkbox = element('input', 'form-check-input');
+            checkbox.type = 'checkbox';
+            checkbox.checked = row.selected;
+            checkbox.disabled = row.status === 'no-zone';
+            checkbox.setAttribute('aria-label', row.address);
+            checkbox.addEventListener('change', function() {
+                row.selected = checkbox.checked;
+                updateSummary();
+            });
+            row.checkbox = checkbox;
+            checkCell.appendChild(checkbox);
+            tr.appendChild(checkCell);
+
+            tr.appendChild(element('td', 'font-monospace', row.address));
+            tr.appendChild(element('td', 'font-monospace small', row.reverse));
+            tr.appendChild(element('td', 'font-monospace small', row.target));
+
+            const statusCell = element('td');
+            const [badgeClass, badgeText] = BADGES[row.status];
+            statusCell.appendChild(element('span', 'badge ' + badgeClass, badgeText));
+            if (row.contents.length > 0) {
+                statusCell.appendChild(element('span', 'small text-muted ms-2', row.contents.join(', ')));
+            } else if (row.zone) {
+                statusCell.appendChild(element('span', 'small text-muted ms-2', row.zone.name));
+            }
+            tr.appendChild(statusCell);
+
+            return tr;
+        }
+
+        function render() {
+            const fragment = document.createDocumentFragment();
+            rows.forEach(row => fragment.appendChild(renderRow(row)));
+            body.replaceChildren(fragment);
+            updateSummary();
+            card.hidden = false;
+        }
+
+        /**
+         * Select rows by status
+         * @param {string} mode - "all", "new" or "none"
+         */
+        function select(mode) {
+            rows.forEach(function(row) {
+                if (row.status === 'no-zone') {
+                    return;
+                }
+                row.selected = mode === 'all' || (mode === 'new' && row.status === 'new');
+                row.checkbox.checked = row.selected;
+            });
+            updateSummary();
+        }
+
+        function invalidate() {
+            controller?.abort();
+            rows = null;
+            card.hidden = true;
+            body.replaceChildren();
+            selection.disabled = true;
+            status.textContent = '';
+        }
+
+        async function generate() {
+            invalidate();
+            if (!form.checkValidity()) {
+                form.classList.add('was-validated');
+                return;
+            }
+
+            const isIPv4 = field('network_type').value === 'ipv4';
+            const onlyMatching = field('only_matching_records').checked;
+            const domain = field('domain').value.trim();
+            const hostPrefix = field('host_prefix').value.trim();
+            const networkPrefix = field('network_prefix').value.trim();
+            const hosts = isIPv4
+                ? expandIPv4Network(networkPrefix)
+                : expandIPv6Network(networkPrefix, parseInt(field('ipv6_count').value, 10) || 256);
+            if (!hosts) {
+                status.textContent = labels.labelInvalid;
+                return;
+            }
+
+            const params = new URLSearchParams({
+                network_type: isIPv4 ? 'ipv4' : 'ipv6',
+                network_prefix: networkPrefix,
+                domain: domain
+            });
+            if (onlyMatching) {
+                params.set('only_matching_records', 'on');
+            }
+
+            controller = new AbortController();
+            status.textContent = labels.labelLoading;
+            try {
+                const response = await fetch(labels.previewUrl + '?' + params.toString(), {
+                    headers: {
+                        'Accept': 'application/json'
+                    },
+                    signal: controller.signal
+                });
+                const result = await response.json();
+                if (!response.ok) {
+                    throw new Error(result.message || 'Loading the preview failed');
+                }
+
+                // Matching-only mode takes the addresses and names from the forward zone
+                const targets = onlyMatching
+                    ? result.matching.map(record => ({ address: record.ip, target: record.name }))
+                    : hosts.map(host => ({
+                        address: host.address,
+                        target: hostPrefix !== '' ? hostPrefix + host.index + '.' + domain : domain
+                    }));
+
+                rows = buildRows(targets, result);
+                status.textContent = '';
+                render();
+            } catch (error) {
+                if (error.name === 'AbortError') {
+                    return;
+                }
+                console.error('Error loading batch PTR preview:', error);
+                status.textContent = error.message || labels.labelError;
+            }
+        }
+
+        PREVIEW_FIELDS.forEach(function(name) {
+            const input = field(name);
+            input?.addEventListener('input', invalidate);
+            input?.addEventListener('change', invalidate);
+        });
+
+        previewButton.addEventListener('click', generate);
+
+        card.querySelectorAll('[data-preview-select]').forEach(function(button) {
+            button.addEventListener('click', () => rows && select(button.dataset.previewSelect));
+        });
+        toggleAll.addEventListener('change', () => rows && select(toggleAll.checked ? 'all' : 'none'));
+
+        // Submitting without a preview shows the preview first
+        form.addEventListener('submit', function(event) {
+            if (!rows) {
+                event.preventDefault();
+                generate();
+                return;
+            }
+
+            const selected = rows.filter(row => row.selected);
+            if (selected.length === 0) {
+                event.preventDefault();
+                status.textContent = labels.labelNoneSelected;
+                return;
+            }
+            selection.value = selected.map(row => row.address).join(' ');
+            selection.disabled = false;
+        });
+    }
+
+    /**
+     * Set up every batch PTR form on the page
+     */
+    function initAll() {
+        document.querySelectorAll('[data-batch-ptr-form]').forEach(init);
+    }
+
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', initAll);
+    } else {
+        initAll();
+    }
+
+    // Public API
+    return {
+        expandIPv4Network,
+        expandIPv6Network,
+        reverseName,
+        buildRows
+    };
+})();
@@ -0,0 +1,483 @@
+/*  Poweradmin, a friendly web-based admin tool for PowerDNS.
+ *  See <https://www.poweradmin.org> for more details.
+ *
+ *  Copyright 2007-2010 Rejo Zenger <rejo@zenger.nl>
+ *  Copyright 2010-2026 Poweradmin Development Team
+ *
+ *  This program is free software: you can redistribute it and/or modify
+ *  it under the terms of the GNU General Public License as published by
+ *  the Free Software Foundation, either version 3 of the License, or
+ *  (at your option) any later version.
+ *
+ *  This program is distributed in the hope that it will be useful,
+ *  but WITHOUT ANY WARRANTY; without even the implied warranty of
+ *  MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ *  GNU General Public License for more details.
+ *
+ *  You should have received a copy of the GNU General Public License
+ *  along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+
+
+
+
+
+/**
+ * BulkRecordGrid - Spreadsheet-like grid for the bulk record form
+ *
+ * Every row is one record with name, type, content, TTL, priority and
+ * optionally comment cells. Rows are checked with RecordValidator while the
+ * user types, and tab or comma separated text pasted into a cell fills the
+ * grid from that cell on, adding rows as needed. A pasted header row such as
+ * "name<TAB>type<TAB>content" sets the column order instead.
+ *
+ * Only rows that passed validation are submitted; rows with errors are sent
+ * as "skipped", so BulkRecordAddController shows them again.
+ *
+ * Markup:
+ *   <div data-bulk-record-grid data-zone-id="1" data-rows="[...]" data-comments="true" data-label-*="...">
+ *       <datalist id="bulk-record-types">...</datalist>
+ *       <tbody data-grid-rows></tbody> <div data-grid-summary></div>
+ *   </div>
+ *   <form data-bulk-record-grid-form><div data-grid-payload></div></form>
+ */
+const BulkRecordGrid = (function() {
+    // Delay after the last keystroke before a row is validated (ms)
+    const DEBOUNCE_MS = 500;
+
+    // Rows validated at the same time, so a large paste does not flood the server
+    const CONCURRENCY = 4;
+
+    // Empty rows shown when the grid starts without data
+    const INITIAL_ROWS = 5;
+
+    // Column names accepted in a pasted header row
+    const HEADER_ALIASES = {
+        'name': 'name',
+        'host': 'name',
+        'hostname': 'name',
+        'type': 'type',
+        'content': 'content',
+        'value': 'content',
+        'data': 'content',
+        'ttl': 'ttl',
+        'prio': 'prio',
+        'priority': 'prio',
+        'comment': 'comment'
+    };
+
+    /**
+     * Create an element with optional class and text
+     * @param {string} tag - Tag name
+     * @param {string} className - Class attribute
+     * @param {string} text - Text content
+     * @returns {Element} New element
+     */
+    function element(tag, className, text) {
+        const node = document.createElement(tag);
+        if (className) {
+            node.className = className;
+        }
+        if (text !== undefined && text !== null) {
+            node.textContent = String(text);
+        }
+        return node;
+    }
+
+    /**
+     * Split tab or comma separated text into rows of cells
+     *
+     * Quoted cells may contain the delimiter, line breaks and doubled quotes,
+     * as spreadsheets write them when copying.
+     *
+     * @param {string} text - Pasted text
+     * @param {string} delimiter - "\t" or ","
+     * @returns {Array<Array<string>>} Rows without trailing empty lines
+     */
+    function parseDelimited(text, delimiter) {
+        const rows = [];
+        let row = [];
+        let cell = '';
+        let quoted = false;
+
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+            if (quoted) {
+                if (char === '"' && text[i + 1] === '"') {
+                    cell += '"';
+                    i++;
+                } else if (char === '"') {
+                    quoted = false;
+                } else {
+                    cell += char;
+                }
+            } else if (char === '"' && cell === '') {
+                quoted = true;
+            } else if (char === delimiter) {
+                row.push(cell);
+                cell = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && text[i + 1] === '\n') {
+                    i++;
+                }
+                row.push(cell);
+                rows.push(row);
+                row = [];
+                cell = '';
+            } else {
+                cell += char;
+            }
+        }
+        row.push(cell);
+        rows.push(row);
+
+        while (rows.length > 0 && rows[rows.length - 1].every(value => value.trim() === '')) {
+            rows.pop();
+        }
+        return rows;
+    }
+
+    /**
+     * Get the column order of a pasted header row
+     * @param {Array<string>} cells - First pasted row
+     * @returns {Array<string|null>|null} Column keys, or null if the row holds data
+     */
+    function headerColumns(cells) {
+        const columns = cells.map(cell => HEADER_ALIASES[cell.trim().toLowerCase()] || null);
+        return columns.filter(Boolean).length >= 2 && columns.every(Boolean) ? columns : null;
+    }
+
+    /**
+     * Set up a record grid
+     * @param {Element} root - Element marked with data-bulk-record-grid
+     */
+    function init(root) {
+        const labels = root.dataset;
+        const body = root.querySelector('[data-grid-rows]');
+        const summary = root.querySelector('[data-grid-summary]');
+        const form = document.querySelector('[data-bulk-record-grid-form]');
+        const payload = form.querySelector('[data-grid-payload]');
+        const submitStatus = form.querySelector('[data-grid-submit-status]');
+        const types = [...root.querySelectorAll('#bulk-record-types option')].map(option => option.value);
+        const columns = ['name', 'type', 'content', 'ttl', 'prio'];
+        if (labels.comments === 'true') {
+            columns.push('comment');
+        }
+
+        const rows = [];
+        const queue = [];
+        const idleWaiters = [];
+        let running = 0;
+        let nextId = 0;
+
+        function values(row) {
+            const result = {};
+            columns.forEach(key => result[key] = row.inputs[key].value.trim());
+            return result;
+        }
+
+        function isEmpty(row) {
+            return columns.every(key => row.inputs[key].value.trim() === '');
+        }
+
+        function updateSummary() {
+            const count = state => rows.filter(row => row.state === state).length;
+            summary.textContent = labels.labelSummary
+                .replace('{valid}', count('valid'))
+                .replace('{invalid}', count('invalid'))
+                .replace('{pending}', count('pending'));
+        }
+
+        /**
+         * Show the state of a row in its first cell
+         * @param {Object} row - Grid row
+         * @param {string} state - "empty", "pending", "valid" or "invalid"
+         */
+        function setState(row, state) {
+            row.state = state;
+            const icons = {
+                'empty': '',
+                'pending': 'bi bi-hourglass-split text-muted',
+                'valid': 'bi bi-check-circle-fill text-success',
+                'invalid': 'bi bi-exclamation-circle-fill text-danger'
+            };
+            row.icon.className = icons[state];
+            updateSummary();
+        }
+
+        /**
+         * Mark a cell as invalid the same way RecordValidator does
+         * @param {Object} row - Grid row
+         * @param {string} key - Column key
+         * @param {string} message - Error message
+         */
+        function showError(row, key, message) {
+            RecordValidator.reset(row.element);
+            const input = row.inputs[key];
+            input.classList.add('is-invalid', 'record-validation-invalid');
+            const feedback = element('div', 'invalid-feedback d-block record-validation-feedback', message);
+            input.parentElement.appendChild(feedback);
+            row.element.dataset.recordInvalid = 'true';
+            setState(row, 'invalid');
+        }
+
+        function pump() {
+            while (running < CONCURRENCY && queue.length > 0) {
+                const row = queue.shift();
+                const generation = row.generation;
+                running++;
+                RecordValidator.validate(row.element).finally(function() {
+                    running--;
+                    // A newer edit has already queued the row again
+                    if (row.generation === generation && rows.includes(row)) {
+                        setState(row, row.element.dataset.recordInvalid === 'true' ? 'invalid' : 'valid');
+                    }
+                    pump();
+                });
+            }
+            if (running === 0 && queue.length === 0) {
+                idleWaiters.splice(0).forEach(resolve => resolve());
+            }
+        }
+
+        /**
+         * Check a row locally and queue it for server-side validation
+         * @param {Object} row - Grid row
+         */
+        function check(row) {
+            clearTimeout(row.timer);
+            row.timer = null;
+            row.generation++;
+
+            if (isEmpty(row)) {
+                RecordValidator.reset(row.element);
+                setState(row, 'empty');
+                return;
+            }
+
+            const record = values(row);
+            const type = record.type.toUpperCase();
+            if (row.inputs.type.value !== type) {
+                row.inputs.type.value = type;
+            }
+            if (type === '' || record.content === '') {
+                showError(row, type === '' ? 'type' : 'content', labels.labelRequired);
+                return;
+            }
+            if (types.length > 0 && !types.includes(type)) {
+                showError(row, 'type', labels.labelUnknownType);
+                return;
+            }
+
+            setState(row, 'pending');
+            if (!queue.includes(row)) {
+                queue.push(row);
+            }
+            pump();
+        }
+
+        function schedule(row) {
+            clearTimeout(row.timer);
+            setState(row, isEmpty(row) ? 'empty' : 'pending');
+            row.timer = setTimeout(() => check(row), DEBOUNCE_MS);
+        }
+
+        function removeRow(row) {
+            clearTimeout(row.timer);
+            const index = rows.indexOf(row);
+            rows.splice(index, 1);
+            row.element.remove();
+            if (rows.length === 0 || !isEmpty(rows[rows.length - 1])) {
+                addRow();
+            }
+            updateSummary();
+        }
+
+        /**
+         * Append a row to the grid
+         * @param {Object} data - Initial cell values, plus an optional server error
+         * @returns {Object} Grid row
+         */
+        function addRow(data = {}) {
+            const id = nextId++;
+            const tr = element('tr');
+            const row = { element: tr, inputs: {}, state: 'empty', timer: null, generation: 0 };
+
+            const statusCell = element('td', 'text-center');
+            row.icon = element('i');
+            statusCell.appendChild(row.icon);
+            tr.appendChild(statusCell);
+
+            columns.forEach(function(key) {
+                const cell = element('td');
+                const input = element('input', 'form-control form-control-sm' + (key === 'content' ? ' font-monospace' : ''));
+                input.type = 'text';
+                input.name = 'grid[' + id + '][' + key + ']';
+                input.autocomplete = 'off';
+                input.value = data[key] || '';
+                input.dataset.column = key;
+                if (key === 'type') {
+                    input.setAttribute('list', 'bulk-record-types');
+                }
+                if (key === 'ttl') {
+                    input.placeholder = labels.defaultTtl;
+                    input.inputMode = 'numeric';
+                }
+                if (key === 'prio') {
+                    input.placeholder = '0';
+                    input.inputMode = 'numeric';
+                }
+                row.inputs[key] = input;
+                cell.appendChild(input);
+                tr.appendChild(cell);
+            });
+
+            const removeCell = element('td');
+            const remove = element('button', 'btn btn-sm btn-link text-secondary p-0');
+            remove.type = 'button';
+            remove.setAttribute('aria-label', labels.labelRemove);
+            remove.appendChild(element('i', 'bi bi-x-lg'));
+            remove.addEventListener('click', () => removeRow(row));
+            removeCell.appendChild(remove);
+            tr.appendChild(removeCell);
+
+            tr.addEventListener('input', function() {
+                schedule(row);
+                // Keep an empty row at the end to type into
+                if (row === rows[rows.length - 1] && !isEmpty(row)) {
+                    addRow();
+                }
+            });
+
+            rows.push(row);
+            body.appendChild(tr);
+            if (data.error) {
+                showError(row, 'content', data.error);
+            }
+            return row;
+        }
+
+        /**
+         * Fill the grid from pasted text, starting at the focused cell
+         * @param {ClipboardEvent} event - Paste event
+         */
+        function handlePaste(event) {
+            const input = event.target;
+            const row = rows.find(candidate => candidate.element.contains(input));
+            const text = (event.clipboardData || window.clipboardData).getData('text');
+            // A single value is pasted into the cell as usual
+            if (!row || !input.dataset.column || !/[\t\n]/.test(text.replace(/[\r\n]+$/, ''))) {
+                return;
+            }
+            event.preventDefault();
+
+            const records = parseDelimited(text, text.includes('\t') ? '\t' : ',');
+            let order = records.length > 0 ? headerColumns(records[0]) : null;
+            if (order) {
+                records.shift();
+            } else {
+                order = columns.slice(columns.indexOf(input.dataset.column));
+            }
+
+            let index = rows.indexOf(row);
+            records.forEach(function(cells) {
+                const target = rows[index] || addRow();
+                order.forEach(function(key, position) {
+                    if (key && target.inputs[key] && cells[position] !== undefined) {
+                        target.inputs[key].value = cells[position].trim();
+                    }
+                });
+                check(target);
+                index++;
+            });
+
+            if (!isEmpty(rows[rows.length - 1])) {
+                addRow();
+            }
+        }
+
+        function waitForIdle() {
+            return new Promise(function(resolve) {
+                idleWaiters.push(resolve);
+                pump();
+            });
+        }
+
+        /**
+         * Add hidden fields for the valid and skipped rows
+         * @param {string} prefix - "grid" or "skipped"
+         * @param {Array<Object>} selected - Rows to post
+         */
+        function appendPayload(prefix, selected) {
+            selected.forEach(function(row, index) {
+                const record = values(row);
+                columns.forEach(function(key) {
+                    const field = element('input');
+                    field.type = 'hidden';
+                    field.name = prefix + '[' + index + '][' + key + ']';
+                    field.value = record[key];
+                    payload.appendChild(field);
+                });
+            });
+        }
+
+        body.addEventListener('paste', handlePaste);
+
+        form.addEventListener('submit', async function(event) {
+            event.preventDefault();
+
+            // Rows still waiting for their debounce are checked right away
+            rows.filter(row => row.timer).forEach(check);
+            if (rows.some(row => row.state === 'pending')) {
+                submitStatus.textContent = labels.labelChecking;
+                await waitForIdle();
+            }
+
+            const valid = rows.filter(row => row.state === 'valid');
+            const invalid = rows.filter(row => row.state === 'invalid');
+            if (valid.length === 0) {
+                submitStatus.textContent = labels.labelNoneValid;
+                return;
+            }
+
+            submitStatus.textContent = invalid.length > 0 ? labels.labelSkipping : '';
+            payload.replaceChildren();
+            appendPayload('grid', valid);
+            appendPayload('skipped', invalid);
+            form.submit();
+        });
+
+        let initial = [];
+        try {
+            initial = JSON.parse(labels.rows || '[]');
+        } catch (error) {
+            console.error('Error reading grid rows:', error);
+        }
+        // Rows shown again after submit keep the server's error until they are edited
+        initial.forEach(data => addRow(data));
+        while (rows.length < (initial.length > 0 ? initial.length + 1 : INITIAL_ROWS)) {
+            addRow();
+        }
+        updateSummary();
+    }
+
+    /**
+     * Set up every record grid on the page
+     */
+    function initAll() {
+        document.querySelectorAll('[data-bulk-record-grid]').forEach(init);
+    }
+
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', initAll);
+    } else {
+        initAll();
+    }
+
+    // Public API
+    return {
+        parseDelimited,
+        headerColumns
+    };
+})();
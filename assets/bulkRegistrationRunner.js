@@ -0,0 +1,366 @@
+/*  Poweradmin, a friendly web-based admin tool for PowerDNS.
+ *  See <https://www.poweradmin.org> for more details.
+ *
+ *  Copyright 2007-2010 Rejo Zenger <rejo@zenger.nl>
+ *  Copyright 2010-2026 Poweradmin Development Team
+ *
+ *  This program is free software: you can redistribute it and/or modify
+ *  it under the terms of the GNU General Public License as published by
+ *  the Free Software Foundation, either version 3 of the License, or
+ *  (at your option) any later version.
+ *
+ *  This program is distributed in the hope that it will be useful,
+ *  but WITHOUT ANY WARRANTY; without even the implied warranty of
+ *  MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ *  GNU General Public License for more details.
+ *
+ *  You should have received a copy of the GNU General Public License
+ *  along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+
+
+/**
+ * BulkRegistrationRunner - Chunked runner for the bulk registration form
+ *
+ * Instead of posting all domains at once, the runner sends them in small
+ * batches to BulkRegistrationController::batch() and shows the outcome of
+ * every domain as it comes in: created, already exists, invalid or failed.
+ * The run can be paused between batches and cancelled, and the results can
+ * be downloaded as CSV once it is over.
+ *
+ * A failed request pauses the run, so Resume sends the same batch again. An
+ * error the server reports for the whole batch, such as a missing
+ * permission, ends the run.
+ *
+ * Markup:
+ *   <form data-bulk-registration-runner data-batch-url="/zones/bulk-registration/batch" data-label-*="...">
+ *       <textarea name="domains"></textarea>
+ *   </form>
+ *   <div data-bulk-registration-progress hidden>
+ *       <div class="progress"><div class="progress-bar" data-runner-bar></div></div>
+ *       <span data-runner-summary></span> <span data-runner-count="created"></span>
+ *       <button data-runner-pause></button> <button data-runner-cancel></button>
+ *       <button data-runner-download></button> <tbody data-runner-rows></tbody>
+ *   </div>
+ */
+const BulkRegistrationRunner = (function() {
+    // Domains sent per request, at most BulkRegistrationController::MAX_BATCH_SIZE
+    const BATCH_SIZE = 25;
+
+    const STATUSES = ['created', 'exists', 'invalid', 'failed', 'cancelled'];
+
+    /**
+     * Create an element with optional class and text
+     * @param {string} tag - Tag name
+     * @param {string} className - Class attribute
+     * @param {string} text - Text content
+     * @returns {Element} Element
+     */
+    function element(tag, className, text) {
+        const node = document.createElement(tag);
+        if (className) {
+            node.className = className;
+        }
+        if (text !== undefined) {
+            node.textContent = text;
+        }
+        return node;
+    }
+
+    /**
+     * Split the textarea into domains, one per line, without blanks and duplicates
+     * @param {string} text - Textarea value
+     * @returns {string[]} Domains in input order
+     */
+    function splitDomains(text) {
+        const seen = new Set();
+        const domains = [];
+        text.split(/\r?\n/).forEach(function(line) {
+            const domain = line.trim();
+            const key = domain.toLowerCase();
+            if (domain !== '' && !seen.has(key)) {
+                seen.add(key);
+                domains.push(domain);
+            }
+        });
+        return domains;
+    }
+
+    /**
+     * Quote a CSV field when needed
+     * @param {*} value - Field value
+     * @returns {string} CSV field
+     */
+    function csvField(value) {
+        const text = value === null || value === undefined ? '' : String(value);
+        return /[",\r\n]/.test(text) ? '"' + text.replace(/"/g, '""') + '"' : text;
+    }
+
+    /**
+     * Build the CSV report of a run
+     * @param {Object[]} results - Results with domain, status, message and zone_id
+     * @returns {string} CSV text with header row
+     */
+    function toCsv(results) {
+        const lines = [['domain', 'status', 'message', 'zone_id']].concat(
+            results.map(result => [result.domain, result.status, result.message, result.zone_id])
+        );
+        return lines.map(line => line.map(csvField).join(',')).join('\r\n') + '\r\n';
+    }
+
+    /**
+     * Set up the runner for one form
+     * @param {Element} form - Bulk registration form
+     */
+    function init(form) {
+        const labels = form.dataset;
+        const card = document.querySelector('[data-bulk-registration-progress]');
+        if (!card || !labels.batchUrl) {
+            return;
+        }
+
+        const textarea = form.querySelector('textarea[name="domains"]');
+        const submitButton = form.querySelector('button[type="submit"]');
+        const bar = card.querySelector('[data-runner-bar]');
+        const summary = card.querySelector('[data-runner-summary]');
+        const body = card.querySelector('[data-runner-rows]');
+        const pauseButton = card.querySelector('[data-runner-pause]');
+        const cancelButton = card.querySelector('[data-runner-cancel]');
+        const downloadButton = card.querySelector('[data-runner-download]');
+        const counters = {};
+        card.querySelectorAll('[data-runner-count]').forEach(function(counter) {
+            counters[counter.dataset.runnerCount] = counter;
+        });
+
+        const BADGES = {
+            created: ['bg-success', labels.labelCreated],
+            exists: ['bg-secondary', labels.labelExists],
+            invalid: ['bg-warning text-dark', labels.labelInvalid],
+            failed: ['bg-danger', labels.labelFailed],
+            cancelled: ['bg-light text-dark border', labels.labelCancelled]
+        };
+
+        let domains = [];
+        let results = [];
+        let next = 0;
+        let fields = null;
+        // "running", "paused", "cancelled" or "done"
+        let state = 'done';
+        // Whether a batch loop is waiting for a response
+        let active = false;
+
+        function record(result) {
+            results.push(result);
+
+            const tr = element('tr');
+            tr.dataset.status = result.status;
+            tr.appendChild(element('td', 'font-monospace small', result.domain));
+            const statusCell = element('td');
+            const [badgeClass, badgeText] = BADGES[result.status];
+            statusCell.appendChild(element('span', 'badge ' + badgeClass, badgeText));
+            tr.appendChild(statusCell);
+            tr.appendChild(element('td', 'small text-muted', result.message || ''));
+            body.appendChild(tr);
+        }
+
+        function update(message) {
+            const done = results.length;
+            const percent = domains.length > 0 ? Math.round(done * 100 / domains.length) : 0;
+            bar.style.width = percent + '%';
+            bar.setAttribute('aria-valuenow', String(percent));
+            bar.textContent = percent + '%';
+            bar.classList.toggle('progress-bar-animated', state === 'running');
+            bar.classList.toggle('progress-bar-striped', state === 'running');
+
+            STATUSES.forEach(function(status) {
+                if (counters[status]) {
+                    counters[status].textContent = results.filter(result => result.status === status).length;
+                }
+            });
+
+            summary.textContent = message || labels.labelProgress
+                .replace('{done}', done)
+                .replace('{total}', domains.length);
+
+            pauseButton.hidden = state === 'done';
+            cancelButton.hidden = state === 'done';
+            pauseButton.textContent = state === 'paused' ? labels.labelResume : labels.labelPause;
+            downloadButton.hidden = state !== 'done';
+        }
+
+        /**
+         * Send one batch
+         * @param {string[]} batch - Domains
+         * @returns {Promise<Object[]>} Results in input order
+         */
+        async function send(batch) {
+            const params = new URLSearchParams(fields);
+            batch.forEach(domain => params.append('domains[]', domain));
+
+            const response = await fetch(labels.batchUrl, {
+                method: 'POST',
+                headers: {
+                    'Accept': 'application/json',
+                    'Content-Type': 'application/x-www-form-urlencoded'
+                },
+                body: params.toString()
+            });
+
+            let result = null;
+            try {
+                result = await response.json();
+            } catch (error) {
+                // Reported as a failed request below
+            }
+            if (!response.ok || !result || !Array.isArray(result.results)) {
+                const error = new Error(result?.message || labels.labelRequestFailed);
+                // Client errors fail the same way on every retry
+                error.fatal = response.status >= 400 && response.status < 500;
+                throw error;
+            }
+            return result.results;
+        }
+
+        async function run() {
+            active = true;
+            while (state === 'running' && next < domains.length) {
+                const batch = domains.slice(next, next + BATCH_SIZE);
+                try {
+                    const batchResults = await send(batch);
+                    batchResults.forEach(record);
+                    next += batch.length;
+                    update();
+                } catch (error) {
+                    console.error('Error registering domains:', error);
+                    if (error.fatal) {
+                        finish(error.message);
+                        active = false;
+                        return;
+                    }
+                    if (state === 'running') {
+                        state = 'paused';
+                    }
+                    update(error.message);
+                }
+            }
+            active = false;
+
+            if (state === 'cancelled' || next >= domains.length) {
+                finish();
+            }
+        }
+
+        /**
+         * End the run, marking the domains that were not sent
+         * @param {string} [message] - Error that ended the run
+         */
+        function finish(message) {
+            const status = message ? 'failed' : 'cancelled';
+            domains.slice(next).forEach(domain => record({
+                domain: domain,
+                status: status,
+                message: message || '',
+                zone_id: null
+            }));
+            next = domains.length;
+            state = 'done';
+
+            // Keep what was not added in the textarea, as the plain form does
+            const remaining = results.filter(result => result.status !== 'created');
+            textarea.value = remaining.map(result => result.domain).join('\n');
+            submitButton.disabled = false;
+            if (remaining.length === 0 && typeof FormDrafts !== 'undefined') {
+                FormDrafts.discard(form);
+            }
+
+            update(message || labels.labelFinished
+                .replace('{created}', results.length - remaining.length)
+                .replace('{total}', results.length));
+        }
+
+        function start() {
+            domains = splitDomains(textarea.value);
+            if (domains.length === 0) {
+                form.classList.add('was-validated');
+                return;
+            }
+
+            fields = [...new FormData(form).entries()].filter(([name]) => name !== 'domains');
+            results = [];
+            next = 0;
+            state = 'running';
+            body.replaceChildren();
+            submitButton.disabled = true;
+            card.hidden = false;
+            update();
+            run();
+        }
+
+        form.addEventListener('submit', function(event) {
+            event.preventDefault();
+            if (state !== 'done') {
+                return;
+            }
+            if (!form.checkValidity()) {
+                form.classList.add('was-validated');
+                return;
+            }
+            start();
+        });
+
+        pauseButton.addEventListener('click', function() {
+            if (state === 'running') {
+                state = 'paused';
+                update(labels.labelPaused);
+            } else if (state === 'paused') {
+                state = 'running';
+                update();
+                if (!active) {
+                    run();
+                }
+            }
+        });
+
+        cancelButton.addEventListener('click', function() {
+            if (state !== 'running' && state !== 'paused') {
+                return;
+            }
+            state = 'cancelled';
+            update(labels.labelCancelling);
+            if (!active) {
+                finish();
+            }
+        });
+
+        downloadButton.addEventListener('click', function() {
+            const blob = new Blob([toCsv(results)], { type: 'text/csv' });
+            const link = element('a');
+            link.href = URL.createObjectURL(blob);
+            link.download = 'bulk-registration-' + new Date().toISOString().slice(0, 10) + '.csv';
+            document.body.appendChild(link);
+            link.click();
+            link.remove();
+            URL.revokeObjectURL(link.href);
+        });
+    }
+
+    /**
+     * Set up every bulk registration form on the page
+     */
+    function initAll() {
+        document.querySelectorAll('form[data-bulk-registration-runner]').forEach(init);
+    }
+
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', initAll);
+    } else {
+        initAll();
+    }
+
+    // Public API
+    return {
+        splitDomains,
+        toCsv
+    };
+})();
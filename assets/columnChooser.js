@@ -0,0 +1,443 @@
+/*  Poweradmin, a friendly web-based admin tool for PowerDNS.
+ *  See <https://www.poweradmin.org> for more details.
+ *
+ *  Copyright 2007-2010 Rejo Zenger <rejo@zenger.nl>
+ *  Copyright 2010-2026 Poweradmin Development Team
+ *
+ *  This program is free software: you can redistribute it and/or modify
+ *  it under the terms of the GNU General Public License as published by
+ *  the Free Software Foundation, either version 3 of the License, or
+ *  (at your option) any later version.
+ *
+ *  This program is distributed in the hope that it will be useful,
+ *  but WITHOUT ANY WARRANTY; without even the implied warranty of
+ *  MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ *  GNU General Public License for more details.
+ *
+ *  You should have received a copy of the GNU General Public License
+ *  along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+
+
+/**
+ * ColumnChooser - Show, hide and reorder the columns of the zone lists
+ *
+ * Tables marked with data-column-chooser get a dropdown (rendered by
+ * zone_list_columns.html) listing their data-column headers. Columns can be
+ * dragged into a new order or unchecked to hide them, and the header can be
+ * made sticky. The layouts of all lists are stored together in the
+ * zone_list_columns setting of UserSettings, so they follow the user across
+ * tabs and devices.
+ *
+ * Serial and template columns are only rendered when their preference is on,
+ * so switching those goes through the preference and reloads the page.
+ */
+const ColumnChooser = (function() {
+    // Setting holding the layouts of all zone lists
+    const SETTING_KEY = 'zone_list_columns';
+
+    // Delay before saving after the last change (ms)
+    const SAVE_DELAY = 400;
+
+    let layouts = {};
+    let saveTimer = null;
+
+    /**
+     * Save the layouts after a short delay, so dragging does not send a request per move
+     */
+    function save() {
+        clearTimeout(saveTimer);
+        saveTimer = setTimeout(() => {
+            UserSettings.set(SETTING_KEY, layouts);
+        }, SAVE_DELAY);
+    }
+
+    /**
+     * Header cells of a table
+     * @param {HTMLTableElement} table - Table
+     * @returns {HTMLTableCellElement[]} Cells of the first header row
+     */
+    function headerCells(table) {
+        return [...table.tHead.rows[0].cells];
+    }
+
+    /**
+     * Keys of the choosable columns, in their current order
+     * @param {HTMLTableElement} table - Table
+     * @returns {string[]} Column keys
+     */
+    function columnKeys(table) {
+        return headerCells(table).filter(cell => cell.dataset.column).map(cell => cell.dataset.column);
+    }
+
+    /**
+     * Rows whose cells line up with the header
+     * @param {HTMLTableElement} table - Table
+     * @returns {HTMLTableRowElement[]} Header and body rows
+     */
+    function alignedRows(table) {
+        const count = headerCells(table).length;
+        return [...table.rows].filter(row => row.cells.length === count);
+    }
+
+    /**
+     * Merge a saved order with the columns on the page
+     *
+     * Saved columns that are not on the page are dropped; columns missing from
+     * the saved order stay next to the column they follow on the page.
+     * @param {string[]} saved - Saved order
+     * @param {string[]} current - Columns on the page
+     * @returns {string[]} Order to apply
+     */
+    function mergeOrder(saved, current) {
+        const order = saved.filter(key => current.includes(key));
+        current.forEach((key, index) => {
+            if (order.includes(key)) {
+                return;
+            }
+            const previous = index > 0 ? order.indexOf(current[index - 1]) : -1;
+            order.splice(previous + 1, 0, key);
+        });
+        return order;
+    }
+
+    /**
+     * Move the cells of every row into the given column order
+     * @param {HTMLTableElement} table - Table
+     * @param {string[]} order - Column keys
+     */
+    function applyOrder(table, order) {
+        const cells = headerCells(table);
+        const slots = cells.map((cell, index) => cell.dataset.column ? index : -1).filter(index => index >= 0);
+        if (slots.length === 0) {
+            return;
+        }
+        const keys = slots.map(index => cells[index].dataset.column);
+
+        alignedRows(table).forEach(row => {
+            const rowCells = [...row.cells];
+            const byKey = {};
+            slots.forEach((slot, i) => {
+                byKey[keys[i]] = rowCells[slot];
+            });
+            const anchor = rowCells[slots[slots.length - 1]].nextSibling;
+            order.forEach(key => row.insertBefore(byKey[key], anchor));
+        });
+    }
+
+    /**
+     * Hide the cells of the given columns and show all others
+     * @param {HTMLTableElement} table - Table
+     * @param {string[]} hidden - Column keys
+     */
+    function applyHidden(table, hidden) {
+        const cells = headerCells(table);
+        const hiddenIndexes = cells
+            .map((cell, index) => hidden.includes(cell.dataset.column) ? index : -1)
+            .filter(index => index >= 0);
+
+        alignedRows(table).forEach(row => {
+            [...row.cells].forEach((cell, index) => {
+                cell.classList.toggle('d-none', hiddenIndexes.includes(index));
+            });
+        });
+    }
+
+    /**
+     * Get the layout of a list, creating it when missing
+     * @param {Object} state - Chooser state
+     * @returns {Object} Layout with order, hidden and sticky
+     */
+    function layoutOf(state) {
+        if (!layouts[state.id]) {
+            layouts[state.id] = { order: [], hidden: [], sticky: false };
+        }
+        const layout = layouts[state.id];
+        layout.order = Array.isArray(layout.order) ? layout.order : [];
+        layout.hidden = Array.isArray(layout.hidden) ? layout.hidden : [];
+        return layout;
+    }
+
+    /**
+     * Apply the stored layout of a list to its table
+     * @param {Object} state - Chooser state
+     */
+    function apply(state) {
+        const layout = layoutOf(state);
+        const required = headerCells(state.table).filter(cell => 'columnRequired' in cell.dataset).map(cell => cell.dataset.column);
+
+        applyOrder(state.table, mergeOrder(layout.order, columnKeys(state.table)));
+        applyHidden(state.table, layout.hidden.filter(key => !required.includes(key)));
+        if (state.wrapper) {
+            state.wrapper.classList.toggle('table-sticky-head', Boolean(layout.sticky));
+        }
+        state.sticky.checked = Boolean(layout.sticky);
+        renderList(state);
+    }
+
+    /**
+     * Build one entry of the dropdown
+     * @param {Object} state - Chooser state
+     * @param {Object} column - Column with key, label, visible, required and preference
+     * @returns {HTMLElement} Entry
+     */
+    function createItem(state, column) {
+        const item = document.createElement('div');
+        item.className = 'd-flex align-items-center gap-2 px-1 py-1 rounded';
+        item.dataset.columnItem = column.key;
+        item.draggable = !column.server;
+
+        const grip = document.createElement('i');
+        grip.className = 'bi bi-grip-vertical ' + (column.server ? 'invisible' : 'text-muted');
+        grip.style.cursor = 'grab';
+
+        const check = document.createElement('div');
+        check.className = 'form-check mb-0 flex-grow-1';
+
+        const input = document.createElement('input');
+        input.type = 'checkbox';
+        input.className = 'form-check-input';
+        input.id = 'column_' + state.id + '_' + column.key;
+        input.checked = column.visible;
+        input.disabled = column.required;
+        input.addEventListener('change', () => toggle(state, column, input.checked));
+        input.addEventListener('keydown', event => {
+            if (event.altKey && (event.key === 'ArrowUp' || event.key === 'ArrowDown') && !column.server) {
+                event.preventDefault();
+                move(state, column.key, event.key === 'ArrowUp' ? -1 : 1);
+            }
+        });
+
+        const label = document.createElement('label');
+        label.className = 'form-check-label';
+        label.htmlFor = input.id;
+        label.textContent = column.label;
+
+        check.append(input, label);
+        item.append(grip, check);
+        return item;
+    }
+
+    /**
+     * Fill the dropdown with the columns of the table
+     * @param {Object} state - Chooser state
+     */
+    function renderList(state) {
+        const hidden = layoutOf(state).hidden;
+        state.list.replaceChildren();
+
+        headerCells(state.table).filter(cell => cell.dataset.column).forEach(cell => {
+            state.list.appendChild(createItem(state, {
+                key: cell.dataset.column,
+                label: cell.textContent.trim().replace(/\s+/g, ' '),
+                visible: !hidden.includes(cell.dataset.column) || 'columnRequired' in cell.dataset,
+                required: 'columnRequired' in cell.dataset,
+                preference: cell.dataset.preference || null,
+                server: false
+            }));
+        });
+
+        state.menu.querySelectorAll('[data-column-server]').forEach(column => {
+            state.list.appendChild(createItem(state, {
+                key: column.dataset.columnServer,
+                label: column.dataset.label,
+                visible: false,
+                required: false,
+                preference: column.dataset.preference,
+                server: true
+            }));
+        });
+    }
+
+    /**
+     * Show or hide a column
+     * @param {Object} state - Chooser state
+     * @param {Object} column - Column from the dropdown
+     * @param {boolean} visible - New visibility
+     */
+    async function toggle(state, column, visible) {
+        const layout = layoutOf(state);
+        layout.hidden = layout.hidden.filter(key => key !== column.key);
+
+        if (column.preference) {
+            // The server renders these columns only when their preference is on
+            const saved = await UserSettings.set(column.preference, visible);
+            if (column.server) {
+                if (saved) {
+                    window.location.reload();
+                } else {
+                    renderList(state);
+                }
+                return;
+            }
+            if (!saved) {
+                layout.hidden.push(column.key);
+            }
+        } else if (!visible) {
+            layout.hidden.push(column.key);
+        }
+
+        applyHidden(state.table, visible ? layout.hidden : layout.hidden.concat(column.key));
+        save();
+    }
+
+    /**
+     * Move a column one place up or down
+     * @param {Object} state - Chooser state
+     * @param {string} key - Column key
+     * @param {number} offset - -1 to move up, 1 to move down
+     */
+    function move(state, key, offset) {
+        const order = columnKeys(state.table);
+        const index = order.indexOf(key);
+        const target = index + offset;
+        if (index < 0 || target < 0 || target >= order.length) {
+            return;
+        }
+
+        order.splice(index, 1);
+        order.splice(target, 0, key);
+        commitOrder(state, order);
+        state.list.querySelector('#column_' + state.id + '_' + key).focus();
+    }
+
+    /**
+     * Store and apply a new column order
+     * @param {Object} state - Chooser state
+     * @param {string[]} order - Column keys
+     */
+    function commitOrder(state, order) {
+        layoutOf(state).order = order;
+        applyOrder(state.table, order);
+        renderList(state);
+        save();
+    }
+
+    /**
+     * Let the entries of the dropdown be dragged into a new order
+     * @param {Object} state - Chooser state
+     */
+    function enableDragging(state) {
+        let dragged = null;
+
+        state.list.addEventListener('dragstart', event => {
+            dragged = event.target.closest('[data-column-item]');
+            if (!dragged) {
+                return;
+            }
+            dragged.classList.add('dragging');
+            event.dataTransfer.effectAllowed = 'move';
+            event.dataTransfer.setData('text/plain', dragged.dataset.columnItem);
+        });
+
+        state.list.addEventListener('dragover', event => {
+            const target = event.target.closest('[data-column-item]');
+            if (!dragged || !target || !target.draggable) {
+                return;
+            }
+            event.preventDefault();
+            if (target === dragged) {
+                return;
+            }
+
+            const rect = target.getBoundingClientRect();
+            const before = event.clientY < rect.top + rect.height / 2;
+            state.list.insertBefore(dragged, before ? target : target.nextSibling);
+        });
+
+        state.list.addEventListener('drop', event => event.preventDefault());
+
+        state.list.addEventListener('dragend', () => {
+            if (!dragged) {
+                return;
+            }
+            dragged.classList.remove('dragging');
+            dragged = null;
+
+            const current = columnKeys(state.table);
+            const order = [...state.list.querySelectorAll('[data-column-item]')]
+                .map(item => item.dataset.columnItem)
+                .filter(key => current.includes(key));
+            commitOrder(state, order);
+        });
+    }
+
+    /**
+     * Restore the order and visibility the page was rendered with
+     * @param {Object} state - Chooser state
+     */
+    function reset(state) {
+        delete layouts[state.id];
+        applyOrder(state.table, state.defaultOrder);
+        apply(state);
+        save();
+    }
+
+    /**
+     * Set up the chooser of one table
+     * @param {HTMLTableElement} table - Table with a data-column-chooser attribute
+     * @returns {?Object} Chooser state, null when the table has no chooser
+     */
+    function setup(table) {
+        const id = table.dataset.columnChooser;
+        const menu = document.querySelector('[data-column-chooser-menu="' + id + '"]');
+        if (!table.tHead || !menu) {
+            return null;
+        }
+
+        const state = {
+            id,
+            table,
+            menu,
+            list: menu.querySelector('[data-column-list]'),
+            sticky: menu.querySelector('[data-column-sticky]'),
+            wrapper: table.closest('.table-responsive'),
+            defaultOrder: columnKeys(table)
+        };
+
+        layouts = structuredClone(UserSettings.get(SETTING_KEY));
+
+        state.sticky.addEventListener('change', () => {
+            layoutOf(state).sticky = state.sticky.checked;
+            state.wrapper?.classList.toggle('table-sticky-head', state.sticky.checked);
+            save();
+        });
+        menu.querySelector('[data-column-reset]').addEventListener('click', () => reset(state));
+        enableDragging(state);
+
+        apply(state);
+        menu.hidden = false;
+        return state;
+    }
+
+    /**
+     * Set up every zone list table on the page
+     */
+    function init() {
+        const states = [...document.querySelectorAll('table[data-column-chooser]')].map(setup).filter(Boolean);
+
+        // Follow layout changes made in another tab or on another device
+        UserSettings.subscribe(SETTING_KEY, (value, source) => {
+            if (source === 'local') {
+                return;
+            }
+            layouts = structuredClone(value);
+            states.forEach(state => {
+                applyOrder(state.table, state.defaultOrder);
+                apply(state);
+            });
+        });
+    }
+
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', init);
+    } else {
+        init();
+    }
+
+    // Public API
+    return {
+        init
+    };
+})();
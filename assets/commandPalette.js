@@ -0,0 +1,465 @@
+/*  Poweradmin, a friendly web-based admin tool for PowerDNS.
+ *  See <https://www.poweradmin.org> for more details.
+ *
+ *  Copyright 2007-2010 Rejo Zenger <rejo@zenger.nl>
+ *  Copyright 2010-2026 Poweradmin Development Team
+ *
+ *  This program is free software: you can redistribute it and/or modify
+ *  it under the terms of the GNU General Public License as published by
+ *  the Free Software Foundation, either version 3 of the License, or
+ *  (at your option) any later version.
+ *
+ *  This program is distributed in the hope that it will be useful,
+ *  but WITHOUT ANY WARRANTY; without even the implied warranty of
+ *  MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ *  GNU General Public License for more details.
+ *
+ *  You should have received a copy of the GNU General Public License
+ *  along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+
+/**
+ * CommandPalette - Keyboard-driven navigation across the whole UI
+ *
+ * Ctrl+K (Cmd+K on macOS) opens a search box that fuzzy-matches the pages in
+ * the sidebar and, when the internal API is enabled, the zones the user can
+ * see. An IP address or network looks up its PTR record through PtrLookup.
+ * Arrow keys move the selection and Enter opens it.
+ */
+const CommandPalette = (function() {
+    // Zone list endpoint of the internal API
+    const API_ENDPOINT = (window.BASE_URL_PREFIX || '') + '/api/internal/zone?action=list';
+
+    // Maximum number of zones and pages listed at once
+    const MAX_RESULTS = 10;
+
+    // Delay before searching zones while the user is typing (ms)
+    const SEARCH_DELAY = 200;
+
+    let modal = null;
+    let input = null;
+    let list = null;
+    let targets = [];
+    let zones = [];
+    let selected = 0;
+    let searchTimer = null;
+    let searchController = null;
+    let ptr = null;
+    let ptrController = null;
+
+    /**
+     * Score how well a text matches the query, with every query character in order
+     * @param {string} query - Lowercase query
+     * @param {string} text - Text to match
+     * @returns {number} Score, higher is better; -1 when the text does not match
+     */
+    function fuzzyScore(query, text) {
+        const haystack = text.toLowerCase();
+        if (query === '') {
+            return 0;
+        }
+
+        const index = haystack.indexOf(query);
+        if (index !== -1) {
+            // Substring matches rank first, earlier and word-start matches higher
+            const wordStart = index === 0 || /[\s.\-_]/.test(haystack[index - 1]);
+            return 1000 - index + (wordStart ? 100 : 0);
+        }
+
+        let score = 0;
+        let position = -1;
+        for (const char of query) {
+            const next = haystack.indexOf(char, position + 1);
+            if (next === -1) {
+                return -1;
+            }
+            // Consecutive characters score higher than scattered ones
+            score += next === position + 1 ? 5 : 1;
+            position = next;
+        }
+        return score;
+    }
+
+    /**
+     * Collect the pages the user can open from the sidebar and the palette
+     * @returns {Array} Targets with label, section, url, icon and target window
+     */
+    function collectTargets() {
+        const links = [
+            ...document.querySelectorAll('#sidebarNav a.nav-link[href]'),
+            ...modal.querySelectorAll('[data-command-palette-target]')
+        ];
+        const seen = new Set();
+
+        return links.reduce(function(result, link) {
+            const url = link.getAttribute('href');
+            const label = link.textContent.trim();
+            if (!label || seen.has(url)) {
+                return result;
+            }
+            seen.add(url);
+
+            const icon = link.querySelector('i.bi');
+            const header = link.closest('ul') ? link.closest('ul').previousElementSibling : null;
+            result.push({
+                label: label,
+                section: header && header.classList.contains('nav-section-header') ? header.textContent.trim() : '',
+                url: url,
+                icon: link.dataset.icon || ((icon && [...icon.classList].find(name => name.startsWith('bi-'))) || 'bi-arrow-right').slice(3),
+                newWindow: link.target === '_blank'
+            });
+            return result;
+        }, []);
+    }
+
+    /**
+     * Build a result entry
+     * @param {Object} item - Result with label, detail, url and icon
+     * @param {number} index - Position in the result list
+     * @returns {Element} List entry
+     */
+    function buildItem(item, index) {
+        const entry = document.createElement('a');
+        entry.href = item.url;
+        entry.className = 'list-group-item list-group-item-action d-flex align-items-center';
+        entry.setAttribute('role', 'option');
+        entry.dataset.commandPaletteIndex = index;
+        if (item.newWindow) {
+            entry.target = '_blank';
+        }
+
+        const icon = document.createElement('i');
+        icon.className = 'bi bi-' + item.icon + ' me-2 text-secondary';
+        entry.appendChild(icon);
+
+        const label = document.createElement('span');
+        label.className = 'flex-grow-1 text-truncate';
+        label.textContent = item.label;
+        entry.appendChild(label);
+
+        if (item.detail) {
+            const detail = document.createElement('small');
+            detail.className = 'text-muted ms-2';
+            detail.textContent = item.detail;
+            entry.appendChild(detail);
+        }
+
+        entry.addEventListener('mousemove', function() {
+            select(index);
+        });
+        return entry;
+    }
+
+    /**
+     * Build a group heading
+     * @param {string} text - Heading text
+     * @returns {Element} Heading
+     */
+    function buildHeading(text) {
+        const heading = document.createElement('div');
+        heading.className = 'list-group-item small fw-semibold text-muted bg-body-tertiary py-1';
+        heading.textContent = text;
+        return heading;
+    }
+
+    /**
+     * Turn the PTR lookup into results
+     * @returns {Array} Results with label, detail, url, icon and group
+     */
+    function getPtrResults() {
+        if (!ptr || !ptr.zone) {
+            return [];
+        }
+
+        const results = ptr.records.map(record => ({
+            label: ptr.address + ' \u2192 ' + record.content,
+            detail: ptr.zone.name,
+            url: record.url,
+            icon: 'arrow-left-right',
+            group: 'reverse'
+        }));
+        if (results.length === 0 && ptr.createUrl) {
+            results.push({
+                label: modal.dataset.labelCreatePtr + ' ' + ptr.address,
+                detail: ptr.zone.name,
+                url: ptr.createUrl,
+                icon: 'plus-circle',
+                group: 'reverse'
+            });
+        }
+        if (!ptr.isAddress) {
+            results.push({
+                label: ptr.zone.name,
+                detail: ptr.address,
+                url: ptr.zone.url,
+                icon: 'diagram-3',
+                group: 'reverse'
+            });
+        }
+        return results;
+    }
+
+    /**
+     * Get the current results, PTR lookup and zones first
+     * @returns {Array} Results with label, detail, url, icon and group
+     */
+    function getResults() {
+        const query = input.value.trim().toLowerCase();
+
+        const zoneResults = zones.map(zone => ({
+            label: zone.utf8_name || zone.name,
+            detail: zone.type,
+            url: (window.BASE_URL_PREFIX || '') + '/zones/' + zone.id + '/edit',
+            icon: 'globe',
+            group: 'zones',
+            score: fuzzyScore(query, zone.utf8_name || zone.name)
+        })).filter(result => result.score >= 0);
+
+        const pageResults = targets.map(target => ({
+            label: target.label,
+            detail: target.section,
+            url: target.url,
+            icon: target.icon,
+            newWindow: target.newWindow,
+            group: 'navigation',
+            score: Math.max(fuzzyScore(query, target.label), fuzzyScore(query, target.section + ' ' + target.label))
+        })).filter(result => result.score >= 0);
+
+        const byScore = (a, b) => b.score - a.score;
+        return [
+            ...getPtrResults(),
+            ...zoneResults.sort(byScore).slice(0, MAX_RESULTS),
+            ...pageResults.sort(byScore).slice(0, MAX_RESULTS)
+        ];
+    }
+
+    /**
+     * Show the results for the current query
+     */
+    function render() {
+        const results = getResults();
+        list.replaceChildren();
+
+        if (ptr && !ptr.zone) {
+            list.appendChild(buildHeading(modal.dataset.labelReverse + ': ' + ptr.name));
+            const notice = document.createElement('div');
+            notice.className = 'list-group-item text-muted small';
+            notice.textContent = modal.dataset.labelNoReverseZone;
+            list.appendChild(notice);
+            if (results.length === 0) {
+                return;
+            }
+        }
+
+        if (results.length === 0) {
+            const empty = document.createElement('div');
+            empty.className = 'list-group-item text-muted small';
+            empty.textContent = modal.dataset.labelEmpty;
+            list.appendChild(empty);
+            return;
+        }
+
+        let group = null;
+        results.forEach(function(result, index) {
+            if (result.group !== group) {
+                group = result.group;
+                const headings = {
+                    reverse: modal.dataset.labelReverse + ': ' + (ptr ? ptr.name : ''),
+                    zones: modal.dataset.labelZones,
+                    navigation: modal.dataset.labelNavigation
+                };
+                list.appendChild(buildHeading(headings[group]));
+            }
+            list.appendChild(buildItem(result, index));
+        });
+
+        select(Math.min(selected, results.length - 1));
+    }
+
+    /**
+     * Highlight a result
+     * @param {number} index - Position in the result list
+     */
+    function select(index) {
+        const entries = list.querySelectorAll('[data-command-palette-index]');
+        if (entries.length === 0) {
+            return;
+        }
+
+        selected = (index + entries.length) % entries.length;
+        entries.forEach(function(entry, position) {
+            const active = position === selected;
+            entry.classList.toggle('active', active);
+            entry.setAttribute('aria-selected', active ? 'true' : 'false');
+            if (active) {
+                entry.scrollIntoView({ block: 'nearest' });
+            }
+        });
+    }
+
+    /**
+     * Search the zones matching the query through the internal API
+     * @param {string} query - Search text
+     * @returns {Promise} Promise that resolves when the zone results have been shown
+     */
+    async function searchZones(query) {
+        if (searchController) {
+            searchController.abort();
+        }
+
+        if (query === '' || modal.dataset.zoneSearch !== 'true') {
+            zones = [];
+            render();
+            return;
+        }
+
+        searchController = new AbortController();
+        try {
+            const url = API_ENDPOINT + '&search=' + encodeURIComponent(query) + '&limit=' + MAX_RESULTS * 5;
+            const response = await fetch(url, {
+                headers: {
+                    'Accept': 'application/json'
+                },
+                signal: searchController.signal
+            });
+
+            if (!response.ok) {
+                zones = [];
+            } else {
+                const result = await response.json();
+                zones = result.success && result.data ? result.data.zones : [];
+            }
+            render();
+        } catch (error) {
+            if (error.name !== 'AbortError') {
+                console.error('Error searching zones:', error);
+            }
+        }
+    }
+
+    /**
+     * Look up the PTR record when the query is an IP address or network
+     * @param {string} query - Search text
+     * @returns {Promise} Promise that resolves when the lookup has been shown
+     */
+    async function lookupPtr(query) {
+        if (ptrController) {
+            ptrController.abort();
+        }
+
+        if (typeof PtrLookup === 'undefined' || !PtrLookup.reverseName(query)) {
+            if (ptr) {
+                ptr = null;
+                render();
+            }
+            return;
+        }
+
+        ptrController = new AbortController();
+        try {
+            ptr = await PtrLookup.lookup(query, ptrController.signal);
+            render();
+        } catch (error) {
+            if (error.name !== 'AbortError') {
+                console.error('Error looking up PTR record:', error);
+                ptr = null;
+                render();
+            }
+        }
+    }
+
+    /**
+     * Open the selected result
+     * @param {boolean} newWindow - Open in a new tab instead
+     */
+    function openSelected(newWindow) {
+        const entry = list.querySelector('[data-command-palette-index].active');
+        if (!entry) {
+            return;
+        }
+
+        if (newWindow || entry.target === '_blank') {
+            window.open(entry.href, '_blank');
+        } else {
+            window.location.href = entry.href;
+        }
+    }
+
+    /**
+     * Open the palette
+     */
+    function open() {
+        if (!modal) {
+            return;
+        }
+        bootstrap.Modal.getOrCreateInstance(modal).show();
+    }
+
+    /**
+     * Attach the palette to the page
+     */
+    function init() {
+        modal = document.getElementById('commandPalette');
+        if (!modal) {
+            return;
+        }
+
+        input = modal.querySelector('[data-command-palette-input]');
+        list = modal.querySelector('[data-command-palette-results]');
+        targets = collectTargets();
+
+        document.addEventListener('keydown', function(event) {
+            if ((event.ctrlKey || event.metaKey) && event.key.toLowerCase() === 'k') {
+                event.preventDefault();
+                open();
+            }
+        });
+
+        modal.addEventListener('shown.bs.modal', function() {
+            input.focus();
+            input.select();
+        });
+
+        modal.addEventListener('show.bs.modal', function() {
+            selected = 0;
+            ptr = null;
+            render();
+            lookupPtr(input.value.trim());
+        });
+
+        input.addEventListener('input', function() {
+            selected = 0;
+            render();
+            clearTimeout(searchTimer);
+            searchTimer = setTimeout(function() {
+                searchZones(input.value.trim());
+                lookupPtr(input.value.trim());
+            }, SEARCH_DELAY);
+        });
+
+        input.addEventListener('keydown', function(event) {
+            if (event.key === 'ArrowDown') {
+                event.preventDefault();
+                select(selected + 1);
+            } else if (event.key === 'ArrowUp') {
+                event.preventDefault();
+                select(selected - 1);
+            } else if (event.key === 'Enter') {
+                event.preventDefault();
+                openSelected(event.ctrlKey || event.metaKey);
+            }
+        });
+    }
+
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', init);
+    } else {
+        init();
+    }
+
+    // Public API
+    return {
+        open
+    };
+})();
@@ -0,0 +1,81 @@
+/*  Poweradmin, a friendly web-based admin tool for PowerDNS.
+ *  See <https://www.poweradmin.org> for more details.
+ *
+ *  Copyright 2007-2010 Rejo Zenger <rejo@zenger.nl>
+ *  Copyright 2010-2026 Poweradmin Development Team
+ *
+ *  This program is free software: you can redistribute it and/or modify
+ *  it under the terms of the GNU General Public License as published by
+ *  the Free Software Foundation, either version 3 of the License, or
+ *  (at your option) any later version.
+ *
+ *  This program is distributed in the hope that it will be useful,
+ *  but WITHOUT ANY WARRANTY; without even the implied warranty of
+ *  MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ *  GNU General Public License for more details.
+ *
+ *  You should have received a copy of the GNU General Public License
+ *  along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+
+
+/**
+ * ConsistencyChecks - Delete confirmation of the database consistency page
+ *
+ * Fills the confirmation dialog from the data attributes of the button that
+ * opened it: the check and item to delete and the message for the kind of
+ * item, taken from the data-label-* texts of the dialog.
+ *
+ * Markup:
+ *   <div class="modal" id="deleteConfirmModal" data-label-slave-zone="..." data-label-orphaned-record="..." data-label-default="...">
+ *       <p id="deleteConfirmMessage"></p> <input id="deleteCheckType"> <input id="deleteItemId">
+ *   </div>
+ *   <button data-bs-target="#deleteConfirmModal" data-check-type="..." data-item-id="..." data-item-name="..." data-delete-type="slave-zone">
+ */
+const ConsistencyChecks = (function() {
+    /**
+     * Confirmation message for an item
+     * @param {DOMStringMap} labels - Data attributes of the dialog
+     * @param {string} deleteType - "slave-zone" or "orphaned-record"
+     * @param {string} itemName - Name of the item
+     * @returns {string} Message
+     */
+    function message(labels, deleteType, itemName) {
+        switch (deleteType) {
+            case 'slave-zone':
+                return labels.labelSlaveZone + ' "' + itemName + '"?';
+            case 'orphaned-record':
+                return labels.labelOrphanedRecord + ' "' + itemName + '"?';
+            default:
+                return labels.labelDefault;
+        }
+    }
+
+    function init() {
+        const deleteModal = document.getElementById('deleteConfirmModal');
+        if (!deleteModal) {
+            return;
+        }
+
+        deleteModal.addEventListener('show.bs.modal', function(event) {
+            const button = event.relatedTarget;
+
+            document.getElementById('deleteConfirmMessage').textContent = message(deleteModal.dataset,
+                button.getAttribute('data-delete-type'), button.getAttribute('data-item-name'));
+            document.getElementById('deleteCheckType').value = button.getAttribute('data-check-type');
+            document.getElementById('deleteItemId').value = button.getAttribute('data-item-id');
+        });
+    }
+
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', init);
+    } else {
+        init();
+    }
+
+    // Public API
+    return {
+        message
+    };
+})();
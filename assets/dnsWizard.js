@@ -0,0 +1,435 @@
+/*  Poweradmin, a friendly web-based admin tool for PowerDNS.
+ *  See <https://www.poweradmin.org> for more details.
+ *
+ *  Copyright 2007-2010 Rejo Zenger <rejo@zenger.nl>
+ *  Copyright 2010-2026 Poweradmin Development Team
+ *
+ *  This program is free software: you can redistribute it and/or modify
+ *  it under the terms of the GNU General Public License as published by
+ *  the Free Software Foundation, either version 3 of the License, or
+ *  (at your option) any later version.
+ *
+ *  This program is distributed in the hope that it will be useful,
+ *  but WITHOUT ANY WARRANTY; without even the implied warranty of
+ *  MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ *  GNU General Public License for more details.
+ *
+ *  You should have received a copy of the GNU General Public License
+ *  along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+/**
+ * DnsWizard - Live preview for the DNS wizard form
+ *
+ * Sends the wizard form state to the DNS wizard API while the user types and
+ * shows the record that would be created (name, type, content, TTL) in the
+ * preview panel. The preview action returns the wizard's validation result
+ * along with the record, so its per-field errors are shown on the fields and
+ * reported to the browser's constraint validation, which keeps the form from
+ * being submitted while the server would reject it.
+ *
+ * When an existing record is opened in the wizard, its content is parsed back
+ * into the wizard fields through the parse action before the first preview.
+ */
+const DnsWizard = (function() {
+    // API endpoint for the DNS wizards
+    const API_ENDPOINT = (window.BASE_URL_PREFIX || '') + '/api/internal/dns-wizard';
+
+    // Delay after the last keystroke before the form is sent for preview
+    const DEBOUNCE_MS = 500;
+
+    let form = null;
+    let panel = null;
+    let timer = null;
+    let request = null;
+    let lastValidation = null;
+
+    // Fields the user has changed; errors on other fields stay hidden until submit
+    const touched = new Set();
+
+    // Set once the endpoint answers 401/403 (e.g. API disabled); the form then
+    // keeps working with its own validation and full-page submit only.
+    let unavailable = false;
+
+    /**
+     * Get the wizard field name for a control ("includes", "fo[]" -> "fo")
+     * @param {Element} element - Form control
+     * @returns {string} Field name
+     */
+    function fieldName(element) {
+        return (element.getAttribute('name') || '').replace(/\[\]$/, '');
+    }
+
+    /**
+     * Collect the wizard form state in the shape the wizards expect
+     * @returns {Object} Map of field name to value (arrays for checkbox groups)
+     */
+    function collectFormData() {
+        const formData = {};
+
+        form.querySelectorAll('.wizard-field').forEach(function(element) {
+            const name = fieldName(element);
+            if (!name) {
+                return;
+            }
+
+            if (element.getAttribute('name').endsWith('[]')) {
+                formData[name] = formData[name] || [];
+                if (element.checked) {
+                    formData[name].push(element.value);
+                }
+            } else if (element.type === 'radio' || element.type === 'checkbox') {
+                if (element.checked) {
+                    formData[name] = element.value;
+                }
+            } else {
+                formData[name] = element.value;
+            }
+        });
+
+        return formData;
+    }
+
+    /**
+     * Set the wizard fields from parsed form data
+     * @param {Object} formData - Map of field name to value
+     */
+    function applyFormData(formData) {
+        form.querySelectorAll('.wizard-field').forEach(function(element) {
+            const name = fieldName(element);
+            if (!(name in formData)) {
+                return;
+            }
+
+            const value = formData[name];
+            if (element.getAttribute('name').endsWith('[]')) {
+                const values = Array.isArray(value) ? value.map(String) : String(value).split(':');
+                element.checked = values.includes(element.value);
+            } else if (element.type === 'radio') {
+                element.checked = String(value) === element.value;
+            } else if (element.type === 'checkbox') {
+                element.checked = !!value && value !== '0';
+            } else {
+                element.value = value ?? '';
+            }
+        });
+    }
+
+    /**
+     * Fill the form from the record being edited
+     *
+     * The submit button stays disabled until the record has been loaded, so a
+     * failed parse cannot overwrite the record with the wizard's defaults.
+     * @returns {Promise} Promise that resolves once the form has been filled
+     */
+    async function prefill() {
+        const record = JSON.parse(form.dataset.recordPrefill);
+
+        try {
+            const response = await fetch(API_ENDPOINT + '?action=parse', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Accept': 'application/json'
+                },
+                body: JSON.stringify({
+                    type: form.dataset.wizardType,
+                    content: record.content,
+                    recordData: {
+                        name: record.name,
+                        ttl: record.ttl,
+                        prio: record.prio
+                    }
+                })
+            });
+
+            if (response.status === 401 || response.status === 403) {
+                unavailable = true;
+            }
+
+            const result = await response.json();
+            if (!response.ok || !result.success) {
+                throw new Error(result.message || 'Parse request failed');
+            }
+
+            applyFormData(result.data.formData || {});
+            form.querySelectorAll('button[type="submit"]').forEach(function(button) {
+                button.disabled = false;
+            });
+        } catch (error) {
+            console.error('Error loading record into wizard:', error);
+            const alert = form.querySelector('[data-wizard-prefill-error]');
+            if (alert) {
+                alert.classList.remove('d-none');
+            }
+        }
+    }
+
+    /**
+     * Build the fully qualified record name shown in the preview
+     * @param {string} name - Record name generated by the wizard
+     * @returns {string} Name including the zone
+     */
+    function displayName(name) {
+        const zoneName = form.dataset.zoneName || '';
+        if (!name || name === '@') {
+            return zoneName;
+        }
+        if (name.endsWith('.')) {
+            return name.slice(0, -1);
+        }
+        if (!zoneName || name === zoneName || name.endsWith('.' + zoneName)) {
+            return name;
+        }
+        return name + '.' + zoneName;
+    }
+
+    /**
+     * Find the element that holds a field's controls and its feedback
+     * @param {Element} element - Form control
+     * @returns {Element} Container for the feedback message
+     */
+    function feedbackContainer(element) {
+        const check = element.closest('.form-check');
+        return check ? check.parentElement : element.parentElement;
+    }
+
+    /**
+     * Remove the server errors shown on the wizard fields
+     */
+    function clearFieldErrors() {
+        form.querySelectorAll('.wizard-api-feedback').forEach(function(feedback) {
+            feedback.remove();
+        });
+        form.querySelectorAll('.wizard-api-invalid').forEach(function(element) {
+            element.setCustomValidity('');
+            element.classList.remove('is-invalid', 'wizard-api-invalid');
+        });
+    }
+
+    /**
+     * Show per-field errors from the wizard validation
+     * @param {Object} fieldErrors - Map of field name to list of messages
+     */
+    function showFieldErrors(fieldErrors) {
+        clearFieldErrors();
+
+        const showAll = form.classList.contains('was-validated');
+
+        Object.entries(fieldErrors || {}).forEach(function([name, messages]) {
+            const elements = [...form.querySelectorAll('.wizard-field')].filter(element => fieldName(element) === name);
+            if (elements.length === 0) {
+                return;
+            }
+
+            const message = [].concat(messages).join(' ');
+            elements.forEach(function(element) {
+                element.setCustomValidity(message);
+                element.classList.add('wizard-api-invalid');
+            });
+
+            if (!showAll && !touched.has(name)) {
+                return;
+            }
+
+            elements.forEach(function(element) {
+                element.classList.remove('is-valid');
+                element.classList.add('is-invalid');
+            });
+
+            const feedback = document.createElement('div');
+            feedback.className = 'invalid-feedback d-block wizard-api-feedback';
+            feedback.textContent = message;
+            feedbackContainer(elements[elements.length - 1]).appendChild(feedback);
+        });
+    }
+
+    /**
+     * Fill a list in the preview panel, hiding it when there is nothing to show
+     * @param {string} selector - Selector of the list container inside the panel
+     * @param {Array} messages - Messages to list
+     */
+    function renderMessages(selector, messages) {
+        const container = panel.querySelector(selector);
+        if (!container) {
+            return;
+        }
+
+        const list = container.querySelector('ul');
+        list.replaceChildren();
+        messages.forEach(function(message) {
+            const item = document.createElement('li');
+            item.textContent = message;
+            list.appendChild(item);
+        });
+        container.classList.toggle('d-none', messages.length === 0);
+    }
+
+    /**
+     * Show the generated record, or why it cannot be generated yet
+     * @param {Object|null} record - Record from the preview action
+     * @param {Object} validation - Validation result from the preview action
+     */
+    function renderPreview(record, validation) {
+        panel.hidden = false;
+
+        panel.querySelector('[data-preview-record]').classList.toggle('d-none', !record);
+        panel.querySelector('[data-preview-empty]').classList.toggle('d-none', !!record);
+
+        if (record) {
+            panel.querySelector('[data-preview-field="name"]').textContent = displayName(record.name);
+            panel.querySelector('[data-preview-field="type"]').textContent = record.type || '';
+            panel.querySelector('[data-preview-field="content"]').textContent = record.content || '';
+            panel.querySelector('[data-preview-field="ttl"]').textContent = record.ttl ?? '';
+
+            const prio = parseInt(record.prio, 10) || 0;
+            panel.querySelector('[data-preview-field="prio"]').textContent = prio;
+            panel.querySelectorAll('[data-preview-prio]').forEach(function(element) {
+                element.classList.toggle('d-none', prio === 0);
+            });
+        }
+
+        // Errors that belong to no single field are listed in the panel
+        const fieldMessages = Object.values(validation.fieldErrors || {}).flat();
+        const generalErrors = (validation.errors || []).filter(message => !fieldMessages.includes(message));
+
+        renderMessages('[data-preview-errors]', generalErrors);
+        renderMessages('[data-preview-warnings]', validation.warnings || []);
+    }
+
+    /**
+     * Toggle the loading indicator in the preview panel
+     * @param {boolean} loading - Whether a request is in flight
+     */
+    function setLoading(loading) {
+        const status = panel.querySelector('[data-preview-status]');
+        if (status) {
+            status.classList.toggle('d-none', !loading);
+        }
+    }
+
+    /**
+     * Send the form state to the preview action and show the result
+     * @returns {Promise} Promise that resolves when the result has been applied
+     */
+    async function refresh() {
+        if (unavailable || !form) {
+            return;
+        }
+
+        if (request) {
+            request.abort();
+        }
+        const controller = new AbortController();
+        request = controller;
+        setLoading(true);
+
+        try {
+            const response = await fetch(API_ENDPOINT + '?action=preview', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Accept': 'application/json'
+                },
+                body: JSON.stringify({
+                    type: form.dataset.wizardType,
+                    formData: collectFormData()
+                }),
+                signal: controller.signal
+            });
+
+            if (response.status === 401 || response.status === 403) {
+                unavailable = true;
+                panel.hidden = true;
+                clearFieldErrors();
+                return;
+            }
+
+            const result = await response.json();
+            if (!response.ok || !result.success) {
+                throw new Error(result.message || 'Preview request failed');
+            }
+
+            lastValidation = result.data.validation || {};
+            renderPreview(result.data.record, lastValidation);
+            showFieldErrors(lastValidation.fieldErrors);
+        } catch (error) {
+            if (error.name !== 'AbortError') {
+                console.error('Error previewing wizard record:', error);
+            }
+        } finally {
+            if (request === controller) {
+                request = null;
+                setLoading(false);
+            }
+        }
+    }
+
+    /**
+     * Refresh the preview once the user has stopped typing
+     */
+    function schedule() {
+        clearTimeout(timer);
+        timer = setTimeout(function() {
+            timer = null;
+            refresh();
+        }, DEBOUNCE_MS);
+    }
+
+    function handleFieldEvent(event) {
+        const target = event.target;
+        if (!(target instanceof Element) || !target.classList.contains('wizard-field')) {
+            return;
+        }
+
+        // The old server error no longer applies to the edited value
+        const name = fieldName(target);
+        touched.add(name);
+        form.querySelectorAll('.wizard-api-invalid').forEach(function(element) {
+            if (fieldName(element) === name) {
+                element.setCustomValidity('');
+            }
+        });
+
+        schedule();
+    }
+
+    // Show every known error once the user tries to submit
+    function handleSubmit() {
+        if (lastValidation) {
+            showFieldErrors(lastValidation.fieldErrors);
+        }
+    }
+
+    /**
+     * Attach the live preview to the wizard form on the page
+     */
+    async function init() {
+        form = document.querySelector('form[data-wizard-type]');
+        panel = document.querySelector('[data-wizard-preview]');
+        if (!form || !panel) {
+            return;
+        }
+
+        form.addEventListener('input', handleFieldEvent);
+        form.addEventListener('change', handleFieldEvent);
+        form.addEventListener('submit', handleSubmit);
+
+        if (form.dataset.recordPrefill) {
+            await prefill();
+        }
+        refresh();
+    }
+
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', init);
+    } else {
+        init();
+    }
+
+    // Public API
+    return {
+        refresh,
+        collectFormData
+    };
+})();
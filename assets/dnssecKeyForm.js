@@ -0,0 +1,144 @@
+/*  Poweradmin, a friendly web-based admin tool for PowerDNS.
+ *  See <https://www.poweradmin.org> for more details.
+ *
+ *  Copyright 2007-2010 Rejo Zenger <rejo@zenger.nl>
+ *  Copyright 2010-2026 Poweradmin Development Team
+ *
+ *  This program is free software: you can redistribute it and/or modify
+ *  it under the terms of the GNU General Public License as published by
+ *  the Free Software Foundation, either version 3 of the License, or
+ *  (at your option) any later version.
+ *
+ *  This program is distributed in the hope that it will be useful,
+ *  but WITHOUT ANY WARRANTY; without even the implied warranty of
+ *  MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ *  GNU General Public License for more details.
+ *
+ *  You should have received a copy of the GNU General Public License
+ *  along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+
+
+/**
+ * DnssecKeyForm - Algorithm and key size hints of the add DNSSEC key page
+ *
+ * Shows the recommended key sizes of the chosen algorithm, warns about a
+ * size that does not fit it and blocks sizes the algorithm cannot use. The
+ * texts come from the data-label-* attributes of the form.
+ *
+ * Markup:
+ *   <form data-dnssec-key-form data-label-recommended="..." data-label-warning="..." data-label-not-recommended="...">
+ *       <select id="algorithm"></select> <div id="algorithm-help"></div>
+ *       <select id="bits"></select> <div id="bit-warning"></div>
+ *       <button id="submit-button"></button>
+ *   </form>
+ */
+const DnssecKeyForm = (function() {
+    // Mapping of algorithms to recommended bit sizes
+    const ALGORITHM_BITS = {
+        'ecdsa256': ['256'],
+        'ecdsa384': ['384'],
+        'ed25519': ['256'],
+        'ed448': ['456'], // Not in our dropdown
+        'rsasha1': ['1024', '2048'],
+        'rsasha1-nsec3-sha1': ['1024', '2048'],
+        'rsasha256': ['1024', '2048'],
+        'rsasha512': ['1024', '2048']
+    };
+
+    // Algorithm friendly names
+    const ALGORITHM_NAMES = {
+        'ecdsa256': 'ECDSA P-256',
+        'ecdsa384': 'ECDSA P-384',
+        'ed25519': 'ED25519',
+        'ed448': 'ED448',
+        'rsasha1': 'RSASHA1',
+        'rsasha1-nsec3-sha1': 'RSASHA1-NSEC3-SHA1',
+        'rsasha256': 'RSASHA256',
+        'rsasha512': 'RSASHA512'
+    };
+
+    /**
+     * Whether an algorithm cannot use a key size at all
+     * @param {string} algorithm - Algorithm
+     * @param {string} bits - Key size
+     * @returns {boolean} True for a combination PowerDNS rejects
+     */
+    function isInvalid(algorithm, bits) {
+        return (algorithm === 'ecdsa256' && bits !== '256') ||
+            (algorithm === 'ecdsa384' && bits !== '384') ||
+            (algorithm === 'ed25519' && bits !== '256');
+    }
+
+    /**
+     * Set up the hints of a key form
+     * @param {Element} form - Form with a data-dnssec-key-form attribute
+     */
+    function init(form) {
+        const labels = form.dataset;
+        const algorithmSelect = form.querySelector('#algorithm');
+        const bitsSelect = form.querySelector('#bits');
+        const bitWarning = form.querySelector('#bit-warning');
+        const algorithmHelp = form.querySelector('#algorithm-help');
+        const submitButton = form.querySelector('#submit-button');
+
+        function updateValidation() {
+            const selectedAlgorithm = algorithmSelect.value;
+
+            // Reset warnings
+            bitWarning.textContent = '';
+            submitButton.disabled = false;
+
+            if (!selectedAlgorithm) {
+                return;
+            }
+
+            // Show recommendation for the selected algorithm
+            const validBits = ALGORITHM_BITS[selectedAlgorithm] || [];
+            if (validBits.length > 0) {
+                algorithmHelp.textContent = `${labels.labelRecommended} ${ALGORITHM_NAMES[selectedAlgorithm]}: ${validBits.join(' or ')}`;
+            } else {
+                algorithmHelp.textContent = '';
+            }
+
+            // Check if current bits are valid for the selected algorithm
+            const selectedBits = bitsSelect.value;
+            if (selectedBits && validBits.indexOf(selectedBits) === -1) {
+                bitWarning.textContent = `${labels.labelWarning} ${selectedBits} ${labels.labelNotRecommended} ${ALGORITHM_NAMES[selectedAlgorithm]}`;
+
+                // Disable submit if the combination is completely invalid
+                if (isInvalid(selectedAlgorithm, selectedBits)) {
+                    submitButton.disabled = true;
+                }
+            }
+
+            // Filter bit options
+            Array.from(bitsSelect.options).forEach(option => {
+                if (!option.value) return; // Skip empty option
+
+                const isValid = !validBits.length || validBits.includes(option.value);
+                option.classList.toggle('text-muted', !isValid);
+            });
+        }
+
+        updateValidation();
+        algorithmSelect.addEventListener('change', updateValidation);
+        bitsSelect.addEventListener('change', updateValidation);
+    }
+
+    function initAll() {
+        document.querySelectorAll('form[data-dnssec-key-form]').forEach(init);
+    }
+
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', initAll);
+    } else {
+        initAll();
+    }
+
+    // Public API
+    return {
+        isInvalid
+    };
+})();
@@ -0,0 +1,485 @@
+/*  Poweradmin, a friendly web-based admin tool for PowerDNS.
+ *  See <https://www.poweradmin.org> for more details.
+ *
+ *  Copyright 2007-2010 Rejo Zenger <rejo@zenger.nl>
+ *  Copyright 2010-2026 Poweradmin Development Team
+ *
+ *  This program is free software: you can redistribute it and/or modify
+ *  it under the terms of the GNU General Public License as published by
+ *  the Free Software Foundation, either version 3 of the License, or
+ *  (at your option) any later version.
+ *
+ *  This program is distributed in the hope that it will be useful,
+ *  but WITHOUT ANY WARRANTY; without even the implied warranty of
+ *  MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ *  GNU General Public License for more details.
+ *
+ *  You should have received a copy of the GNU General Public License
+ *  along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+
+
+/**
+ * DnssecRecords - Registrar exports and the parent DS check for the DS/DNSKEY page
+ *
+ * Reads the DS and DNSKEY records PowerDNS reports from the #dnssec-records
+ * JSON block and turns them into the formats registrars ask for: the DS
+ * records themselves, a JSON set of key tag, algorithm, digest type and digest
+ * (the dsData members of RDAP), one line per DS for single-field registrar
+ * forms, and the CDS/CDNSKEY records of RFC 7344.
+ *
+ * The check compares the DS records published at the parent, pasted in or
+ * looked up through DnssecDsDnskeyController::parentDs(), with those of the
+ * zone and reports for every parent record whether its key tag, algorithm,
+ * digest type and digest match.
+ *
+ * The copy buttons of the record lists copy a single record or the whole
+ * list and show the data-label-copied text of the container for a moment.
+ *
+ * Markup:
+ *   <script type="application/json" id="dnssec-records">{"zone": "...", "ds": [...], "dnskey": [...]}</script>
+ *   <div data-record-copy data-label-copied="...">
+ *       <button class="copy-block" data-target="ds-block"></button>
+ *       <pre id="ds-block"><span class="copy-line-row">...<button class="copy-line" data-record="..."></button></span></pre>
+ *   </div>
+ *   <div data-dnssec-export data-label-*="...">
+ *       <select data-export-format></select> <select data-export-digest></select>
+ *       <button data-export-copy></button> <pre data-export-output></pre>
+ *   </div>
+ *   <form data-ds-check data-lookup-url="/zones/1/dnssec/parent-ds" data-label-*="...">
+ *       <textarea name="parent_ds"></textarea> <button type="submit"></button> <button data-ds-check-lookup></button>
+ *       <div data-ds-check-status></div> <table hidden><tbody data-ds-check-rows></tbody></table>
+ *       <ul data-ds-check-missing></ul>
+ *   </form>
+ */
+const DnssecRecords = (function() {
+    const DIGEST_TYPES = { 1: 'SHA-1', 2: 'SHA-256', 3: 'GOST', 4: 'SHA-384' };
+
+    /**
+     * Create an element with optional class and text
+     * @param {string} tag - Tag name
+     * @param {string} className - Class attribute
+     * @param {string} text - Text content
+     * @returns {Element} Element
+     */
+    function element(tag, className, text) {
+        const node = document.createElement(tag);
+        if (className) {
+            node.className = className;
+        }
+        if (text !== undefined) {
+            node.textContent = text;
+        }
+        return node;
+    }
+
+    /**
+     * Parse a DS record, either a full record or just its data
+     * @param {string} line - "zone. [ttl] IN DS 12345 13 2 ABCD..." or "12345 13 2 ABCD..."
+     * @returns {Object|null} keyTag, algorithm, digestType and upper case digest, or null
+     */
+    function parseDs(line) {
+        const parts = (' ' + line.trim() + ' ').split(/\s+DS\s+/i);
+        const fields = parts[parts.length - 1].trim().split(/\s+/);
+        if (fields.length < 4 || !fields.slice(0, 3).every(field => /^\d+$/.test(field))) {
+            return null;
+        }
+
+        const digest = fields.slice(3).join('').toUpperCase();
+        if (!/^[0-9A-F]+$/.test(digest)) {
+            return null;
+        }
+
+        return {
+            keyTag: Number(fields[0]),
+            algorithm: Number(fields[1]),
+            digestType: Number(fields[2]),
+            digest: digest
+        };
+    }
+
+    /**
+     * Parse a DNSKEY record
+     * @param {string} line - "zone. [ttl] IN DNSKEY 257 3 13 base64..."
+     * @returns {Object|null} flags, protocol, algorithm and publicKey, or null
+     */
+    function parseDnskey(line) {
+        const match = line.trim().match(/\sDNSKEY\s+(\d+)\s+(\d+)\s+(\d+)\s+(.+)$/i);
+        if (!match) {
+            return null;
+        }
+
+        return {
+            flags: Number(match[1]),
+            protocol: Number(match[2]),
+            algorithm: Number(match[3]),
+            publicKey: match[4].replace(/\s+/g, '')
+        };
+    }
+
+    /**
+     * Format DS records for the given export
+     * @param {string} format - ds, json, registrar or cds
+     * @param {string} zone - Zone name without trailing dot
+     * @param {Object[]} dsRecords - Parsed DS records
+     * @param {Object[]} dnskeyRecords - Parsed DNSKEY records
+     * @returns {string} Export text
+     */
+    function formatExport(format, zone, dsRecords, dnskeyRecords) {
+        const owner = zone + '.';
+        const data = ds => [ds.keyTag, ds.algorithm, ds.digestType, ds.digest].join(' ');
+
+        switch (format) {
+            case 'json':
+                return JSON.stringify(dsRecords.map(ds => ({
+                    keyTag: ds.keyTag,
+                    algorithm: ds.algorithm,
+                    digestType: ds.digestType,
+                    digest: ds.digest
+                })), null, 2);
+            case 'registrar':
+                return dsRecords.map(data).join('\n');
+            case 'cds':
+                // Only keys with the SEP flag have a DS record at the parent
+                return dsRecords.map(ds => owner + ' IN CDS ' + data(ds))
+                    .concat(dnskeyRecords.filter(key => key.flags & 1).map(key =>
+                        owner + ' IN CDNSKEY ' + [key.flags, key.protocol, key.algorithm, key.publicKey].join(' ')))
+                    .join('\n');
+            default:
+                return dsRecords.map(ds => owner + ' IN DS ' + data(ds)).join('\n');
+        }
+    }
+
+    /**
+     * Compare the DS records of the parent with those of the zone
+     *
+     * Every parent line gets a status: match, invalid (not a DS record),
+     * key_tag (no key of the zone has the tag), algorithm (the key with the tag
+     * uses another algorithm), digest_type (the zone reports no digest of this
+     * type to compare with) or digest (the digest differs).
+     *
+     * @param {Object[]} zoneRecords - Parsed DS records of the zone
+     * @param {string[]} parentLines - DS records of the parent
+     * @returns {{rows: Object[], missing: Object[], matched: number, mismatched: number}} Result
+     */
+    function compare(zoneRecords, parentLines) {
+        const rows = parentLines.map(function(line) {
+            const parent = parseDs(line);
+            if (!parent) {
+                return { line: line, parent: null, expected: null, status: 'invalid' };
+            }
+
+            const sameTag = zoneRecords.filter(ds => ds.keyTag === parent.keyTag);
+            const sameAlgorithm = sameTag.filter(ds => ds.algorithm === parent.algorithm);
+            const sameType = sameAlgorithm.filter(ds => ds.digestType === parent.digestType);
+            let status = 'digest';
+            if (sameTag.length === 0) {
+                status = 'key_tag';
+            } else if (sameAlgorithm.length === 0) {
+                status = 'algorithm';
+            } else if (sameType.length === 0) {
+                status = 'digest_type';
+            } else if (sameType.some(ds => ds.digest === parent.digest)) {
+                status = 'match';
+            }
+
+            return {
+                line: line,
+                parent: parent,
+                expected: sameType[0] || sameAlgorithm[0] || sameTag[0] || null,
+                status: status
+            };
+        });
+
+        const matchedTags = new Set(rows.filter(row => row.status === 'match').map(row => row.parent.keyTag));
+        const missing = [];
+        zoneRecords.forEach(function(ds) {
+            if (!matchedTags.has(ds.keyTag) && !missing.some(other => other.keyTag === ds.keyTag)) {
+                missing.push(ds);
+            }
+        });
+
+        return {
+            rows: rows,
+            missing: missing,
+            matched: rows.filter(row => row.status === 'match').length,
+            mismatched: rows.filter(row => row.status !== 'match').length
+        };
+    }
+
+    /**
+     * Read the records printed by the page
+     * @returns {{zone: string, ds: Object[], dnskey: Object[], algorithms: Object}} Parsed records
+     */
+    function readRecords() {
+        const source = document.getElementById('dnssec-records');
+        const data = source ? JSON.parse(source.textContent) : {};
+
+        return {
+            zone: (data.zone || '').replace(/\.$/, ''),
+            ds: (data.ds || []).map(parseDs).filter(Boolean),
+            dnskey: (data.dnskey || []).map(parseDnskey).filter(Boolean),
+            algorithms: data.algorithms || {}
+        };
+    }
+
+    /**
+     * Set up the export box
+     * @param {Element} container - Export container
+     * @param {Object} records - Records from readRecords()
+     */
+    function initExport(container, records) {
+        const labels = container.dataset;
+        const formatSelect = container.querySelector('[data-export-format]');
+        const digestSelect = container.querySelector('[data-export-digest]');
+        const output = container.querySelector('[data-export-output]');
+        const copyButton = container.querySelector('[data-export-copy]');
+
+        // Registrars mostly want SHA-256 only, so preselect it when PowerDNS reports it
+        if (records.ds.some(ds => ds.digestType === 2)) {
+            digestSelect.value = '2';
+        }
+
+        function update() {
+            const digestType = digestSelect.value;
+            const dsRecords = records.ds.filter(ds => digestType === '' || String(ds.digestType) === digestType);
+            output.textContent = formatExport(formatSelect.value, records.zone, dsRecords, records.dnskey) || labels.labelEmpty;
+        }
+
+        formatSelect.addEventListener('change', update);
+        digestSelect.addEventListener('change', update);
+
+        copyButton.addEventListener('click', function() {
+            if (!navigator.clipboard) {
+                return;
+            }
+            navigator.clipboard.writeText(output.textContent).then(function() {
+                const original = copyButton.textContent;
+                copyButton.textContent = labels.labelCopied;
+                setTimeout(() => { copyButton.textContent = original; }, 1500);
+            });
+        });
+
+        update();
+    }
+
+    /**
+     * Set up the parent DS check
+     * @param {HTMLFormElement} form - Check form
+     * @param {Object} records - Records from readRecords()
+     */
+    function initCheck(form, records) {
+        const labels = form.dataset;
+        const input = form.querySelector('textarea[name="parent_ds"]');
+        const lookupButton = form.querySelector('[data-ds-check-lookup]');
+        const status = form.querySelector('[data-ds-check-status]');
+        const body = form.querySelector('[data-ds-check-rows]');
+        const table = body.closest('table');
+        const missingList = form.querySelector('[data-ds-check-missing]');
+
+        const BADGES = {
+            match: ['bg-success', labels.labelMatch],
+            invalid: ['bg-secondary', labels.labelInvalid],
+            key_tag: ['bg-danger', labels.labelKeyTag],
+            algorithm: ['bg-danger', labels.labelAlgorithm],
+            digest_type: ['bg-warning text-dark', labels.labelDigestType],
+            digest: ['bg-danger', labels.labelDigest]
+        };
+
+        function showStatus(message, className) {
+            status.className = 'small my-2 ' + (className || 'text-muted');
+            status.textContent = message || '';
+        }
+
+        function algorithmName(number) {
+            return records.algorithms[number] ? number + ' (' + records.algorithms[number] + ')' : String(number);
+        }
+
+        /**
+         * Create a cell that shows the parent value, and the zone value when they differ
+         */
+        function valueCell(parentValue, zoneValue, wrong) {
+            const cell = element('td', 'small');
+            cell.appendChild(element('span', wrong ? 'text-danger fw-bold' : '', parentValue));
+            if (wrong && zoneValue !== null) {
+                cell.appendChild(element('div', 'text-muted', labels.labelExpected.replace('{value}', zoneValue)));
+            }
+            return cell;
+        }
+
+        function render(result) {
+            body.replaceChildren();
+            result.rows.forEach(function(row) {
+                const tr = element('tr');
+                tr.dataset.status = row.status;
+                if (!row.parent) {
+                    const cell = element('td', 'small text-break', row.line);
+                    cell.colSpan = 4;
+                    tr.appendChild(cell);
+                } else {
+                    const expected = row.expected;
+                    tr.appendChild(valueCell(String(row.parent.keyTag), null, row.status === 'key_tag'));
+                    tr.appendChild(valueCell(algorithmName(row.parent.algorithm),
+                        expected ? algorithmName(expected.algorithm) : null, row.status === 'algorithm'));
+                    tr.appendChild(valueCell(DIGEST_TYPES[row.parent.digestType] || String(row.parent.digestType),
+                        null, row.status === 'digest_type'));
+                    const digest = valueCell(row.parent.digest, expected ? expected.digest : null, row.status === 'digest');
+                    digest.classList.add('text-break', 'font-monospace');
+                    tr.appendChild(digest);
+                }
+                const statusCell = element('td');
+                const [badgeClass, badgeText] = BADGES[row.status];
+                statusCell.appendChild(element('span', 'badge ' + badgeClass, badgeText));
+                tr.appendChild(statusCell);
+                body.appendChild(tr);
+            });
+            table.hidden = result.rows.length === 0;
+
+            missingList.replaceChildren();
+            result.missing.forEach(function(ds) {
+                missingList.appendChild(element('li', 'small text-warning-emphasis',
+                    labels.labelMissing.replace('{tag}', ds.keyTag).replace('{algorithm}', algorithmName(ds.algorithm))));
+            });
+
+            if (result.rows.length === 0) {
+                showStatus(labels.labelNoParent, 'text-danger');
+            } else if (result.matched > 0 && result.mismatched === 0) {
+                showStatus(labels.labelValid, 'text-success');
+            } else if (result.matched > 0) {
+                showStatus(labels.labelPartial, 'text-warning-emphasis');
+            } else {
+                showStatus(labels.labelBroken, 'text-danger');
+            }
+        }
+
+        function check() {
+            const lines = input.value.split('\n')
+                .map(line => line.trim())
+                .filter(line => line !== '' && !line.startsWith(';'));
+            render(compare(records.ds, lines));
+        }
+
+        async function lookup() {
+            lookupButton.disabled = true;
+            showStatus(labels.labelLoading);
+            try {
+                const response = await fetch(labels.lookupUrl, { headers: { 'Accept': 'application/json' } });
+                let result = null;
+                try {
+                    result = await response.json();
+                } catch (error) {
+                    // Reported as a failed request below
+                }
+                if (!response.ok || !result) {
+                    throw new Error(result?.message || labels.labelRequestFailed);
+                }
+                input.value = result.records.join('\n');
+                check();
+            } catch (error) {
+                console.error('Error looking up the parent DS records:', error);
+                showStatus(error.message, 'text-danger');
+            } finally {
+                lookupButton.disabled = false;
+            }
+        }
+
+        form.addEventListener('submit', function(event) {
+            event.preventDefault();
+            check();
+        });
+
+        if (lookupButton) {
+            lookupButton.addEventListener('click', lookup);
+        }
+    }
+
+    /**
+     * Set up the export box and the check on the page
+     */
+    /**
+     * Set up the copy buttons of the record lists
+     * @param {Element} container - Element with a data-record-copy attribute
+     */
+    function initCopy(container) {
+        function flash(button) {
+            const originalHTML = button.innerHTML;
+            const wasSecondary = button.classList.contains('btn-secondary');
+            button.innerHTML = '<i class="bi bi-check2 me-1 text-white"></i>';
+            button.append(container.dataset.labelCopied || '');
+            if (wasSecondary) {
+                button.classList.remove('btn-secondary');
+                button.classList.add('btn-success');
+            }
+            setTimeout(function() {
+                button.innerHTML = originalHTML;
+                if (wasSecondary) {
+                    button.classList.remove('btn-success');
+                    button.classList.add('btn-secondary');
+                }
+            }, 1500);
+        }
+
+        function copy(text, button) {
+            if (!navigator.clipboard) {
+                return;
+            }
+            navigator.clipboard.writeText(text).then(() => flash(button));
+        }
+
+        container.querySelectorAll('.copy-line').forEach(function(button) {
+            // Stash the record text on the wrapper too so .copy-block can read it
+            const row = button.closest('.copy-line-row');
+            if (row && !row.dataset.record) {
+                row.dataset.record = button.dataset.record || '';
+            }
+            button.addEventListener('click', () => copy(button.dataset.record || '', button));
+        });
+
+        container.querySelectorAll('.copy-block').forEach(function(button) {
+            button.addEventListener('click', function() {
+                const target = document.getElementById(button.dataset.target);
+                if (!target) {
+                    return;
+                }
+                // Just the record lines, without the copy buttons of each line
+                const text = Array.from(target.querySelectorAll('.copy-line-row'))
+                    .map(row => row.dataset.record || row.firstChild.textContent.trim())
+                    .join('\n');
+                copy(text || target.innerText.trim(), button);
+            });
+        });
+    }
+
+    function initAll() {
+        document.querySelectorAll('[data-record-copy]').forEach(initCopy);
+
+        const exportBox = document.querySelector('[data-dnssec-export]');
+        const checkForm = document.querySelector('form[data-ds-check]');
+        if (!exportBox && !checkForm) {
+            return;
+        }
+
+        const records = readRecords();
+        if (exportBox) {
+            initExport(exportBox, records);
+        }
+        if (checkForm) {
+            initCheck(checkForm, records);
+        }
+    }
+
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', initAll);
+    } else {
+        initAll();
+    }
+
+    // Public API
+    return {
+        parseDs,
+        parseDnskey,
+        formatExport,
+        compare
+    };
+})();
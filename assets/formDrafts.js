@@ -0,0 +1,262 @@
+/*  Poweradmin, a friendly web-based admin tool for PowerDNS.
+ *  See <https://www.poweradmin.org> for more details.
+ *
+ *  Copyright 2007-2010 Rejo Zenger <rejo@zenger.nl>
+ *  Copyright 2010-2026 Poweradmin Development Team
+ *
+ *  This program is free software: you can redistribute it and/or modify
+ *  it under the terms of the GNU General Public License as published by
+ *  the Free Software Foundation, either version 3 of the License, or
+ *  (at your option) any later version.
+ *
+ *  This program is distributed in the hope that it will be useful,
+ *  but WITHOUT ANY WARRANTY; without even the implied warranty of
+ *  MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ *  GNU General Public License for more details.
+ *
+ *  You should have received a copy of the GNU General Public License
+ *  along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+
+/**
+ * FormDrafts - Keeps unsaved form input in localStorage
+ *
+ * Forms with a data-form-draft attribute are saved to localStorage while the
+ * user types, under a key made of the user ID and the attribute value (for
+ * example "bulk-records:12" for the bulk record form of zone 12). When the
+ * form is shown again with a draft stored, a prompt offers to restore or
+ * discard it.
+ *
+ * A submitted draft is kept until the next page shows a success message, so
+ * input survives an expired session or a rejected submit.
+ */
+const FormDrafts = (function() {
+    // Prefix of the localStorage keys
+    const STORAGE_PREFIX = 'poweradmin.draft.';
+
+    // sessionStorage key of the draft waiting for the submit result
+    const PENDING_KEY = 'poweradmin.draft.pending';
+
+    // Delay before saving after the last change (ms)
+    const SAVE_DELAY = 500;
+
+    // Drafts older than this are dropped (ms)
+    const MAX_AGE = 7 * 24 * 60 * 60 * 1000;
+
+    // Field types that are never stored
+    const SKIPPED_TYPES = ['hidden', 'password', 'file', 'submit', 'button', 'reset', 'image'];
+
+    /**
+     * Get the storage key of a form
+     * @param {Element} form - Form with a data-form-draft attribute
+     * @returns {string} localStorage key
+     */
+    function storageKey(form) {
+        return STORAGE_PREFIX + (window.SESSION_USER_ID || 0) + '.' + form.dataset.formDraft;
+    }
+
+    /**
+     * Read the values of the fields of a form
+     * @param {Element} form - Form element
+     * @returns {Array} Field entries in document order
+     */
+    function serialize(form) {
+        const occurrences = {};
+        const fields = [];
+
+        [...form.elements].forEach(function(field) {
+            if (!field.name || field.name === '_token' || SKIPPED_TYPES.includes(field.type)) {
+                return;
+            }
+
+            if (field.type === 'checkbox' || field.type === 'radio') {
+                fields.push({ name: field.name, value: field.value, checked: field.checked });
+                return;
+            }
+
+            const index = occurrences[field.name] || 0;
+            occurrences[field.name] = index + 1;
+
+            if (field.type === 'select-multiple') {
+                fields.push({ name: field.name, index: index, values: [...field.selectedOptions].map(option => option.value) });
+            } else {
+                fields.push({ name: field.name, index: index, value: field.value });
+            }
+        });
+
+        return fields;
+    }
+
+    /**
+     * Put stored values back into a form
+     * @param {Element} form - Form element
+     * @param {Array} fields - Field entries from serialize()
+     */
+    function restore(form, fields) {
+        fields.forEach(function(entry) {
+            // Look the field up again: a change event may have replaced it
+            const candidates = [...form.elements].filter(field => field.name === entry.name);
+            let field = null;
+
+            if ('checked' in entry) {
+                field = candidates.find(candidate => candidate.value === entry.value);
+                if (!field || field.checked === entry.checked) {
+                    return;
+                }
+                field.checked = entry.checked;
+            } else {
+                field = candidates.filter(candidate => candidate.type !== 'checkbox' && candidate.type !== 'radio')[entry.index];
+                if (!field) {
+                    return;
+                }
+                if (entry.values) {
+                    [...field.options].forEach(option => option.selected = entry.values.includes(option.value));
+                } else if (field.value !== entry.value) {
+                    field.value = entry.value;
+                } else {
+                    return;
+                }
+            }
+
+            field.dispatchEvent(new Event('input', { bubbles: true }));
+            field.dispatchEvent(new Event('change', { bubbles: true }));
+        });
+    }
+
+    /**
+     * Read the stored draft of a form
+     * @param {Element} form - Form element
+     * @returns {Object|null} Draft with savedAt and fields, or null
+     */
+    function load(form) {
+        try {
+            const draft = JSON.parse(localStorage.getItem(storageKey(form)));
+            if (draft && Array.isArray(draft.fields) && Date.now() - draft.savedAt < MAX_AGE) {
+                return draft;
+            }
+        } catch (error) {
+            // Unreadable drafts are dropped below
+        }
+        localStorage.removeItem(storageKey(form));
+        return null;
+    }
+
+    /**
+     * Remove the stored draft of a form
+     * @param {Element} form - Form element
+     */
+    function discard(form) {
+        localStorage.removeItem(storageKey(form));
+    }
+
+    /**
+     * Show the restore / discard prompt above a form
+     * @param {Element} form - Form element
+     * @param {Object} draft - Stored draft
+     */
+    function showPrompt(form, draft) {
+        const template = document.getElementById('form-draft-prompt');
+        if (!template) {
+            return;
+        }
+
+        const prompt = template.content.firstElementChild.cloneNode(true);
+        prompt.querySelector('[data-draft-time]').textContent = new Date(draft.savedAt).toLocaleString();
+
+        prompt.querySelector('[data-draft-restore]').addEventListener('click', function() {
+            restore(form, draft.fields);
+            prompt.remove();
+        });
+
+        prompt.querySelector('[data-draft-discard]').addEventListener('click', function() {
+            discard(form);
+            prompt.remove();
+        });
+
+        form.parentNode.insertBefore(prompt, form);
+    }
+
+    /**
+     * Start keeping drafts of a form
+     * @param {Element} form - Form with a data-form-draft attribute
+     */
+    function watch(form) {
+        const initial = JSON.stringify(serialize(form));
+        let timer = null;
+
+        const draft = load(form);
+        if (draft && JSON.stringify(draft.fields) !== initial) {
+            showPrompt(form, draft);
+        }
+
+        const save = function() {
+            const fields = serialize(form);
+            if (JSON.stringify(fields) === initial) {
+                discard(form);
+                return;
+            }
+            try {
+                localStorage.setItem(storageKey(form), JSON.stringify({ savedAt: Date.now(), fields: fields }));
+            } catch (error) {
+                console.error('Error saving form draft:', error);
+            }
+        };
+
+        const schedule = function() {
+            clearTimeout(timer);
+            timer = setTimeout(save, SAVE_DELAY);
+        };
+
+        form.addEventListener('input', schedule);
+        form.addEventListener('change', schedule);
+        form.addEventListener('submit', function() {
+            clearTimeout(timer);
+            save();
+
+            // Invalid input is stopped by the form validation before anything is sent
+            if (form.classList.contains('needs-validation') && !form.checkValidity()) {
+                return;
+            }
+            sessionStorage.setItem(PENDING_KEY, storageKey(form));
+        });
+    }
+
+    /**
+     * Drop the draft of the last submitted form once the page reports success
+     */
+    function settlePending() {
+        const key = sessionStorage.getItem(PENDING_KEY);
+        if (!key) {
+            return;
+        }
+        sessionStorage.removeItem(PENDING_KEY);
+
+        const messages = [...document.querySelectorAll('[data-testid="system-message"]')];
+        const succeeded = messages.some(message => message.classList.contains('alert-success'))
+            && !messages.some(message => message.classList.contains('alert-danger'));
+        if (succeeded) {
+            localStorage.removeItem(key);
+        }
+    }
+
+    /**
+     * Set up drafts for every form on the page
+     */
+    function init() {
+        settlePending();
+        document.querySelectorAll('form[data-form-draft]').forEach(watch);
+    }
+
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', init);
+    } else {
+        init();
+    }
+
+    // Public API
+    return {
+        watch,
+        discard
+    };
+})();
@@ -0,0 +1,154 @@
+/*  Poweradmin, a friendly web-based admin tool for PowerDNS.
+ *  See <https://www.poweradmin.org> for more details.
+ *
+ *  Copyright 2007-2010 Rejo Zenger <rejo@zenger.nl>
+ *  Copyright 2010-2026 Poweradmin Development Team
+ *
+ *  This program is free software: you can redistribute it and/or modify
+ *  it under the terms of the GNU General Public License as published by
+ *  the Free Software Foundation, either version 3 of the License, or
+ *  (at your option) any later version.
+ *
+ *  This program is distributed in the hope that it will be useful,
+ *  but WITHOUT ANY WARRANTY; without even the implied warranty of
+ *  MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ *  GNU General Public License for more details.
+ *
+ *  You should have received a copy of the GNU General Public License
+ *  along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+
+
+/**
+ * GroupAssignment - Adding and removing the members or zones of a group
+ *
+ * Keeps the add and remove buttons and their counters in line with the
+ * selected rows, filters the available rows, and asks for confirmation before
+ * removing. The selected IDs are posted as one comma-separated field to stay
+ * under PHP's max_input_vars limit. The zone picker, used instead of the
+ * available zone list when the internal API is enabled, submits its selection
+ * itself and reports it through its zonepicker:change event.
+ *
+ * Markup:
+ *   <script type="application/json" id="group-assignment-config">
+ *     {"field": "user_ids", "labelSelected": "...", "search": ["username", "fullname"],
+ *      "remove": {"checkbox": "member-checkbox", "selectAll": "...", "count": "...",
+ *                 "modal": "...", "modalCount": "...", "confirm": "..."},
+ *      "add": {"row": "user-row", "count": "..."}}
+ *   </script>
+ *   <form id="remove-form">...</form> <button id="remove-btn" data-action-click="showGroupRemoveModal">
+ *   <form id="add-form"><input id="search-available"> <input id="select-all-available">
+ *     <tr class="user-row" data-username="..."><input class="available-checkbox"></tr>
+ *   </form> <button id="add-btn">
+ */
+const GroupAssignment = (function() {
+    let config = null;
+
+    function byId(id) {
+        return id ? document.getElementById(id) : null;
+    }
+
+    function updateSelection(button, countBadge, count) {
+        if (button) {
+            button.disabled = count === 0;
+        }
+        if (countBadge) {
+            countBadge.textContent = count + ' ' + config.labelSelected;
+        }
+    }
+
+    function toggleRemoveButton() {
+        const count = document.querySelectorAll('.' + config.remove.checkbox + ':checked').length;
+        updateSelection(byId('remove-btn'), byId(config.remove.count), count);
+    }
+
+    function toggleAddButton() {
+        const count = document.querySelectorAll('.available-checkbox:checked').length;
+        updateSelection(byId('add-btn'), byId(config.add.count), count);
+    }
+
+    function showGroupRemoveModal() {
+        byId(config.remove.modalCount).textContent = document.querySelectorAll('.' + config.remove.checkbox + ':checked').length;
+        bootstrap.Modal.getOrCreateInstance(byId(config.remove.modal)).show();
+    }
+
+    function initRemove() {
+        const checkboxes = document.querySelectorAll('.' + config.remove.checkbox);
+
+        byId(config.remove.selectAll)?.addEventListener('change', function() {
+            checkboxes.forEach(cb => cb.checked = this.checked);
+            toggleRemoveButton();
+        });
+        checkboxes.forEach(cb => cb.addEventListener('change', toggleRemoveButton));
+
+        byId(config.remove.confirm)?.addEventListener('click', () => {
+            const removeForm = byId('remove-form');
+            if (removeForm) {
+                collapseSelectedIds(removeForm, config.remove.checkbox, config.field);
+                removeForm.submit();
+            }
+        });
+    }
+
+    function initAdd() {
+        const rows = document.querySelectorAll('.' + config.add.row);
+
+        byId('select-all-available')?.addEventListener('change', function() {
+            rows.forEach(row => {
+                const checkbox = row.querySelector('.available-checkbox');
+                if (checkbox && row.style.display !== 'none') {
+                    checkbox.checked = this.checked;
+                }
+            });
+            toggleAddButton();
+        });
+        document.querySelectorAll('.available-checkbox').forEach(cb => cb.addEventListener('change', toggleAddButton));
+
+        byId('search-available')?.addEventListener('input', function() {
+            const searchTerm = this.value.toLowerCase();
+            rows.forEach(row => {
+                const matches = config.search.some(key => (row.dataset[key] || '').includes(searchTerm));
+                row.style.display = matches ? '' : 'none';
+            });
+        });
+
+        byId('add-form')?.addEventListener('submit', function() {
+            // The zone picker already submits its selection as one field
+            if (!this.querySelector('[data-zone-picker]')) {
+                collapseSelectedIds(this, 'available-checkbox', config.field);
+            }
+        });
+
+        byId('add-zone-picker')?.addEventListener('zonepicker:change', event => {
+            updateSelection(byId('add-btn'), byId(config.add.count), event.detail.zones.length);
+        });
+    }
+
+    function initAll() {
+        const element = document.getElementById('group-assignment-config');
+        if (!element) {
+            return;
+        }
+        config = JSON.parse(element.textContent);
+
+        initRemove();
+        initAdd();
+    }
+
+    PageActions.register({
+        showGroupRemoveModal
+    });
+
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', initAll);
+    } else {
+        initAll();
+    }
+
+    // Public API
+    return {
+        toggleAddButton,
+        toggleRemoveButton
+    };
+})();
@@ -108,7 +108,7 @@ function zone_sort_by(column) {
         form.zone_sort_by_direction.value = 'ASC';
     }
 
-    form.submit();
+    form.requestSubmit();
 }
 
 function record_sort_by(column) {
@@ -123,7 +123,7 @@ function record_sort_by(column) {
         form.record_sort_by_direction.value = 'ASC';
     }
 
-    form.submit();
+    form.requestSubmit();
 }
 
 function do_search_with_zones_page(zones_page) {
@@ -148,8 +148,8 @@ function do_search_with_zones_rows_per_page(rowsPerPage) {
     form.zones_page.value = 1;
     
     // Submit the form to refresh results
-    if (typeof form.submit === 'function') {
-        form.submit();
+    if (typeof form.requestSubmit === 'function') {
+        form.requestSubmit();
     } else {
         document.getElementsByName("do_search")[0].click();
     }
@@ -167,8 +167,8 @@ function do_search_with_records_rows_per_page(rowsPerPage) {
     form.records_page.value = 1;
     
     // Submit the form to refresh results
-    if (typeof form.submit === 'function') {
-        form.submit();
+    if (typeof form.requestSubmit === 'function') {
+        form.requestSubmit();
     } else {
         document.getElementsByName("do_search")[0].click();
     }
@@ -203,3 +203,22 @@ function showPassword(passwordInputId, iconId) {
     icon.classList.toggle("bi-eye-fill");
     icon.classList.toggle("bi-eye-slash-fill");
 }
+
+// Actions run from data-action-* attributes, see pageActions.js
+if (typeof PageActions !== 'undefined') {
+    PageActions.register({
+        disablePasswordField,
+        toggleZoneCheckboxes,
+        toggleRecordCheckboxes,
+        toggleEditRecordCheckboxes,
+        toggleSearchZoneCheckboxes,
+        zone_sort_by,
+        record_sort_by,
+        do_search_with_zones_page,
+        do_search_with_records_page,
+        do_search_with_zones_rows_per_page,
+        do_search_with_records_rows_per_page,
+        checkQueryChange,
+        showPassword
+    });
+}
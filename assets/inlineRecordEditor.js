@@ -0,0 +1,437 @@
+/*  Poweradmin, a friendly web-based admin tool for PowerDNS.
+ *  See <https://www.poweradmin.org> for more details.
+ *
+ *  Copyright 2007-2010 Rejo Zenger <rejo@zenger.nl>
+ *  Copyright 2010-2026 Poweradmin Development Team
+ *
+ *  This program is free software: you can redistribute it and/or modify
+ *  it under the terms of the GNU General Public License as published by
+ *  the Free Software Foundation, either version 3 of the License, or
+ *  (at your option) any later version.
+ *
+ *  This program is distributed in the hope that it will be useful,
+ *  but WITHOUT ANY WARRANTY; without even the implied warranty of
+ *  MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ *  GNU General Public License for more details.
+ *
+ *  You should have received a copy of the GNU General Public License
+ *  along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+/**
+ * InlineRecordEditor - Row-level editing on the zone edit page
+ *
+ * Record rows of a form marked with data-inline-edit are shown read-only until
+ * the user clicks them. An editing row gets its own Save and Cancel buttons:
+ * Save sends only that record to the internal record API and shows the result
+ * on the row, Cancel puts back the values the row had before editing. The
+ * row inputs keep their names, so the form's "Save changes" button still
+ * submits the whole table as before.
+ */
+const InlineRecordEditor = (function() {
+    // API endpoint for single record updates
+    const API_ENDPOINT = (window.BASE_URL_PREFIX || '') + '/api/internal/record?action=update';
+
+    // How long the saved state stays on a row
+    const SUCCESS_MS = 3000;
+
+    const ROW_SELECTOR = 'tr[data-record-id]';
+    const FIELD_PATTERN = /^record\[[^\]]+\]\[(name|content|prio|ttl|comment|disabled)\]$/;
+
+    let form = null;
+
+    // Values of each editing row from before the user changed them
+    const snapshots = new WeakMap();
+    const successTimers = new WeakMap();
+
+    /**
+     * Get the record field key ('name', 'content', ...) for an input
+     * @param {Element} element - Form control
+     * @returns {string|null} Field key or null if the control is not an editable record field
+     */
+    function fieldKey(element) {
+        const match = (element.getAttribute('name') || '').match(FIELD_PATTERN);
+        return match ? match[1] : null;
+    }
+
+    /**
+     * Find the editable record fields of a row
+     * @param {Element} row - Record row
+     * @returns {Object} Map of field key to form control
+     */
+    function collectFields(row) {
+        const fields = {};
+        row.querySelectorAll('input, select, textarea').forEach(function(element) {
+            const key = fieldKey(element);
+            if (key && !fields[key]) {
+                fields[key] = element;
+            }
+        });
+        return fields;
+    }
+
+    /**
+     * Read the current values of a row
+     * @param {Element} row - Record row
+     * @returns {Object} Map of field key to value (boolean for the disabled checkbox)
+     */
+    function readValues(row) {
+        const values = {};
+        Object.entries(collectFields(row)).forEach(function([key, element]) {
+            values[key] = element.type === 'checkbox' ? element.checked : element.value;
+        });
+        return values;
+    }
+
+    /**
+     * Write values back into a row
+     * @param {Element} row - Record row
+     * @param {Object} values - Map of field key to value
+     */
+    function writeValues(row, values) {
+        Object.entries(collectFields(row)).forEach(function([key, element]) {
+            if (!(key in values)) {
+                return;
+            }
+            if (element.type === 'checkbox') {
+                element.checked = !!values[key];
+                element.dispatchEvent(new Event('change', { bubbles: true }));
+            } else {
+                element.value = values[key] ?? '';
+            }
+        });
+    }
+
+    /**
+     * Show or hide the row's inputs as plain text
+     *
+     * Inputs are made read-only rather than disabled so they are still posted
+     * when the whole form is saved.
+     * @param {Element} row - Record row
+     * @param {boolean} locked - Whether the row is read-only
+     */
+    function setLocked(row, locked) {
+        Object.values(collectFields(row)).forEach(function(element) {
+            if (element.type === 'checkbox') {
+                return;
+            }
+            if (locked) {
+                if (!element.readOnly) {
+                    element.readOnly = true;
+                    element.dataset.inlineReadonly = 'true';
+                }
+                element.classList.add('inline-edit-idle');
+            } else {
+                if (element.dataset.inlineReadonly) {
+                    element.readOnly = false;
+                    delete element.dataset.inlineReadonly;
+                }
+                element.classList.remove('inline-edit-idle');
+            }
+        });
+
+        row.querySelectorAll('[data-inline-actions]').forEach(function(actions) {
+            actions.classList.toggle('d-none', locked);
+        });
+    }
+
+    /**
+     * Remove the save result shown on a row
+     * @param {Element} row - Record row
+     */
+    function clearState(row) {
+        clearTimeout(successTimers.get(row));
+        row.classList.remove('table-success', 'table-danger');
+        row.querySelectorAll('.inline-edit-feedback').forEach(function(feedback) {
+            feedback.remove();
+        });
+        row.querySelectorAll('[data-inline-status]').forEach(function(status) {
+            status.classList.add('d-none');
+        });
+    }
+
+    /**
+     * Show why a row could not be saved
+     * @param {Element} row - Record row
+     * @param {string} message - Error message
+     */
+    function showError(row, message) {
+        clearState(row);
+        row.classList.add('table-danger');
+
+        const fields = collectFields(row);
+        const target = fields.content || fields.name;
+        const feedback = document.createElement('div');
+        feedback.className = 'invalid-feedback d-block inline-edit-feedback';
+        feedback.textContent = message;
+        (target.closest('td') || row.lastElementChild).appendChild(feedback);
+    }
+
+    /**
+     * Mark a row as saved for a moment
+     * @param {Element} row - Record row
+     */
+    function showSuccess(row) {
+        clearState(row);
+        row.classList.add('table-success');
+        row.querySelectorAll('[data-inline-status]').forEach(function(status) {
+            status.classList.remove('d-none');
+        });
+        successTimers.set(row, setTimeout(function() {
+            clearState(row);
+        }, SUCCESS_MS));
+    }
+
+    /**
+     * Make a row editable
+     * @param {Element} row - Record row
+     */
+    function edit(row) {
+        if (snapshots.has(row)) {
+            return;
+        }
+        clearState(row);
+        snapshots.set(row, readValues(row));
+        row.dataset.inlineEditing = 'true';
+        setLocked(row, false);
+    }
+
+    /**
+     * Leave edit mode, restoring the values from before editing
+     * @param {Element} row - Record row
+     */
+    function cancel(row) {
+        if (!snapshots.has(row)) {
+            return;
+        }
+        writeValues(row, snapshots.get(row));
+        finish(row);
+        clearState(row);
+        if (typeof RecordValidator !== 'undefined') {
+            RecordValidator.reset(row);
+        }
+    }
+
+    /**
+     * Leave edit mode keeping the current values
+     * @param {Element} row - Record row
+     */
+    function finish(row) {
+        snapshots.delete(row);
+        delete row.dataset.inlineEditing;
+        setLocked(row, true);
+    }
+
+    /**
+     * Send one row to the record API and apply the result to that row
+     * @param {Element} row - Record row
+     * @returns {Promise} Promise that resolves when the result has been applied
+     */
+    async function save(row) {
+        if (!snapshots.has(row) || row.dataset.inlineSaving) {
+            return;
+        }
+
+        // Live validation already knows the record would be rejected
+        if (row.dataset.recordInvalid === 'true') {
+            const invalid = row.querySelector('.record-validation-invalid');
+            if (invalid) {
+                invalid.focus();
+            }
+            return;
+        }
+
+        const values = readValues(row);
+        const payload = {
+            zone_id: form.dataset.zoneId,
+            record_id: row.dataset.recordId,
+            name: (values.name || '').trim(),
+            content: (values.content || '').trim(),
+            ttl: (values.ttl || '').trim(),
+            priority: (values.prio || '0').trim() || '0',
+            disabled: !!values.disabled
+        };
+        if ('comment' in values) {
+            payload.comment = values.comment;
+        }
+
+        row.dataset.inlineSaving = 'true';
+        row.querySelectorAll('[data-inline-actions] button').forEach(function(button) {
+            button.disabled = true;
+        });
+
+        try {
+            const response = await fetch(API_ENDPOINT, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Accept': 'application/json',
+                    'X-CSRF-Token': form.dataset.csrfToken || ''
+                },
+                body: JSON.stringify(payload)
+            });
+
+            const result = await response.json().catch(() => ({}));
+            if (!response.ok || !result.success) {
+                showError(row, result.message || 'The record could not be saved.');
+                return;
+            }
+
+            const record = result.data.record;
+            writeValues(row, {
+                name: record.name,
+                content: record.content,
+                prio: record.priority,
+                ttl: record.ttl,
+                comment: record.comment,
+                disabled: record.disabled
+            });
+            updateRecordId(row, record.id);
+
+            const serial = form.querySelector('input[name="serial"]');
+            if (serial && result.data.serial) {
+                serial.value = result.data.serial;
+            }
+
+            finish(row);
+            showSuccess(row);
+        } catch (error) {
+            console.error('Error saving record:', error);
+            showError(row, 'The record could not be saved.');
+        } finally {
+            delete row.dataset.inlineSaving;
+            row.querySelectorAll('[data-inline-actions] button').forEach(function(button) {
+                button.disabled = false;
+            });
+        }
+    }
+
+    /**
+     * Follow a record ID that changed on save (API backend IDs encode the content)
+     * @param {Element} row - Record row
+     * @param {string|number} recordId - Record ID returned by the API
+     */
+    function updateRecordId(row, recordId) {
+        const newId = String(recordId);
+        if (!recordId || row.dataset.recordId === newId) {
+            return;
+        }
+
+        // The input names keep the original ID; the full-form save reads the ID from rid
+        const key = row.dataset.inlineKey;
+        const rid = form.querySelector('input[name="record[' + CSS.escape(key) + '][rid]"]');
+        if (rid) {
+            rid.value = newId;
+        }
+        row.dataset.recordId = newId;
+    }
+
+    function isRowControl(target) {
+        return target.closest('a, button, [data-inline-actions]') || target.matches('input[name="record_id[]"]');
+    }
+
+    function handleClick(event) {
+        const target = event.target;
+        if (!(target instanceof Element)) {
+            return;
+        }
+        const row = target.closest(ROW_SELECTOR);
+        if (!row || !form.contains(row)) {
+            return;
+        }
+
+        if (target.closest('[data-inline-save]')) {
+            event.preventDefault();
+            save(row);
+        } else if (target.closest('[data-inline-cancel]')) {
+            event.preventDefault();
+            cancel(row);
+        } else if (!isRowControl(target)) {
+            edit(row);
+        }
+    }
+
+    // Keyboard users enter edit mode by tabbing into a row
+    function handleFocus(event) {
+        const target = event.target;
+        if (!(target instanceof Element) || !fieldKey(target)) {
+            return;
+        }
+        const row = target.closest(ROW_SELECTOR);
+        if (row) {
+            edit(row);
+        }
+    }
+
+    // A row left without changes goes back to read-only, so tabbing through
+    // the table does not leave every row in edit mode
+    function handleFocusOut(event) {
+        const target = event.target;
+        if (!(target instanceof Element)) {
+            return;
+        }
+        const row = target.closest(ROW_SELECTOR);
+        if (!row || !snapshots.has(row) || row.contains(event.relatedTarget)) {
+            return;
+        }
+
+        const before = snapshots.get(row);
+        const current = readValues(row);
+        if (Object.keys(current).every(key => current[key] === before[key])) {
+            finish(row);
+        }
+    }
+
+    // Enter saves and Escape cancels the row instead of submitting the whole form
+    function handleKeydown(event) {
+        const target = event.target;
+        if (!(target instanceof Element) || !fieldKey(target)) {
+            return;
+        }
+        const row = target.closest(ROW_SELECTOR);
+        if (!row || !snapshots.has(row)) {
+            return;
+        }
+
+        if (event.key === 'Enter' && target.tagName !== 'TEXTAREA') {
+            event.preventDefault();
+            save(row);
+        } else if (event.key === 'Escape') {
+            event.preventDefault();
+            cancel(row);
+        }
+    }
+
+    /**
+     * Attach row editing to the zone edit form
+     */
+    function init() {
+        form = document.querySelector('form[data-inline-edit]');
+        if (!form) {
+            return;
+        }
+
+        form.querySelectorAll(ROW_SELECTOR).forEach(function(row) {
+            row.dataset.inlineKey = row.dataset.recordId;
+            setLocked(row, true);
+        });
+
+        form.addEventListener('click', handleClick);
+        form.addEventListener('focusin', handleFocus);
+        form.addEventListener('focusout', handleFocusOut);
+        form.addEventListener('keydown', handleKeydown);
+    }
+
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', init);
+    } else {
+        init();
+    }
+
+    // Public API
+    return {
+        edit,
+        save,
+        cancel
+    };
+})();
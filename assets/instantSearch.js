@@ -0,0 +1,218 @@
+/*  Poweradmin, a friendly web-based admin tool for PowerDNS.
+ *  See <https://www.poweradmin.org> for more details.
+ *
+ *  Copyright 2007-2010 Rejo Zenger <rejo@zenger.nl>
+ *  Copyright 2010-2026 Poweradmin Development Team
+ *
+ *  This program is free software: you can redistribute it and/or modify
+ *  it under the terms of the GNU General Public License as published by
+ *  the Free Software Foundation, either version 3 of the License, or
+ *  (at your option) any later version.
+ *
+ *  This program is distributed in the hope that it will be useful,
+ *  but WITHOUT ANY WARRANTY; without even the implied warranty of
+ *  MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ *  GNU General Public License for more details.
+ *
+ *  You should have received a copy of the GNU General Public License
+ *  along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+
+
+/**
+ * InstantSearch - Search-as-you-type for the search page
+ *
+ * Runs the search form against SearchController::results() while the user
+ * types and replaces the result tables with the returned markup. Sorting,
+ * paging and rows per page go through the same request, as the helpers in
+ * helper.js submit the form with requestSubmit().
+ *
+ * The form fields are kept in the URL, so a search can be bookmarked or
+ * shared and the back button steps through earlier searches. Typing only
+ * replaces the current history entry; a submitted search, a sort or a page
+ * change adds a new one.
+ *
+ * Markup:
+ *   <form name="search_form" data-instant-search data-results-url="/search/results" data-label-*="...">
+ *       <input name="query"> <div data-search-status></div>
+ *   </form>
+ *   <div data-search-results></div>
+ */
+const InstantSearch = (function() {
+    // Wait after the last keystroke before searching
+    const DEBOUNCE_DELAY = 300;
+
+    // Shorter queries only run when the form is submitted
+    const MIN_QUERY_LENGTH = 2;
+
+    // Fields that are never put in the URL
+    const SKIPPED_FIELDS = ['_token', 'do_search'];
+
+    /**
+     * Build the URL parameters of the form
+     * @param {HTMLFormElement} form - Search form
+     * @returns {URLSearchParams} Form fields without the token
+     */
+    function formParams(form) {
+        const params = new URLSearchParams(new FormData(form));
+        SKIPPED_FIELDS.forEach(name => params.delete(name));
+        return params;
+    }
+
+    /**
+     * Fill the form from URL parameters
+     *
+     * Checkboxes missing from the parameters are unticked, as the form does
+     * not send them either. Without a query the form falls back to the
+     * values it was rendered with.
+     *
+     * @param {HTMLFormElement} form - Search form
+     * @param {URLSearchParams} params - URL parameters
+     */
+    function applyParams(form, params) {
+        const hasSearch = params.has('query');
+        [...form.elements].forEach(function(field) {
+            if (!field.name || SKIPPED_FIELDS.includes(field.name)) {
+                return;
+            }
+            if (field.type === 'checkbox') {
+                field.checked = hasSearch ? params.getAll(field.name).includes(field.value) : field.defaultChecked;
+            } else if (params.has(field.name)) {
+                field.value = params.get(field.name);
+            } else if (field.name === 'query') {
+                field.value = '';
+            }
+        });
+    }
+
+    /**
+     * Set up instant search for the search form
+     * @param {HTMLFormElement} form - Search form
+     */
+    function init(form) {
+        const labels = form.dataset;
+        const container = document.querySelector('[data-search-results]');
+        const status = form.querySelector('[data-search-status]');
+        const query = form.elements.query;
+        if (!container || !labels.resultsUrl) {
+            return;
+        }
+
+        let controller = null;
+        let timer = null;
+
+        function resetPages() {
+            form.elements.zones_page.value = 1;
+            form.elements.records_page.value = 1;
+        }
+
+        /**
+         * Show the results for the current form fields
+         * @param {string} history - "push", "replace" or "none"
+         * @param {boolean} [typing] - Whether the search runs while typing
+         */
+        async function search(history, typing = false) {
+            clearTimeout(timer);
+            controller?.abort();
+            status.textContent = '';
+
+            // The page change check in helper.js compares against the last search
+            if (typeof queryState !== 'undefined') {
+                queryState.setPreviousQuery(query.value);
+            }
+
+            const params = formParams(form);
+            const url = new URL(window.location.href);
+            url.search = query.value.trim() === '' ? '' : params.toString();
+            if (history === 'push' && url.href !== window.location.href) {
+                window.history.pushState({ typing: typing }, '', url);
+            } else if (history !== 'none') {
+                window.history.replaceState({ typing: typing }, '', url);
+            }
+
+            if (query.value.trim() === '') {
+                container.replaceChildren();
+                return;
+            }
+
+            controller = new AbortController();
+            container.classList.add('opacity-50');
+            try {
+                const response = await fetch(labels.resultsUrl + '?' + params.toString(), {
+                    headers: {
+                        'Accept': 'application/json'
+                    },
+                    signal: controller.signal
+                });
+                const result = await response.json();
+                if (!response.ok) {
+                    throw new Error(result.message || 'Search failed');
+                }
+
+                form.elements.zones_page.value = result.zones_page;
+                form.elements.records_page.value = result.records_page;
+                container.innerHTML = result.html;
+                container.dispatchEvent(new CustomEvent('search:updated', { detail: result }));
+            } catch (error) {
+                if (error.name === 'AbortError') {
+                    return;
+                }
+                console.error('Error searching:', error);
+                status.textContent = labels.labelError;
+            } finally {
+                container.classList.remove('opacity-50');
+            }
+        }
+
+        function scheduleSearch() {
+            clearTimeout(timer);
+            resetPages();
+            if (query.value.trim().length < MIN_QUERY_LENGTH && query.value.trim() !== '') {
+                return;
+            }
+
+            // A typing session shares one history entry
+            const history = window.history.state?.typing === true ? 'replace' : 'push';
+            timer = setTimeout(() => search(history, true), DEBOUNCE_DELAY);
+        }
+
+        query.addEventListener('input', scheduleSearch);
+        form.querySelectorAll('input[type="checkbox"]').forEach(function(checkbox) {
+            checkbox.addEventListener('change', function() {
+                resetPages();
+                search('push');
+            });
+        });
+
+        // Sorting, paging and the search button all submit the form
+        form.addEventListener('submit', function(event) {
+            event.preventDefault();
+            search('push');
+        });
+
+        window.addEventListener('popstate', function() {
+            applyParams(form, new URLSearchParams(window.location.search));
+            search('none');
+        });
+    }
+
+    /**
+     * Set up the search form on the page
+     */
+    function initAll() {
+        document.querySelectorAll('form[data-instant-search]').forEach(init);
+    }
+
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', initAll);
+    } else {
+        initAll();
+    }
+
+    // Public API
+    return {
+        formParams,
+        applyParams
+    };
+})();
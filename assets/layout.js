@@ -0,0 +1,172 @@
+/*  Poweradmin, a friendly web-based admin tool for PowerDNS.
+ *  See <https://www.poweradmin.org> for more details.
+ *
+ *  Copyright 2007-2010 Rejo Zenger <rejo@zenger.nl>
+ *  Copyright 2010-2026 Poweradmin Development Team
+ *
+ *  This program is free software: you can redistribute it and/or modify
+ *  it under the terms of the GNU General Public License as published by
+ *  the Free Software Foundation, either version 3 of the License, or
+ *  (at your option) any later version.
+ *
+ *  This program is distributed in the hope that it will be useful,
+ *  but WITHOUT ANY WARRANTY; without even the implied warranty of
+ *  MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ *  GNU General Public License for more details.
+ *
+ *  You should have received a copy of the GNU General Public License
+ *  along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+
+
+/**
+ * Layout - Behaviour shared by all pages of the modern theme
+ *
+ * Sets up tooltips, form validation and alerts, the sidebar toggles and the
+ * language switcher of the login page. Loaded at the end of the page, after
+ * Bootstrap.
+ *
+ * Markup:
+ *   <input id="password">
+ *   <input data-confirm-password="password" data-label-mismatch="...">
+ */
+const Layout = (function() {
+    const BASE_URL = window.BASE_URL_PREFIX || '';
+
+    function initBootstrapComponents() {
+        document.querySelectorAll('[data-bs-toggle="tooltip"]').forEach(element => bootstrap.Tooltip.getOrCreateInstance(element));
+        document.querySelectorAll('.alert').forEach(element => bootstrap.Alert.getOrCreateInstance(element));
+    }
+
+    function initFormValidation() {
+        document.querySelectorAll('.needs-validation').forEach(function(form) {
+            form.addEventListener('submit', function(event) {
+                if (!form.checkValidity()) {
+                    event.preventDefault();
+                    event.stopPropagation();
+                }
+
+                form.classList.add('was-validated');
+            }, false);
+        });
+    }
+
+    // A confirmation field is invalid while it differs from the field it repeats
+    function initPasswordConfirmation() {
+        document.querySelectorAll('input[data-confirm-password]').forEach(function(confirmField) {
+            const passwordField = document.getElementById(confirmField.dataset.confirmPassword);
+            if (!passwordField) {
+                return;
+            }
+
+            const check = function() {
+                const mismatch = confirmField.value !== passwordField.value;
+                confirmField.setCustomValidity(mismatch ? (confirmField.dataset.labelMismatch || '') : '');
+            };
+
+            confirmField.addEventListener('input', check);
+            passwordField.addEventListener('input', function() {
+                if (confirmField.value) {
+                    check();
+                }
+            });
+        });
+    }
+
+    function initLanguageSwitcher() {
+        document.querySelectorAll('#langSwitcher + .dropdown-menu [data-lang]').forEach(function(item) {
+            item.addEventListener('click', function(e) {
+                e.preventDefault();
+                const lang = this.dataset.lang;
+                UserSettings.set('language', lang);
+                window.location.href = BASE_URL + '/login?lang=' + encodeURIComponent(lang);
+            });
+        });
+    }
+
+    // Sidebar section toggle (no Bootstrap collapse - instant, no flicker)
+    function initSidebarSections() {
+        document.querySelectorAll('.sidebar .nav-section-header[role="button"]').forEach(function(header) {
+            header.addEventListener('click', function() {
+                const target = document.querySelector(header.getAttribute('data-bs-target'));
+                if (target) {
+                    const isShown = target.classList.toggle('show');
+                    header.setAttribute('aria-expanded', isShown);
+                }
+            });
+        });
+    }
+
+    // Mobile sidebar toggle functionality
+    function initMobileSidebar() {
+        const sidebar = document.getElementById('sidebarNav');
+        const sidebarContent = document.getElementById('sidebarContent');
+        if (!sidebar || !sidebarContent) {
+            return;
+        }
+
+        function collapse() {
+            return new bootstrap.Collapse(sidebarContent, { toggle: false });
+        }
+
+        // Handle sidebar toggle buttons (hamburger menu)
+        document.querySelectorAll('.sidebar-toggle').forEach(function(button) {
+            button.addEventListener('click', function() {
+                if (sidebarContent.classList.contains('show')) {
+                    collapse().hide();
+                } else {
+                    collapse().show();
+                }
+
+                // Also toggle sidebar visibility on mobile
+                sidebar.classList.toggle('show');
+            });
+        });
+
+        // Handle sidebar close buttons (X button)
+        document.querySelectorAll('.sidebar-close').forEach(function(button) {
+            button.addEventListener('click', function() {
+                collapse().hide();
+                sidebar.classList.remove('show');
+            });
+        });
+
+        // Close sidebar when clicking outside on mobile
+        document.addEventListener('click', function(event) {
+            const isClickInsideSidebar = sidebar.contains(event.target);
+            const isToggleButton = event.target.closest('.sidebar-toggle');
+
+            if (!isClickInsideSidebar && !isToggleButton && window.innerWidth < 768) {
+                sidebar.classList.remove('show');
+                collapse().hide();
+            }
+        });
+
+        // Ensure sidebar content is visible on desktop
+        window.addEventListener('resize', function() {
+            if (window.innerWidth >= 768) {
+                sidebar.classList.remove('show');
+                collapse().show();
+            }
+        });
+    }
+
+    // The page content is parsed by the time this script runs
+    initBootstrapComponents();
+    initFormValidation();
+    initPasswordConfirmation();
+    initLanguageSwitcher();
+    initSidebarSections();
+
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', initMobileSidebar);
+    } else {
+        initMobileSidebar();
+    }
+
+    // Public API
+    return {
+        initBootstrapComponents
+    };
+})();
@@ -0,0 +1,81 @@
+/*  Poweradmin, a friendly web-based admin tool for PowerDNS.
+ *  See <https://www.poweradmin.org> for more details.
+ *
+ *  Copyright 2007-2010 Rejo Zenger <rejo@zenger.nl>
+ *  Copyright 2010-2026 Poweradmin Development Team
+ *
+ *  This program is free software: you can redistribute it and/or modify
+ *  it under the terms of the GNU General Public License as published by
+ *  the Free Software Foundation, either version 3 of the License, or
+ *  (at your option) any later version.
+ *
+ *  This program is distributed in the hope that it will be useful,
+ *  but WITHOUT ANY WARRANTY; without even the implied warranty of
+ *  MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ *  GNU General Public License for more details.
+ *
+ *  You should have received a copy of the GNU General Public License
+ *  along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+
+
+/**
+ * LogViewer - Details dialog and export of the log pages
+ *
+ * The details dialog (data-log-details) shows the raw entry of the row that
+ * opened it, one key per line. Set data-log-keys="strong" on it to emphasise
+ * the keys. The copy button (data-log-copy) copies the raw entry and shows
+ * its data-label-copied text for a moment. The export button
+ * (data-log-export) reloads the page with the chosen export format.
+ */
+const LogViewer = (function() {
+    let rawText = '';
+
+    function escapeHtml(text) {
+        return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+    }
+
+    function exportLogs() {
+        const format = document.querySelector('input[name="exportFormat"]:checked').value;
+        const params = new URLSearchParams(window.location.search);
+        params.set('export', format);
+        params.delete('start');
+        window.location.href = window.location.pathname + '?' + params.toString();
+    }
+
+    function showDetails(modal, event) {
+        rawText = event.relatedTarget.getAttribute('data-bs-content') || '';
+        const key = modal.dataset.logKeys === 'strong' ? '<br><strong>$1</strong>:' : '<br>$1:';
+        const formatted = escapeHtml(rawText).replace(/(\w+):/g, key).replace(/^<br>/, '');
+        modal.querySelector('.modal-body').innerHTML = '<div class="log-details">' + formatted + '</div>';
+    }
+
+    function copyDetails(button) {
+        navigator.clipboard.writeText(rawText).then(function() {
+            const original = button.innerHTML;
+            button.innerHTML = '<i class="bi bi-check me-1 text-success"></i>';
+            button.append(button.dataset.labelCopied || '');
+            setTimeout(function() { button.innerHTML = original; }, 1500);
+        });
+    }
+
+    function init() {
+        document.querySelectorAll('[data-log-details]').forEach(function(modal) {
+            modal.addEventListener('show.bs.modal', event => showDetails(modal, event));
+            modal.querySelectorAll('[data-log-copy]').forEach(button => button.addEventListener('click', () => copyDetails(button)));
+        });
+        document.querySelectorAll('[data-log-export]').forEach(button => button.addEventListener('click', exportLogs));
+    }
+
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', init);
+    } else {
+        init();
+    }
+
+    // Public API
+    return {
+        exportLogs
+    };
+})();
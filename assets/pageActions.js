@@ -0,0 +1,115 @@
+/*  Poweradmin, a friendly web-based admin tool for PowerDNS.
+ *  See <https://www.poweradmin.org> for more details.
+ *
+ *  Copyright 2007-2010 Rejo Zenger <rejo@zenger.nl>
+ *  Copyright 2010-2026 Poweradmin Development Team
+ *
+ *  This program is free software: you can redistribute it and/or modify
+ *  it under the terms of the GNU General Public License as published by
+ *  the Free Software Foundation, either version 3 of the License, or
+ *  (at your option) any later version.
+ *
+ *  This program is distributed in the hope that it will be useful,
+ *  but WITHOUT ANY WARRANTY; without even the implied warranty of
+ *  MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ *  GNU General Public License for more details.
+ *
+ *  You should have received a copy of the GNU General Public License
+ *  along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+
+
+/**
+ * PageActions - Runs page functions from data attributes instead of inline handlers
+ *
+ * Inline handlers such as onclick are blocked by a Content-Security-Policy
+ * without 'unsafe-inline'. Elements name a registered action instead:
+ *
+ *   <button data-action-click="showPassword" data-action-args='["password", "eye"]'>
+ *   <select data-action-change="changeRowsPerPage" data-action-args='["$value"]'>
+ *
+ * The arguments are a JSON array, where "$value" stands for the value of the
+ * element and "$this" for the element itself. Actions run with the element as
+ * this and receive the event as last argument. Returning false prevents the
+ * default action, and links never navigate. Only registered functions can be
+ * called, so injected markup cannot reach other globals.
+ */
+const PageActions = (function() {
+    const EVENTS = ['click', 'change', 'input', 'submit'];
+
+    const actions = {
+        historyBack: () => history.back()
+    };
+
+    /**
+     * Register actions
+     * @param {string|Object<string, Function>} name Action name, or an object of actions
+     * @param {Function} [handler] Function run by the action
+     */
+    function register(name, handler) {
+        if (typeof name === 'object') {
+            Object.entries(name).forEach(([key, value]) => register(key, value));
+            return;
+        }
+        actions[name] = handler;
+    }
+
+    /**
+     * Resolve the arguments of an element
+     * @param {HTMLElement} element Element carrying the action
+     * @returns {Array}
+     */
+    function argumentsOf(element) {
+        let args = [];
+        if (element.dataset.actionArgs) {
+            try {
+                args = JSON.parse(element.dataset.actionArgs);
+            } catch (e) {
+                console.error('Invalid action arguments', element.dataset.actionArgs);
+            }
+        }
+
+        return (Array.isArray(args) ? args : [args]).map(arg => {
+            if (arg === '$value') {
+                return element.value;
+            }
+            return arg === '$this' ? element : arg;
+        });
+    }
+
+    /**
+     * Run the action an event is meant for
+     * @param {Event} event
+     */
+    function dispatch(event) {
+        const attribute = 'data-action-' + event.type;
+        const element = event.target.closest ? event.target.closest('[' + attribute + ']') : null;
+        if (!element) {
+            return;
+        }
+
+        const name = element.getAttribute(attribute);
+        const handler = actions[name];
+        if (typeof handler !== 'function') {
+            console.error('Unknown page action', name);
+            return;
+        }
+
+        if (event.type === 'click' && element.tagName === 'A') {
+            event.preventDefault();
+        }
+
+        const result = handler.apply(element, argumentsOf(element).concat(event));
+        if (result === false) {
+            event.preventDefault();
+        }
+    }
+
+    EVENTS.forEach(type => document.addEventListener(type, dispatch));
+
+    // Public API
+    return {
+        register
+    };
+})();
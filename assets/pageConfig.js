@@ -0,0 +1,62 @@
+/*  Poweradmin, a friendly web-based admin tool for PowerDNS.
+ *  See <https://www.poweradmin.org> for more details.
+ *
+ *  Copyright 2007-2010 Rejo Zenger <rejo@zenger.nl>
+ *  Copyright 2010-2026 Poweradmin Development Team
+ *
+ *  This program is free software: you can redistribute it and/or modify
+ *  it under the terms of the GNU General Public License as published by
+ *  the Free Software Foundation, either version 3 of the License, or
+ *  (at your option) any later version.
+ *
+ *  This program is distributed in the hope that it will be useful,
+ *  but WITHOUT ANY WARRANTY; without even the implied warranty of
+ *  MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ *  GNU General Public License for more details.
+ *
+ *  You should have received a copy of the GNU General Public License
+ *  along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+
+
+/**
+ * PageConfig - Reads the page configuration rendered by the server
+ *
+ * The header renders the configuration as a JSON element instead of an inline
+ * script, so pages work under a Content-Security-Policy without
+ * 'unsafe-inline'. The globals used by the other scripts are set from it.
+ */
+const PageConfig = (function() {
+    const element = document.getElementById('page-config');
+
+    let config = {};
+    if (element) {
+        try {
+            config = JSON.parse(element.textContent) || {};
+        } catch (e) {
+            console.error('Invalid page configuration', e);
+        }
+    }
+
+    window.BASE_URL_PREFIX = config.baseUrlPrefix || '';
+    window.SESSION_USER_ID = config.sessionUserId || 0;
+    if (config.userSettings) {
+        window.USER_SETTINGS = config.userSettings;
+    }
+
+    /**
+     * Get a configuration value
+     * @param {string} key Configuration key
+     * @param {*} fallback Value returned when the key is missing
+     * @returns {*}
+     */
+    function get(key, fallback = null) {
+        return key in config ? config[key] : fallback;
+    }
+
+    // Public API
+    return {
+        get
+    };
+})();
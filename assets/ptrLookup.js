@@ -0,0 +1,163 @@
+/*  Poweradmin, a friendly web-based admin tool for PowerDNS.
+ *  See <https://www.poweradmin.org> for more details.
+ *
+ *  Copyright 2007-2010 Rejo Zenger <rejo@zenger.nl>
+ *  Copyright 2010-2026 Poweradmin Development Team
+ *
+ *  This program is free software: you can redistribute it and/or modify
+ *  it under the terms of the GNU General Public License as published by
+ *  the Free Software Foundation, either version 3 of the License, or
+ *  (at your option) any later version.
+ *
+ *  This program is distributed in the hope that it will be useful,
+ *  but WITHOUT ANY WARRANTY; without even the implied warranty of
+ *  MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ *  GNU General Public License for more details.
+ *
+ *  You should have received a copy of the GNU General Public License
+ *  along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+
+
+/**
+ * PtrLookup - Find the PTR record of an IP address
+ *
+ * Computes the reverse name of an IPv4/IPv6 address or network in the browser
+ * and asks the server which visible reverse zone holds it. The server takes
+ * RFC 2317 delegations into account, so the record name may differ from the
+ * plain reverse name (e.g. 70.64/26.2.1.10.in-addr.arpa).
+ *
+ * Used by the command palette; lookup() resolves to the zone, the PTR records
+ * and the links to show them or to create a missing one.
+ */
+const PtrLookup = (function() {
+    // Lookup endpoint, see ListReverseZonesController::ptr()
+    const ENDPOINT = (window.BASE_URL_PREFIX || '') + '/zones/reverse/ptr';
+
+    /**
+     * Expand an IPv6 address to 32 hex digits
+     * @param {string} text - Address, with or without "::"
+     * @returns {string|null} Hex digits, or null if the address is invalid
+     */
+    function expandIPv6(text) {
+        const halves = text.toLowerCase().split('::');
+        if (halves.length > 2) {
+            return null;
+        }
+        const head = halves[0] ? halves[0].split(':') : [];
+        const tail = halves.length === 2 && halves[1] ? halves[1].split(':') : [];
+        const missing = 8 - head.length - tail.length;
+        if (missing < 0 || (halves.length === 1 && missing !== 0)) {
+            return null;
+        }
+        const groups = head.concat(new Array(halves.length === 2 ? missing : 0).fill('0'), tail);
+        if (groups.length !== 8 || groups.some(group => !/^[0-9a-f]{1,4}$/.test(group))) {
+            return null;
+        }
+        return groups.map(group => group.padStart(4, '0')).join('');
+    }
+
+    /**
+     * Compute the reverse name of an address or network
+     *
+     * Networks are cut to the octet (IPv4) or nibble (IPv6) boundary at or
+     * above the prefix, so 10.1.0.0/20 gives 1.10.in-addr.arpa. IPv4 networks
+     * smaller than a /24 keep their prefix in RFC 2317 form.
+     *
+     * @param {string} text - "10.1.2.3", "10.1.2.0/24", "2001:db8::1" or "2001:db8::/32"
+     * @returns {{name: string, address: string, isAddress: boolean}|null} Reverse name
+     */
+    function reverseName(text) {
+        const [address, prefixText] = text.trim().split('/', 2);
+        if (!address || (prefixText !== undefined && !/^\d{1,3}$/.test(prefixText))) {
+            return null;
+        }
+
+        if (/^\d{1,3}(\.\d{1,3}){3}$/.test(address)) {
+            const octets = address.split('.');
+            const prefix = prefixText === undefined ? 32 : Number(prefixText);
+            if (octets.some(octet => Number(octet) > 255) || prefix < 8 || prefix > 32) {
+                return null;
+            }
+            const labels = octets.slice(0, Math.floor(prefix / 8)).map(Number).reverse();
+            if (prefix > 24 && prefix < 32) {
+                // Classless networks use the RFC 2317 form, e.g. 64/26.2.1.10.in-addr.arpa
+                const start = Number(octets[3]) & (256 - (1 << (32 - prefix)));
+                labels.unshift(start + '/' + prefix);
+            }
+            return {
+                name: labels.join('.') + '.in-addr.arpa',
+                address: text.trim(),
+                isAddress: prefix === 32
+            };
+        }
+
+        if (address.includes(':')) {
+            const hex = expandIPv6(address);
+            const prefix = prefixText === undefined ? 128 : Number(prefixText);
+            if (hex === null || prefix < 4 || prefix > 128) {
+                return null;
+            }
+            const nibbles = hex.slice(0, Math.floor(prefix / 4)).split('').reverse();
+            return {
+                name: nibbles.join('.') + '.ip6.arpa',
+                address: text.trim(),
+                isAddress: prefix === 128
+            };
+        }
+
+        return null;
+    }
+
+    /**
+     * Look up the reverse zone and PTR records of an address
+     * @param {string} text - Address or network
+     * @param {AbortSignal} signal - Optional signal to cancel the request
+     * @returns {Promise<Object|null>} Lookup result with zone, records and links, or null for invalid input
+     */
+    async function lookup(text, signal) {
+        const reverse = reverseName(text);
+        if (!reverse) {
+            return null;
+        }
+
+        const response = await fetch(ENDPOINT + '?name=' + encodeURIComponent(reverse.name), {
+            headers: {
+                'Accept': 'application/json'
+            },
+            signal: signal
+        });
+        const result = await response.json();
+        if (!response.ok) {
+            throw new Error(result.message || 'PTR lookup failed');
+        }
+
+        const base = window.BASE_URL_PREFIX || '';
+        result.address = reverse.address;
+        result.isAddress = reverse.isAddress;
+        if (result.zone) {
+            const zoneUrl = base + '/zones/' + result.zone.id + '/edit';
+            result.zone.url = zoneUrl;
+            result.records.forEach(function(record) {
+                record.url = zoneUrl + '?search=' + encodeURIComponent(result.record_name)
+                    + '&record_type=PTR#record-' + encodeURIComponent(record.id);
+            });
+            if (result.record_name) {
+                // The add form takes the name relative to the zone
+                const suffix = '.' + result.zone.name.toLowerCase();
+                const relative = result.record_name.endsWith(suffix)
+                    ? result.record_name.slice(0, -suffix.length)
+                    : result.record_name;
+                result.createUrl = base + '/zones/' + result.zone.id + '/records/add?type=PTR&name=' + encodeURIComponent(relative);
+            }
+        }
+        return result;
+    }
+
+    // Public API
+    return {
+        reverseName,
+        lookup
+    };
+})();
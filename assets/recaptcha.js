@@ -0,0 +1,107 @@
+/*  Poweradmin, a friendly web-based admin tool for PowerDNS.
+ *  See <https://www.poweradmin.org> for more details.
+ *
+ *  Copyright 2007-2010 Rejo Zenger <rejo@zenger.nl>
+ *  Copyright 2010-2026 Poweradmin Development Team
+ *
+ *  This program is free software: you can redistribute it and/or modify
+ *  it under the terms of the GNU General Public License as published by
+ *  the Free Software Foundation, either version 3 of the License, or
+ *  (at your option) any later version.
+ *
+ *  This program is distributed in the hope that it will be useful,
+ *  but WITHOUT ANY WARRANTY; without even the implied warranty of
+ *  MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ *  GNU General Public License for more details.
+ *
+ *  You should have received a copy of the GNU General Public License
+ *  along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+
+
+/**
+ * Recaptcha - Fills in the reCAPTCHA v3 token of a form
+ *
+ * Reads its settings from the hidden g-recaptcha-response field:
+ * data-recaptcha-site-key and data-recaptcha-action. With
+ * data-recaptcha-on="submit" the token is requested when the form is
+ * submitted, and data-recaptcha-error is shown if that fails. Otherwise the
+ * token is requested once the page has loaded.
+ */
+const Recaptcha = (function() {
+    function execute(field) {
+        return new Promise(function(resolve, reject) {
+            grecaptcha.ready(function() {
+                grecaptcha.execute(field.dataset.recaptchaSiteKey, { action: field.dataset.recaptchaAction })
+                    .then(function(token) {
+                        field.value = token;
+                        resolve(token);
+                    }, reject);
+            });
+        });
+    }
+
+    function protectSubmit(field) {
+        const form = field.form;
+        const submitButton = form.querySelector('button[type="submit"]');
+        let isSubmitting = false;
+
+        form.addEventListener('submit', function(e) {
+            if (isSubmitting) {
+                return;
+            }
+
+            e.preventDefault();
+            isSubmitting = true;
+            submitButton.disabled = true;
+
+            execute(field).then(function() {
+                // Add the parameter that would normally come from the submit button
+                if (submitButton.name) {
+                    const buttonInput = document.createElement('input');
+                    buttonInput.type = 'hidden';
+                    buttonInput.name = submitButton.name;
+                    buttonInput.value = '1';
+                    form.appendChild(buttonInput);
+                }
+
+                form.submit();
+            }).catch(function(error) {
+                console.error('reCAPTCHA error:', error);
+                isSubmitting = false;
+                submitButton.disabled = false;
+                alert(field.dataset.recaptchaError);
+            });
+        });
+    }
+
+    function init() {
+        const field = document.querySelector('#g-recaptcha-response[data-recaptcha-site-key]');
+        if (!field) {
+            return;
+        }
+
+        if (typeof grecaptcha === 'undefined') {
+            console.error('reCAPTCHA failed to load. Check your site key and domain configuration.');
+            return;
+        }
+
+        if (field.dataset.recaptchaOn === 'submit') {
+            protectSubmit(field);
+        } else {
+            execute(field);
+        }
+    }
+
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', init);
+    } else {
+        init();
+    }
+
+    // Public API
+    return {
+        execute
+    };
+})();
@@ -0,0 +1,323 @@
+/*  Poweradmin, a friendly web-based admin tool for PowerDNS.
+ *  See <https://www.poweradmin.org> for more details.
+ *
+ *  Copyright 2007-2010 Rejo Zenger <rejo@zenger.nl>
+ *  Copyright 2010-2026 Poweradmin Development Team
+ *
+ *  This program is free software: you can redistribute it and/or modify
+ *  it under the terms of the GNU General Public License as published by
+ *  the Free Software Foundation, either version 3 of the License, or
+ *  (at your option) any later version.
+ *
+ *  This program is distributed in the hope that it will be useful,
+ *  but WITHOUT ANY WARRANTY; without even the implied warranty of
+ *  MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ *  GNU General Public License for more details.
+ *
+ *  You should have received a copy of the GNU General Public License
+ *  along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+
+
+/**
+ * RecordReplace - Search-and-replace in the content of selected search results
+ *
+ * The dialog takes the text to find and its replacement, asks
+ * ReplaceRecordsController::preview() for the content of every selected record
+ * before and after the change and shows it in a table. Apply sends only the
+ * records the preview showed as changing to ReplaceRecordsController::apply(),
+ * shows the outcome of each one and runs the search again.
+ *
+ * Editing the find or replace fields invalidates the preview, so what is
+ * applied is always what was shown.
+ *
+ * Markup:
+ *   <button data-record-replace-open disabled></button> (inside the record results form)
+ *   <div class="modal" id="replaceRecordsModal">
+ *       <form data-record-replace data-preview-url="/zones/records/replace/preview"
+ *             data-apply-url="/zones/records/replace" data-label-*="...">
+ *           <input name="find"> <input name="replace"> <input type="checkbox" name="match" value="substring">
+ *           <span data-replace-count></span> <div data-replace-status></div>
+ *           <table hidden><tbody data-replace-rows></tbody></table>
+ *           <button type="submit"></button> <button type="button" data-replace-apply></button>
+ *       </form>
+ *   </div>
+ */
+const RecordReplace = (function() {
+    /**
+     * Create an element with optional class and text
+     * @param {string} tag - Tag name
+     * @param {string} className - Class attribute
+     * @param {string} text - Text content
+     * @returns {Element} Element
+     */
+    function element(tag, className, text) {
+        const node = document.createElement(tag);
+        if (className) {
+            node.className = className;
+        }
+        if (text !== undefined) {
+            node.textContent = text;
+        }
+        return node;
+    }
+
+    /**
+     * Count the records per status
+     * @param {Object[]} records - Records with a status
+     * @returns {Object<string, number>} Count per status
+     */
+    function countStatuses(records) {
+        const counts = {};
+        records.forEach(function(record) {
+            counts[record.status] = (counts[record.status] || 0) + 1;
+        });
+        return counts;
+    }
+
+    /**
+     * Get the checked record boxes of the search results
+     * @returns {HTMLInputElement[]} Checked boxes
+     */
+    function selectedBoxes() {
+        return [...document.querySelectorAll('#search-results input[name="record_id[]"]:checked')];
+    }
+
+    /**
+     * Set up the replace dialog
+     * @param {Element} form - Replace form inside the modal
+     */
+    function init(form) {
+        const labels = form.dataset;
+        const modalElement = form.closest('.modal');
+        const findInput = form.querySelector('input[name="find"]');
+        const replaceInput = form.querySelector('input[name="replace"]');
+        const matchInput = form.querySelector('input[name="match"]');
+        const countLabel = form.querySelector('[data-replace-count]');
+        const status = form.querySelector('[data-replace-status]');
+        const body = form.querySelector('[data-replace-rows]');
+        const table = body.closest('table');
+        const previewButton = form.querySelector('button[type="submit"]');
+        const applyButton = form.querySelector('[data-replace-apply]');
+
+        const BADGES = {
+            change: ['bg-primary', labels.labelChange],
+            unchanged: ['bg-light text-dark border', labels.labelUnchanged],
+            updated: ['bg-success', labels.labelUpdated],
+            failed: ['bg-danger', labels.labelFailed],
+            denied: ['bg-warning text-dark', labels.labelSkipped],
+            skipped: ['bg-warning text-dark', labels.labelSkipped],
+            missing: ['bg-warning text-dark', labels.labelSkipped]
+        };
+
+        let recordIds = [];
+        let token = '';
+        // Records of the last preview that will change
+        let changeIds = [];
+        let busy = false;
+
+        function showStatus(message, className) {
+            status.className = 'small mb-2 ' + (className || 'text-muted');
+            status.textContent = message || '';
+        }
+
+        function render(records) {
+            body.replaceChildren();
+            records.forEach(function(record) {
+                const tr = element('tr');
+                tr.dataset.status = record.status;
+                tr.appendChild(element('td', 'small', record.zone || ''));
+                tr.appendChild(element('td', 'small', record.name || String(record.id)));
+                tr.appendChild(element('td', 'small', record.type || ''));
+                const before = element('td');
+                before.appendChild(element('code', 'text-break', record.before || ''));
+                tr.appendChild(before);
+                const after = element('td');
+                after.appendChild(element('code', 'text-break' + (record.after !== record.before ? ' text-success' : ''), record.after || ''));
+                tr.appendChild(after);
+                const statusCell = element('td');
+                const [badgeClass, badgeText] = BADGES[record.status] || BADGES.failed;
+                statusCell.appendChild(element('span', 'badge ' + badgeClass, badgeText));
+                if (record.message) {
+                    statusCell.appendChild(element('div', 'small text-muted', record.message));
+                }
+                tr.appendChild(statusCell);
+                body.appendChild(tr);
+            });
+            table.hidden = records.length === 0;
+        }
+
+        function reset() {
+            changeIds = [];
+            applyButton.disabled = true;
+            body.replaceChildren();
+            table.hidden = true;
+            showStatus('');
+        }
+
+        /**
+         * Post the dialog fields with the given records
+         * @param {string} url - Endpoint
+         * @param {Array<string>} ids - Record IDs
+         * @returns {Promise<Object>} Decoded response
+         */
+        async function send(url, ids) {
+            const params = new URLSearchParams();
+            params.append('_token', token);
+            ids.forEach(id => params.append('record_id[]', id));
+            params.append('find', findInput.value);
+            params.append('replace', replaceInput.value);
+            params.append('match', matchInput.checked ? matchInput.value : 'content');
+
+            const response = await fetch(url, {
+                method: 'POST',
+                headers: {
+                    'Accept': 'application/json',
+                    'Content-Type': 'application/x-www-form-urlencoded'
+                },
+                body: params.toString()
+            });
+
+            let result = null;
+            try {
+                result = await response.json();
+            } catch (error) {
+                // Reported as a failed request below
+            }
+            if (!response.ok || !result) {
+                throw new Error(result?.message || labels.labelRequestFailed);
+            }
+            return result;
+        }
+
+        async function preview() {
+            reset();
+            busy = true;
+            previewButton.disabled = true;
+            showStatus(labels.labelLoading);
+            try {
+                const result = await send(labels.previewUrl, recordIds);
+                render(result.records);
+                changeIds = result.records.filter(record => record.status === 'change').map(record => String(record.id));
+                applyButton.disabled = changeIds.length === 0;
+                showStatus(labels.labelPreview
+                    .replace('{changes}', countStatuses(result.records).change || 0)
+                    .replace('{total}', result.records.length));
+            } catch (error) {
+                console.error('Error previewing the replace:', error);
+                showStatus(error.message, 'text-danger');
+            } finally {
+                busy = false;
+                previewButton.disabled = false;
+            }
+        }
+
+        async function apply() {
+            busy = true;
+            previewButton.disabled = true;
+            applyButton.disabled = true;
+            showStatus(labels.labelApplying);
+            try {
+                const result = await send(labels.applyUrl, changeIds);
+                changeIds = [];
+                render(result.results);
+                showStatus(labels.labelApplied
+                    .replace('{updated}', result.updated)
+                    .replace('{zones}', result.zones)
+                    .replace('{failed}', result.failed), result.failed > 0 ? 'text-danger' : 'text-success');
+
+                if (result.updated > 0 && document.search_form) {
+                    document.search_form.requestSubmit();
+                }
+            } catch (error) {
+                console.error('Error applying the replace:', error);
+                showStatus(error.message, 'text-danger');
+                applyButton.disabled = changeIds.length === 0;
+            } finally {
+                busy = false;
+                previewButton.disabled = false;
+            }
+        }
+
+        function open(button) {
+            const boxes = selectedBoxes();
+            if (boxes.length === 0) {
+                return;
+            }
+            recordIds = boxes.map(box => box.value);
+            token = button.form?.querySelector('input[name="_token"]')?.value || '';
+            countLabel.textContent = recordIds.length;
+            reset();
+            bootstrap.Modal.getOrCreateInstance(modalElement).show();
+        }
+
+        form.addEventListener('submit', function(event) {
+            event.preventDefault();
+            if (busy) {
+                return;
+            }
+            if (!form.checkValidity()) {
+                form.classList.add('was-validated');
+                return;
+            }
+            preview();
+        });
+
+        [findInput, replaceInput, matchInput].forEach(function(input) {
+            input.addEventListener(input === matchInput ? 'change' : 'input', function() {
+                if (!busy && changeIds.length > 0) {
+                    reset();
+                }
+            });
+        });
+
+        applyButton.addEventListener('click', function() {
+            if (!busy && changeIds.length > 0) {
+                apply();
+            }
+        });
+
+        modalElement.addEventListener('shown.bs.modal', () => findInput.focus());
+
+        // The results get replaced by instant search, so the button is found by delegation
+        document.addEventListener('click', function(event) {
+            const button = event.target.closest('[data-record-replace-open]');
+            if (button && !button.disabled) {
+                open(button);
+            }
+        });
+
+        function updateOpenButton() {
+            const button = document.querySelector('[data-record-replace-open]');
+            if (button) {
+                button.disabled = selectedBoxes().length === 0;
+            }
+        }
+
+        const results = document.getElementById('search-results');
+        if (results) {
+            results.addEventListener('change', updateOpenButton);
+            results.addEventListener('search:updated', updateOpenButton);
+        }
+        updateOpenButton();
+    }
+
+    /**
+     * Set up the replace dialog on the page
+     */
+    function initAll() {
+        document.querySelectorAll('form[data-record-replace]').forEach(init);
+    }
+
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', initAll);
+    } else {
+        initAll();
+    }
+
+    // Public API
+    return {
+        countStatuses
+    };
+})();
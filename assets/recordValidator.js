@@ -0,0 +1,267 @@
+/*  Poweradmin, a friendly web-based admin tool for PowerDNS.
+ *  See <https://www.poweradmin.org> for more details.
+ *
+ *  Copyright 2007-2010 Rejo Zenger <rejo@zenger.nl>
+ *  Copyright 2010-2026 Poweradmin Development Team
+ *
+ *  This program is free software: you can redistribute it and/or modify
+ *  it under the terms of the GNU General Public License as published by
+ *  the Free Software Foundation, either version 3 of the License, or
+ *  (at your option) any later version.
+ *
+ *  This program is distributed in the hope that it will be useful,
+ *  but WITHOUT ANY WARRANTY; without even the implied warranty of
+ *  MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ *  GNU General Public License for more details.
+ *
+ *  You should have received a copy of the GNU General Public License
+ *  along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+/**
+ * RecordValidator - Live record validation against the internal validation API
+ *
+ * Any element marked with data-record-validator is treated as one record: its
+ * name, type, content, TTL and priority fields are validated server-side while
+ * the user types, and the error is shown inline on the field it belongs to.
+ * The zone is taken from the nearest data-zone-id, an existing record from
+ * data-record-id on the marked element.
+ */
+const RecordValidator = (function() {
+    // API endpoint for record validation
+    const API_ENDPOINT = (window.BASE_URL_PREFIX || '') + '/api/internal/validation?action=validate_record';
+
+    // Delay after the last keystroke before the record is sent for validation
+    const DEBOUNCE_MS = 500;
+
+    const SCOPE_SELECTOR = '[data-record-validator]';
+    const FIELD_PATTERN = /(?:^|\[)(name|type|content|ttl|prio)\]?$/;
+
+    // Server-side field keys that point at more than one input
+    const FIELD_TARGETS = {
+        'name': ['name'],
+        'content': ['content'],
+        'ttl': ['ttl'],
+        'prio': ['prio'],
+        'name-content-duplicate': ['content', 'name'],
+        'dns-violation': ['name', 'type'],
+        'record-conflict': ['name', 'type'],
+        'cname-conflict': ['name', 'type']
+    };
+
+    const timers = new WeakMap();
+    const requests = new WeakMap();
+
+    // Set once the endpoint answers 401/403 (e.g. API disabled), so pages
+    // fall back to server-side validation on submit without further requests.
+    let unavailable = false;
+
+    /**
+     * Get the record field key ('name', 'type', ...) for an input
+     * @param {Element} element - Form control
+     * @returns {string|null} Field key or null if the control is not a record field
+     */
+    function fieldKey(element) {
+        const name = element.getAttribute ? element.getAttribute('name') : null;
+        if (!name) {
+            return null;
+        }
+        const match = name.match(FIELD_PATTERN);
+        return match ? match[1] : null;
+    }
+
+    /**
+     * Find the record fields inside a scope element
+     * @param {Element} scope - Element marked with data-record-validator
+     * @returns {Object} Map of field key to form control
+     */
+    function collectFields(scope) {
+        const fields = {};
+        scope.querySelectorAll('input, select, textarea').forEach(function(element) {
+            const key = fieldKey(element);
+            if (key && !fields[key]) {
+                fields[key] = element;
+            }
+        });
+        return fields;
+    }
+
+    /**
+     * Remove all validation messages shown for a record
+     * @param {Element} scope - Element marked with data-record-validator
+     */
+    function reset(scope) {
+        scope.querySelectorAll('.record-validation-feedback').forEach(function(feedback) {
+            feedback.remove();
+        });
+        scope.querySelectorAll('.record-validation-invalid').forEach(function(element) {
+            element.classList.remove('is-invalid', 'record-validation-invalid');
+        });
+        delete scope.dataset.recordInvalid;
+    }
+
+    /**
+     * Show the server's error message on the matching fields of a record
+     * @param {Element} scope - Element marked with data-record-validator
+     * @param {string} field - Field key reported by the API
+     * @param {string} message - Error message to show
+     */
+    function showError(scope, field, message) {
+        reset(scope);
+
+        const fields = collectFields(scope);
+        const targets = (FIELD_TARGETS[field] || ['content']).filter(key => fields[key] && fields[key].type !== 'hidden');
+        if (targets.length === 0 && fields.content) {
+            targets.push('content');
+        }
+
+        targets.forEach(function(key, index) {
+            const element = fields[key];
+            element.classList.add('is-invalid', 'record-validation-invalid');
+
+            if (index === 0) {
+                const feedback = document.createElement('div');
+                feedback.className = 'invalid-feedback d-block record-validation-feedback';
+                feedback.textContent = message;
+                (element.closest('td') || element.parentElement).appendChild(feedback);
+            }
+        });
+
+        scope.dataset.recordInvalid = 'true';
+    }
+
+    /**
+     * Send a record to the validation API and show the result
+     * @param {Element} scope - Element marked with data-record-validator
+     * @returns {Promise} Promise that resolves when the result has been applied
+     */
+    async function validate(scope) {
+        if (unavailable) {
+            return;
+        }
+
+        const fields = collectFields(scope);
+        if (!fields.type || !fields.content || fields.content.value.trim() === '') {
+            // Empty content is left to the form's own required check
+            reset(scope);
+            return;
+        }
+
+        const zoneHolder = scope.closest('[data-zone-id]');
+        const payload = {
+            zone_id: zoneHolder ? zoneHolder.dataset.zoneId : 0,
+            name: fields.name ? fields.name.value.trim() : '',
+            type: fields.type.value,
+            content: fields.content.value.trim(),
+            ttl: fields.ttl ? fields.ttl.value.trim() : '',
+            prio: fields.prio ? fields.prio.value.trim() : ''
+        };
+        if (scope.dataset.recordId) {
+            payload.record_id = scope.dataset.recordId;
+        }
+
+        // Only the latest request for a record counts
+        const previous = requests.get(scope);
+        if (previous) {
+            previous.abort();
+        }
+        const controller = new AbortController();
+        requests.set(scope, controller);
+
+        try {
+            const response = await fetch(API_ENDPOINT, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Accept': 'application/json'
+                },
+                body: JSON.stringify(payload),
+                signal: controller.signal
+            });
+
+            if (response.status === 401 || response.status === 403) {
+                unavailable = true;
+                reset(scope);
+                return;
+            }
+
+            if (!response.ok) {
+                reset(scope);
+                return;
+            }
+
+            const data = await response.json();
+            if (data.valid) {
+                reset(scope);
+            } else {
+                const errors = Object.values(data.errors || {});
+                showError(scope, data.field || 'content', errors.join(' '));
+            }
+        } catch (error) {
+            if (error.name !== 'AbortError') {
+                console.error('Error validating record:', error);
+                reset(scope);
+            }
+        } finally {
+            if (requests.get(scope) === controller) {
+                requests.delete(scope);
+            }
+        }
+    }
+
+    /**
+     * Validate a record once the user has stopped typing
+     * @param {Element} scope - Element marked with data-record-validator
+     */
+    function schedule(scope) {
+        clearTimeout(timers.get(scope));
+        timers.set(scope, setTimeout(function() {
+            timers.delete(scope);
+            validate(scope);
+        }, DEBOUNCE_MS));
+    }
+
+    function handleFieldEvent(event) {
+        const target = event.target;
+        if (!(target instanceof Element) || !fieldKey(target)) {
+            return;
+        }
+        const scope = target.closest(SCOPE_SELECTOR);
+        if (scope) {
+            schedule(scope);
+        }
+    }
+
+    // Keep the user on the page while a record still shows a server error
+    function handleSubmit(event) {
+        const form = event.target;
+        if (!(form instanceof HTMLFormElement)) {
+            return;
+        }
+
+        const scopes = [...form.querySelectorAll(SCOPE_SELECTOR + '[data-record-invalid="true"]')];
+        if (scopes.length === 0) {
+            return;
+        }
+
+        event.preventDefault();
+        event.stopPropagation();
+
+        const firstInvalid = scopes[0].querySelector('.record-validation-invalid');
+        if (firstInvalid) {
+            firstInvalid.focus();
+        }
+    }
+
+    // Delegated listeners also cover rows added later and content inputs
+    // that are re-rendered when the record type changes.
+    document.addEventListener('input', handleFieldEvent);
+    document.addEventListener('change', handleFieldEvent);
+    document.addEventListener('submit', handleSubmit, true);
+
+    // Public API
+    return {
+        validate,
+        reset
+    };
+})();
@@ -0,0 +1,120 @@
+/*  Poweradmin, a friendly web-based admin tool for PowerDNS.
+ *  See <https://www.poweradmin.org> for more details.
+ *
+ *  Copyright 2007-2010 Rejo Zenger <rejo@zenger.nl>
+ *  Copyright 2010-2026 Poweradmin Development Team
+ *
+ *  This program is free software: you can redistribute it and/or modify
+ *  it under the terms of the GNU General Public License as published by
+ *  the Free Software Foundation, either version 3 of the License, or
+ *  (at your option) any later version.
+ *
+ *  This program is distributed in the hope that it will be useful,
+ *  but WITHOUT ANY WARRANTY; without even the implied warranty of
+ *  MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ *  GNU General Public License for more details.
+ *
+ *  You should have received a copy of the GNU General Public License
+ *  along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+
+
+/**
+ * RecoveryCodes - Print, copy and download the MFA recovery codes
+ *
+ * The codes are read from the code elements of the list, so they are not
+ * repeated in a script. The printout and the download start with the
+ * data-label-title and data-label-notice texts of the list.
+ *
+ * Markup:
+ *   <div data-recovery-codes data-label-title="..." data-label-notice="...">
+ *       <code>1234-5678</code> ...
+ *   </div>
+ *   <button data-action-click="printRecoveryCodes"></button> (copyAllCodes, downloadCodes)
+ */
+const RecoveryCodes = (function() {
+    /**
+     * The list of recovery codes
+     * @returns {?Element} List element
+     */
+    function list() {
+        return document.querySelector('[data-recovery-codes]');
+    }
+
+    /**
+     * Read the recovery codes shown on the page
+     * @returns {string[]} Codes
+     */
+    function codes() {
+        const container = list();
+        return container ? Array.from(container.querySelectorAll('code'), code => code.textContent.trim()) : [];
+    }
+
+    function copyAllCodes() {
+        const text = codes().join('\n');
+        if (navigator.clipboard) {
+            navigator.clipboard.writeText(text);
+            return;
+        }
+
+        const tempElement = document.createElement('textarea');
+        tempElement.value = text;
+        document.body.appendChild(tempElement);
+        tempElement.select();
+        document.execCommand('copy');
+        document.body.removeChild(tempElement);
+    }
+
+    function printRecoveryCodes() {
+        const container = list();
+        if (!container) {
+            return;
+        }
+
+        const page = document.createElement('div');
+        page.style.padding = '20px';
+        const title = document.createElement('h2');
+        title.textContent = container.dataset.labelTitle || '';
+        const notice = document.createElement('p');
+        notice.textContent = container.dataset.labelNotice || '';
+        const grid = document.createElement('div');
+        grid.style.cssText = 'display: grid; grid-template-columns: 1fr 1fr; gap: 10px; font-family: monospace; font-size: 14px;';
+        codes().forEach(code => {
+            const item = document.createElement('div');
+            item.textContent = code;
+            grid.appendChild(item);
+        });
+        page.append(title, notice, grid);
+
+        // Print only the codes, then put the page back
+        const original = Array.from(document.body.childNodes);
+        document.body.replaceChildren(page);
+        window.print();
+        document.body.replaceChildren(...original);
+    }
+
+    function downloadCodes() {
+        const container = list();
+        const title = container ? container.dataset.labelTitle || '' : '';
+        const notice = container ? container.dataset.labelNotice || '' : '';
+        const text = title + '\n\n' + notice + '\n\n' + codes().map(code => code + '\n').join('');
+
+        const blob = new Blob([text], { type: 'text/plain' });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = 'poweradmin-recovery-codes.txt';
+        link.click();
+    }
+
+    PageActions.register({
+        printRecoveryCodes,
+        copyAllCodes,
+        downloadCodes
+    });
+
+    // Public API
+    return {
+        codes
+    };
+})();
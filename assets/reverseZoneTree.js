@@ -0,0 +1,541 @@
+/*  Poweradmin, a friendly web-based admin tool for PowerDNS.
+ *  See <https://www.poweradmin.org> for more details.
+ *
+ *  Copyright 2007-2010 Rejo Zenger <rejo@zenger.nl>
+ *  Copyright 2010-2026 Poweradmin Development Team
+ *
+ *  This program is free software: you can redistribute it and/or modify
+ *  it under the terms of the GNU General Public License as published by
+ *  the Free Software Foundation, either version 3 of the License, or
+ *  (at your option) any later version.
+ *
+ *  This program is distributed in the hope that it will be useful,
+ *  but WITHOUT ANY WARRANTY; without even the implied warranty of
+ *  MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ *  GNU General Public License for more details.
+ *
+ *  You should have received a copy of the GNU General Public License
+ *  along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+
+
+/**
+ * ReverseZoneTree - Network tree of the reverse zones
+ *
+ * Nests in-addr.arpa and ip6.arpa zones under the networks that contain them,
+ * e.g. 10.0.0.0/8 > 10.1.0.0/16 > 10.1.2.0/24 > 10.1.2.64/26 (RFC 2317).
+ * Parent networks without a zone of their own are added as groups, so gaps in
+ * the coverage show up as missing children. Children are only rendered when
+ * their parent is expanded for the first time.
+ *
+ * Markup:
+ *   <div data-reverse-zone-tree data-url="/zones/reverse/tree"
+ *        data-zone-url="/zones/{id}/edit" data-label-*="...">
+ *       <input data-tree-search> <button data-tree-collapse></button>
+ *       <div data-tree-status></div>
+ *       <ul data-tree-root></ul>
+ *   </div>
+ *
+ * The zones come from ListReverseZonesController::tree(), which resolves the
+ * network of each zone name on the server.
+ */
+const ReverseZoneTree = (function() {
+    // Address size per family
+    const BITS = { 4: 32, 6: 128 };
+
+    // Prefix lengths at which missing parent networks are added as groups
+    const GROUP_PREFIXES = { 4: [8, 16, 24], 6: [16, 32, 48] };
+
+    // Delay before searching while the user is typing (ms)
+    const SEARCH_DELAY = 250;
+
+    /**
+     * Create an element with optional class and text
+     * @param {string} tag - Tag name
+     * @param {string} className - Class attribute
+     * @param {string} text - Text content
+     * @returns {Element} New element
+     */
+    function element(tag, className, text) {
+        const node = document.createElement(tag);
+        if (className) {
+            node.className = className;
+        }
+        if (text !== undefined && text !== null) {
+            node.textContent = String(text);
+        }
+        return node;
+    }
+
+    /**
+     * Parse an IPv4 address, allowing shorthand like "10.1"
+     * @param {string} text - Address
+     * @returns {{value: bigint, octets: number}|null} Address as number
+     */
+    function parseIPv4(text) {
+        const parts = text.split('.');
+        if (parts.length > 4 || parts.some(part => !/^\d{1,3}$/.test(part) || Number(part) > 255)) {
+            return null;
+        }
+        let value = 0n;
+        for (let i = 0; i < 4; i++) {
+            value = (value << 8n) + BigInt(i < parts.length ? Number(parts[i]) : 0);
+        }
+        return { value: value, octets: parts.length };
+    }
+
+    /**
+     * Parse an IPv6 address, with or without "::"
+     * @param {string} text - Address
+     * @returns {bigint|null} Address as number
+     */
+    function parseIPv6(text) {
+        const halves = text.split('::');
+        if (halves.length > 2) {
+            return null;
+        }
+        const head = halves[0] ? halves[0].split(':') : [];
+        const tail = halves.length === 2 && halves[1] ? halves[1].split(':') : [];
+        const missing = 8 - head.length - tail.length;
+        if ((halves.length === 1 && missing !== 0) || missing < 0) {
+            return null;
+        }
+        const groups = head.concat(new Array(halves.length === 2 ? missing : 0).fill('0'), tail);
+        if (groups.length !== 8 || groups.some(group => !/^[0-9a-f]{1,4}$/i.test(group))) {
+            return null;
+        }
+        return groups.reduce((value, group) => (value << 16n) + BigInt(parseInt(group, 16)), 0n);
+    }
+
+    /**
+     * Parse an address or a network in CIDR notation
+     * @param {string} text - "10.1.2.3", "10.1", "10.1.0.0/16", "2001:db8::/32"
+     * @returns {{family: number, value: bigint, prefix: number}|null} Network
+     */
+    function parseNetwork(text) {
+        const [address, prefixText] = text.trim().split('/', 2);
+        if (!address) {
+            return null;
+        }
+
+        let family;
+        let value;
+        let prefix;
+        if (address.includes(':')) {
+            family = 6;
+            value = parseIPv6(address);
+            prefix = 128;
+        } else {
+            const parsed = parseIPv4(address);
+            family = 4;
+            value = parsed ? parsed.value : null;
+            prefix = parsed ? parsed.octets * 8 : 32;
+        }
+        if (value === null) {
+            return null;
+        }
+
+        if (prefixText !== undefined) {
+            if (!/^\d{1,3}$/.test(prefixText) || Number(prefixText) > BITS[family]) {
+                return null;
+            }
+            prefix = Number(prefixText);
+        }
+
+        return { family: family, value: mask(value, prefix, family), prefix: prefix };
+    }
+
+    /**
+     * Clear the host bits of an address
+     * @param {bigint} value - Address
+     * @param {number} prefix - Prefix length
+     * @param {number} family - 4 or 6
+     * @returns {bigint} Network address
+     */
+    function mask(value, prefix, family) {
+        const hostBits = BigInt(BITS[family] - prefix);
+        return (value >> hostBits) << hostBits;
+    }
+
+    /**
+     * Format a network in CIDR notation
+     * @param {Object} node - Node with family, value and prefix
+     * @returns {string} e.g. "10.1.0.0/16" or "2001:db8::/32"
+     */
+    function formatNetwork(node) {
+        if (node.family === 4) {
+            const octets = [24n, 16n, 8n, 0n].map(shift => Number((node.value >> shift) & 255n));
+            return octets.join('.') + '/' + node.prefix;
+        }
+
+        const groups = [];
+        for (let shift = 112n; shift >= 0n; shift -= 16n) {
+            groups.push(Number((node.value >> shift) & 0xffffn).toString(16));
+        }
+
+        // Compress the longest run of zero groups, as inet_ntop does
+        let bestStart = -1;
+        let bestLength = 1;
+        for (let i = 0; i < 8; i++) {
+            let length = 0;
+            while (i + length < 8 && groups[i + length] === '0') {
+                length++;
+            }
+            if (length > bestLength) {
+                bestStart = i;
+                bestLength = length;
+            }
+        }
+        let text = groups.join(':');
+        if (bestStart >= 0) {
+            text = groups.slice(0, bestStart).join(':') + '::' + groups.slice(bestStart + bestLength).join(':');
+        }
+        return text + '/' + node.prefix;
+    }
+
+    /**
+     * Nest the zones under their networks
+     * @param {Array} zones - Zones from the tree endpoint
+     * @returns {{roots: Object, other: Array}} Root nodes per family and zones without a network
+     */
+    function buildTree(zones) {
+        const nodes = new Map();
+        const other = [];
+        const key = (family, value, prefix) => family + '|' + value.toString(16) + '/' + prefix;
+
+        function nodeFor(family, value, prefix) {
+            const nodeKey = key(family, value, prefix);
+            if (!nodes.has(nodeKey)) {
+                nodes.set(nodeKey, {
+                    family: family,
+                    value: value,
+                    prefix: prefix,
+                    zones: [],
+                    children: [],
+                    zoneCount: 0,
+                    recordCount: 0
+                });
+            }
+            return nodes.get(nodeKey);
+        }
+
+        zones.forEach(function(zone) {
+            const network = zone.network && parseNetwork(zone.network.network + '/' + zone.network.prefix);
+            if (!network) {
+                other.push(zone);
+                return;
+            }
+            nodeFor(network.family, network.value, network.prefix).zones.push(zone);
+        });
+
+        [...nodes.values()].forEach(function(node) {
+            GROUP_PREFIXES[node.family]
+                .filter(prefix => prefix < node.prefix)
+                .forEach(prefix => nodeFor(node.family, mask(node.value, prefix, node.family), prefix));
+        });
+
+        // Parents have shorter prefixes, so they are placed before their children
+        const sorted = [...nodes.values()].sort((a, b) => a.prefix - b.prefix);
+        const roots = { 4: [], 6: [] };
+        sorted.forEach(function(node) {
+            let parent = null;
+            for (let prefix = node.prefix - 1; prefix >= 0 && !parent; prefix--) {
+                parent = nodes.get(key(node.family, mask(node.value, prefix, node.family), prefix)) || null;
+            }
+            node.parent = parent;
+            (parent ? parent.children : roots[node.family]).push(node);
+        });
+
+        // Children before parents when summing up
+        sorted.reverse().forEach(function(node) {
+            node.zoneCount += node.zones.length;
+            node.recordCount += node.zones.reduce((sum, zone) => sum + zone.records, 0);
+            if (node.parent) {
+                node.parent.zoneCount += node.zoneCount;
+                node.parent.recordCount += node.recordCount;
+            }
+        });
+
+        const byAddress = (a, b) => (a.value < b.value ? -1 : a.value > b.value ? 1 : a.prefix - b.prefix);
+        nodes.forEach(node => node.children.sort(byAddress));
+        roots[4].sort(byAddress);
+        roots[6].sort(byAddress);
+
+        return { roots: roots, other: other };
+    }
+
+    /**
+     * Set up the tree view
+     * @param {Element} root - Element with the data-reverse-zone-tree attribute
+     */
+    function init(root) {
+        const labels = root.dataset;
+        const list = root.querySelector('[data-tree-root]');
+        const status = root.querySelector('[data-tree-status]');
+        const search = root.querySelector('[data-tree-search]');
+        const collapse = root.querySelector('[data-tree-collapse]');
+        let tree = null;
+        let highlighted = null;
+        let searchTimer = null;
+
+        /**
+         * Link to a zone with its badges
+         * @param {Object} zone - Zone from the tree endpoint
+         * @returns {Element} Zone link
+         */
+        function renderZone(zone) {
+            const wrapper = element('span', 'd-inline-flex align-items-center gap-1');
+            const link = element('a', 'text-decoration-none', zone.name);
+            link.href = labels.zoneUrl.replace('{id}', zone.id);
+            wrapper.appendChild(link);
+            wrapper.appendChild(element('span', 'badge text-bg-light border', zone.type));
+            if (zone.network && zone.network.classless) {
+                const badge = element('span', 'badge text-bg-info', 'RFC 2317');
+                badge.title = labels.labelClassless;
+                wrapper.appendChild(badge);
+            }
+            if (zone.disabled) {
+                wrapper.appendChild(element('span', 'badge bg-danger', labels.labelDisabled));
+            }
+            return wrapper;
+        }
+
+        /**
+         * Counter with an icon, labelled by its title
+         * @param {string} icon - Bootstrap icon name
+         * @param {string} text - Counter text
+         * @param {string} title - Tooltip
+         * @returns {Element} Counter
+         */
+        function counter(icon, text, title) {
+            const span = element('span', 'text-nowrap');
+            span.title = title;
+            span.appendChild(element('i', 'bi bi-' + icon + ' me-1'));
+            span.appendChild(document.createTextNode(text));
+            return span;
+        }
+
+        /**
+         * Render one network with a collapsed child list
+         * @param {Object} node - Tree node
+         * @returns {Element} List item
+         */
+        function renderNode(node) {
+            const item = element('li');
+            item.setAttribute('role', 'treeitem');
+            const row = element('div', 'd-flex flex-wrap align-items-center gap-2 px-1 py-1 rounded');
+
+            if (node.children.length > 0) {
+                const toggle = element('button', 'btn btn-link btn-sm p-0 text-secondary');
+                toggle.type = 'button';
+                toggle.setAttribute('aria-label', labels.labelExpand);
+                toggle.appendChild(element('i', 'bi bi-chevron-right'));
+                toggle.addEventListener('click', () => setExpanded(node, !node.expanded));
+                row.appendChild(toggle);
+                item.setAttribute('aria-expanded', 'false');
+            } else {
+                const spacer = element('span', 'd-inline-block');
+                spacer.style.width = '1rem';
+                row.appendChild(spacer);
+            }
+
+            row.appendChild(element('span', 'font-monospace' + (node.zones.length > 0 ? ' fw-semibold' : ' text-muted'), formatNetwork(node)));
+            if (node.zones.length > 0) {
+                node.zones.forEach(zone => row.appendChild(renderZone(zone)));
+            } else {
+                row.appendChild(element('span', 'small text-muted fst-italic', labels.labelNoZone));
+            }
+
+            const counters = element('span', 'ms-auto d-flex gap-3 small text-muted');
+            counters.appendChild(counter('collection', node.zoneCount, labels.labelZones));
+            counters.appendChild(counter('list-ul', node.recordCount, labels.labelRecords));
+
+            // Coverage of the next group level, e.g. how many /24 of a /16 have zones
+            const childPrefix = GROUP_PREFIXES[node.family].find(prefix => prefix > node.prefix);
+            if (childPrefix !== undefined && node.children.length > 0) {
+                const covered = node.children.filter(child => child.prefix === childPrefix).length;
+                const total = (2n ** BigInt(childPrefix - node.prefix)).toLocaleString();
+                counters.appendChild(counter('grid-3x3-gap', covered + '/' + total + ' /' + childPrefix, labels.labelCoverage));
+            }
+            row.appendChild(counters);
+
+            item.appendChild(row);
+            node.element = item;
+            node.row = row;
+            node.childList = null;
+            node.expanded = false;
+            return item;
+        }
+
+        /**
+         * Expand or collapse a network, rendering its children on first use
+         * @param {Object} node - Tree node
+         * @param {boolean} expanded - New state
+         */
+        function setExpanded(node, expanded) {
+            if (node.children.length === 0) {
+                return;
+            }
+            if (expanded && !node.childList) {
+                node.childList = element('ul', 'list-unstyled ms-4 mb-0');
+                node.childList.setAttribute('role', 'group');
+                node.children.forEach(child => node.childList.appendChild(renderNode(child)));
+                node.element.appendChild(node.childList);
+            }
+            node.expanded = expanded;
+            node.childList.hidden = !expanded;
+            node.element.setAttribute('aria-expanded', expanded ? 'true' : 'false');
+            const icon = node.row.querySelector('.bi-chevron-right, .bi-chevron-down');
+            icon.className = 'bi ' + (expanded ? 'bi-chevron-down' : 'bi-chevron-right');
+        }
+
+        /**
+         * Render the top level of both families and the zones without a network
+         */
+        function render() {
+            list.replaceChildren();
+            [4, 6].forEach(function(family) {
+                if (tree.roots[family].length === 0) {
+                    return;
+                }
+                const heading = element('li', 'small fw-semibold text-muted text-uppercase mt-2 mb-1', family === 4 ? 'IPv4' : 'IPv6');
+                list.appendChild(heading);
+                tree.roots[family].forEach(node => list.appendChild(renderNode(node)));
+            });
+
+            if (tree.other.length > 0) {
+                list.appendChild(element('li', 'small fw-semibold text-muted text-uppercase mt-2 mb-1', labels.labelOther));
+                tree.other.forEach(function(zone) {
+                    const item = element('li', 'px-1 py-1');
+                    item.appendChild(renderZone(zone));
+                    list.appendChild(item);
+                });
+            }
+
+            if (list.children.length === 0) {
+                list.appendChild(element('li', 'text-muted', labels.labelEmpty));
+            }
+        }
+
+        /**
+         * Expand the path to the most specific network containing the query
+         * @param {string} text - Address or prefix
+         */
+        function find(text) {
+            if (highlighted) {
+                highlighted.classList.remove('bg-warning-subtle');
+                highlighted = null;
+            }
+            status.textContent = '';
+            if (!tree || text.trim() === '') {
+                return;
+            }
+
+            const query = parseNetwork(text);
+            if (!query) {
+                status.textContent = labels.labelInvalid;
+                return;
+            }
+
+            let match = null;
+            let candidates = tree.roots[query.family];
+            while (candidates) {
+                const next = candidates.find(node => node.prefix <= query.prefix
+                    && mask(query.value, node.prefix, query.family) === node.value);
+                if (!next) {
+                    break;
+                }
+                match = next;
+                candidates = next.children;
+            }
+            if (!match) {
+                status.textContent = labels.labelNotFound;
+                return;
+            }
+
+            const path = [];
+            for (let node = match.parent; node; node = node.parent) {
+                path.unshift(node);
+            }
+            path.forEach(node => setExpanded(node, true));
+
+            // A group without a zone of its own means the query is not covered
+            let covering = match;
+            while (covering && covering.zones.length === 0) {
+                covering = covering.parent;
+            }
+            status.textContent = covering
+                ? labels.labelCoveredBy + ' ' + covering.zones.map(zone => zone.name).join(', ')
+                : labels.labelNotFound;
+
+            highlighted = match.row;
+            highlighted.classList.add('bg-warning-subtle');
+            highlighted.scrollIntoView({ block: 'nearest' });
+        }
+
+        async function load() {
+            status.textContent = labels.labelLoading;
+            try {
+                const response = await fetch(labels.url, {
+                    headers: {
+                        'Accept': 'application/json'
+                    }
+                });
+                const result = await response.json();
+                if (!response.ok) {
+                    throw new Error(result.message || 'Loading reverse zones failed');
+                }
+                tree = buildTree(result.zones);
+                render();
+                status.textContent = result.truncated ? labels.labelTruncated : '';
+                if (search.value.trim() !== '') {
+                    find(search.value);
+                }
+            } catch (error) {
+                console.error('Error loading reverse zones:', error);
+                status.textContent = labels.labelError;
+            }
+        }
+
+        search.addEventListener('input', function() {
+            clearTimeout(searchTimer);
+            searchTimer = setTimeout(() => find(search.value), SEARCH_DELAY);
+        });
+        search.addEventListener('keydown', function(event) {
+            if (event.key === 'Enter') {
+                event.preventDefault();
+                clearTimeout(searchTimer);
+                find(search.value);
+            }
+        });
+        collapse?.addEventListener('click', function() {
+            if (tree) {
+                highlighted = null;
+                status.textContent = '';
+                render();
+            }
+        });
+
+        load();
+    }
+
+    /**
+     * Set up every tree on the page
+     */
+    function initAll() {
+        document.querySelectorAll('[data-reverse-zone-tree]').forEach(init);
+    }
+
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', initAll);
+    } else {
+        initAll();
+    }
+
+    // Public API
+    return {
+        parseNetwork,
+        formatNetwork
+    };
+})();
@@ -0,0 +1,259 @@
+/*  Poweradmin, a friendly web-based admin tool for PowerDNS.
+ *  See <https://www.poweradmin.org> for more details.
+ *
+ *  Copyright 2007-2010 Rejo Zenger <rejo@zenger.nl>
+ *  Copyright 2010-2026 Poweradmin Development Team
+ *
+ *  This program is free software: you can redistribute it and/or modify
+ *  it under the terms of the GNU General Public License as published by
+ *  the Free Software Foundation, either version 3 of the License, or
+ *  (at your option) any later version.
+ *
+ *  This program is distributed in the hope that it will be useful,
+ *  but WITHOUT ANY WARRANTY; without even the implied warranty of
+ *  MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ *  GNU General Public License for more details.
+ *
+ *  You should have received a copy of the GNU General Public License
+ *  along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+
+
+/**
+ * SavedSearches - Named saved searches and recent searches on the search page
+ *
+ * Both lists are kept in the UserSettings store, so they are saved as user
+ * preferences and follow the user to other devices, while users sharing a
+ * browser do not see each other's lists. An entry holds all
+ * search form fields as URL query string, without the page numbers, and
+ * its link opens the search page with that search.
+ *
+ * Markup:
+ *   <div data-saved-searches data-search-url="/search" data-label-*="...">
+ *       <ul data-search-history></ul>
+ *       <ul data-saved-search-list></ul>
+ *       <form data-saved-search-form><input name="saved_search_name"></form>
+ *       <div data-saved-search-status></div>
+ *   </div>
+ */
+const SavedSearches = (function() {
+    const MAX_SAVED = 50;
+    const MAX_HISTORY = 10;
+
+    // Wait until a search has settled before adding it to the history
+    const HISTORY_DELAY = 2000;
+
+    // A saved search starts on the first page
+    const SKIPPED_PARAMS = ['zones_page', 'records_page'];
+
+    /**
+     * Create an element with optional class and text
+     * @param {string} tag - Tag name
+     * @param {string} className - Class attribute
+     * @param {string} text - Text content
+     * @returns {Element} Element
+     */
+    function element(tag, className, text) {
+        const node = document.createElement(tag);
+        if (className) {
+            node.className = className;
+        }
+        if (text !== undefined) {
+            node.textContent = text;
+        }
+        return node;
+    }
+
+    /**
+     * Short description of the filters of a search
+     * @param {string} params - Search form fields as query string
+     * @returns {string} Filters such as "type:MX content:spf"
+     */
+    function describe(params) {
+        const fields = new URLSearchParams(params);
+        return ['type', 'content']
+            .filter(name => fields.get(name + '_filter'))
+            .map(name => name + ':' + fields.get(name + '_filter'))
+            .join(' ');
+    }
+
+    /**
+     * Put a search on top of the history
+     * @param {Object[]} history - Recent searches, newest first
+     * @param {Object} entry - Search with query and params
+     * @returns {Object[]} New history without older copies of the search
+     */
+    function addToHistory(history, entry) {
+        return [entry].concat(history.filter(search => search.params !== entry.params)).slice(0, MAX_HISTORY);
+    }
+
+    /**
+     * Save a search under a name, replacing a search with the same name
+     * @param {Object[]} saved - Saved searches
+     * @param {string} name - Name
+     * @param {string} params - Search form fields as query string
+     * @returns {Object[]} New list sorted by name
+     */
+    function saveSearch(saved, name, params) {
+        const key = name.toLowerCase();
+        return saved.filter(search => search.name.toLowerCase() !== key)
+            .concat([{ name: name, params: params }])
+            .sort((a, b) => a.name.localeCompare(b.name))
+            .slice(0, MAX_SAVED);
+    }
+
+    /**
+     * Set up the saved and recent searches
+     * @param {Element} root - Element with data-saved-searches
+     */
+    function init(root) {
+        const labels = root.dataset;
+        const form = document.forms.search_form;
+        const container = document.querySelector('[data-search-results]');
+        const historyList = root.querySelector('[data-search-history]');
+        const savedList = root.querySelector('[data-saved-search-list]');
+        const saveForm = root.querySelector('[data-saved-search-form]');
+        const status = root.querySelector('[data-saved-search-status]');
+        if (!form || typeof UserSettings === 'undefined' || typeof InstantSearch === 'undefined') {
+            return;
+        }
+
+        let historyTimer = null;
+
+        /**
+         * Fields of the current search
+         * @returns {string} Query string, empty without a query
+         */
+        function currentParams() {
+            const params = InstantSearch.formParams(form);
+            SKIPPED_PARAMS.forEach(name => params.delete(name));
+            return (params.get('query') || '').trim() === '' ? '' : params.toString();
+        }
+
+        function searchLink(params, text, detail) {
+            const link = element('a', 'dropdown-item text-truncate', text);
+            link.href = labels.searchUrl + '?' + params;
+            if (detail) {
+                link.appendChild(element('small', 'text-muted ms-2', detail));
+            }
+            return link;
+        }
+
+        function renderHistory() {
+            const history = UserSettings.get('search_history');
+            const fragment = document.createDocumentFragment();
+            history.forEach(function(search) {
+                const item = element('li');
+                item.appendChild(searchLink(search.params, search.query, describe(search.params)));
+                fragment.appendChild(item);
+            });
+
+            if (history.length === 0) {
+                fragment.appendChild(element('li', 'dropdown-item-text small text-muted', labels.labelNoHistory));
+            } else {
+                fragment.appendChild(element('li')).appendChild(element('hr', 'dropdown-divider'));
+                const clear = element('button', 'dropdown-item small text-danger', labels.labelClearHistory);
+                clear.type = 'button';
+                clear.addEventListener('click', () => UserSettings.set('search_history', []));
+                fragment.appendChild(element('li')).appendChild(clear);
+            }
+            historyList.replaceChildren(fragment);
+        }
+
+        function renderSaved() {
+            const saved = UserSettings.get('saved_searches');
+            const fragment = document.createDocumentFragment();
+            saved.forEach(function(search) {
+                const item = element('li', 'd-flex align-items-center');
+                item.appendChild(searchLink(search.params, search.name, new URLSearchParams(search.params).get('query')));
+
+                const remove = element('button', 'btn btn-sm btn-link text-danger');
+                remove.type = 'button';
+                remove.title = labels.labelDelete;
+                remove.setAttribute('aria-label', labels.labelDelete + ': ' + search.name);
+                remove.appendChild(element('i', 'bi bi-x-lg'));
+                remove.addEventListener('click', function() {
+                    UserSettings.set('saved_searches', UserSettings.get('saved_searches').filter(entry => entry.name !== search.name));
+                });
+                item.appendChild(remove);
+                fragment.appendChild(item);
+            });
+
+            if (saved.length === 0) {
+                fragment.appendChild(element('li', 'dropdown-item-text small text-muted', labels.labelNoSaved));
+            }
+            savedList.replaceChildren(fragment);
+        }
+
+        function recordSearch() {
+            clearTimeout(historyTimer);
+            const params = currentParams();
+            if (params === '') {
+                return;
+            }
+            const entry = { query: form.elements.query.value.trim(), params: params };
+            UserSettings.set('search_history', addToHistory(UserSettings.get('search_history'), entry));
+        }
+
+        saveForm.addEventListener('submit', async function(event) {
+            event.preventDefault();
+            const input = saveForm.elements.saved_search_name;
+            const name = input.value.trim();
+            const params = currentParams();
+            if (params === '') {
+                status.textContent = labels.labelNoQuery;
+                return;
+            }
+            if (name === '') {
+                input.focus();
+                return;
+            }
+
+            const saved = UserSettings.get('saved_searches');
+            if (saved.length >= MAX_SAVED && !saved.some(search => search.name.toLowerCase() === name.toLowerCase())) {
+                status.textContent = labels.labelTooMany;
+                return;
+            }
+            input.value = '';
+            status.textContent = labels.labelSaved.replace('{name}', name);
+            UserSettings.set('saved_searches', saveSearch(saved, name, params));
+        });
+
+        UserSettings.subscribe('search_history', renderHistory);
+        UserSettings.subscribe('saved_searches', renderSaved);
+        renderHistory();
+        renderSaved();
+
+        // Searches run while typing only count once the user stops
+        container?.addEventListener('search:updated', function() {
+            clearTimeout(historyTimer);
+            historyTimer = setTimeout(recordSearch, HISTORY_DELAY);
+        });
+
+        // A search the page was loaded with, from the form or a link
+        if (container?.children.length > 0) {
+            recordSearch();
+        }
+    }
+
+    /**
+     * Set up the saved searches on the page
+     */
+    function initAll() {
+        document.querySelectorAll('[data-saved-searches]').forEach(init);
+    }
+
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', initAll);
+    } else {
+        initAll();
+    }
+
+    // Public API
+    return {
+        describe,
+        addToHistory,
+        saveSearch
+    };
+})();
@@ -0,0 +1,395 @@
+/*  Poweradmin, a friendly web-based admin tool for PowerDNS.
+ *  See <https://www.poweradmin.org> for more details.
+ *
+ *  Copyright 2007-2010 Rejo Zenger <rejo@zenger.nl>
+ *  Copyright 2010-2026 Poweradmin Development Team
+ *
+ *  This program is free software: you can redistribute it and/or modify
+ *  it under the terms of the GNU General Public License as published by
+ *  the Free Software Foundation, either version 3 of the License, or
+ *  (at your option) any later version.
+ *
+ *  This program is distributed in the hope that it will be useful,
+ *  but WITHOUT ANY WARRANTY; without even the implied warranty of
+ *  MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ *  GNU General Public License for more details.
+ *
+ *  You should have received a copy of the GNU General Public License
+ *  along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+
+
+/**
+ * SessionWatchdog - Warns before the session expires and signs in again in place
+ *
+ * The session lifetime is tracked from /session/status, which does not count
+ * as activity and changes nothing in the session. One minute before the session ends a dialog offers to extend
+ * it. Once it has ended, the dialog asks for the password again, and a form
+ * submitted in the meantime is held back and sent after the new login.
+ */
+const SessionWatchdog = (function() {
+    const BASE_URL = window.BASE_URL_PREFIX || '';
+
+    // Warn this long before the session expires (ms)
+    const WARN_BEFORE = 60 * 1000;
+
+    // Re-check the status this often while the warning is shown (ms)
+    const WARNING_POLL = 15 * 1000;
+
+    // Retry delay after a failed status request (ms)
+    const RETRY_DELAY = 30 * 1000;
+
+    let root = null;
+    let modal = null;
+    let expiresAt = 0;
+    let expired = false;
+    let mfaRequired = false;
+    let loginToken = '';
+    let sessionToken = '';
+    let pending = null;
+    let checkTimer = null;
+    let countdownTimer = null;
+
+    /**
+     * Fetch the session status without refreshing the session
+     * @returns {Promise<Object>} Status reported by the server
+     */
+    async function fetchStatus() {
+        const response = await fetch(BASE_URL + '/session/status', {
+            credentials: 'same-origin',
+            cache: 'no-store',
+            headers: { 'Accept': 'application/json' }
+        });
+        if (!response.ok) {
+            throw new Error('Session status request failed: ' + response.status);
+        }
+        return response.json();
+    }
+
+    /**
+     * Post form fields without following the redirect that answers them
+     * @param {string} path - Path below the base URL
+     * @param {Object} fields - Field names and values
+     * @returns {Promise<Response>} Response, of type "opaqueredirect" on a redirect
+     */
+    function post(path, fields) {
+        return fetch(BASE_URL + path, {
+            method: 'POST',
+            credentials: 'same-origin',
+            redirect: 'manual',
+            headers: { 'Accept': 'application/json' },
+            body: new URLSearchParams(fields)
+        });
+    }
+
+    /**
+     * Get a login token for signing in again from the dialog
+     * @param {boolean} afterLogin - Whether a login attempt just failed, to receive its error
+     * @returns {Promise<Object>} Login token, whether a second factor is pending and the last login error
+     */
+    async function prepareLogin(afterLogin) {
+        const response = await post('/session/login', { after_login: afterLogin ? '1' : '0' });
+        if (!response.ok) {
+            throw new Error('Login preparation failed: ' + response.status);
+        }
+        return response.json();
+    }
+
+    /**
+     * Current CSRF token of the session
+     *
+     * Taken from the last status report, or from the page config before the
+     * first one, since not every page has a form carrying the token.
+     * @returns {string} Token
+     */
+    function csrfToken() {
+        return sessionToken || (window.USER_SETTINGS && window.USER_SETTINGS.csrfToken) || '';
+    }
+
+    /**
+     * Schedule the next status check
+     * @param {number} delay - Delay in ms
+     */
+    function scheduleCheck(delay) {
+        clearTimeout(checkTimer);
+        checkTimer = setTimeout(check, Math.max(delay, 1000));
+    }
+
+    /**
+     * Ask the server how long the session has left and act on the answer
+     */
+    async function check() {
+        let status;
+        try {
+            status = await fetchStatus();
+        } catch (error) {
+            console.error('Error checking session:', error);
+            scheduleCheck(RETRY_DELAY);
+            return;
+        }
+
+        if (status.authenticated) {
+            // A held back form goes out as soon as the session turns out to be fine
+            if (pending) {
+                onSignedIn(status);
+            } else {
+                onActive(status);
+            }
+        } else {
+            onExpired();
+        }
+    }
+
+    /**
+     * Track an active session, warning when it is about to end
+     * @param {Object} status - Status with remaining seconds
+     */
+    function onActive(status) {
+        expired = false;
+        if (status.csrf_token) {
+            sessionToken = status.csrf_token;
+        }
+        expiresAt = Date.now() + status.remaining * 1000;
+
+        const left = expiresAt - Date.now();
+        if (left <= WARN_BEFORE) {
+            showPane('warning');
+            startCountdown();
+            scheduleCheck(Math.min(left, WARNING_POLL));
+        } else {
+            stopCountdown();
+            modal.hide();
+            scheduleCheck(left - WARN_BEFORE);
+        }
+    }
+
+    /**
+     * Switch the dialog to the sign-in form
+     * @param {boolean} [afterLogin=false] - Whether a login attempt from the dialog just failed
+     */
+    async function onExpired(afterLogin = false) {
+        expired = true;
+        clearTimeout(checkTimer);
+        stopCountdown();
+
+        let login;
+        try {
+            login = await prepareLogin(afterLogin);
+        } catch (error) {
+            console.error('Error preparing login:', error);
+            scheduleCheck(RETRY_DELAY);
+            return;
+        }
+
+        loginToken = login.login_token || '';
+        mfaRequired = Boolean(login.mfa_required);
+
+        const error = root.querySelector('[data-session-error]');
+        error.textContent = login.message || '';
+        error.hidden = !login.message;
+        root.querySelector('[data-session-mfa]').hidden = !mfaRequired;
+        root.querySelector('[data-session-pending]').hidden = pending === null;
+        const credentials = root.querySelector('[data-session-credentials]');
+        if (credentials) {
+            credentials.hidden = mfaRequired;
+        }
+
+        showPane('expired');
+        const password = root.querySelector('#session_password');
+        if (password) {
+            password.value = '';
+            password.focus();
+        }
+    }
+
+    /**
+     * Show one pane of the dialog
+     * @param {string} name - "warning" or "expired"
+     */
+    function showPane(name) {
+        root.querySelectorAll('[data-session-pane]').forEach(pane => {
+            pane.hidden = pane.dataset.sessionPane !== name;
+        });
+        modal.show();
+    }
+
+    /**
+     * Count the seconds down in the warning dialog
+     */
+    function startCountdown() {
+        const counter = root.querySelector('[data-session-countdown]');
+        const tick = () => {
+            const seconds = Math.max(0, Math.ceil((expiresAt - Date.now()) / 1000));
+            counter.textContent = seconds;
+            if (seconds === 0) {
+                stopCountdown();
+                check();
+            }
+        };
+
+        stopCountdown();
+        tick();
+        countdownTimer = setInterval(tick, 1000);
+    }
+
+    function stopCountdown() {
+        clearInterval(countdownTimer);
+        countdownTimer = null;
+    }
+
+    /**
+     * Keep the session alive
+     */
+    async function extend() {
+        try {
+            const response = await post('/session/extend', { _token: csrfToken() });
+            if (response.ok) {
+                onActive(await response.json());
+                return;
+            }
+        } catch (error) {
+            console.error('Error extending session:', error);
+        }
+
+        // Redirected to the login page or rejected: find out why
+        check();
+    }
+
+    /**
+     * Sign in again through the login form, or re-check after signing in elsewhere
+     * @param {Event} event - Submit event of the sign-in form
+     */
+    async function login(event) {
+        event.preventDefault();
+
+        // After the password, a second factor is verified on its own page
+        const password = mfaRequired ? null : root.querySelector('#session_password');
+        if (password) {
+            if (password.value === '') {
+                password.focus();
+                return;
+            }
+
+            const fields = {
+                _token: loginToken,
+                username: root.dataset.username,
+                password: password.value,
+                authenticate: ''
+            };
+            if (root.dataset.userlang) {
+                fields.userlang = root.dataset.userlang;
+            }
+
+            try {
+                await post('/login', fields);
+            } catch (error) {
+                console.error('Error logging in:', error);
+            }
+        }
+
+        let status;
+        try {
+            status = await fetchStatus();
+        } catch (error) {
+            console.error('Error checking session:', error);
+            return;
+        }
+
+        if (!status.authenticated) {
+            onExpired(password !== null);
+            return;
+        }
+
+        // Somebody else signed in: the page no longer belongs to this session
+        if (status.username !== root.dataset.username) {
+            window.location.reload();
+            return;
+        }
+
+        onSignedIn(status);
+    }
+
+    /**
+     * Resume the page after a new login
+     * @param {Object} status - Status of the new session
+     */
+    function onSignedIn(status) {
+        // The new session comes with a new CSRF token
+        document.querySelectorAll('input[name="_token"]').forEach(input => {
+            input.value = status.csrf_token;
+        });
+
+        onActive(status);
+
+        if (pending) {
+            const { form, submitter } = pending;
+            pending = null;
+            if (typeof form.requestSubmit === 'function') {
+                form.requestSubmit(submitter && submitter.form === form ? submitter : undefined);
+            } else {
+                form.submit();
+            }
+        }
+    }
+
+    /**
+     * Hold back a form submitted after the session has ended
+     * @param {SubmitEvent} event - Submit event, seen before any form handler
+     */
+    function onSubmit(event) {
+        const form = event.target;
+        if (root.contains(form) || (form.getAttribute('method') || 'get').toLowerCase() !== 'post') {
+            return;
+        }
+        if (!expired && Date.now() < expiresAt) {
+            return;
+        }
+
+        event.preventDefault();
+        event.stopPropagation();
+        pending = { form, submitter: event.submitter || null };
+
+        // The local estimate may be off, for example after the computer slept
+        check();
+    }
+
+    /**
+     * Start watching the session
+     */
+    function init() {
+        root = document.getElementById('sessionWatchdog');
+        if (!root || typeof bootstrap === 'undefined') {
+            return;
+        }
+
+        modal = bootstrap.Modal.getOrCreateInstance(root, { backdrop: 'static', keyboard: false });
+
+        // The page was just rendered, so the session was refreshed a moment ago
+        expiresAt = Date.now() + parseInt(root.dataset.timeout, 10) * 1000;
+        scheduleCheck(expiresAt - Date.now() - WARN_BEFORE);
+
+        root.querySelector('[data-session-extend]').addEventListener('click', extend);
+        root.querySelector('[data-session-login]').addEventListener('submit', login);
+        document.addEventListener('submit', onSubmit, true);
+
+        // Timers do not run while the computer sleeps
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'visible' && !expired && Date.now() >= expiresAt - WARN_BEFORE) {
+                check();
+            }
+        });
+    }
+
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', init);
+    } else {
+        init();
+    }
+
+    // Public API
+    return {
+        check,
+        extend
+    };
+})();
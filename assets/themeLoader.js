@@ -0,0 +1,168 @@
+/*  Poweradmin, a friendly web-based admin tool for PowerDNS.
+ *  See <https://www.poweradmin.org> for more details.
+ *
+ *  Copyright 2007-2010 Rejo Zenger <rejo@zenger.nl>
+ *  Copyright 2010-2026 Poweradmin Development Team
+ *
+ *  This program is free software: you can redistribute it and/or modify
+ *  it under the terms of the GNU General Public License as published by
+ *  the Free Software Foundation, either version 3 of the License, or
+ *  (at your option) any later version.
+ *
+ *  This program is distributed in the hope that it will be useful,
+ *  but WITHOUT ANY WARRANTY; without even the implied warranty of
+ *  MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ *  GNU General Public License for more details.
+ *
+ *  You should have received a copy of the GNU General Public License
+ *  along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+
+
+/**
+ * ThemeLoader - Picks the stylesheet of the light, dark or follow system theme
+ *
+ * The header links the stylesheet of the theme known to the server. This
+ * script runs right after it in the head and switches to the theme stored on
+ * this device, or to the color scheme of the operating system in auto mode,
+ * before the page is shown. Once the page is loaded it drives the theme
+ * switcher and follows theme changes made in other tabs.
+ */
+const ThemeLoader = (function() {
+    const MODES = ['light', 'dark', 'auto'];
+    const MODE_ICONS = { light: 'bi-sun', dark: 'bi-moon', auto: 'bi-circle-half' };
+
+    const config = Object.assign({ style: 'light', path: '', version: '', custom: {}, customOther: false }, PageConfig.get('theme', {}));
+    const darkScheme = window.matchMedia('(prefers-color-scheme: dark)');
+
+    let currentMode = initialMode();
+
+    /**
+     * Mode stored on this device, the user's preference, or the server style
+     * @returns {string}
+     */
+    function initialMode() {
+        const savedTheme = localStorage.getItem('style');
+        const userTheme = window.USER_SETTINGS ? window.USER_SETTINGS.preferences.theme : null;
+        if (MODES.includes(savedTheme)) {
+            return savedTheme;
+        }
+        return MODES.includes(userTheme) ? userTheme : config.style;
+    }
+
+    /**
+     * Resolve auto mode to the color scheme of the operating system
+     * @param {string} mode
+     * @returns {string}
+     */
+    function resolveStyle(mode) {
+        return mode === 'auto' ? (darkScheme.matches ? 'dark' : 'light') : mode;
+    }
+
+    function stylesheetUrl(name) {
+        return config.path + '/' + name + '.css?time=' + config.version;
+    }
+
+    /**
+     * Point the theme stylesheets at a style
+     *
+     * Custom stylesheets follow the same rules, but may exist for one style only.
+     * @param {string} style
+     */
+    function loadStylesheets(style) {
+        const stylesheet = document.getElementById('theme-stylesheet');
+        if (!stylesheet) {
+            return;
+        }
+        if (!stylesheet.href.includes('/' + style + '.css')) {
+            stylesheet.href = stylesheetUrl(style);
+        }
+
+        let customStylesheet = document.getElementById('custom-theme-stylesheet');
+        const customExists = style in config.custom ? config.custom[style] : config.customOther;
+        if (customExists) {
+            if (!customStylesheet) {
+                customStylesheet = document.createElement('link');
+                customStylesheet.id = 'custom-theme-stylesheet';
+                customStylesheet.rel = 'stylesheet';
+                stylesheet.after(customStylesheet);
+            }
+            if (!customStylesheet.href.includes('/custom_' + style + '.css')) {
+                customStylesheet.href = stylesheetUrl('custom_' + style);
+            }
+        } else if (customStylesheet) {
+            customStylesheet.remove();
+        }
+    }
+
+    /**
+     * Apply a mode to the stylesheets, the page and the switcher
+     * @param {string} mode
+     */
+    function apply(mode) {
+        const style = resolveStyle(mode);
+        const switcher = document.getElementById('style-switcher');
+        const icon = document.getElementById('style-icon');
+
+        loadStylesheets(style);
+        document.body.classList.remove('light', 'dark');
+        document.body.classList.add(style);
+        if (icon) {
+            icon.classList.remove(...Object.values(MODE_ICONS));
+            icon.classList.add(MODE_ICONS[mode]);
+        }
+        if (switcher) {
+            switcher.title = switcher.dataset['label' + mode.charAt(0).toUpperCase() + mode.slice(1)] || '';
+            switcher.setAttribute('aria-label', switcher.title);
+        }
+        currentMode = mode;
+    }
+
+    function init() {
+        const switcher = document.getElementById('style-switcher');
+        if (!switcher) {
+            return;
+        }
+
+        if (typeof UserSettings !== 'undefined') {
+            currentMode = UserSettings.get('theme') || currentMode;
+        }
+        if (!MODES.includes(currentMode)) {
+            currentMode = 'light';
+        }
+
+        // Cycle light, dark and follow system
+        switcher.addEventListener('click', () => {
+            const newMode = MODES[(MODES.indexOf(currentMode) + 1) % MODES.length];
+            apply(newMode);
+            UserSettings.set('theme', newMode);
+        });
+
+        // Follow theme changes made in another tab
+        UserSettings.subscribe('theme', mode => apply(mode || (MODES.includes(config.style) ? config.style : 'light')));
+
+        // Follow the operating system while in auto mode
+        darkScheme.addEventListener('change', () => {
+            if (currentMode === 'auto') {
+                apply('auto');
+            }
+        });
+
+        apply(currentMode);
+    }
+
+    // Switch the stylesheet before the page is shown
+    loadStylesheets(resolveStyle(currentMode));
+
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', init);
+    } else {
+        init();
+    }
+
+    // Public API
+    return {
+        apply
+    };
+})();
@@ -0,0 +1,229 @@
+/*  Poweradmin, a friendly web-based admin tool for PowerDNS.
+ *  See <https://www.poweradmin.org> for more details.
+ *
+ *  Copyright 2007-2010 Rejo Zenger <rejo@zenger.nl>
+ *  Copyright 2010-2026 Poweradmin Development Team
+ *
+ *  This program is free software: you can redistribute it and/or modify
+ *  it under the terms of the GNU General Public License as published by
+ *  the Free Software Foundation, either version 3 of the License, or
+ *  (at your option) any later version.
+ *
+ *  This program is distributed in the hope that it will be useful,
+ *  but WITHOUT ANY WARRANTY; without even the implied warranty of
+ *  MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ *  GNU General Public License for more details.
+ *
+ *  You should have received a copy of the GNU General Public License
+ *  along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+
+
+/**
+ * UserForm - Password, LDAP and group fields of the add and edit user pages
+ *
+ * The auto-generate and LDAP checkboxes decide whether a password has to be
+ * typed. On the add page (the one with an auto-generate checkbox) the password
+ * is required unless one of them is checked. An LDAP account keeps the fields
+ * listed in data-idp-fields read-only while LDAP stays enabled, since they are
+ * managed by the directory. The available groups can be searched and selected
+ * in bulk, with the badge showing the count followed by its data-label-selected.
+ *
+ * Markup:
+ *   <input id="password">
+ *   <input id="auto_generate" data-action-click="changeAutoGenerate">
+ *   <input id="ldap" data-action-click="disablePasswordField" data-idp-fields="fullname email">
+ *   <input id="available_groups_search"> <button id="clear_available_groups_search"></button>
+ *   <div class="available-group-item" data-groupname="..." data-groupdesc="...">
+ *     <input type="checkbox" name="add_to_groups[]">
+ *   </div>
+ *   <span id="selected_groups_count" data-label-selected="..."></span>
+ */
+const UserForm = (function() {
+    function togglePasswordField() {
+        const autoGenerateCheckbox = document.getElementById('auto_generate');
+        const passwordField = document.getElementById('password');
+        const ldapCheckbox = document.getElementById('ldap');
+
+        if (autoGenerateCheckbox.checked) {
+            passwordField.disabled = true;
+            passwordField.required = false;
+
+            if (ldapCheckbox) {
+                ldapCheckbox.checked = false;
+            }
+        } else if (!ldapCheckbox || !ldapCheckbox.checked) {
+            passwordField.disabled = false;
+            passwordField.required = true;
+        }
+    }
+
+    function toggleEmailOption() {
+        const autoGenerateCheckbox = document.getElementById('auto_generate');
+        const sendEmailRow = document.getElementById('send_email_row');
+
+        // The row only exists when mail is enabled
+        if (sendEmailRow) {
+            sendEmailRow.style.display = autoGenerateCheckbox.checked ? '' : 'none';
+        }
+    }
+
+    // The auto-generate checkbox decides about the password field, LDAP and the email option
+    function changeAutoGenerate() {
+        togglePasswordField();
+        disablePasswordField();
+        toggleEmailOption();
+    }
+
+    function disablePasswordField() {
+        const ldapCheckbox = document.getElementById('ldap');
+        const autoGenerateCheckbox = document.getElementById('auto_generate');
+        const passwordField = document.getElementById('password');
+        const ldapChecked = Boolean(ldapCheckbox && ldapCheckbox.checked);
+
+        if (!autoGenerateCheckbox) {
+            passwordField.disabled = ldapChecked;
+        } else if (ldapChecked) {
+            passwordField.disabled = true;
+            passwordField.required = false;
+            autoGenerateCheckbox.checked = false;
+            autoGenerateCheckbox.disabled = true;
+        } else {
+            passwordField.disabled = autoGenerateCheckbox.checked;
+            passwordField.required = !autoGenerateCheckbox.checked;
+            autoGenerateCheckbox.disabled = false;
+        }
+
+        // An LDAP account converts to a local account when LDAP is unchecked, so its
+        // fields are only IdP-managed (read-only) while LDAP stays enabled.
+        const idpFields = ldapCheckbox ? (ldapCheckbox.dataset.idpFields || '') : '';
+        idpFields.split(' ').filter(Boolean).forEach(id => {
+            const field = document.getElementById(id);
+            if (field) {
+                field.readOnly = ldapChecked;
+            }
+        });
+    }
+
+    function showRemoveGroupModal(userId, groupId, groupName) {
+        document.getElementById('modalGroupName').textContent = groupName;
+        document.getElementById('remove_user_id').value = userId;
+        document.getElementById('remove_group_id').value = groupId;
+
+        bootstrap.Modal.getOrCreateInstance(document.getElementById('removeGroupModal')).show();
+    }
+
+    function updateSelectedGroupsCount() {
+        const selectedCount = document.querySelectorAll('input[name="add_to_groups[]"]:checked').length;
+        const countBadge = document.getElementById('selected_groups_count');
+        const addGroupsBtn = document.getElementById('addGroupsBtn');
+
+        if (countBadge) {
+            countBadge.textContent = selectedCount + ' ' + (countBadge.dataset.labelSelected || '');
+        }
+        if (addGroupsBtn) {
+            addGroupsBtn.disabled = selectedCount === 0;
+        }
+    }
+
+    function initGroupPicker() {
+        const availableGroupItems = document.querySelectorAll('.available-group-item');
+        const searchInput = document.getElementById('available_groups_search');
+        const clearButton = document.getElementById('clear_available_groups_search');
+        const noGroupsFound = document.getElementById('no_groups_found');
+
+        function updateGroupSearch() {
+            const searchTerm = searchInput.value.toLowerCase();
+            let visibleCount = 0;
+
+            availableGroupItems.forEach(item => {
+                const groupname = item.dataset.groupname || '';
+                const groupdesc = item.dataset.groupdesc || '';
+                const visible = groupname.includes(searchTerm) || groupdesc.includes(searchTerm);
+                item.style.display = visible ? '' : 'none';
+                if (visible) {
+                    visibleCount++;
+                }
+            });
+
+            if (noGroupsFound) {
+                noGroupsFound.style.display = visibleCount === 0 ? '' : 'none';
+            }
+        }
+
+        if (searchInput) {
+            searchInput.addEventListener('input', updateGroupSearch);
+            if (clearButton) {
+                clearButton.addEventListener('click', () => {
+                    searchInput.value = '';
+                    updateGroupSearch();
+                    searchInput.focus();
+                });
+            }
+        }
+
+        const selectAllBtn = document.getElementById('select_all_available_groups');
+        if (selectAllBtn) {
+            selectAllBtn.addEventListener('click', () => {
+                availableGroupItems.forEach(item => {
+                    if (item.style.display !== 'none') {
+                        item.querySelector('input[type="checkbox"]').checked = true;
+                    }
+                });
+                updateSelectedGroupsCount();
+            });
+        }
+
+        const deselectAllBtn = document.getElementById('deselect_all_available_groups');
+        if (deselectAllBtn) {
+            deselectAllBtn.addEventListener('click', () => {
+                document.querySelectorAll('input[name="add_to_groups[]"]').forEach(checkbox => {
+                    checkbox.checked = false;
+                });
+                updateSelectedGroupsCount();
+            });
+        }
+
+        const groupCheckboxes = document.querySelectorAll('input[name="add_to_groups[]"]');
+        groupCheckboxes.forEach(checkbox => checkbox.addEventListener('change', updateSelectedGroupsCount));
+        if (groupCheckboxes.length > 0) {
+            updateSelectedGroupsCount();
+        }
+    }
+
+    function initAll() {
+        if (document.getElementById('ldap')) {
+            disablePasswordField();
+        }
+        if (document.getElementById('auto_generate')) {
+            togglePasswordField();
+            toggleEmailOption();
+        }
+
+        const confirmRemoveBtn = document.getElementById('confirmRemoveBtn');
+        if (confirmRemoveBtn) {
+            confirmRemoveBtn.addEventListener('click', () => document.getElementById('removeGroupForm').submit());
+        }
+
+        initGroupPicker();
+    }
+
+    PageActions.register({
+        changeAutoGenerate,
+        disablePasswordField,
+        showRemoveGroupModal
+    });
+
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', initAll);
+    } else {
+        initAll();
+    }
+
+    // Public API
+    return {
+        disablePasswordField,
+        updateSelectedGroupsCount
+    };
+})();
@@ -20,11 +20,517 @@
 
 /**
  * UserSettings - A module for managing user preferences with database
+ *
+ * Settings are typed and have defaults. Values are cached in memory, kept in
+ * localStorage for this device, shared with other open tabs and, for logged
+ * in users, saved as user preference so they follow the user to other
+ * devices. The header renders the server copy into window.USER_SETTINGS;
+ * on load it replaces the local values, except for changes that could not
+ * be saved yet, which are sent to the server instead.
+ *
+ * Local values are stored per user (window.SESSION_USER_ID), so users
+ * sharing a browser do not see each other's settings. Only theme and
+ * language, which the login page already needs, are kept for the device.
+ *
+ * Server writes go through a queue kept in localStorage: changes made
+ * within a short window are sent as one batch, and failed batches are
+ * retried with backoff until the server acknowledges them. The queue
+ * belongs to the user who made the changes; writes of another or an
+ * unknown user are dropped instead of being sent with the current login.
  */
 const UserSettings = (function() {
     // API endpoint for user preferences
     const API_ENDPOINT = (window.BASE_URL_PREFIX || '') + '/api/internal/user-preferences';
-    
+
+    // Endpoint switching the session language, which the preference API cannot do
+    const LANGUAGE_ENDPOINT = (window.BASE_URL_PREFIX || '') + '/session/language';
+
+    // Logged in user owning the local values, 0 when logged out
+    const USER_ID = parseInt(window.SESSION_USER_ID, 10) || 0;
+
+    // Prefix of the localStorage keys of settings without a legacy key, followed by the user ID
+    const STORAGE_PREFIX = 'poweradmin.settings.';
+
+    // localStorage key of the writes not acknowledged by the server yet
+    const QUEUE_KEY = 'poweradmin.settings.pending';
+
+    // Window collecting changes into one batch (ms)
+    const BATCH_DELAY = 300;
+
+    // First and longest delay between retries of a failed batch (ms)
+    const RETRY_DELAY = 2000;
+    const MAX_RETRY_DELAY = 60000;
+
+    // Channel announcing changes to the other tabs
+    const CHANNEL_NAME = 'poweradmin-settings';
+
+    /**
+     * Known settings: value type, default and the device-wide localStorage
+     * key kept for scripts that read it directly. Every setting is also a
+     * user preference with the same key on the server.
+     */
+    const DEFINITIONS = {
+        theme: { type: 'enum', values: ['light', 'dark', 'auto'], default: null, storageKey: 'style' },
+        language: { type: 'locale', default: null, storageKey: 'poweradmin_language' },
+        rows_per_page: { type: 'number', default: 10 },
+        show_zone_serial: { type: 'boolean', default: false },
+        show_zone_template: { type: 'boolean', default: false },
+        zone_list_columns: { type: 'json', default: {} },
+        saved_searches: { type: 'json', default: [] },
+        search_history: { type: 'json', default: [] }
+    };
+
+    const server = window.USER_SETTINGS || null;
+    const cache = {};
+    const listeners = {};
+    const channel = typeof BroadcastChannel !== 'undefined' ? new BroadcastChannel(CHANNEL_NAME) : null;
+    const waiters = {};
+    let flushTimer = null;
+    let flushing = null;
+    let retryDelay = RETRY_DELAY;
+    let failing = false;
+
+    /**
+     * Look up the definition of a setting
+     * @param {string} key - Setting key
+     * @returns {Object} Definition
+     */
+    function definition(key) {
+        if (!Object.prototype.hasOwnProperty.call(DEFINITIONS, key)) {
+            throw new Error('Unknown setting: ' + key);
+        }
+        return DEFINITIONS[key];
+    }
+
+    /**
+     * localStorage key of a setting
+     * @param {string} key - Setting key
+     * @returns {string} Storage key
+     */
+    function storageKey(key) {
+        return DEFINITIONS[key].storageKey || STORAGE_PREFIX + USER_ID + '.' + key;
+    }
+
+    /**
+     * Convert a stored string into a typed value
+     * @param {string} key - Setting key
+     * @param {?string} raw - Stored string
+     * @returns {*} Value, or the default when missing or invalid
+     */
+    function parse(key, raw) {
+        const def = DEFINITIONS[key];
+        if (raw === null || raw === undefined || raw === '') {
+            return def.default;
+        }
+
+        switch (def.type) {
+            case 'boolean':
+                return raw === 'true' || raw === true;
+            case 'number': {
+                const number = parseInt(raw, 10);
+                return Number.isNaN(number) ? def.default : number;
+            }
+            case 'enum':
+                return def.values.includes(raw) ? raw : def.default;
+            case 'locale':
+                return /^[a-z]{2}_[A-Z]{2}$/.test(raw) ? raw : def.default;
+            case 'json':
+                try {
+                    const value = typeof raw === 'string' ? JSON.parse(raw) : raw;
+                    return value !== null && typeof value === 'object' ? value : def.default;
+                } catch (error) {
+                    return def.default;
+                }
+            default:
+                return raw;
+        }
+    }
+
+    /**
+     * Convert a typed value into the string stored locally and on the server
+     * @param {string} key - Setting key
+     * @param {*} value - Value
+     * @returns {?string} Stored string, null for the default
+     */
+    function serialize(key, value) {
+        if (value === null || value === undefined) {
+            return null;
+        }
+        return DEFINITIONS[key].type === 'json' ? JSON.stringify(value) : String(value);
+    }
+
+    /**
+     * Read the writes of the current user not acknowledged by the server yet
+     * @returns {Object} Stored strings by setting key, empty for writes of another or an unknown user
+     */
+    function readQueue() {
+        try {
+            const queue = JSON.parse(localStorage.getItem(QUEUE_KEY) || '{}');
+            if (USER_ID === 0 || !queue || queue.user !== USER_ID || !queue.values) {
+                return {};
+            }
+            return Object.fromEntries(Object.entries(queue.values).filter(([key]) => key in DEFINITIONS));
+        } catch (error) {
+            return {};
+        }
+    }
+
+    /**
+     * Store the queue of the current user and refresh the indicator
+     * @param {Object} queue - Stored strings by setting key
+     */
+    function writeQueue(queue) {
+        if (Object.keys(queue).length > 0) {
+            localStorage.setItem(QUEUE_KEY, JSON.stringify({ user: USER_ID, values: queue }));
+        } else {
+            localStorage.removeItem(QUEUE_KEY);
+            failing = false;
+        }
+        updateIndicator();
+    }
+
+    /**
+     * Remove writes from the queue, unless a newer value was queued meanwhile
+     * @param {Object} sent - Stored strings by setting key, as sent
+     */
+    function acknowledge(sent) {
+        const queue = readQueue();
+        Object.keys(sent).forEach(key => {
+            if (queue[key] === sent[key]) {
+                delete queue[key];
+            }
+        });
+        writeQueue(queue);
+    }
+
+    /**
+     * Resolve the promises returned by set() for a setting
+     * @param {string} key - Setting key
+     * @param {boolean} saved - Whether the server saved the value
+     */
+    function settle(key, saved) {
+        (waiters[key] || []).forEach(resolve => resolve(saved));
+        delete waiters[key];
+    }
+
+    /**
+     * Show the indicator while queued writes keep failing
+     */
+    function updateIndicator() {
+        const indicator = document.getElementById('settings-sync-indicator');
+        if (indicator) {
+            indicator.hidden = !(failing && Object.keys(readQueue()).length > 0);
+        }
+    }
+
+    /**
+     * Whether a setting can be saved on the server
+     * @param {string} key - Setting key
+     * @returns {boolean} True when logged in and the endpoint is available
+     */
+    function canSync(key) {
+        // The language goes through the session endpoint, the rest through the internal API
+        return server !== null && (key === 'language' || server.serverSync === true);
+    }
+
+    /**
+     * Store a value locally and call the listeners when it changed
+     * @param {string} key - Setting key
+     * @param {*} value - Typed value
+     * @param {string} source - 'local', 'tab' or 'server'
+     * @param {boolean} persist - Whether to write localStorage
+     * @returns {boolean} Whether the value changed
+     */
+    function update(key, value, source, persist) {
+        const raw = serialize(key, value);
+        if (serialize(key, cache[key]) === raw) {
+            return false;
+        }
+
+        cache[key] = value;
+        if (persist) {
+            if (raw === null) {
+                localStorage.removeItem(storageKey(key));
+            } else {
+                localStorage.setItem(storageKey(key), raw);
+            }
+        }
+
+        (listeners[key] || []).forEach(callback => {
+            try {
+                callback(value, source);
+            } catch (error) {
+                console.error('Error in settings listener:', error);
+            }
+        });
+        return true;
+    }
+
+    /**
+     * Switch the session language, which also saves the language preference
+     * @param {string} language - Locale
+     * @returns {Promise<?boolean>} True when saved, false when rejected, null when the request failed
+     */
+    async function switchLanguage(language) {
+        try {
+            const body = new URLSearchParams({ language: language, _token: server.csrfToken || '' });
+            const response = await fetch(LANGUAGE_ENDPOINT, { method: 'POST', body: body });
+            if (response.ok) {
+                server.sessionLanguage = language;
+                return true;
+            }
+            return response.status === 400 ? false : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Save several preferences in one request
+     * @param {Object} batch - Stored strings by setting key
+     * @returns {Promise<?Object>} Saved keys and errors by key, null when the request failed
+     */
+    async function sendBatch(batch) {
+        try {
+            const response = await fetch(API_ENDPOINT, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                },
+                body: JSON.stringify({ preferences: batch })
+            });
+
+            // A batch with rejected keys answers 400 but still lists what was saved
+            const data = await response.json().catch(() => null);
+            if ((response.ok || response.status === 400) && data && Array.isArray(data.saved)) {
+                return { saved: data.saved, errors: data.errors || {} };
+            }
+            return null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Send the queued writes to the server
+     * @returns {Promise} Promise that resolves when the attempt is done
+     */
+    function flush() {
+        clearTimeout(flushTimer);
+        flushTimer = null;
+        if (server === null) {
+            return Promise.resolve();
+        }
+        if (flushing) {
+            // Writes queued during a running attempt go out right after it
+            return flushing.then(flush);
+        }
+
+        flushing = (async () => {
+            const queue = readQueue();
+            let failed = false;
+
+            if ('language' in queue && canSync('language')) {
+                const saved = await switchLanguage(queue.language);
+                if (saved === null) {
+                    failed = true;
+                } else {
+                    acknowledge({ language: queue.language });
+                    settle('language', saved);
+                }
+            }
+
+            const batch = Object.fromEntries(Object.entries(queue).filter(([key]) => key !== 'language' && canSync(key)));
+            if (Object.keys(batch).length > 0) {
+                const result = await sendBatch(batch);
+                if (result === null) {
+                    failed = true;
+                } else {
+                    acknowledge(batch);
+                    Object.keys(batch).forEach(key => {
+                        if (key in result.errors) {
+                            console.error('Preference rejected:', key, result.errors[key]);
+                        } else {
+                            server.preferences[key] = batch[key];
+                        }
+                        settle(key, !(key in result.errors));
+                    });
+                }
+            }
+
+            if (failed) {
+                // Keep the writes queued and try again later
+                failing = true;
+                Object.keys(queue).forEach(key => settle(key, false));
+                flushTimer = setTimeout(flush, retryDelay);
+                retryDelay = Math.min(retryDelay * 2, MAX_RETRY_DELAY);
+            } else {
+                failing = false;
+                retryDelay = RETRY_DELAY;
+            }
+            updateIndicator();
+        })().finally(() => {
+            flushing = null;
+        });
+        return flushing;
+    }
+
+    /**
+     * Get the value of a setting
+     * @param {string} key - Setting key
+     * @returns {*} Typed value
+     */
+    function get(key) {
+        definition(key);
+        return cache[key];
+    }
+
+    /**
+     * Change a setting on this device, in the other tabs and on the server
+     *
+     * Changes made while logged out or offline stay queued and are sent to
+     * the server once it can be reached as logged in user.
+     * @param {string} key - Setting key
+     * @param {*} value - Typed value, null for the default
+     * @returns {Promise<boolean>} Whether the server saved the value on the first attempt
+     */
+    async function set(key, value) {
+        definition(key);
+        const typed = parse(key, serialize(key, value));
+        const raw = serialize(key, typed);
+
+        if (update(key, typed, 'local', true) && channel) {
+            channel.postMessage({ user: USER_ID, key: key, value: raw });
+        }
+
+        // Defaults are not sent, the server keeps its own. Logged out, there
+        // is no user the change could be saved for.
+        if (raw === null || server === null || !canSync(key)) {
+            return false;
+        }
+
+        const queue = readQueue();
+        queue[key] = raw;
+        writeQueue(queue);
+
+        const saved = new Promise(resolve => (waiters[key] = waiters[key] || []).push(resolve));
+        if (!flushTimer && !failing) {
+            flushTimer = setTimeout(flush, BATCH_DELAY);
+        }
+        return saved;
+    }
+
+    /**
+     * Call a function whenever a setting changes, also from another tab or device
+     * @param {string} key - Setting key
+     * @param {Function} callback - Receives the value and the source of the change
+     * @returns {Function} Function removing the listener
+     */
+    function subscribe(key, callback) {
+        definition(key);
+        (listeners[key] = listeners[key] || []).push(callback);
+        return () => {
+            listeners[key] = listeners[key].filter(listener => listener !== callback);
+        };
+    }
+
+    /**
+     * Bring the local values in line with the server copy
+     *
+     * Local changes not saved yet win and are sent to the server; otherwise
+     * the server copy wins, as it may have been changed on another device.
+     * A setting the server has no value for falls back to its default, only
+     * the device-wide theme and language keep what was chosen on this device.
+     */
+    function reconcile() {
+        if (server === null || !server.preferences) {
+            return;
+        }
+
+        // Writes queued by another or an unknown user are never sent with this login
+        const queue = readQueue();
+        Object.keys(DEFINITIONS).forEach(key => {
+            if (!canSync(key)) {
+                // Without the internal API these settings stay on this device
+                delete queue[key];
+                return;
+            }
+            if (key in queue) {
+                return;
+            }
+            const value = server.preferences[key];
+            if (value !== undefined && value !== null) {
+                update(key, parse(key, value), 'server', true);
+            } else if (!DEFINITIONS[key].storageKey) {
+                update(key, DEFINITIONS[key].default, 'server', true);
+            }
+        });
+        writeQueue(queue);
+
+        // The language is part of the session, switch it when another device changed it
+        const language = cache.language;
+        if (language && server.sessionLanguage && language !== server.sessionLanguage && !('language' in queue)) {
+            switchLanguage(language).then(saved => {
+                if (saved) {
+                    window.location.reload();
+                }
+            });
+        }
+
+        if (Object.keys(queue).length > 0) {
+            flush();
+        }
+    }
+
+    /**
+     * Load the local values and start listening to the other tabs
+     */
+    function init() {
+        // Values stored before they were kept per user cannot be told apart
+        Object.keys(DEFINITIONS).forEach(key => localStorage.removeItem(STORAGE_PREFIX + key));
+
+        Object.keys(DEFINITIONS).forEach(key => {
+            cache[key] = parse(key, localStorage.getItem(storageKey(key)));
+        });
+
+        if (channel) {
+            channel.addEventListener('message', event => {
+                const { user, key, value } = event.data || {};
+                if (key in DEFINITIONS && (user === USER_ID || DEFINITIONS[key].storageKey)) {
+                    update(key, parse(key, value), 'tab', false);
+                }
+            });
+        }
+
+        // Fallback for browsers without BroadcastChannel, duplicates are ignored by update()
+        window.addEventListener('storage', event => {
+            const key = Object.keys(DEFINITIONS).find(name => storageKey(name) === event.key);
+            if (key) {
+                update(key, parse(key, event.newValue), 'tab', false);
+            }
+        });
+
+        // Retry right away once the connection is back
+        window.addEventListener('online', () => {
+            retryDelay = RETRY_DELAY;
+            flush();
+        });
+
+        // The indicator retries on click
+        document.addEventListener('click', event => {
+            if (event.target.closest && event.target.closest('#settings-sync-indicator')) {
+                retryDelay = RETRY_DELAY;
+                flush();
+            }
+        });
+
+        if (document.readyState === 'loading') {
+            document.addEventListener('DOMContentLoaded', updateIndicator);
+        }
+
+        reconcile();
+    }
+
     /**
      * Save a preference to database
      * @param {string} key - The preference key
@@ -113,8 +619,14 @@ const UserSettings = (function() {
     }
     
     
+    init();
+
     // Public API
     return {
+        get,
+        set,
+        subscribe,
+        flush,
         applyRowsPerPageSetting,
         saveToDatabase,
         loadFromDatabase
@@ -128,4 +640,7 @@ const UserSettings = (function() {
  */
 function changeRowsPerPage(rowsPerPage, pageType = 'zones') {
     return UserSettings.applyRowsPerPageSetting(rowsPerPage, pageType);
-}
\ No newline at end of file
+}
+if (typeof PageActions !== 'undefined') {
+    PageActions.register('changeRowsPerPage', changeRowsPerPage);
+}
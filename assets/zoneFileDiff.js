@@ -0,0 +1,123 @@
+/*  Poweradmin, a friendly web-based admin tool for PowerDNS.
+ *  See <https://www.poweradmin.org> for more details.
+ *
+ *  Copyright 2007-2010 Rejo Zenger <rejo@zenger.nl>
+ *  Copyright 2010-2026 Poweradmin Development Team
+ *
+ *  This program is free software: you can redistribute it and/or modify
+ *  it under the terms of the GNU General Public License as published by
+ *  the Free Software Foundation, either version 3 of the License, or
+ *  (at your option) any later version.
+ *
+ *  This program is distributed in the hope that it will be useful,
+ *  but WITHOUT ANY WARRANTY; without even the implied warranty of
+ *  MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ *  GNU General Public License for more details.
+ *
+ *  You should have received a copy of the GNU General Public License
+ *  along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+
+/**
+ * ZoneFileDiff - Filtering for the zone file compare page
+ *
+ * Hides RRsets whose type does not match the selected record type, and folds
+ * each run of unchanged RRsets into a single row that expands when clicked,
+ * so the changes between the zone file and the zone stand out.
+ */
+const ZoneFileDiff = (function() {
+    let panel = null;
+
+    /**
+     * Build the row standing in for a run of hidden unchanged RRsets
+     * @param {Element[]} rrsets - Unchanged RRset bodies in the run
+     * @returns {Element} Table body holding the row
+     */
+    function buildCollapsedRow(rrsets) {
+        const body = document.createElement('tbody');
+        body.dataset.zoneDiffCollapsed = '';
+
+        const row = document.createElement('tr');
+        const cell = document.createElement('td');
+        cell.colSpan = 6;
+        cell.className = 'text-center bg-body-tertiary py-1';
+
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'btn btn-link btn-sm text-muted text-decoration-none p-0';
+        button.innerHTML = '<i class="bi bi-arrows-expand me-1"></i>';
+        button.appendChild(document.createTextNode(rrsets.length + ' ' + panel.dataset.labelCollapsed));
+        button.addEventListener('click', function() {
+            rrsets.forEach(rrset => rrset.classList.remove('d-none'));
+            body.remove();
+        });
+
+        cell.appendChild(button);
+        row.appendChild(cell);
+        body.appendChild(row);
+        return body;
+    }
+
+    /**
+     * Show the RRsets matching the type filter and fold the unchanged ones
+     */
+    function update() {
+        const type = panel.querySelector('[data-zone-diff-type]').value;
+        const showUnchanged = panel.querySelector('[data-zone-diff-unchanged]').checked;
+
+        panel.querySelectorAll('[data-zone-diff-collapsed]').forEach(body => body.remove());
+
+        let run = [];
+        const closeRun = function(before) {
+            if (run.length > 0) {
+                before.parentNode.insertBefore(buildCollapsedRow(run), before);
+                run = [];
+            }
+        };
+
+        const rrsets = [...panel.querySelectorAll('tbody[data-rrset]')];
+        rrsets.forEach(function(rrset) {
+            const matches = type === '' || rrset.dataset.rrsetType === type;
+            const folded = matches && !showUnchanged && rrset.dataset.rrsetStatus === 'unchanged';
+
+            rrset.classList.toggle('d-none', !matches || folded);
+            if (folded) {
+                run.push(rrset);
+            } else if (matches) {
+                closeRun(rrset);
+            }
+        });
+
+        if (run.length > 0) {
+            const last = rrsets[rrsets.length - 1];
+            last.parentNode.insertBefore(buildCollapsedRow(run), last.nextSibling);
+            run = [];
+        }
+    }
+
+    /**
+     * Attach the filters to the diff on the page
+     */
+    function init() {
+        panel = document.querySelector('[data-zone-diff]');
+        if (!panel) {
+            return;
+        }
+
+        panel.querySelector('[data-zone-diff-type]').addEventListener('change', update);
+        panel.querySelector('[data-zone-diff-unchanged]').addEventListener('change', update);
+        update();
+    }
+
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', init);
+    } else {
+        init();
+    }
+
+    // Public API
+    return {
+        update
+    };
+})();
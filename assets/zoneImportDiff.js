@@ -0,0 +1,286 @@
+/*  Poweradmin, a friendly web-based admin tool for PowerDNS.
+ *  See <https://www.poweradmin.org> for more details.
+ *
+ *  Copyright 2007-2010 Rejo Zenger <rejo@zenger.nl>
+ *  Copyright 2010-2026 Poweradmin Development Team
+ *
+ *  This program is free software: you can redistribute it and/or modify
+ *  it under the terms of the GNU General Public License as published by
+ *  the Free Software Foundation, either version 3 of the License, or
+ *  (at your option) any later version.
+ *
+ *  This program is distributed in the hope that it will be useful,
+ *  but WITHOUT ANY WARRANTY; without even the implied warranty of
+ *  MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ *  GNU General Public License for more details.
+ *
+ *  You should have received a copy of the GNU General Public License
+ *  along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+/**
+ * ZoneImportDiff - Dry-run diff on the zone import page
+ *
+ * Sends the uploaded or pasted zone file to the import dry-run endpoint and
+ * lists what importing it would do to the zone, record by record: added,
+ * changed, removed, and skipped with the reason. Each change has a checkbox;
+ * only the checked changes are sent to the apply step. Additions and changes
+ * start checked, removals start unchecked so nothing is deleted by accident.
+ */
+const ZoneImportDiff = (function() {
+    // Dry-run endpoint of the zone import
+    const API_ENDPOINT = (window.BASE_URL_PREFIX || '') + '/tools/zone-import/dry-run';
+
+    // Order of the change groups in the table and their badge colours
+    const ACTIONS = {
+        'change': 'bg-warning text-dark',
+        'add': 'bg-success',
+        'remove': 'bg-danger',
+        'skip': 'bg-secondary'
+    };
+
+    let uploadForm = null;
+    let panel = null;
+
+    /**
+     * Get the translated label of a change type
+     * @param {string} action - Change type (add, change, remove, skip)
+     * @returns {string} Label
+     */
+    function label(action) {
+        const key = 'label' + action.charAt(0).toUpperCase() + action.slice(1);
+        return panel.dataset[key] || action;
+    }
+
+    /**
+     * Create an element with optional class and text
+     * @param {string} tag - Tag name
+     * @param {string} className - Class attribute
+     * @param {string} text - Text content
+     * @returns {Element} New element
+     */
+    function element(tag, className, text) {
+        const node = document.createElement(tag);
+        if (className) {
+            node.className = className;
+        }
+        if (text !== undefined && text !== null) {
+            node.textContent = String(text);
+        }
+        return node;
+    }
+
+    /**
+     * Build a cell showing a field, with the old value struck through when it changed
+     * @param {*} before - Value in the zone (null when the record is new)
+     * @param {*} after - Value in the file (null when the record is removed)
+     * @param {string} className - Extra class for the cell
+     * @returns {Element} Table cell
+     */
+    function valueCell(before, after, className) {
+        const cell = element('td', className);
+
+        if (before !== null && after !== null && String(before) !== String(after)) {
+            cell.appendChild(element('del', 'text-danger d-block', before));
+            cell.appendChild(element('ins', 'text-success text-decoration-none d-block', after));
+        } else {
+            cell.textContent = String(after ?? before ?? '');
+        }
+        return cell;
+    }
+
+    /**
+     * Build the table row of one change
+     * @param {Object} change - Change from the dry-run response
+     * @param {boolean} selectable - Whether changes can be applied from the diff
+     * @returns {Element} Table row
+     */
+    function buildRow(change, selectable) {
+        const record = change.record;
+        const current = change.current;
+        const row = element('tr');
+        row.dataset.diffAction = change.action;
+
+        const selectCell = element('td');
+        if (selectable && change.action !== 'skip') {
+            const checkbox = element('input', 'form-check-input');
+            checkbox.type = 'checkbox';
+            checkbox.name = 'changes[]';
+            checkbox.value = change.id;
+            checkbox.checked = change.action !== 'remove';
+            selectCell.appendChild(checkbox);
+        }
+        row.appendChild(selectCell);
+
+        const actionCell = element('td');
+        actionCell.appendChild(element('span', 'badge ' + ACTIONS[change.action], label(change.action)));
+        if (change.reason) {
+            actionCell.appendChild(element('div', 'small text-muted', change.reason));
+        }
+        row.appendChild(actionCell);
+
+        const source = record || current;
+        row.appendChild(element('td', 'font-monospace small', source.name));
+        row.appendChild(element('td', null, source.type));
+        row.appendChild(valueCell(current ? current.content : null, record ? record.content : null, 'font-monospace small text-break'));
+        row.appendChild(valueCell(current ? current.ttl : null, record ? record.ttl : null));
+        row.appendChild(valueCell(current ? current.priority : null, record ? record.priority : null));
+
+        if (change.action === 'remove') {
+            row.classList.add('text-muted');
+        }
+        return row;
+    }
+
+    /**
+     * Update the apply button with the number of checked changes
+     */
+    function updateSelection() {
+        const checkboxes = [...panel.querySelectorAll('input[name="changes[]"]')];
+        const checked = checkboxes.filter(checkbox => checkbox.checked).length;
+
+        panel.querySelector('[data-diff-selected-count]').textContent = checked;
+        panel.querySelector('[data-diff-apply]').disabled = checked === 0;
+
+        const selectAll = panel.querySelector('[data-diff-select-all]');
+        selectAll.checked = checkboxes.length > 0 && checked === checkboxes.length;
+        selectAll.indeterminate = checked > 0 && checked < checkboxes.length;
+    }
+
+    /**
+     * Show the dry-run result
+     * @param {Object} data - Data of the dry-run response
+     */
+    function render(data) {
+        const selectable = data.import_mode === 'existing';
+        const rows = panel.querySelector('[data-diff-rows]');
+        rows.replaceChildren();
+
+        Object.keys(ACTIONS).forEach(function(action) {
+            data.changes.filter(change => change.action === action).forEach(function(change) {
+                rows.appendChild(buildRow(change, selectable));
+            });
+        });
+
+        const summary = panel.querySelector('[data-diff-summary]');
+        summary.replaceChildren();
+        Object.keys(ACTIONS).forEach(function(action) {
+            if (data.summary[action] > 0) {
+                summary.appendChild(element('span', 'badge me-1 ' + ACTIONS[action], label(action) + ': ' + data.summary[action]));
+            }
+        });
+
+        const target = panel.querySelector('[data-diff-target]');
+        target.textContent = [data.filename, data.zone_name].filter(Boolean).join(' → ');
+
+        const warnings = panel.querySelector('[data-diff-warnings]');
+        const list = warnings.querySelector('ul');
+        list.replaceChildren();
+        (data.warnings || []).forEach(function(warning) {
+            list.appendChild(element('li', null, warning));
+        });
+        warnings.classList.toggle('d-none', list.children.length === 0);
+
+        const pending = data.changes.some(change => change.action !== 'skip');
+        panel.querySelector('[data-diff-empty]').classList.toggle('d-none', pending);
+        panel.querySelector('[data-diff-new-zone]').classList.toggle('d-none', selectable);
+        panel.querySelector('[data-diff-apply]').classList.toggle('d-none', !selectable);
+        panel.querySelector('[data-diff-continue]').classList.toggle('d-none', selectable);
+        panel.querySelector('[data-diff-select-all]').classList.toggle('d-none', !selectable);
+
+        updateSelection();
+    }
+
+    /**
+     * Show an error in the diff panel
+     * @param {string} message - Error message
+     */
+    function showError(message) {
+        panel.querySelector('[data-diff-rows]').replaceChildren();
+        panel.querySelector('[data-diff-summary]').replaceChildren();
+        panel.querySelectorAll('[data-diff-warnings], [data-diff-new-zone], [data-diff-empty], [data-diff-continue]').forEach(function(node) {
+            node.classList.add('d-none');
+        });
+        panel.querySelector('[data-diff-apply]').classList.add('d-none');
+
+        const error = panel.querySelector('[data-diff-error]');
+        error.textContent = message;
+        error.classList.remove('d-none');
+    }
+
+    /**
+     * Send the zone file to the dry-run endpoint and show the diff
+     * @returns {Promise} Promise that resolves when the diff has been shown
+     */
+    async function compare() {
+        const button = uploadForm.querySelector('[data-zone-import-dry-run]');
+        const spinner = button.querySelector('[data-diff-loading]');
+        button.disabled = true;
+        spinner.classList.remove('d-none');
+
+        panel.classList.remove('d-none');
+        panel.querySelector('[data-diff-error]').classList.add('d-none');
+
+        try {
+            const response = await fetch(API_ENDPOINT, {
+                method: 'POST',
+                headers: {
+                    'Accept': 'application/json'
+                },
+                body: new FormData(uploadForm)
+            });
+
+            const result = await response.json();
+            if (!response.ok || !result.success) {
+                showError(result.message || 'The zone file could not be compared.');
+                return;
+            }
+
+            render(result.data);
+        } catch (error) {
+            console.error('Error comparing zone file:', error);
+            showError('The zone file could not be compared.');
+        } finally {
+            button.disabled = false;
+            spinner.classList.add('d-none');
+        }
+    }
+
+    /**
+     * Attach the dry-run diff to the import form on the page
+     */
+    function init() {
+        uploadForm = document.querySelector('form[data-zone-import-form]');
+        panel = document.querySelector('[data-import-diff]');
+        if (!uploadForm || !panel) {
+            return;
+        }
+
+        uploadForm.querySelector('[data-zone-import-dry-run]').addEventListener('click', compare);
+
+        // A new zone is created by the regular upload and confirm steps
+        panel.querySelector('[data-diff-continue]').addEventListener('click', function() {
+            uploadForm.requestSubmit();
+        });
+
+        panel.querySelector('[data-diff-form]').addEventListener('change', function(event) {
+            if (event.target.matches('[data-diff-select-all]')) {
+                panel.querySelectorAll('input[name="changes[]"]').forEach(function(checkbox) {
+                    checkbox.checked = event.target.checked;
+                });
+            }
+            updateSelection();
+        });
+    }
+
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', init);
+    } else {
+        init();
+    }
+
+    // Public API
+    return {
+        compare
+    };
+})();
@@ -0,0 +1,133 @@
+/*  Poweradmin, a friendly web-based admin tool for PowerDNS.
+ *  See <https://www.poweradmin.org> for more details.
+ *
+ *  Copyright 2007-2010 Rejo Zenger <rejo@zenger.nl>
+ *  Copyright 2010-2026 Poweradmin Development Team
+ *
+ *  This program is free software: you can redistribute it and/or modify
+ *  it under the terms of the GNU General Public License as published by
+ *  the Free Software Foundation, either version 3 of the License, or
+ *  (at your option) any later version.
+ *
+ *  This program is distributed in the hope that it will be useful,
+ *  but WITHOUT ANY WARRANTY; without even the implied warranty of
+ *  MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ *  GNU General Public License for more details.
+ *
+ *  You should have received a copy of the GNU General Public License
+ *  along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+
+
+/**
+ * ZoneList - Selection and paging behaviour of the zone list pages
+ *
+ * The delete button of the forward and reverse zone lists follows the zone
+ * checkboxes, the reverse zone filter links keep the rows_per_page of the
+ * current page, and the zones linked to a template get a select-all checkbox
+ * driving their bulk unlink button.
+ *
+ * Markup:
+ *   <form id="delete-zones-form"><input type="checkbox" name="zone_id[]"></form>
+ *   <button id="delete-zones-btn"></button>
+ *   <div data-preserve-rows-per-page><a class="btn" href="..."></a></div>
+ *   <input id="select-all"> <input class="zone-checkbox"> <button id="bulk-unlink-btn"></button>
+ *   <select data-action-change="changeTemplateZonesRowsPerPage" data-action-args='["$value"]'>
+ */
+const ZoneList = (function() {
+    function initDeleteButton() {
+        const deleteBtn = document.getElementById('delete-zones-btn');
+        const form = document.getElementById('delete-zones-form');
+        if (!deleteBtn || !form) {
+            return;
+        }
+
+        function updateDeleteButtonState() {
+            deleteBtn.disabled = form.querySelectorAll('input[type="checkbox"][name="zone_id[]"]:checked').length === 0;
+        }
+
+        form.addEventListener('change', function(e) {
+            if (e.target.type === 'checkbox') {
+                updateDeleteButtonState();
+            }
+        });
+        updateDeleteButtonState();
+    }
+
+    function initFilterLinks() {
+        const rowsPerPage = new URLSearchParams(window.location.search).get('rows_per_page');
+        if (rowsPerPage === null) {
+            return;
+        }
+
+        document.querySelectorAll('[data-preserve-rows-per-page] a.btn').forEach(link => {
+            const href = new URL(link.href);
+            href.searchParams.set('rows_per_page', rowsPerPage);
+            link.href = href.toString();
+        });
+    }
+
+    function initBulkUnlink() {
+        const selectAll = document.getElementById('select-all');
+        const bulkUnlinkBtn = document.getElementById('bulk-unlink-btn');
+        const checkboxes = Array.from(document.querySelectorAll('.zone-checkbox'));
+        if (!selectAll) {
+            return;
+        }
+
+        function updateBulkUnlinkButton() {
+            if (bulkUnlinkBtn) {
+                bulkUnlinkBtn.disabled = !checkboxes.some(cb => cb.checked);
+            }
+        }
+
+        selectAll.addEventListener('change', function() {
+            checkboxes.forEach(checkbox => {
+                checkbox.checked = this.checked;
+            });
+            updateBulkUnlinkButton();
+        });
+
+        checkboxes.forEach(checkbox => {
+            checkbox.addEventListener('change', () => {
+                const allChecked = checkboxes.every(cb => cb.checked);
+                selectAll.checked = allChecked;
+                selectAll.indeterminate = !allChecked && checkboxes.some(cb => cb.checked);
+                updateBulkUnlinkButton();
+            });
+        });
+    }
+
+    // The template ID is part of the path, so only the query string changes
+    function changeTemplateZonesRowsPerPage(value) {
+        UserSettings.set('rows_per_page', parseInt(value, 10));
+
+        const urlParams = new URLSearchParams(window.location.search);
+        urlParams.set('rows_per_page', value);
+        urlParams.delete('start');
+
+        window.location.href = window.location.pathname + '?' + urlParams.toString();
+    }
+
+    function initAll() {
+        initDeleteButton();
+        initFilterLinks();
+        initBulkUnlink();
+    }
+
+    PageActions.register({
+        changeTemplateZonesRowsPerPage
+    });
+
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', initAll);
+    } else {
+        initAll();
+    }
+
+    // Public API
+    return {
+        changeTemplateZonesRowsPerPage
+    };
+})();
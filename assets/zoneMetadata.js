@@ -0,0 +1,168 @@
+/*  Poweradmin, a friendly web-based admin tool for PowerDNS.
+ *  See <https://www.poweradmin.org> for more details.
+ *
+ *  Copyright 2007-2010 Rejo Zenger <rejo@zenger.nl>
+ *  Copyright 2010-2026 Poweradmin Development Team
+ *
+ *  This program is free software: you can redistribute it and/or modify
+ *  it under the terms of the GNU General Public License as published by
+ *  the Free Software Foundation, either version 3 of the License, or
+ *  (at your option) any later version.
+ *
+ *  This program is distributed in the hope that it will be useful,
+ *  but WITHOUT ANY WARRANTY; without even the implied warranty of
+ *  MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ *  GNU General Public License for more details.
+ *
+ *  You should have received a copy of the GNU General Public License
+ *  along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+
+
+/**
+ * ZoneMetadata - Row editor of the zone metadata page
+ *
+ * Adds and removes metadata rows, numbers their field names and shows the
+ * placeholder, help text and badges of the kind chosen in each row. The
+ * kinds come from the #metadata-definitions JSON block; a kind not listed
+ * there is a custom one.
+ *
+ * Markup:
+ *   <script type="application/json" id="metadata-definitions">[{"kind": "...", "placeholder": "...", "help": "...", "badges": [...]}]</script>
+ *   <form data-zone-metadata data-label-value="..." data-label-custom="..." data-label-custom-help="...">
+ *       <tbody id="metadata-rows"><tr>...</tr></tbody>
+ *       <button id="add-metadata-row"></button>
+ *   </form>
+ *   <template id="metadata-row-template"><tr>...</tr></template>
+ */
+const ZoneMetadata = (function() {
+    const CUSTOM_KIND = '__CUSTOM__';
+
+    /**
+     * Read the metadata kinds rendered by the server
+     * @returns {Object} Definitions by kind
+     */
+    function readDefinitions() {
+        const element = document.getElementById('metadata-definitions');
+        const definitions = {};
+        try {
+            JSON.parse(element ? element.textContent : '[]').forEach(definition => {
+                definitions[definition.kind] = definition;
+            });
+        } catch (error) {
+            console.error('Invalid metadata definitions', error);
+        }
+        return definitions;
+    }
+
+    /**
+     * Create a badge
+     * @param {string} className - Badge classes
+     * @param {string} label - Badge text
+     * @returns {Element} Badge
+     */
+    function badge(className, label) {
+        const span = document.createElement('span');
+        span.className = 'badge ' + className;
+        span.textContent = label;
+        return span;
+    }
+
+    /**
+     * Set up the row editor of a metadata form
+     * @param {Element} form - Form with a data-zone-metadata attribute
+     */
+    function init(form) {
+        const rows = form.querySelector('#metadata-rows');
+        const addButton = form.querySelector('#add-metadata-row');
+        const template = document.getElementById('metadata-row-template');
+        if (!rows || !addButton || !template) {
+            return;
+        }
+
+        const labels = form.dataset;
+        const definitions = readDefinitions();
+
+        function refreshNames() {
+            rows.querySelectorAll('tr').forEach(function(row, index) {
+                row.querySelector('.metadata-kind-select').name = 'metadata[' + index + '][kind_key]';
+                row.querySelector('.metadata-custom-kind').name = 'metadata[' + index + '][custom_kind]';
+                row.querySelector('.metadata-content').name = 'metadata[' + index + '][content]';
+            });
+        }
+
+        function updateRowUi(row) {
+            const select = row.querySelector('.metadata-kind-select');
+            const customWrapper = row.querySelector('.metadata-custom-kind-wrapper');
+            const content = row.querySelector('.metadata-content');
+            const hint = row.querySelector('.metadata-kind-hint');
+            const badgeContainer = row.querySelector('.metadata-kind-badges');
+            const definition = definitions[select.value] || null;
+
+            customWrapper.classList.toggle('d-none', select.value !== CUSTOM_KIND);
+
+            if (definition) {
+                content.placeholder = definition.placeholder || labels.labelValue;
+                hint.textContent = definition.help || '';
+                badgeContainer.replaceChildren(...(definition.badges || []).map(item => badge(item.class, item.label)));
+            } else {
+                content.placeholder = labels.labelValue;
+                hint.textContent = labels.labelCustomHelp;
+                badgeContainer.replaceChildren(badge('bg-warning-subtle text-warning-emphasis border border-warning-subtle', labels.labelCustom));
+            }
+        }
+
+        function addRow() {
+            rows.appendChild(template.content.firstElementChild.cloneNode(true));
+        }
+
+        function rebuild() {
+            refreshNames();
+            rows.querySelectorAll('tr').forEach(updateRowUi);
+        }
+
+        addButton.addEventListener('click', function() {
+            addRow();
+            rebuild();
+        });
+
+        rows.addEventListener('change', function(event) {
+            const row = event.target.closest('tr');
+            if (row) {
+                updateRowUi(row);
+                refreshNames();
+            }
+        });
+
+        rows.addEventListener('click', function(event) {
+            const button = event.target.closest('.metadata-remove-row');
+            if (!button) {
+                return;
+            }
+
+            button.closest('tr').remove();
+            if (rows.querySelectorAll('tr').length === 0) {
+                addRow();
+            }
+            rebuild();
+        });
+
+        rebuild();
+    }
+
+    function initAll() {
+        document.querySelectorAll('form[data-zone-metadata]').forEach(init);
+    }
+
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', initAll);
+    } else {
+        initAll();
+    }
+
+    // Public API
+    return {
+        init
+    };
+})();
@@ -0,0 +1,382 @@
+/*  Poweradmin, a friendly web-based admin tool for PowerDNS.
+ *  See <https://www.poweradmin.org> for more details.
+ *
+ *  Copyright 2007-2010 Rejo Zenger <rejo@zenger.nl>
+ *  Copyright 2010-2026 Poweradmin Development Team
+ *
+ *  This program is free software: you can redistribute it and/or modify
+ *  it under the terms of the GNU General Public License as published by
+ *  the Free Software Foundation, either version 3 of the License, or
+ *  (at your option) any later version.
+ *
+ *  This program is distributed in the hope that it will be useful,
+ *  but WITHOUT ANY WARRANTY; without even the implied warranty of
+ *  MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ *  GNU General Public License for more details.
+ *
+ *  You should have received a copy of the GNU General Public License
+ *  along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+
+/**
+ * ZonePicker - Typeahead zone selection for large installations
+ *
+ * Replaces a list of every zone with a search box that queries the internal
+ * zone API page by page. Selected zones are shown as removable chips and
+ * submitted as hidden inputs, so the component works inside a normal form.
+ *
+ * Markup:
+ *   <div data-zone-picker data-name="domain_ids[]" data-multiple="true"
+ *        data-exclude="1,2" data-joined="true"
+ *        data-placeholder="Search zones..." data-label-more="Load more"
+ *        data-label-empty="No zones found"></div>
+ *
+ * data-exclude lists zone IDs that cannot be picked. With data-joined the
+ * selection is submitted as one comma-separated value instead of one input
+ * per zone. The root element fires "zonepicker:change" with the selected
+ * zones in event.detail.zones.
+ */
+const ZonePicker = (function() {
+    // Zone list endpoint of the internal API
+    const API_ENDPOINT = (window.BASE_URL_PREFIX || '') + '/api/internal/zone?action=list';
+
+    // Zones requested per page
+    const PAGE_SIZE = 25;
+
+    // Delay before searching while the user is typing (ms)
+    const SEARCH_DELAY = 250;
+
+    /**
+     * Create an element with optional class and text
+     * @param {string} tag - Tag name
+     * @param {string} className - Class attribute
+     * @param {string} text - Text content
+     * @returns {Element} New element
+     */
+    function element(tag, className, text) {
+        const node = document.createElement(tag);
+        if (className) {
+            node.className = className;
+        }
+        if (text !== undefined && text !== null) {
+            node.textContent = String(text);
+        }
+        return node;
+    }
+
+    /**
+     * Set up one picker
+     * @param {Element} root - Element with the data-zone-picker attribute
+     * @returns {Object} Picker with getSelected and clear methods
+     */
+    function init(root) {
+        if (root.zonePicker) {
+            return root.zonePicker;
+        }
+
+        const name = root.dataset.name || 'zone_id';
+        const multiple = root.dataset.multiple === 'true';
+        const joined = root.dataset.joined === 'true';
+        const excluded = new Set((root.dataset.exclude || '').split(',').filter(Boolean).map(Number));
+
+        const selected = new Map();
+        let results = [];
+        let active = -1;
+        let offset = 0;
+        let hasMore = false;
+        let query = '';
+        let searchTimer = null;
+        let controller = null;
+
+        root.classList.add('position-relative');
+
+        const box = element('div', 'form-control form-control-sm d-flex flex-wrap align-items-center gap-1');
+        const chips = element('div');
+        chips.style.display = 'contents';
+        const input = element('input', 'border-0 flex-grow-1 bg-transparent');
+        input.type = 'text';
+        input.autocomplete = 'off';
+        input.spellcheck = false;
+        input.style.outline = 'none';
+        input.style.minWidth = '8rem';
+        input.placeholder = root.dataset.placeholder || '';
+        input.setAttribute('role', 'combobox');
+        input.setAttribute('aria-autocomplete', 'list');
+        input.setAttribute('aria-expanded', 'false');
+        box.appendChild(chips);
+        box.appendChild(input);
+
+        const menu = element('div', 'dropdown-menu w-100 overflow-auto');
+        menu.style.maxHeight = '300px';
+        menu.setAttribute('role', 'listbox');
+
+        const hidden = element('div', 'd-none');
+
+        root.appendChild(box);
+        root.appendChild(menu);
+        root.appendChild(hidden);
+
+        /**
+         * Write the selection to the hidden inputs and notify listeners
+         */
+        function sync() {
+            hidden.replaceChildren();
+            const ids = [...selected.keys()];
+            const values = joined ? (ids.length > 0 ? [ids.join(',')] : []) : ids;
+            values.forEach(function(value) {
+                const field = element('input');
+                field.type = 'hidden';
+                field.name = name;
+                field.value = value;
+                hidden.appendChild(field);
+            });
+
+            chips.replaceChildren();
+            selected.forEach(function(zone, id) {
+                const chip = element('span', 'badge rounded-pill text-bg-primary d-inline-flex align-items-center');
+                chip.appendChild(element('span', null, zone.utf8_name || zone.name));
+                const remove = element('button', 'btn-close btn-close-white ms-1');
+                remove.type = 'button';
+                remove.style.fontSize = '.5rem';
+                remove.setAttribute('aria-label', 'Remove');
+                remove.addEventListener('click', function(event) {
+                    event.stopPropagation();
+                    unselect(id);
+                    input.focus();
+                });
+                chip.appendChild(remove);
+                chips.appendChild(chip);
+            });
+
+            root.dispatchEvent(new CustomEvent('zonepicker:change', {
+                detail: { zones: [...selected.values()] }
+            }));
+        }
+
+        /**
+         * Add a zone to the selection
+         * @param {Object} zone - Zone from the API
+         */
+        function choose(zone) {
+            const id = Number(zone.id);
+            if (!multiple) {
+                selected.clear();
+            }
+            selected.set(id, zone);
+            sync();
+
+            input.value = '';
+            query = '';
+            if (multiple) {
+                renderMenu();
+            } else {
+                close();
+            }
+        }
+
+        /**
+         * Remove a zone from the selection
+         * @param {number} id - Zone ID
+         */
+        function unselect(id) {
+            selected.delete(id);
+            sync();
+            if (menu.classList.contains('show')) {
+                renderMenu();
+            }
+        }
+
+        /**
+         * Show the loaded results that can still be picked
+         */
+        function renderMenu() {
+            menu.replaceChildren();
+            const options = results.filter(zone => !selected.has(Number(zone.id)));
+
+            if (options.length === 0 && !hasMore) {
+                menu.appendChild(element('span', 'dropdown-item-text small text-muted', root.dataset.labelEmpty || ''));
+            }
+
+            options.forEach(function(zone, index) {
+                const option = element('button', 'dropdown-item d-flex justify-content-between align-items-center');
+                option.type = 'button';
+                option.setAttribute('role', 'option');
+                option.dataset.zonePickerIndex = index;
+                option.appendChild(element('span', 'text-truncate', zone.utf8_name || zone.name));
+                option.appendChild(element('small', 'text-muted ms-2', zone.type));
+                option.addEventListener('mousedown', function(event) {
+                    // Keep the focus in the input
+                    event.preventDefault();
+                    choose(zone);
+                });
+                menu.appendChild(option);
+            });
+
+            if (hasMore) {
+                const more = element('button', 'dropdown-item text-center small text-primary', root.dataset.labelMore || '…');
+                more.type = 'button';
+                more.dataset.zonePickerMore = '';
+                more.addEventListener('mousedown', function(event) {
+                    event.preventDefault();
+                    load(true);
+                });
+                menu.appendChild(more);
+            }
+
+            highlight(Math.min(Math.max(active, 0), options.length - 1));
+            menu.classList.add('show');
+            input.setAttribute('aria-expanded', 'true');
+        }
+
+        /**
+         * Highlight an option
+         * @param {number} index - Position in the visible options
+         */
+        function highlight(index) {
+            const options = menu.querySelectorAll('[data-zone-picker-index]');
+            active = options.length === 0 ? -1 : (index + options.length) % options.length;
+            options.forEach(function(option, position) {
+                option.classList.toggle('active', position === active);
+                if (position === active) {
+                    option.scrollIntoView({ block: 'nearest' });
+                }
+            });
+        }
+
+        /**
+         * Hide the result list
+         */
+        function close() {
+            menu.classList.remove('show');
+            input.setAttribute('aria-expanded', 'false');
+        }
+
+        /**
+         * Load a page of zones matching the current query
+         * @param {boolean} append - Load the next page instead of the first
+         * @returns {Promise} Promise that resolves when the results have been shown
+         */
+        async function load(append) {
+            if (controller) {
+                controller.abort();
+            }
+            controller = new AbortController();
+
+            if (!append) {
+                offset = 0;
+                active = 0;
+            }
+
+            const url = API_ENDPOINT
+                + '&search=' + encodeURIComponent(query)
+                + '&limit=' + PAGE_SIZE
+                + '&offset=' + offset;
+
+            try {
+                const response = await fetch(url, {
+                    headers: {
+                        'Accept': 'application/json'
+                    },
+                    signal: controller.signal
+                });
+                const result = await response.json();
+                if (!response.ok || !result.success) {
+                    throw new Error(result.message || 'Zone search failed');
+                }
+
+                // A zone with several owners can come back on two pages
+                const known = new Set(append ? results.map(zone => Number(zone.id)) : []);
+                const zones = result.data.zones.filter(function(zone) {
+                    return !excluded.has(Number(zone.id)) && !known.has(Number(zone.id));
+                });
+
+                results = append ? results.concat(zones) : zones;
+                offset += PAGE_SIZE;
+                hasMore = Boolean(result.meta && result.meta.has_more);
+                renderMenu();
+            } catch (error) {
+                if (error.name !== 'AbortError') {
+                    console.error('Error loading zones:', error);
+                }
+            }
+        }
+
+        input.addEventListener('input', function() {
+            query = input.value.trim();
+            clearTimeout(searchTimer);
+            searchTimer = setTimeout(() => load(false), SEARCH_DELAY);
+        });
+
+        input.addEventListener('focus', function() {
+            if (results.length === 0) {
+                load(false);
+            } else {
+                renderMenu();
+            }
+        });
+
+        input.addEventListener('blur', close);
+
+        input.addEventListener('keydown', function(event) {
+            if (event.key === 'ArrowDown') {
+                event.preventDefault();
+                if (!menu.classList.contains('show')) {
+                    renderMenu();
+                }
+                highlight(active + 1);
+            } else if (event.key === 'ArrowUp') {
+                event.preventDefault();
+                highlight(active - 1);
+            } else if (event.key === 'Enter') {
+                // Picking a zone must not submit the surrounding form
+                event.preventDefault();
+                const option = menu.querySelector('[data-zone-picker-index].active');
+                if (option) {
+                    option.dispatchEvent(new MouseEvent('mousedown', { cancelable: true }));
+                }
+            } else if (event.key === 'Escape') {
+                close();
+            } else if (event.key === 'Backspace' && input.value === '' && selected.size > 0) {
+                unselect([...selected.keys()].pop());
+            }
+        });
+
+        // Load the next page when scrolled to the end of the list
+        menu.addEventListener('scroll', function() {
+            if (hasMore && menu.scrollTop + menu.clientHeight >= menu.scrollHeight - 10) {
+                hasMore = false;
+                load(true);
+            }
+        });
+
+        box.addEventListener('click', () => input.focus());
+
+        root.zonePicker = {
+            getSelected: () => [...selected.values()],
+            clear: function() {
+                selected.clear();
+                sync();
+            }
+        };
+        return root.zonePicker;
+    }
+
+    /**
+     * Set up every picker on the page
+     */
+    function initAll() {
+        document.querySelectorAll('[data-zone-picker]').forEach(init);
+    }
+
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', initAll);
+    } else {
+        initAll();
+    }
+
+    // Public API
+    return {
+        init
+    };
+})();
@@ -0,0 +1,359 @@
+/*  Poweradmin, a friendly web-based admin tool for PowerDNS.
+ *  See <https://www.poweradmin.org> for more details.
+ *
+ *  Copyright 2007-2010 Rejo Zenger <rejo@zenger.nl>
+ *  Copyright 2010-2026 Poweradmin Development Team
+ *
+ *  This program is free software: you can redistribute it and/or modify
+ *  it under the terms of the GNU General Public License as published by
+ *  the Free Software Foundation, either version 3 of the License, or
+ *  (at your option) any later version.
+ *
+ *  This program is distributed in the hope that it will be useful,
+ *  but WITHOUT ANY WARRANTY; without even the implied warranty of
+ *  MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ *  GNU General Public License for more details.
+ *
+ *  You should have received a copy of the GNU General Public License
+ *  along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+
+
+/**
+ * ZoneRecords - Add record forms and record selection of the zone edit page
+ *
+ * Adapts the add record forms to the chosen record type: the priority field,
+ * the TTL default (reverse zones may use their own for PTR records) and the
+ * warning about a CNAME at the zone apex. Keeps the edit and delete buttons
+ * in line with the selected records.
+ *
+ * Markup:
+ *   <script type="application/json" id="zone-records-config">
+ *       {"ttl": {"plain": 3600, "ptr": null}, "keepTtl": false, "recordUrl": "/zones/1/records/"}
+ *   </script>
+ *   <select id="recordTypeSelectTop" data-preselect="MX"></select> (and ...Bottom)
+ *   <input type="checkbox" name="record_id[]"> <form id="delete-records-form"></form>
+ */
+const ZoneRecords = (function() {
+    // Record types that support priority field
+    const RECORD_TYPES_WITH_PRIORITY = ['MX', 'SRV', 'KX', 'NAPTR'];
+
+    const config = readConfig();
+
+    let suppressTtlSwap = false;
+
+    /**
+     * Read the page configuration rendered by the server
+     * @returns {Object} TTL defaults, whether to keep the submitted TTL and the record URL prefix
+     */
+    function readConfig() {
+        const element = document.getElementById('zone-records-config');
+        try {
+            return Object.assign({ ttl: { plain: '', ptr: null }, keepTtl: false, recordUrl: '' },
+                JSON.parse(element ? element.textContent : '{}'));
+        } catch (error) {
+            console.error('Invalid zone records configuration', error);
+            return { ttl: { plain: '', ptr: null }, keepTtl: false, recordUrl: '' };
+        }
+    }
+
+    // Function to check if a record type supports priority
+    function supportsPriority(recordType) {
+        return RECORD_TYPES_WITH_PRIORITY.includes(recordType);
+    }
+
+    // Function to update priority field state based on record type
+    function updatePriorityFieldState(selectElement, priorityInputId) {
+        const recordType = selectElement.value;
+        const priorityInput = document.getElementById(priorityInputId);
+
+        if (priorityInput) {
+            if (supportsPriority(recordType)) {
+                priorityInput.removeAttribute('readonly');
+                priorityInput.classList.remove('bg-dark-subtle');
+                priorityInput.setAttribute('tabindex', '0');
+            } else {
+                priorityInput.setAttribute('readonly', 'readonly');
+                priorityInput.classList.add('bg-dark-subtle');
+                priorityInput.value = '0';
+                priorityInput.setAttribute('tabindex', '-1');
+            }
+        }
+    }
+
+    // Check if CNAME is being used at domain root and show warning if it is
+    function checkCnameRootWarning(selectId, nameInputSelector, warningId) {
+        const typeSelect = document.getElementById(selectId);
+        const nameField = document.querySelector(nameInputSelector);
+        const warningDiv = document.getElementById(warningId);
+
+        if (!typeSelect || !nameField || !warningDiv) return;
+
+        const isType = typeSelect.value === 'CNAME';
+        const name = nameField.value.trim();
+        const isAtRoot = (name === "" || name === "@");
+
+        warningDiv.style.display = (isType && isAtRoot) ? 'block' : 'none';
+    }
+
+    // Set up event listeners for CNAME root warning
+    function setupCnameWarningListeners(selectId, nameInputSelector, warningId) {
+        const typeSelect = document.getElementById(selectId);
+        const nameField = document.querySelector(nameInputSelector);
+
+        if (typeSelect) {
+            typeSelect.addEventListener('change', function() {
+                checkCnameRootWarning(selectId, nameInputSelector, warningId);
+            });
+        }
+
+        if (nameField) {
+            nameField.addEventListener('input', function() {
+                checkCnameRootWarning(selectId, nameInputSelector, warningId);
+            });
+        }
+    }
+
+    // config.ttl.ptr is null when dns.ttl_reverse is unset or this is a forward
+    // zone (so forward-zone PTR records, e.g. RFC 2317, keep dns.ttl).
+    function updateTtlForType(typeSelect, ttlInput) {
+        if (suppressTtlSwap || !ttlInput || ttlInput.dataset.userEdited === 'true') {
+            return;
+        }
+        const isPtr = typeSelect.value === 'PTR';
+        ttlInput.value = isPtr && config.ttl.ptr !== null ? config.ttl.ptr : config.ttl.plain;
+    }
+
+    // Adapt the fields of an add record form to the chosen record type
+    function changeRecordType(select, containerId, contentId, priorityFieldId) {
+        updateContentInput(select.id, containerId, contentId);
+        updatePriorityFieldState(select, priorityFieldId);
+        updateTtlForType(select, select.closest('form').querySelector('input[name=ttl]'));
+    }
+
+    // Handle pre-selected record types for form data restoration
+    function setPreselectedType(selectId) {
+        const typeSelect = document.getElementById(selectId);
+        if (typeSelect && typeSelect.hasAttribute('data-preselect')) {
+            const preselectedType = typeSelect.getAttribute('data-preselect');
+            for (let i = 0; i < typeSelect.options.length; i++) {
+                if (typeSelect.options[i].value === preselectedType) {
+                    typeSelect.selectedIndex = i;
+                    // The initial dispatch must not clobber form_data.ttl when the
+                    // form is being rehydrated after a validation error.
+                    suppressTtlSwap = true;
+                    typeSelect.dispatchEvent(new Event('change'));
+                    suppressTtlSwap = false;
+                    break;
+                }
+            }
+        }
+    }
+
+    // Function to update selected count display
+    function updateSelectedCount(checkboxes) {
+        const counterSpan = document.getElementById('selection-counter');
+        if (!counterSpan) return;
+
+        const selectedCount = Array.from(checkboxes).filter(checkbox => checkbox.checked).length;
+        const totalCount = checkboxes.length;
+
+        if (selectedCount > 0) {
+            counterSpan.textContent = selectedCount + ' of ' + totalCount + ' selected';
+            counterSpan.style.display = 'inline-block';
+        } else {
+            counterSpan.style.display = 'none';
+        }
+    }
+
+    // Function to update delete button state
+    function updateDeleteButtonState(buttonId, checkboxes) {
+        const button = document.getElementById(buttonId);
+        if (!button) return;
+
+        button.disabled = !Array.from(checkboxes).some(checkbox => checkbox.checked);
+    }
+
+    function updateEditButtonState(checkboxes) {
+        const editButton = document.getElementById('edit-selected-record');
+        if (!editButton) return;
+
+        // Enable only when exactly one record is selected
+        editButton.disabled = Array.from(checkboxes).filter(checkbox => checkbox.checked).length !== 1;
+    }
+
+    function editSelectedRecord() {
+        const selected = Array.from(document.getElementsByName('record_id[]')).find(checkbox => checkbox.checked);
+        if (!selected) {
+            return;
+        }
+
+        // Numeric in SQL mode, url-safe base64 in API mode
+        if (!/^[A-Za-z0-9_-]+$/.test(selected.value)) {
+            console.error('Invalid record ID format');
+            return;
+        }
+
+        window.location.href = config.recordUrl + encodeURIComponent(selected.value) + '/edit';
+    }
+
+    function updateRecordSelectionButtons() {
+        const recordCheckboxes = document.getElementsByName('record_id[]');
+        updateDeleteButtonState('delete-selected-records', recordCheckboxes);
+        updateEditButtonState(recordCheckboxes);
+    }
+
+    // Function to toggle all record checkboxes
+    function toggleEditRecordCheckboxes() {
+        const selectAllCheckbox = document.getElementById('select_edit_records');
+        const recordCheckboxes = document.getElementsByName('record_id[]');
+
+        for (let i = 0; i < recordCheckboxes.length; i++) {
+            recordCheckboxes[i].checked = selectAllCheckbox.checked;
+        }
+
+        updateDeleteButtonState('delete-selected-records', recordCheckboxes);
+        updateEditButtonState(recordCheckboxes);
+    }
+
+    function init() {
+        document.querySelectorAll('.ttl-input').forEach(function(input) {
+            input.addEventListener('input', function() {
+                input.dataset.userEdited = 'true';
+            });
+        });
+
+        // Apply to both top and bottom forms
+        setPreselectedType('recordTypeSelectTop');
+        setPreselectedType('recordTypeSelectBottom');
+
+        // Initialize priority field states for add record forms
+        const topTypeSelect = document.getElementById('recordTypeSelectTop');
+        if (topTypeSelect) {
+            updatePriorityFieldState(topTypeSelect, 'priorityFieldTop');
+        }
+
+        const bottomTypeSelect = document.getElementById('recordTypeSelectBottom');
+        if (bottomTypeSelect) {
+            updatePriorityFieldState(bottomTypeSelect, 'priorityFieldBottom');
+        }
+
+        // Sync the TTL fields with the auto-selected type so the displayed value
+        // matches what the backend will persist for the initial type.
+        if (!config.keepTtl) {
+            [topTypeSelect, bottomTypeSelect].forEach(function(typeSelect) {
+                if (!typeSelect) return;
+                const form = typeSelect.closest('form');
+                const ttlInput = form ? form.querySelector('input[name=ttl]') : null;
+                if (ttlInput) {
+                    updateTtlForType(typeSelect, ttlInput);
+                }
+            });
+        }
+
+        // Initialize priority field states for existing records
+        document.querySelectorAll('.record-priority-field').forEach(priorityField => {
+            const recordType = priorityField.getAttribute('data-record-type');
+            if (recordType && !supportsPriority(recordType)) {
+                priorityField.setAttribute('readonly', 'readonly');
+                priorityField.classList.add('bg-dark-subtle');
+                priorityField.setAttribute('tabindex', '-1');
+            }
+        });
+
+        // Handle disabled checkboxes
+        document.querySelectorAll('input[type="checkbox"][name$="[disabled]"]').forEach(checkbox => {
+            const row = checkbox.closest('tr');
+            if (!row) return;
+
+            const toggleOpacity = () => row.classList.toggle('opacity-25', checkbox.checked);
+
+            checkbox.addEventListener('change', toggleOpacity);
+            toggleOpacity();
+        });
+
+        // Handle record selection checkboxes
+        const recordCheckboxes = document.getElementsByName('record_id[]');
+        for (let i = 0; i < recordCheckboxes.length; i++) {
+            recordCheckboxes[i].addEventListener('change', function() {
+                updateDeleteButtonState('delete-selected-records', recordCheckboxes);
+                updateSelectedCount(recordCheckboxes);
+            });
+        }
+
+        // Initialize delete button state
+        updateDeleteButtonState('delete-selected-records', recordCheckboxes);
+
+        // Select/deselect all records checkbox
+        const selectAllCheckbox = document.getElementById('select_edit_records');
+        if (selectAllCheckbox) {
+            selectAllCheckbox.addEventListener('change', function() {
+                toggleEditRecordCheckboxes();
+                updateSelectedCount(recordCheckboxes);
+            });
+        }
+
+        // Handle delete form submission
+        const deleteRecordsForm = document.getElementById('delete-records-form');
+        if (deleteRecordsForm) {
+            deleteRecordsForm.addEventListener('submit', function(e) {
+                const checkedBoxes = document.querySelectorAll('input[name="record_id[]"]:checked');
+
+                if (checkedBoxes.length === 0) {
+                    e.preventDefault();
+                    return;
+                }
+
+                const container = document.getElementById('selected-records-container');
+                container.innerHTML = '';
+
+                // Clone checked checkboxes to the delete form
+                checkedBoxes.forEach(function(checkbox) {
+                    const clone = document.createElement('input');
+                    clone.type = 'hidden';
+                    clone.name = 'record_id[]';
+                    clone.value = checkbox.value;
+                    container.appendChild(clone);
+                });
+            });
+
+            // Selection counter after the delete button
+            const selectionCounterSpan = document.createElement('span');
+            selectionCounterSpan.id = 'selection-counter';
+            selectionCounterSpan.classList.add('ms-2', 'small', 'text-muted');
+            selectionCounterSpan.style.display = 'none';
+            deleteRecordsForm.appendChild(selectionCounterSpan);
+        }
+
+        // Initialize selection counter
+        updateSelectedCount(recordCheckboxes);
+
+        // Set up CNAME root warning listeners for top and bottom forms
+        setupCnameWarningListeners('recordTypeSelectTop', 'input[name="name"]', 'cnameRootWarningTop');
+        setupCnameWarningListeners('recordTypeSelectBottom', 'input[name="name"][data-testid="record-name-input"]', 'cnameRootWarningBottom');
+
+        // Initial check for CNAME warnings
+        checkCnameRootWarning('recordTypeSelectTop', 'input[name="name"]', 'cnameRootWarningTop');
+        checkCnameRootWarning('recordTypeSelectBottom', 'input[name="name"][data-testid="record-name-input"]', 'cnameRootWarningBottom');
+    }
+
+    PageActions.register({
+        changeRecordType,
+        editSelectedRecord,
+        updateRecordSelectionButtons,
+        toggleEditRecordCheckboxes
+    });
+
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', init);
+    } else {
+        init();
+    }
+
+    // Public API
+    return {
+        supportsPriority,
+        updateTtlForType
+    };
+})();
@@ -120,6 +120,16 @@ return [
             'version' => 'v3',                   // reCAPTCHA version: 'v2' or 'v3'
             'v3_threshold' => 0.5,               // Score threshold for v3 (0.0 - 1.0)
         ],
+        /**
+         * Content Security Policy Settings
+         *
+         * Scripts are limited to the application and to inline blocks carrying a
+         * per-request nonce, so no 'unsafe-inline' is needed for scripts.
+         */
+        'csp' => [
+            'mode' => 'off',                     // Options: 'off', 'report-only' (report violations only), 'enforce'
+            'report_uri' => '',                  // Optional URI that receives violation reports
+        ],
     ],
 
     /**
@@ -275,6 +285,8 @@ return [
     'dnssec' => [
         'enabled' => false,                        // Enable DNSSEC functionality (added in 2.1.7)
         'debug' => false,                          // Enable DNSSEC debug logging (added in 2.1.9)
+        'rollover_wait' => 86400,                  // Seconds the rollover assistant waits between publishing and using keys or DS records
+        'parent_ds_resolver' => '',                // DNS-over-HTTPS JSON resolver for the parent DS check, e.g. 'https://dns.google/resolve', or a JSON stub file keyed by zone name (empty disables the lookup)
     ],
 
     /**
@@ -1019,6 +1019,7 @@ generate_config() {
     local logo_path_esc; logo_path_esc=$(php_sq_escape "${PA_LOGO_PATH:-}")
     local recaptcha_site_esc; recaptcha_site_esc=$(php_sq_escape "${PA_RECAPTCHA_SITE_KEY:-}")
     local recaptcha_secret_esc; recaptcha_secret_esc=$(php_sq_escape "${PA_RECAPTCHA_SECRET_KEY:-}")
+    local csp_report_uri_esc; csp_report_uri_esc=$(php_sq_escape "${PA_CSP_REPORT_URI:-}")
     local smtp_password_esc; smtp_password_esc=$(php_sq_escape "${PA_SMTP_PASSWORD:-}")
     local pdns_webserver_password_esc; pdns_webserver_password_esc=$(php_sq_escape "${PA_PDNS_WEBSERVER_PASSWORD:-}")
     local ldap_bind_password_esc; ldap_bind_password_esc=$(php_sq_escape "${PA_LDAP_BIND_PASSWORD:-}")
@@ -1127,6 +1128,10 @@ return [
             'version' => '${PA_RECAPTCHA_VERSION:-v3}',
             'v3_threshold' => ${PA_RECAPTCHA_V3_THRESHOLD:-0.5},
         ],
+        'csp' => [
+            'mode' => '${PA_CSP_MODE:-off}',
+            'report_uri' => '${csp_report_uri_esc}',
+        ],
     ],
     'mail' => [
         'enabled' => ${mail_enabled},
@@ -31,6 +31,7 @@ use Poweradmin\Infrastructure\Configuration\ConfigurationManager;
 use Poweradmin\Infrastructure\Configuration\ConfigValidator;
 use Poweradmin\Infrastructure\Utility\SimpleSizeFormatter;
 use Poweradmin\Infrastructure\Web\BadgeTwigExtension;
+use Poweradmin\Infrastructure\Web\ContentSecurityPolicy;
 use Poweradmin\Module\ModuleRegistry;
 use Symfony\Bridge\Twig\Extension\TranslationExtension;
 use Symfony\Component\HttpFoundation\Request;
@@ -58,6 +59,9 @@ class AppManager
     /** @var StatsDisplayService|null $statsDisplayService The service for displaying statistics */
     protected ?StatsDisplayService $statsDisplayService = null;
 
+    /** @var ContentSecurityPolicy $contentSecurityPolicy The policy sent with rendered pages */
+    protected ContentSecurityPolicy $contentSecurityPolicy;
+
     private LoggerInterface $logger;
 
     /**
@@ -170,6 +174,10 @@ class AppManager
 
         $this->templateRenderer->addExtension(new TranslationExtension($translator));
         $this->templateRenderer->addExtension(new BadgeTwigExtension());
+
+        // Inline scripts carry the nonce, so the policy can leave out 'unsafe-inline'
+        $this->contentSecurityPolicy = new ContentSecurityPolicy($this->configuration);
+        $this->templateRenderer->addGlobal('csp_nonce', $this->contentSecurityPolicy->getNonce());
     }
 
     /**
@@ -181,7 +189,9 @@ class AppManager
     public function render(string $template, array $params = []): void
     {
         try {
-            echo $this->templateRenderer->render($template, $params);
+            $output = $this->templateRenderer->render($template, $params);
+            $this->contentSecurityPolicy->sendHeader();
+            echo $output;
         } catch (Error $e) {
             $this->logger->error('Template rendering failed: {error}', ['error' => $e->getMessage()]);
             $messageService = new MessageService();
@@ -189,6 +199,18 @@ class AppManager
         }
     }
 
+    /**
+     * Renders a template into a string, for responses that embed markup.
+     *
+     * @param string $template The template file to render
+     * @param array $params The parameters to pass to the template
+     * @return string The rendered template
+     */
+    public function renderToString(string $template, array $params = []): string
+    {
+        return $this->templateRenderer->render($template, $params);
+    }
+
     /**
      * Gets the locale file path for the given interface language.
      *
@@ -317,8 +317,9 @@ class AddRecordController extends BaseController
         $this->render('add_record.html', [
             'types' => $offeredTypes,
             'deprecated_types' => RecordType::DEPRECATED_TYPES,
-            'name' => $formData['name'] ?? $_POST['name'] ?? '',
-            'type' => $formData['type'] ?? $_POST['type'] ?? '',
+            // Links such as the PTR lookup pre-fill name and type through the query string
+            'name' => $formData['name'] ?? $_POST['name'] ?? $_GET['name'] ?? '',
+            'type' => $formData['type'] ?? $_POST['type'] ?? $_GET['type'] ?? '',
             'content' => $formData['content'] ?? $_POST['content'] ?? '',
             'ttl' => $formData['ttl'] ?? $_POST['ttl'] ?? $ttl,
             'default_ttl' => $this->reverseTtlResolver->getForwardTtl(),
@@ -0,0 +1,309 @@
+<?php
+
+/*  Poweradmin, a friendly web-based admin tool for PowerDNS.
+ *  See <https://www.poweradmin.org> for more details.
+ *
+ *  Copyright 2007-2010 Rejo Zenger <rejo@zenger.nl>
+ *  Copyright 2010-2026 Poweradmin Development Team
+ *
+ *  This program is free software: you can redistribute it and/or modify
+ *  it under the terms of the GNU General Public License as published by
+ *  the Free Software Foundation, either version 3 of the License, or
+ *  (at your option) any later version.
+ *
+ *  This program is distributed in the hope that it will be useful,
+ *  but WITHOUT ANY WARRANTY; without even the implied warranty of
+ *  MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ *  GNU General Public License for more details.
+ *
+ *  You should have received a copy of the GNU General Public License
+ *  along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+/**
+ * Internal API controller for single record operations
+ *
+ * @package     Poweradmin
+ * @copyright   2007-2010 Rejo Zenger <rejo@zenger.nl>
+ * @copyright   2010-2026 Poweradmin Development Team
+ * @license     https://opensource.org/licenses/GPL-3.0 GPL
+ */
+
+namespace Poweradmin\Application\Controller\Api\Internal;
+
+use Poweradmin\Application\Controller\Api\InternalApiController;
+use Poweradmin\Application\Service\CsrfTokenService;
+use Poweradmin\Application\Service\DnsBackendProviderFactory;
+use Poweradmin\Application\Service\DnssecProviderFactory;
+use Poweradmin\Application\Service\RecordCommentService;
+use Poweradmin\Application\Service\RecordCommentSyncService;
+use Poweradmin\Domain\Model\RecordLog;
+use Poweradmin\Domain\Repository\RecordRepositoryInterface;
+use Poweradmin\Domain\Repository\ZoneRepositoryInterface;
+use Poweradmin\Domain\Service\ApiPermissionService;
+use Poweradmin\Domain\Service\Dns\RecordManager;
+use Poweradmin\Domain\Service\Dns\RecordManagerInterface;
+use Poweradmin\Domain\Service\Dns\SOARecordManager;
+use Poweradmin\Domain\Service\DnsIdnService;
+use Poweradmin\Domain\Service\DnsRecord;
+use Poweradmin\Domain\Service\RecordDisplayService;
+use Poweradmin\Domain\Service\UserContextService;
+use Poweradmin\Domain\Utility\DnsHelper;
+use Poweradmin\Domain\Utility\RecordIdHelper;
+use Poweradmin\Infrastructure\Database\DbCompat;
+use Poweradmin\Infrastructure\Service\DnsServiceFactory;
+use Symfony\Component\HttpFoundation\JsonResponse;
+
+/**
+ * Saves a single record from the zone edit page.
+ *
+ * The update follows the V2 ZonesRecordsController (same permission checks and
+ * RecordManager validation), but authenticates through the session and answers
+ * with the record in the form the zone edit page shows it, so the page can
+ * update one row without resubmitting the whole zone.
+ */
+class RecordController extends InternalApiController
+{
+    private ZoneRepositoryInterface $zoneRepository;
+    private RecordRepositoryInterface $recordRepository;
+    private RecordManagerInterface $recordManager;
+    private SOARecordManager $soaRecordManager;
+    private ApiPermissionService $permissionService;
+    private RecordCommentService $recordCommentService;
+    private RecordCommentSyncService $commentSyncService;
+    private UserContextService $userContextService;
+
+    /**
+     * Constructor for RecordController
+     *
+     * @param array $request The request data
+     */
+    public function __construct(array $request)
+    {
+        parent::__construct($request);
+
+        $backendProvider = DnsBackendProviderFactory::create($this->db, $this->getConfig(), $this->logger);
+        $repositoryFactory = $this->getRepositoryFactory($backendProvider);
+        $this->zoneRepository = $this->createZoneRepository();
+        $this->recordRepository = $repositoryFactory->createRecordRepository();
+        $this->permissionService = new ApiPermissionService($this->db);
+        $this->userContextService = new UserContextService();
+
+        $recordCommentRepository = $repositoryFactory->createRecordCommentRepository();
+        $this->recordCommentService = new RecordCommentService($recordCommentRepository);
+        $this->commentSyncService = new RecordCommentSyncService($this->recordCommentService, $this->recordRepository, $backendProvider);
+
+        $validationService = DnsServiceFactory::createDnsRecordValidationService($this->db, $this->getConfig(), $backendProvider);
+        $this->soaRecordManager = new SOARecordManager($this->db, $this->getConfig(), $backendProvider);
+        $this->recordManager = new RecordManager(
+            $this->db,
+            $this->getConfig(),
+            $validationService,
+            $this->soaRecordManager,
+            $repositoryFactory->createDomainRepository(),
+            $backendProvider
+        );
+    }
+
+    /**
+     * Run the controller based on the action parameter
+     */
+    public function run(): void
+    {
+        $action = $this->request->query->get('action', '');
+
+        $response = match ($action) {
+            'update' => $this->updateRecord(),
+            default => $this->returnApiError('Invalid action', 400),
+        };
+
+        $response->send();
+        exit;
+    }
+
+    /**
+     * Update a single record
+     *
+     * POST /api/internal/record?action=update
+     * Body: { "zone_id": 1, "record_id": 5, "name": "www", "content": "192.0.2.1", "ttl": 3600, "priority": 0, "disabled": false, "comment": "" }
+     * Headers: X-CSRF-Token: <token>
+     *
+     * @return JsonResponse
+     */
+    private function updateRecord(): JsonResponse
+    {
+        if ($this->request->getMethod() !== 'POST') {
+            return $this->returnApiError('Method not allowed', 405);
+        }
+
+        $csrfToken = $this->request->headers->get('X-CSRF-Token', '');
+        if (empty($csrfToken)) {
+            return $this->returnApiError('Missing CSRF token', 403);
+        }
+        if ($this->config->get('security', 'global_token_validation', true)) {
+            $csrfService = new CsrfTokenService();
+            if (!$csrfService->validateToken($csrfToken)) {
+                return $this->returnApiError('Invalid CSRF token', 403);
+            }
+        }
+
+        $input = $this->getJsonInput();
+        if (!$input) {
+            return $this->returnApiError('Invalid JSON in request body', 400);
+        }
+
+        $userId = (int)$this->userContextService->getLoggedInUserId();
+        $zoneId = (int)($input['zone_id'] ?? 0);
+        $recordId = RecordIdHelper::normalizeId($input['record_id'] ?? '');
+
+        if ($zoneId <= 0 || !$recordId) {
+            return $this->returnApiError('Valid zone ID and record ID are required', 400);
+        }
+
+        $zone = $this->zoneRepository->getZoneById($zoneId);
+        $zoneName = $this->zoneRepository->getDomainNameById($zoneId);
+        if (!$zone || $zoneName === null) {
+            return $this->returnApiError('Zone not found', 404);
+        }
+
+        if (!$this->permissionService->canEditZoneContent($userId, $zoneId, $zone['type'] ?? null)) {
+            return $this->returnApiError('You do not have permission to edit this zone', 403);
+        }
+
+        $existingRecord = $this->recordRepository->getRecordById($recordId);
+        if (!$existingRecord || $existingRecord['domain_id'] != $zoneId) {
+            return $this->returnApiError('Record not found in this zone', 404);
+        }
+
+        // Blocks SOA/NS edits for users limited to zone_content_edit_own_as_client
+        if (!$this->permissionService->canEditZoneRecord($userId, $zoneId, (string)$existingRecord['type'], $zone['type'] ?? null)) {
+            return $this->returnApiError('You do not have permission to edit this record type', 403);
+        }
+
+        // The row cannot change the record type, so it is always taken from the record
+        $name = $this->inputString($input, 'name', $existingRecord['name']);
+        $content = $this->inputString($input, 'content', $existingRecord['content']);
+        $ttl = $this->inputInt($input, 'ttl', (int)$existingRecord['ttl']);
+        $prio = $this->inputInt($input, 'priority', (int)($existingRecord['prio'] ?? 0));
+        $disabled = $this->inputIntFromBool($input, 'disabled', DbCompat::boolFromDb($existingRecord['disabled'] ?? 0));
+        $comment = $this->inputString($input, 'comment', '');
+        if ($name === null || $content === null || $ttl === null || $prio === null || $disabled === null || $comment === null) {
+            return $this->returnApiError('Invalid field types in request body', 400);
+        }
+
+        if ($ttl < 1) {
+            return $this->returnApiError('TTL must be greater than 0', 400);
+        }
+
+        $type = strtoupper((string)$existingRecord['type']);
+        $recordData = [
+            'rid' => $recordId,
+            'zid' => $zoneId,
+            'name' => DnsHelper::restoreZoneSuffix(DnsIdnService::toPunycode(trim($name)), $zoneName),
+            'type' => $type,
+            'content' => DnsIdnService::convertContentToPunycode($type, trim($content)),
+            'ttl' => $ttl,
+            'prio' => $prio,
+            'disabled' => $disabled,
+        ];
+
+        $showRecordComments = $this->config->get('interface', 'show_record_comments', false);
+        $priorComment = '';
+        if ($showRecordComments) {
+            $recordComment = $this->recordCommentService->findCommentByRecordId($recordId)
+                ?? $this->recordCommentService->findComment($zoneId, $existingRecord['name'], $type);
+            $priorComment = $recordComment ? $recordComment->getComment() : '';
+            $recordData['comment'] = $comment;
+        }
+
+        $log = new RecordLog($this->db, $this->getConfig());
+        $log->logPrior($recordId, $zoneId, $priorComment);
+
+        if (!$log->hasChanged($recordData)) {
+            return $this->returnApiResponse([
+                'record' => $this->formatRecord($existingRecord, $zoneName, $priorComment),
+                'serial' => $this->getZoneSerial($zoneId),
+                'changed' => false,
+            ], true, _('No changes were made to the record.'));
+        }
+
+        if (!$this->recordManager->editRecord($recordData)) {
+            // RecordManager reports validation failures as system messages
+            $errors = $this->getSystemErrors();
+            return $this->returnApiError($errors[0] ?? _('The record could not be updated.'), 422);
+        }
+
+        $log->logAfter($recordId, $recordData);
+        $log->write();
+
+        if ($type !== 'SOA') {
+            $this->soaRecordManager->updateSOASerial($zoneId);
+        }
+
+        if ($showRecordComments) {
+            $username = $this->userContextService->getLoggedInUsername();
+            $this->recordCommentService->updateCommentForRecord($zoneId, $recordData['name'], $type, $comment, $recordId, $username);
+
+            if ($this->config->get('misc', 'record_comments_sync')) {
+                $dnsRecord = new DnsRecord($this->db, $this->getConfig());
+                $this->commentSyncService->updateRelatedRecordComments($dnsRecord, $recordData, $comment, $username);
+            }
+        }
+
+        if ($this->config->get('dnssec', 'enabled', false)) {
+            $dnssecProvider = DnssecProviderFactory::create($this->db, $this->getConfig());
+            $dnssecProvider->rectifyZone($zoneName);
+        }
+
+        // In API mode the record ID may change when name/content/prio change,
+        // so fall back to the submitted data if the old ID no longer resolves.
+        $updatedRecord = $this->recordRepository->getRecordById($recordId) ?? array_merge($recordData, ['id' => $recordId]);
+
+        return $this->returnApiResponse([
+            'record' => $this->formatRecord($updatedRecord, $zoneName, $comment),
+            'serial' => $this->getZoneSerial($zoneId),
+            'changed' => true,
+        ], true, _('The record has been updated successfully.'));
+    }
+
+    /**
+     * Format a record the way the zone edit page shows it in its row
+     *
+     * @param array $record Record data
+     * @param string $zoneName Zone name
+     * @param string $comment Record comment
+     * @return array Record fields keyed like the V2 API
+     */
+    private function formatRecord(array $record, string $zoneName, string $comment): array
+    {
+        $userPreferenceService = $this->createUserPreferenceService();
+        $displayHostnameOnly = $userPreferenceService->getDisplayHostnameOnly((int)$this->userContextService->getLoggedInUserId());
+        $display = (new RecordDisplayService($displayHostnameOnly))->transformRecord($record, $zoneName)->toArray();
+
+        return [
+            'id' => RecordIdHelper::normalizeId($record['id']),
+            'name' => $display['editable_name'],
+            'type' => $display['type'],
+            'content' => $display['content'],
+            'ttl' => (int)$display['ttl'],
+            'priority' => (int)($display['prio'] ?? 0),
+            'disabled' => (bool)DbCompat::boolFromDb($display['disabled'] ?? 0),
+            'comment' => $comment,
+        ];
+    }
+
+    /**
+     * Get the current SOA serial of a zone
+     *
+     * The zone edit page posts the serial it was rendered with, so it has to
+     * follow the serial bumped by a row save.
+     *
+     * @param int $zoneId Zone ID
+     * @return string SOA serial
+     */
+    private function getZoneSerial(int $zoneId): string
+    {
+        $dnsRecord = new DnsRecord($this->db, $this->getConfig());
+        return (string)DnsRecord::getSOASerial($dnsRecord->getSOARecord($zoneId));
+    }
+}
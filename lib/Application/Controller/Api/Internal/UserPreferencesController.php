@@ -101,6 +101,10 @@ class UserPreferencesController extends InternalApiController
     {
         $input = $this->getJsonInput();
 
+        if (is_array($input) && isset($input['preferences'])) {
+            $this->handleBatchUpdate($userId, $input['preferences']);
+        }
+
         if (!$input || !isset($input['key']) || !isset($input['value'])) {
             $response = $this->returnJsonResponse(['error' => 'Missing key or value'], 400);
             $response->send();
@@ -126,6 +130,32 @@ class UserPreferencesController extends InternalApiController
         }
     }
 
+    /**
+     * Save several preferences in one request
+     *
+     * Valid keys are saved even when others are rejected; the response lists
+     * both so the client can drop the rejected ones instead of retrying them.
+     */
+    private function handleBatchUpdate(int $userId, mixed $preferences): void
+    {
+        if (!is_array($preferences) || $preferences === [] || array_is_list($preferences)) {
+            $response = $this->returnJsonResponse(['error' => 'Preferences must be an object of keys and values'], 400);
+            $response->send();
+            exit;
+        }
+
+        $errors = $this->userPreferenceService->setPreferences($userId, $preferences);
+        $saved = array_values(array_diff(array_map('strval', array_keys($preferences)), array_keys($errors)));
+
+        $response = $this->returnJsonResponse([
+            'success' => $errors === [],
+            'saved' => $saved,
+            'errors' => (object)$errors,
+        ], $errors === [] ? 200 : 400);
+        $response->send();
+        exit;
+    }
+
     private function handleDelete(int $userId): void
     {
         $key = $_GET['key'] ?? null;
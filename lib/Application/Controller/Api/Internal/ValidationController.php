@@ -40,6 +40,7 @@ use Poweradmin\Domain\Service\DnsValidation\DnsValidatorRegistry;
 use Poweradmin\Domain\Service\DnsValidation\DNSViolationValidator;
 use Poweradmin\Domain\Service\DnsValidation\TTLValidator;
 use Poweradmin\Domain\Service\UserContextService;
+use Poweradmin\Domain\Utility\DnsHelper;
 use Poweradmin\Infrastructure\Service\MessageService;
 use Symfony\Component\HttpFoundation\JsonResponse;
 
@@ -99,9 +100,14 @@ class ValidationController extends InternalApiController
      *   "type": "A",
      *   "content": "192.168.1.1",
      *   "ttl": 3600,
-     *   "prio": 0
+     *   "prio": 0,
+     *   "record_id": 456
      * }
      *
+     * The name may be given as a hostname relative to the zone ("www", "@"),
+     * the same way the record forms accept it. "record_id" is optional and
+     * identifies the record being edited, so it does not conflict with itself.
+     *
      * @return JsonResponse The JSON response
      */
     private function validateRecord(): JsonResponse
@@ -119,6 +125,40 @@ class ValidationController extends InternalApiController
         $content = $jsonData['content'] ?? ($jsonData['records'][0]['content'] ?? '');
         $ttl = $jsonData['ttl'] ?? ($jsonData['records'][0]['ttl'] ?? $this->getConfig()->get('dns', 'ttl', 3600));
         $prio = $jsonData['prio'] ?? ($jsonData['records'][0]['prio'] ?? 0);
+        $recordId = $jsonData['record_id'] ?? 0;
+
+        if (!is_string($name) || !is_string($type) || !is_string($content)) {
+            return $this->returnErrorResponse('Invalid request data', 400);
+        }
+
+        // Form fields arrive as strings; an empty TTL falls back to the default and
+        // an empty priority means none, as on the regular add/edit record forms.
+        if ($ttl === '' || $ttl === null) {
+            $ttl = $this->getConfig()->get('dns', 'ttl', 3600);
+        }
+        if ($prio === '' || $prio === null) {
+            $prio = 0;
+        }
+        if (!is_numeric($ttl)) {
+            return $this->returnJsonResponse([
+                'valid' => false,
+                'errors' => [_('Invalid value for TTL field. It must be numeric.')],
+                'field' => 'ttl'
+            ]);
+        }
+        if (!is_numeric($prio)) {
+            return $this->returnJsonResponse([
+                'valid' => false,
+                'errors' => [_('Invalid value for priority field. It must be numeric.')],
+                'field' => 'prio'
+            ]);
+        }
+        // Record IDs are numeric in SQL mode and url-safe base64 in API mode
+        if (is_string($recordId) && ctype_digit($recordId)) {
+            $recordId = (int)$recordId;
+        } elseif (!is_int($recordId) && !(is_string($recordId) && preg_match('/^[A-Za-z0-9_-]+$/', $recordId))) {
+            $recordId = 0;
+        }
 
         // Validation runs SQL conflict probes against the target zone (e.g. "already
         // exists", "CNAME conflict"). Refuse to validate against zones the caller
@@ -131,15 +171,24 @@ class ValidationController extends InternalApiController
             }
         }
 
+        // Record forms accept hostnames relative to the zone; expand them the same
+        // way RecordManagerService does before the record is stored.
+        if ($zoneId > 0) {
+            $zoneName = $this->zoneRepository->getDomainNameById($zoneId);
+            if ($zoneName !== null) {
+                $name = DnsHelper::restoreZoneSuffix($name, $zoneName);
+            }
+        }
+
         // Validate the record
         $result = $this->validationService->validateRecord(
-            0, // No record ID for new records
+            $recordId, // 0 for new records
             $zoneId,
             $type,
             $content,
             $name,
-            $prio,
-            $ttl,
+            (int)$prio,
+            (int)$ttl,
             $this->getConfig()->get('dns', 'hostmaster', 'hostmaster.example.com'),
             $this->getConfig()->get('dns', 'ttl', 3600)
         );
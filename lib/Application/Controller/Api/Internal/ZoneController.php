@@ -34,6 +34,7 @@ namespace Poweradmin\Application\Controller\Api\Internal;
 use Poweradmin\Application\Controller\Api\InternalApiController;
 use Poweradmin\Domain\Repository\ZoneRepositoryInterface;
 use Poweradmin\Domain\Service\UserContextService;
+use Symfony\Component\HttpFoundation\JsonResponse;
 
 class ZoneController extends InternalApiController
 {
@@ -60,22 +61,20 @@ class ZoneController extends InternalApiController
     {
         $action = $_GET['action'] ?? '';
 
-        switch ($action) {
-            case 'list':
-                $this->listZones();
-                break;
-            case 'get':
-                $this->getZone();
-                break;
-            default:
-                $this->returnErrorResponse('Unknown action', 400);
-        }
+        $response = match ($action) {
+            'list' => $this->listZones(),
+            'get' => $this->getZone(),
+            default => $this->returnErrorResponse('Unknown action', 400),
+        };
+
+        $response->send();
+        exit;
     }
 
     /**
      * List zones accessible to the current user
      */
-    private function listZones(): void
+    private function listZones(): JsonResponse
     {
         // Check if user can view zones
         $this->validatePermission('zone_content_view_own');
@@ -84,15 +83,30 @@ class ZoneController extends InternalApiController
         // Without these args the repository defaults leak every zone in the system.
         $userId = $this->userContextService->getLoggedInUserId() ?? 0;
         $viewOthers = $this->hasPermission('zone_content_view_others');
-        $zones = $this->zoneRepository->listZones($userId, $viewOthers);
 
-        $this->returnJsonResponse([
+        // Optional name filter and paging, used by the command palette and the zone picker
+        $filters = [];
+        $search = is_string($_GET['search'] ?? null) ? trim($_GET['search']) : '';
+        if ($search !== '') {
+            $filters['search'] = $search;
+        }
+        $limit = isset($_GET['limit']) ? max(1, min(100, (int)$_GET['limit'])) : 100;
+        $offset = isset($_GET['offset']) ? max(0, (int)$_GET['offset']) : 0;
+
+        // One extra row tells whether another page follows
+        $zones = $this->zoneRepository->listZones($userId, $viewOthers, $filters, $offset, $limit + 1);
+        $hasMore = count($zones) > $limit;
+
+        return $this->returnJsonResponse([
             'success' => true,
             'message' => 'Zones retrieved successfully',
             'data' => [
-                'zones' => $zones
+                'zones' => array_slice($zones, 0, $limit)
             ],
             'meta' => [
+                'offset' => $offset,
+                'limit' => $limit,
+                'has_more' => $hasMore,
                 'timestamp' => date('Y-m-d H:i:s')
             ]
         ]);
@@ -101,33 +115,30 @@ class ZoneController extends InternalApiController
     /**
      * Get a specific zone by ID
      */
-    private function getZone(): void
+    private function getZone(): JsonResponse
     {
         // Validate required parameters
         $zoneId = isset($_GET['id']) ? (int)$_GET['id'] : 0;
 
         if ($zoneId <= 0) {
-            $this->returnErrorResponse('Missing or invalid zone ID', 400);
-            return;
+            return $this->returnErrorResponse('Missing or invalid zone ID', 400);
         }
 
         // Check if user can view this zone
         if (!$this->hasPermission('zone_content_view_others')) {
             // Verify that the zone belongs to the current user
             if (!$this->zoneRepository->zoneExists($zoneId, $_SESSION['userid'])) {
-                $this->returnErrorResponse('Zone not found or access denied', 404);
-                return;
+                return $this->returnErrorResponse('Zone not found or access denied', 404);
             }
         }
 
         $zone = $this->zoneRepository->getZone($zoneId);
 
         if (!$zone) {
-            $this->returnErrorResponse('Zone not found', 404);
-            return;
+            return $this->returnErrorResponse('Zone not found', 404);
         }
 
-        $this->returnJsonResponse([
+        return $this->returnJsonResponse([
             'success' => true,
             'message' => 'Zone retrieved successfully',
             'data' => [
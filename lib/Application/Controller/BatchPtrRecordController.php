@@ -29,6 +29,8 @@ use Poweradmin\Domain\Model\UserManager;
 use Poweradmin\Domain\Service\BatchReverseRecordCreator;
 use Poweradmin\Domain\Service\DnsIdnService;
 use Poweradmin\Domain\Service\DnsRecord;
+use Poweradmin\Domain\Service\RecordMatchingService;
+use Poweradmin\Domain\Service\ReverseZoneLookupService;
 use Poweradmin\Domain\Service\ReverseTtlResolver;
 use Poweradmin\Domain\Utility\DnsHelper;
 use Poweradmin\Domain\Utility\IpHelper;
@@ -36,6 +38,7 @@ use Poweradmin\Infrastructure\Logger\LegacyLogger;
 use Symfony\Component\Validator\Constraints as Assert;
 use Poweradmin\Domain\Service\UserContextService;
 use Poweradmin\Domain\Model\Constants;
+use Poweradmin\Domain\Repository\RecordRepositoryInterface;
 
 class BatchPtrRecordController extends BaseController
 {
@@ -44,6 +47,7 @@ class BatchPtrRecordController extends BaseController
     private BatchReverseRecordCreator $batchReverseRecordCreator;
     private UserContextService $userContextService;
     private ReverseTtlResolver $reverseTtlResolver;
+    private RecordRepositoryInterface $recordRepository;
 
     public function __construct(array $request)
     {
@@ -55,6 +59,7 @@ class BatchPtrRecordController extends BaseController
         $backendProvider = $this->createDnsBackendProvider();
         $repositoryFactory = $this->getRepositoryFactory($backendProvider);
         $recordRepository = $repositoryFactory->createRecordRepository();
+        $this->recordRepository = $recordRepository;
 
         $this->batchReverseRecordCreator = new BatchReverseRecordCreator(
             $this->db,
@@ -131,6 +136,127 @@ class BatchPtrRecordController extends BaseController
         $this->showForm($formData);
     }
 
+    /**
+     * Report what already exists in the network a batch would cover
+     *
+     * The browser expands the network into addresses and PTR names itself;
+     * this adds the reverse zones the addresses fall into, the PTR records
+     * already present there and, in matching-only mode, the forward records
+     * the batch would be built from.
+     */
+    public function preview(): void
+    {
+        if (!$this->config->get('interface', 'add_reverse_record', true)) {
+            $this->sendJson(['message' => _("Batch PTR record creation is not enabled.")], 403);
+        }
+        if (
+            !UserManager::verifyPermission($this->db, 'zone_content_edit_own')
+            && !UserManager::verifyPermission($this->db, 'zone_content_edit_others')
+        ) {
+            $this->sendJson(['message' => _("You do not have permission to edit DNS records.")], 403);
+        }
+
+        $networkType = $_GET['network_type'] ?? 'ipv4';
+        $networkPrefix = trim($_GET['network_prefix'] ?? '');
+        $domain = trim($_GET['domain'] ?? '');
+        $network = $this->parsePreviewNetwork($networkType, $networkPrefix);
+        if ($network === null) {
+            $this->sendJson(['message' => _("Invalid network prefix.")], 400);
+        }
+
+        $zones = $this->createZoneRepository()->getReverseZones(
+            Permission::getViewPermission($this->db),
+            $this->userContextService->getLoggedInUserId(),
+            $network['family'] === 4 ? 'ipv4' : 'ipv6',
+            0,
+            Constants::DEFAULT_MAX_ROWS,
+            'name',
+            'ASC',
+            false,
+            false,
+            false,
+            false
+        );
+
+        $lookupService = new ReverseZoneLookupService();
+        $fullPrefix = $network['family'] === 4 ? 32 : 128;
+        $zoneList = [];
+        $existing = [];
+        foreach ($lookupService->overlapping($network, array_values($zones)) as $zone) {
+            $zoneList[] = [
+                'id' => (int)$zone['id'],
+                'name' => $zone['name'],
+                'network' => $zone['network'],
+            ];
+
+            foreach ($this->recordRepository->getRecordsByDomainId((int)$zone['id'], 'PTR') as $record) {
+                $address = $lookupService->recordAddress($record['name']);
+                $host = ['family' => $network['family'], 'network' => $address, 'prefix' => $fullPrefix];
+                if ($address !== null && $lookupService->contains($network, $host)) {
+                    $existing[$address][] = $record['content'];
+                }
+            }
+        }
+
+        $matching = null;
+        if (($_GET['only_matching_records'] ?? '') === 'on') {
+            $matchingService = new RecordMatchingService($this->dnsRecord, $this->recordRepository);
+            $records = $network['family'] === 4
+                ? $matchingService->getMatchingForwardRecords($domain, ip2long($network['network']), 2 ** (32 - $network['prefix']))
+                : $matchingService->getMatchingIPv6ForwardRecords($domain, $networkPrefix);
+
+            $matching = array_map(fn($record) => ['ip' => $record['ip'], 'name' => $record['name']], $records);
+        }
+
+        $this->sendJson([
+            'network' => $network,
+            'prevent_duplicate_ptr' => (bool)$this->config->get('dns', 'prevent_duplicate_ptr', true),
+            'zones' => $zoneList,
+            'existing' => (object)$existing,
+            'matching' => $matching,
+        ]);
+    }
+
+    /**
+     * Parse the network of a batch the same way BatchReverseRecordCreator does
+     *
+     * @return array|null ['family' => 4|6, 'network' => string, 'prefix' => int, 'classless' => false],
+     *                    or null if the prefix would be rejected on submit
+     */
+    private function parsePreviewNetwork(string $networkType, string $networkPrefix): ?array
+    {
+        if ($networkType === 'ipv6') {
+            $binary = substr_count($networkPrefix, ':') === 3 ? @inet_pton($networkPrefix . '::') : false;
+            if ($binary === false) {
+                return null;
+            }
+
+            return ['family' => 6, 'network' => inet_ntop($binary), 'prefix' => 64, 'classless' => false];
+        }
+
+        $cidr = 24;
+        $ip = $networkPrefix;
+        if (str_contains($networkPrefix, '/')) {
+            [$ip, $cidrPart] = explode('/', $networkPrefix, 2);
+            $cidr = (int)$cidrPart;
+        }
+        if (substr_count($ip, '.') === 2) {
+            $ip .= '.0';
+        }
+
+        $ipLong = filter_var($ip, FILTER_VALIDATE_IP, FILTER_FLAG_IPV4) ? ip2long($ip) : false;
+        if ($ipLong === false || $cidr < 20 || $cidr > 30) {
+            return null;
+        }
+
+        return [
+            'family' => 4,
+            'network' => long2ip($ipLong & IpHelper::getCidrNetmask($cidr)),
+            'prefix' => $cidr,
+            'classless' => false,
+        ];
+    }
+
     private function addBatchPtrRecords(): bool
     {
         $constraints = [
@@ -168,6 +294,15 @@ class BatchPtrRecordController extends BaseController
         $ipv6_count = isset($_POST['ipv6_count']) ? (int)$_POST['ipv6_count'] : 256;
         $createForwardRecords = isset($_POST['create_forward_records']) && $_POST['create_forward_records'] === 'on';
         $onlyMatchingRecords = isset($_POST['only_matching_records']) && $_POST['only_matching_records'] === 'on';
+        // Posted only once the preview grid was generated; limits the batch to the ticked rows
+        $selectedAddresses = null;
+        if (isset($_POST['selected_addresses'])) {
+            $selectedAddresses = preg_split('/[\s,]+/', trim($_POST['selected_addresses']), -1, PREG_SPLIT_NO_EMPTY);
+            if (empty($selectedAddresses)) {
+                $this->setMessage('batch_ptr_record', 'error', _('No addresses selected.'));
+                return false;
+            }
+        }
 
         try {
             if ($networkType === 'ipv4') {
@@ -183,7 +318,8 @@ class BatchPtrRecordController extends BaseController
                     $createForwardRecords,
                     $onlyMatchingRecords,
                     $forwardTtl,
-                    $matchingPtrTtl
+                    $matchingPtrTtl,
+                    $selectedAddresses
                 );
             } else { // IPv6
                 $result = $this->batchReverseRecordCreator->createIPv6Network(
@@ -199,7 +335,8 @@ class BatchPtrRecordController extends BaseController
                     $createForwardRecords,
                     $forwardTtl,
                     $onlyMatchingRecords,
-                    $matchingPtrTtl
+                    $matchingPtrTtl,
+                    $selectedAddresses
                 );
             }
 
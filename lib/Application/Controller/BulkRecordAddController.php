@@ -113,6 +113,11 @@ class BulkRecordAddController extends BaseController
 
     private function doBulkRecordAddition(): void
     {
+        if (($_POST['input_mode'] ?? '') === 'grid') {
+            $this->doGridRecordAddition();
+            return;
+        }
+
         $constraints = [
             'records' => [
                 new Assert\NotBlank(message: _('Please provide at least one record.'))
@@ -141,86 +146,13 @@ class BulkRecordAddController extends BaseController
             }
 
             $result = $parser->parseLine($line, $default_ttl);
-            if (is_string($result)) {
-                $failed_records[] = $line . " - " . $result;
-                continue;
-            }
-
-            $name = DnsIdnService::toPunycode($result['name']);
-            $type = $result['type'];
-            $content = $result['content'];
-            $prio = $result['prio'];
-            $ttl = $result['ttl'];
-            $disabled = $result['disabled'];
-            $comment = $result['comment'];
-
-            // Convert IDN content to punycode after full content assembly
-            $content = DnsIdnService::convertContentToPunycode($type, $content);
-
-            // Normalize record name to full FQDN (always, regardless of display setting)
-            // This converts @ to zone apex and ensures proper zone suffix
-            $zone_name = $this->dnsRecord->getDomainNameById($zone_id);
-            if ($zone_name === null) {
-                $failed_records[] = $line . " - " . _('Zone not found.');
-                continue;
-            }
-            $name = DnsHelper::restoreZoneSuffix($name, $zone_name);
-
-            // Validate record type. Filter by the connected server's
-            // capabilities so bulk import matches the add/edit dropdowns -
-            // otherwise users would get the same SVCB/HTTPS/WALLET line
-            // accepted here and rejected by PowerDNS later.
-            $isReverseZone = DnsHelper::isReverseZone($zone_name);
-            $isDnsSecEnabled = $this->config->get('dnssec', 'enabled', false);
-            $caps = $this->getRecordTypeCapabilities();
-            $valid_types = $isReverseZone
-                ? $this->recordTypeService->getReverseZoneTypes($isDnsSecEnabled, $caps)
-                : $this->recordTypeService->getDomainZoneTypes($isDnsSecEnabled, $caps);
-
-            if (!in_array($type, $valid_types)) {
-                $failed_records[] = $line . " - " . _('Invalid record type.');
+            $error = is_string($result) ? $result : $this->addParsedRecord($zone_id, $result);
+            if ($error !== null) {
+                $failed_records[] = $line . " - " . $error;
                 continue;
             }
 
-            try {
-                // For CNAME, MX, SRV, and similar records, ensure content ends with a dot
-                if (in_array($type, ['CNAME', 'MX', 'SRV', 'NS']) && !empty($content) && !str_ends_with($content, '.')) {
-                    $content .= '.';
-                }
-
-                if (
-                    $this->recordManager->createRecord(
-                        $zone_id,
-                        $name,
-                        $type,
-                        $content,
-                        $ttl,
-                        $prio,
-                        $comment,
-                        $this->userContextService->getLoggedInUsername(),
-                        $this->ipAddressRetriever->getClientIp(),
-                        $disabled
-                    )
-                ) {
-                    $success_count++;
-
-                    // Log the record creation
-                    $this->auditLogger->logInfo(sprintf(
-                        'client_ip:%s user:%s operation:add_record name:%s type:%s content:%s ttl:%s prio:%s',
-                        $this->ipAddressRetriever->getClientIp(),
-                        $this->userContextService->getLoggedInUsername(),
-                        $name,
-                        $type,
-                        $content,
-                        $ttl,
-                        $prio
-                    ), $zone_id);
-                } else {
-                    $failed_records[] = $line . " - " . _('Record could not be added.');
-                }
-            } catch (Exception $e) {
-                $failed_records[] = $line . " - " . $e->getMessage();
-            }
+            $success_count++;
         }
 
         if (!$failed_records) {
@@ -232,8 +164,167 @@ class BulkRecordAddController extends BaseController
         }
     }
 
-    private function showBulkRecordAdditionForm(array $failed_records = []): void
+    /**
+     * Add the rows of the record grid
+     *
+     * The grid only posts rows that passed live validation as "grid"; rows it
+     * left out come back as "skipped", so they are shown again instead of
+     * being lost when the page reloads.
+     */
+    private function doGridRecordAddition(): void
     {
+        $zone_id = (int)$this->getSafeRequestValue('id');
+        $default_ttl = $this->config->get('dns', 'ttl', 3600);
+        $rows = array_values(array_filter((array)($_POST['grid'] ?? []), 'is_array'));
+        $skipped = array_values(array_filter((array)($_POST['skipped'] ?? []), 'is_array'));
+
+        $success_count = 0;
+        $failed_rows = [];
+        $parser = new BulkRecordParser();
+
+        foreach ($rows as $row) {
+            $result = $parser->parseRow($row, $default_ttl);
+            $error = is_string($result) ? $result : $this->addParsedRecord($zone_id, $result);
+            if ($error !== null) {
+                $failed_rows[] = $this->gridRow($row, $error);
+                continue;
+            }
+
+            $success_count++;
+        }
+
+        foreach ($skipped as $row) {
+            $failed_rows[] = $this->gridRow($row, _('Not submitted, the row did not pass validation.'));
+        }
+
+        if (!$failed_rows && $success_count > 0) {
+            $this->setMessage('edit', 'success', sprintf(_('%d record(s) have been added successfully.'), $success_count));
+            $this->redirect('/zones/' . $zone_id . '/edit');
+        } elseif ($success_count === 0 && !$failed_rows) {
+            $this->setMessage('bulk_record_add', 'error', _('Please provide at least one record.'));
+            $this->showBulkRecordAdditionForm([], 'grid');
+        } else {
+            $this->setMessage('bulk_record_add', 'warn', sprintf(_('%d record(s) have been added. The rows below were not added.'), $success_count));
+            $this->showBulkRecordAdditionForm([], 'grid', $failed_rows);
+        }
+    }
+
+    /**
+     * Keep the cells of a grid row for showing it again
+     *
+     * @param array $row Posted cells
+     * @param string $error Reason the row was not added
+     * @return array Row with string cells and its error
+     */
+    private function gridRow(array $row, string $error): array
+    {
+        $cells = [];
+        foreach (['name', 'type', 'content', 'ttl', 'prio', 'comment'] as $key) {
+            $cells[$key] = isset($row[$key]) && is_scalar($row[$key]) ? (string)$row[$key] : '';
+        }
+        $cells['error'] = $error;
+
+        return $cells;
+    }
+
+    /**
+     * Add a parsed record to the zone
+     *
+     * @param int $zone_id Zone ID
+     * @param array $record Record as returned by BulkRecordParser
+     * @return string|null Error message, or null if the record was added
+     */
+    private function addParsedRecord(int $zone_id, array $record): ?string
+    {
+        $name = DnsIdnService::toPunycode($record['name']);
+        $type = $record['type'];
+        $content = $record['content'];
+        $prio = $record['prio'];
+        $ttl = $record['ttl'];
+        $disabled = $record['disabled'];
+        $comment = $record['comment'];
+
+        // Convert IDN content to punycode after full content assembly
+        $content = DnsIdnService::convertContentToPunycode($type, $content);
+
+        // Normalize record name to full FQDN (always, regardless of display setting)
+        // This converts @ to zone apex and ensures proper zone suffix
+        $zone_name = $this->dnsRecord->getDomainNameById($zone_id);
+        if ($zone_name === null) {
+            return _('Zone not found.');
+        }
+        $name = DnsHelper::restoreZoneSuffix($name, $zone_name);
+
+        // Validate record type. Filter by the connected server's
+        // capabilities so bulk import matches the add/edit dropdowns -
+        // otherwise users would get the same SVCB/HTTPS/WALLET line
+        // accepted here and rejected by PowerDNS later.
+        if (!in_array($type, $this->getValidRecordTypes($zone_name))) {
+            return _('Invalid record type.');
+        }
+
+        try {
+            // For CNAME, MX, SRV, and similar records, ensure content ends with a dot
+            if (in_array($type, ['CNAME', 'MX', 'SRV', 'NS']) && !empty($content) && !str_ends_with($content, '.')) {
+                $content .= '.';
+            }
+
+            if (
+                !$this->recordManager->createRecord(
+                    $zone_id,
+                    $name,
+                    $type,
+                    $content,
+                    $ttl,
+                    $prio,
+                    $comment,
+                    $this->userContextService->getLoggedInUsername(),
+                    $this->ipAddressRetriever->getClientIp(),
+                    $disabled
+                )
+            ) {
+                return _('Record could not be added.');
+            }
+
+            // Log the record creation
+            $this->auditLogger->logInfo(sprintf(
+                'client_ip:%s user:%s operation:add_record name:%s type:%s content:%s ttl:%s prio:%s',
+                $this->ipAddressRetriever->getClientIp(),
+                $this->userContextService->getLoggedInUsername(),
+                $name,
+                $type,
+                $content,
+                $ttl,
+                $prio
+            ), $zone_id);
+        } catch (Exception $e) {
+            return $e->getMessage();
+        }
+
+        return null;
+    }
+
+    /**
+     * Get the record types that may be added to a zone
+     *
+     * @param string $zone_name Zone name
+     * @return array Record types
+     */
+    private function getValidRecordTypes(string $zone_name): array
+    {
+        $isDnsSecEnabled = $this->config->get('dnssec', 'enabled', false);
+        $caps = $this->getRecordTypeCapabilities();
+
+        return DnsHelper::isReverseZone($zone_name)
+            ? $this->recordTypeService->getReverseZoneTypes($isDnsSecEnabled, $caps)
+            : $this->recordTypeService->getDomainZoneTypes($isDnsSecEnabled, $caps);
+    }
+
+    private function showBulkRecordAdditionForm(array $failed_records = [], ?string $input_mode = null, array $failed_rows = []): void
+    {
+        // Text mode stays the default; the grid needs JavaScript
+        $input_mode ??= ($_GET['mode'] ?? '') === 'grid' ? 'grid' : 'text';
+
         $zone_id = (int)htmlspecialchars($this->getSafeRequestValue('id'));
         $zone_name = $this->dnsRecord->getDomainNameById($zone_id);
 
@@ -249,6 +340,9 @@ class BulkRecordAddController extends BaseController
             'zone_name' => $zone_name,
             'idn_zone_name' => $idn_zone_name,
             'failed_records' => $failed_records,
+            'failed_rows' => $failed_rows,
+            'input_mode' => $input_mode,
+            'record_types' => $zone_name !== null ? $this->getValidRecordTypes($zone_name) : [],
             'default_ttl' => $this->config->get('dns', 'ttl', 3600),
             'iface_record_comments' => $this->config->get('interface', 'show_record_comments', true),
             'is_reverse_zone' => $zone_name !== null && DnsHelper::isReverseZone($zone_name),
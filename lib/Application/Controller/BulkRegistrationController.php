@@ -31,9 +31,11 @@
 
 namespace Poweradmin\Application\Controller;
 
+use Poweradmin\Application\Service\CsrfTokenService;
 use Poweradmin\BaseController;
 use Poweradmin\Domain\Model\UserManager;
 use Poweradmin\Domain\Model\ZoneTemplate;
+use Poweradmin\Domain\Service\DnsIdnService;
 use Poweradmin\Domain\Service\DnsRecord;
 use Poweradmin\Domain\Service\DnsValidation\HostnameValidator;
 use Poweradmin\Domain\Service\UserContextService;
@@ -46,10 +48,13 @@ use Symfony\Component\Validator\Constraints as Assert;
 
 class BulkRegistrationController extends BaseController
 {
+    // Most domains accepted in one request of the batch runner
+    private const MAX_BATCH_SIZE = 100;
 
     private LegacyLogger $auditLogger;
     private IpAddressRetriever $ipAddressRetriever;
     private UserContextService $userContextService;
+    private CsrfTokenService $csrfTokenService;
 
     public function __construct(array $request)
     {
@@ -58,6 +63,7 @@ class BulkRegistrationController extends BaseController
         $this->auditLogger = new LegacyLogger($this->db);
         $this->ipAddressRetriever = new IpAddressRetriever($_SERVER);
         $this->userContextService = new UserContextService();
+        $this->csrfTokenService = new CsrfTokenService();
     }
 
     public function run(): void
@@ -82,6 +88,54 @@ class BulkRegistrationController extends BaseController
         }
     }
 
+    /**
+     * Register one batch of domains for the client-side runner
+     *
+     * Takes the same fields as the form, with the domains as "domains[]", and
+     * reports the outcome of every domain in the order it was sent.
+     */
+    public function batch(): void
+    {
+        $this->checkPermission('zone_master_add', _("You do not have the permission to add a master zone."));
+
+        $tokenValidation = $this->config->get('security', 'global_token_validation', true);
+        if ($tokenValidation && !$this->csrfTokenService->validateToken($_POST['_token'] ?? '')) {
+            $this->sendJson(['message' => _('Invalid CSRF token.')], 403);
+        }
+
+        $blocker = $this->getOwnerOptionsBlocker();
+        if ($blocker !== null) {
+            $this->sendJson(['message' => $blocker], 403);
+        }
+
+        $domains = array_values(array_filter((array)($_POST['domains'] ?? []), 'is_string'));
+        $dom_type = $_POST['dom_type'] ?? '';
+        $zone_template = $_POST['zone_template'] ?? '';
+        if ($domains === [] || $dom_type === '' || $zone_template === '') {
+            $this->sendJson(['message' => _('Zone type, template and at least one domain are required.')], 400);
+        }
+        if (count($domains) > self::MAX_BATCH_SIZE) {
+            $this->sendJson(['message' => sprintf(_('At most %d domains can be added per request.'), self::MAX_BATCH_SIZE)], 400);
+        }
+
+        $ownership = $this->resolveOwnership();
+        if (is_string($ownership)) {
+            $this->sendJson(['message' => $ownership], 400);
+        }
+
+        $dnsRecord = new DnsRecord($this->db, $this->getConfig());
+        $results = [];
+        foreach ($domains as $input) {
+            $domain = DnsIdnService::toPunycode(trim($input));
+            $result = $domain === false || $domain === ''
+                ? ['status' => 'invalid', 'message' => _('Invalid hostname.')]
+                : $this->registerDomain($dnsRecord, strtolower($domain), $dom_type, $zone_template, $ownership['owner'], $ownership['groups']);
+            $results[] = ['domain' => $input] + $result;
+        }
+
+        $this->sendJson(['results' => $results]);
+    }
+
     private function getOwnerOptionsBlocker(): ?string
     {
         $ownershipMode = new ZoneOwnershipModeService($this->config);
@@ -121,17 +175,48 @@ class BulkRegistrationController extends BaseController
             $this->showFirstValidationError($_POST);
         }
 
-        $ownershipMode = new ZoneOwnershipModeService($this->config);
         $domains = DomainHelper::getDomains($_POST['domains']);
         $dom_type = $_POST['dom_type'];
         $zone_template = $_POST['zone_template'];
 
+        $ownership = $this->resolveOwnership();
+        if (is_string($ownership)) {
+            $this->setMessage('bulk_registration', 'error', $ownership);
+            $this->showBulkRegistrationForm();
+            return;
+        }
+
+        $failed_domains = [];
+        $dnsRecord = new DnsRecord($this->db, $this->getConfig());
+        foreach ($domains as $domain) {
+            $result = $this->registerDomain($dnsRecord, $domain, $dom_type, $zone_template, $ownership['owner'], $ownership['groups']);
+            if ($result['status'] !== 'created') {
+                $failed_domains[] = $domain . " - " . $result['message'];
+            }
+        }
+
+        if (!$failed_domains) {
+            $this->setMessage('list_forward_zones', 'success', _('Zones has been added successfully.'));
+            $this->redirect('/zones/forward');
+        } else {
+            $this->setMessage('bulk_registration', 'warn', _('Some zone(s) could not be added.'));
+            $this->showBulkRegistrationForm(array_unique($failed_domains));
+        }
+    }
+
+    /**
+     * Work out the owner and groups of the new zones from the posted form
+     *
+     * @return array|string ['owner' => ?int, 'groups' => int[]], or an error message
+     */
+    private function resolveOwnership(): array|string
+    {
+        $ownershipMode = new ZoneOwnershipModeService($this->config);
+
         $rawOwner = $_POST['owner'] ?? '';
         if ($ownershipMode->isUserOwnerAllowed() && $rawOwner !== '' && $rawOwner !== null) {
             if (!is_numeric($rawOwner)) {
-                $this->setMessage('bulk_registration', 'error', _('Owner must be a numeric user ID.'));
-                $this->showBulkRegistrationForm();
-                return;
+                return _('Owner must be a numeric user ID.');
             }
             // owner=0 is treated as orphan everywhere else; coerce to null so
             // the at-least-one-owner guard below catches it.
@@ -148,9 +233,7 @@ class BulkRegistrationController extends BaseController
             $existing = $userGroupRepo->findExistingIds($selected_groups);
             $unknown = array_values(array_diff($selected_groups, $existing));
             if (!empty($unknown)) {
-                $this->setMessage('bulk_registration', 'error', sprintf(_('Unknown group ID(s): %s'), implode(',', $unknown)));
-                $this->showBulkRegistrationForm();
-                return;
+                return sprintf(_('Unknown group ID(s): %s'), implode(',', $unknown));
             }
             $selected_groups = $existing;
 
@@ -160,17 +243,13 @@ class BulkRegistrationController extends BaseController
                 $allowedIds = array_map(fn($g) => $g->getId(), $userGroupRepo->findByUserId($callerId));
                 $disallowed = array_values(array_diff($selected_groups, $allowedIds));
                 if (!empty($disallowed)) {
-                    $this->setMessage('bulk_registration', 'error', sprintf(_('You can only assign groups you are a member of (disallowed: %s)'), implode(',', $disallowed)));
-                    $this->showBulkRegistrationForm();
-                    return;
+                    return sprintf(_('You can only assign groups you are a member of (disallowed: %s)'), implode(',', $disallowed));
                 }
             }
         }
 
         if ($owner === null && empty($selected_groups)) {
-            $this->setMessage('bulk_registration', 'error', _('At least one user or group must be selected as owner.'));
-            $this->showBulkRegistrationForm();
-            return;
+            return _('At least one user or group must be selected as owner.');
         }
 
         // Block assigning zones to a different user without elevated permission
@@ -178,40 +257,42 @@ class BulkRegistrationController extends BaseController
         if ($owner !== null && $owner !== $callerId) {
             $isAdmin = UserManager::verifyPermission($this->db, 'user_is_ueberuser');
             if (!$isAdmin && !UserManager::verifyPermission($this->db, 'zone_content_edit_others')) {
-                $this->setMessage('bulk_registration', 'error', _('You do not have permission to create zones for other users.'));
-                $this->showBulkRegistrationForm();
-                return;
+                return _('You do not have permission to create zones for other users.');
             }
         }
 
-        $failed_domains = [];
-        $dnsRecord = new DnsRecord($this->db, $this->getConfig());
-        foreach ($domains as $domain) {
-            $hostnameValidator = new HostnameValidator($this->config);
-            if (!$hostnameValidator->isValidHostnameFqdn($domain, 0)) {
-                $failed_domains[] = $domain . " - " . _('Invalid hostname.');
-            } elseif ($dnsRecord->domainExists($domain)) {
-                $failed_domains[] = $domain . " - " . _('There is already a zone with this name.');
-            } elseif ($dnsRecord->addDomain($this->db, $domain, $owner, $dom_type, '', $zone_template, $selected_groups)) {
-                $zone_id = $dnsRecord->getZoneIdFromName($domain);
-                $this->auditLogger->logInfo(sprintf(
-                    'client_ip:%s user:%s operation:add_zone zone:%s zone_type:%s zone_template:%s',
-                    $this->ipAddressRetriever->getClientIp(),
-                    $this->userContextService->getLoggedInUsername(),
-                    $domain,
-                    $dom_type,
-                    $zone_template
-                ), $zone_id);
-            }
-        }
+        return ['owner' => $owner, 'groups' => $selected_groups];
+    }
 
-        if (!$failed_domains) {
-            $this->setMessage('list_forward_zones', 'success', _('Zones has been added successfully.'));
-            $this->redirect('/zones/forward');
-        } else {
-            $this->setMessage('bulk_registration', 'warn', _('Some zone(s) could not be added.'));
-            $this->showBulkRegistrationForm(array_unique($failed_domains));
+    /**
+     * Add one zone
+     *
+     * @return array ['status' => 'created'|'exists'|'invalid'|'failed', 'message' => string, 'zone_id' => ?int]
+     */
+    private function registerDomain(DnsRecord $dnsRecord, string $domain, string $dom_type, string $zone_template, ?int $owner, array $groups): array
+    {
+        $hostnameValidator = new HostnameValidator($this->config);
+        if (!$hostnameValidator->isValidHostnameFqdn($domain, 0)) {
+            return ['status' => 'invalid', 'message' => _('Invalid hostname.'), 'zone_id' => null];
+        }
+        if ($dnsRecord->domainExists($domain)) {
+            return ['status' => 'exists', 'message' => _('There is already a zone with this name.'), 'zone_id' => null];
         }
+        if (!$dnsRecord->addDomain($this->db, $domain, $owner, $dom_type, '', $zone_template, $groups)) {
+            return ['status' => 'failed', 'message' => _('Zone could not be added.'), 'zone_id' => null];
+        }
+
+        $zone_id = $dnsRecord->getZoneIdFromName($domain);
+        $this->auditLogger->logInfo(sprintf(
+            'client_ip:%s user:%s operation:add_zone zone:%s zone_type:%s zone_template:%s',
+            $this->ipAddressRetriever->getClientIp(),
+            $this->userContextService->getLoggedInUsername(),
+            $domain,
+            $dom_type,
+            $zone_template
+        ), $zone_id);
+
+        return ['status' => 'created', 'message' => '', 'zone_id' => $zone_id];
     }
 
     private function showBulkRegistrationForm(array $failed_domains = []): void
@@ -33,7 +33,9 @@
 namespace Poweradmin\Application\Controller;
 
 use Poweradmin\Application\Service\AuditService;
+use Poweradmin\Application\Service\DnsBackendProviderFactory;
 use Poweradmin\Application\Service\DnssecProviderFactory;
+use Poweradmin\Application\Service\DnssecRolloverStore;
 use Poweradmin\BaseController;
 use Poweradmin\Domain\Model\DnssecAlgorithm;
 use Poweradmin\Domain\Model\DnssecAlgorithmName;
@@ -137,6 +139,11 @@ class DnssecController extends BaseController
         $zone_templates = new ZoneTemplate($this->db, $this->getConfig());
         $perm_edit = Permission::getEditPermission($this->db);
 
+        $apiClient = DnsBackendProviderFactory::isApiBackend($this->getConfig())
+            ? DnsBackendProviderFactory::createApiClient($this->getConfig(), $this->logger)
+            : null;
+        $rollover = (new DnssecRolloverStore($this->createZoneRepository(), $apiClient))->load($zone_id, $domain_name);
+
         $this->render('dnssec.html', [
             'domain_name' => $domain_name,
             'idn_zone_name' => $idn_zone_name,
@@ -151,6 +158,7 @@ class DnssecController extends BaseController
             'algorithm_names' => DnssecAlgorithmName::getSupportedAlgorithmNamesForCapabilities($this->getPdnsCapabilities()),
             'perm_edit' => $perm_edit,
             'is_reverse_zone' => DnsHelper::isReverseZone($domain_name),
+            'rollover' => $rollover !== null && $rollover->isInProgress() ? $rollover : null,
         ]);
     }
 }
@@ -40,6 +40,7 @@ use Poweradmin\Domain\Model\Permission;
 use Poweradmin\Domain\Model\UserManager;
 use Poweradmin\Domain\Service\DnsIdnService;
 use Poweradmin\Domain\Service\DnsRecord;
+use Poweradmin\Domain\Service\DnssecKeyGuard;
 use Poweradmin\Domain\Service\Validator;
 use Poweradmin\Domain\Utility\DnsHelper;
 
@@ -94,8 +95,15 @@ class DnssecDeleteKeyController extends BaseController
             return;
         }
 
+        $removal_blocker = (new DnssecKeyGuard())->removalBlocker($dnssecProvider->getKeys($domain_name), $key_id);
+
         if ($this->isPost()) {
             $this->validateCsrfToken();
+            if ($removal_blocker !== null) {
+                $this->setMessage('dnssec', 'error', $removal_blocker);
+                $this->redirect('/zones/' . $zone_id . '/dnssec');
+                return;
+            }
             try {
                 $result = $dnssecProvider->removeZoneKey($domain_name, $key_id);
 
@@ -125,10 +133,10 @@ class DnssecDeleteKeyController extends BaseController
             }
         }
 
-        $this->showKeyInfo($domain_name, $key_id, $zone_id);
+        $this->showKeyInfo($domain_name, $key_id, $zone_id, $removal_blocker);
     }
 
-    public function showKeyInfo($domain_name, $key_id, int $zone_id): void
+    public function showKeyInfo($domain_name, $key_id, int $zone_id, ?string $removal_blocker = null): void
     {
         $dnssecProvider = DnssecProviderFactory::create($this->db, $this->getConfig());
         $key_info = $dnssecProvider->getZoneKey($domain_name, $key_id);
@@ -147,6 +155,7 @@ class DnssecDeleteKeyController extends BaseController
             'algorithms' => DnssecAlgorithm::ALGORITHMS,
             'zone_id' => $zone_id,
             'is_reverse_zone' => DnsHelper::isReverseZone($domain_name),
+            'removal_blocker' => $removal_blocker,
         ]);
     }
 }
@@ -33,7 +33,9 @@
 namespace Poweradmin\Application\Controller;
 
 use Poweradmin\Application\Service\DnssecProviderFactory;
+use Poweradmin\Application\Service\ParentDsResolver;
 use Poweradmin\BaseController;
+use Poweradmin\Domain\Model\DnssecAlgorithm;
 use Poweradmin\Domain\Model\Permission;
 use Poweradmin\Domain\Model\UserManager;
 use Poweradmin\Domain\Service\DnsIdnService;
@@ -78,6 +80,43 @@ class DnssecDsDnskeyController extends BaseController
         $this->showKeys($zone_id, $pdnssec_use);
     }
 
+    /**
+     * Look up the DS records the parent zone publishes, for the DS check on the page
+     */
+    public function parentDs(): void
+    {
+        $zone_id = $this->getSafeRequestValue('id');
+        if (!$zone_id || !Validator::isNumber($zone_id)) {
+            $this->sendJson(['message' => _('Invalid or unexpected input given.')], 400);
+        }
+        $zone_id = (int) $zone_id;
+
+        $perm_view = Permission::getViewPermission($this->db);
+        $user_is_zone_owner = UserManager::verifyUserIsOwnerZoneId($this->db, $zone_id);
+        if ($perm_view == "none" || ($perm_view == "own" && !$user_is_zone_owner)) {
+            $this->sendJson(['message' => _("You do not have permission to view this zone.")], 403);
+        }
+
+        $dnsRecord = new DnsRecord($this->db, $this->getConfig());
+        if (!$dnsRecord->zoneIdExists($zone_id)) {
+            $this->sendJson(['message' => _('There is no zone with this ID.')], 404);
+        }
+
+        $resolver = $this->createParentDsResolver();
+        if (!$resolver->isConfigured()) {
+            $this->sendJson(['message' => _('No resolver is configured for the parent DS lookup.')], 404);
+        }
+
+        $domain_name = $dnsRecord->getDomainNameById($zone_id);
+        $records = $resolver->lookup($domain_name);
+        if ($records === null) {
+            $this->logger->warning('Parent DS lookup failed for zone {zone}', ['zone' => $domain_name]);
+            $this->sendJson(['message' => _('The DS records of the parent zone could not be looked up.')], 502);
+        }
+
+        $this->sendJson(['zone' => $domain_name, 'records' => $records]);
+    }
+
     public function showKeys(int $zone_id, $pdnssec_use): void
     {
         $dnsRecord = new DnsRecord($this->db, $this->getConfig());
@@ -108,6 +147,13 @@ class DnssecDsDnskeyController extends BaseController
             'zone_id' => $zone_id,
             'zone_template_id' => $zone_template_id,
             'is_reverse_zone' => DnsHelper::isReverseZone($domain_name),
+            'algorithms' => DnssecAlgorithm::ALGORITHMS,
+            'parent_ds_lookup' => $this->createParentDsResolver()->isConfigured(),
         ]);
     }
+
+    private function createParentDsResolver(): ParentDsResolver
+    {
+        return new ParentDsResolver((string)$this->config->get('dnssec', 'parent_ds_resolver', ''));
+    }
 }
@@ -38,6 +38,7 @@ use Poweradmin\Domain\Model\Permission;
 use Poweradmin\Domain\Model\UserManager;
 use Poweradmin\Domain\Service\DnsIdnService;
 use Poweradmin\Domain\Service\DnsRecord;
+use Poweradmin\Domain\Service\DnssecKeyGuard;
 use Poweradmin\Domain\Service\Validator;
 use Poweradmin\Domain\Utility\DnsHelper;
 
@@ -119,6 +120,7 @@ class DnssecEditKeyController extends BaseController
             'user_is_zone_owner' => $user_is_zone_owner,
             'zone_id' => $zone_id,
             'is_reverse_zone' => DnsHelper::isReverseZone($domain_name),
+            'deactivation_blocker' => (new DnssecKeyGuard())->deactivationBlocker($dnssecProvider->getKeys($domain_name), $key_id),
         ]);
     }
 }
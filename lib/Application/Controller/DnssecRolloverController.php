@@ -0,0 +1,307 @@
+<?php
+
+/*  Poweradmin, a friendly web-based admin tool for PowerDNS.
+ *  See <https://www.poweradmin.org> for more details.
+ *
+ *  Copyright 2007-2010 Rejo Zenger <rejo@zenger.nl>
+ *  Copyright 2010-2025 Poweradmin Development Team
+ *
+ *  This program is free software: you can redistribute it and/or modify
+ *  it under the terms of the GNU General Public License as published by
+ *  the Free Software Foundation, either version 3 of the License, or
+ *  (at your option) any later version.
+ *
+ *  This program is distributed in the hope that it will be useful,
+ *  but WITHOUT ANY WARRANTY; without even the implied warranty of
+ *  MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ *  GNU General Public License for more details.
+ *
+ *  You should have received a copy of the GNU General Public License
+ *  along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+/**
+ * Controller that guides a DNSSEC key rollover step by step
+ *
+ * @package     Poweradmin
+ * @copyright   2007-2010 Rejo Zenger <rejo@zenger.nl>
+ * @copyright   2010-2026 Poweradmin Development Team
+ * @license     https://opensource.org/licenses/GPL-3.0 GPL
+ */
+
+namespace Poweradmin\Application\Controller;
+
+use Exception;
+use Poweradmin\Application\Service\AuditService;
+use Poweradmin\Application\Service\DnsBackendProviderFactory;
+use Poweradmin\Application\Service\DnssecProviderFactory;
+use Poweradmin\Application\Service\DnssecRolloverStore;
+use Poweradmin\BaseController;
+use Poweradmin\Domain\Model\DnssecAlgorithm;
+use Poweradmin\Domain\Model\DnssecAlgorithmName;
+use Poweradmin\Domain\Model\DnssecRollover;
+use Poweradmin\Domain\Model\Permission;
+use Poweradmin\Domain\Model\UserManager;
+use Poweradmin\Domain\Service\DnsIdnService;
+use Poweradmin\Domain\Service\DnsRecord;
+use Poweradmin\Domain\Service\DnssecKeyGuard;
+use Poweradmin\Domain\Service\DnssecProvider;
+use Poweradmin\Domain\Service\DnssecRolloverPlanner;
+use Poweradmin\Domain\Service\Validator;
+use Poweradmin\Domain\Utility\DnsHelper;
+
+class DnssecRolloverController extends BaseController
+{
+    private DnssecProvider $dnssecProvider;
+    private DnssecRolloverStore $store;
+    private DnssecRolloverPlanner $planner;
+    private DnssecKeyGuard $keyGuard;
+
+    public function __construct(array $request)
+    {
+        parent::__construct($request);
+
+        $this->dnssecProvider = DnssecProviderFactory::create($this->db, $this->getConfig());
+        $apiClient = DnsBackendProviderFactory::isApiBackend($this->getConfig())
+            ? DnsBackendProviderFactory::createApiClient($this->getConfig(), $this->logger)
+            : null;
+        $this->store = new DnssecRolloverStore($this->createZoneRepository(), $apiClient);
+        $this->keyGuard = new DnssecKeyGuard();
+        $this->planner = new DnssecRolloverPlanner((int)$this->config->get('dnssec', 'rollover_wait', 86400), $this->keyGuard);
+    }
+
+    public function run(): void
+    {
+        $zone_id = $this->getSafeRequestValue('id');
+        if (!$zone_id || !Validator::isNumber($zone_id)) {
+            $this->showError(_('Invalid or unexpected input given.'));
+            return;
+        }
+        $zone_id = (int) $zone_id;
+
+        // Early permission check - validate DNSSEC access before any operations
+        $perm_view = Permission::getViewPermission($this->db);
+        $perm_edit = Permission::getEditPermission($this->db);
+        $user_is_zone_owner = UserManager::verifyUserIsOwnerZoneId($this->db, $zone_id);
+
+        if ($perm_view == "none" || ($perm_view == "own" && !$user_is_zone_owner)) {
+            $this->showError(_("You do not have permission to view this zone."));
+            return;
+        }
+
+        $dnsRecord = new DnsRecord($this->db, $this->getConfig());
+        if (!$dnsRecord->zoneIdExists($zone_id)) {
+            $this->showError(_('There is no zone with this ID.'));
+            return;
+        }
+
+        if ($perm_edit !== "all" && !($perm_edit === "own" && $user_is_zone_owner)) {
+            $this->showError(_("You do not have permission to manage DNSSEC for this zone."));
+            return;
+        }
+
+        if (!$this->dnssecProvider->isDnssecEnabled()) {
+            $this->showError(_('DNSSEC functionality is not available. Please check PowerDNS API configuration.'));
+            return;
+        }
+
+        $domain_name = $dnsRecord->getDomainNameById($zone_id);
+
+        if ($this->isPost()) {
+            $this->validateCsrfToken();
+            try {
+                $this->runStep($zone_id, $domain_name, $_POST['step'] ?? '');
+            } catch (Exception $e) {
+                $this->logger->error('DNSSEC rollover step failed for zone {domain}: {error}', ['domain' => $domain_name, 'error' => $e->getMessage()]);
+                $this->setMessage('dnssec_rollover', 'error', _('An error occurred during the key rollover. Please check the keys of the zone before trying again.'));
+            }
+            $this->redirect('/zones/' . $zone_id . '/dnssec/rollover');
+            return;
+        }
+
+        $this->showRollover($zone_id, $domain_name);
+    }
+
+    private function runStep(int $zone_id, string $domain_name, string $step): void
+    {
+        $keys = $this->dnssecProvider->getKeys($domain_name);
+        $rollover = $this->store->load($zone_id, $domain_name);
+
+        if ($step === DnssecRolloverPlanner::STEP_PREPUBLISH) {
+            $this->prepublish($zone_id, $domain_name, $keys, $rollover);
+            return;
+        }
+        if ($step === 'cancel') {
+            $this->cancel($zone_id, $domain_name, $keys, $rollover);
+            return;
+        }
+        if (!isset(DnssecRolloverPlanner::STEP_PHASES[$step])) {
+            $this->setMessage('dnssec_rollover', 'error', _('Invalid or unexpected input given.'));
+            return;
+        }
+
+        $blocker = $this->planner->stepBlocker($rollover, $step, $keys, time(), !empty($_POST['wait_confirmed']));
+        if ($blocker === null && $step === DnssecRolloverPlanner::STEP_DS && empty($_POST['ds_confirmed'])) {
+            $blocker = _('Confirm that the parent zone publishes the DS record of the new key.');
+        }
+        if ($blocker !== null) {
+            $this->setMessage('dnssec_rollover', 'error', $blocker);
+            return;
+        }
+
+        $done = match ($step) {
+            DnssecRolloverPlanner::STEP_ACTIVATE => $this->dnssecProvider->activateZoneKey($domain_name, $rollover->getNewKeyId()),
+            DnssecRolloverPlanner::STEP_RETIRE => $this->retireKey($domain_name, $keys, $rollover->getOldKeyId()),
+            default => true,
+        };
+        if (!$done) {
+            $this->setMessage('dnssec_rollover', 'error', _('PowerDNS did not accept the key change. The rollover stays in its current phase.'));
+            return;
+        }
+
+        $this->saveStep($zone_id, $domain_name, $rollover->advance(DnssecRolloverPlanner::STEP_PHASES[$step], time()), $step);
+    }
+
+    /**
+     * Add a new key of the same type and algorithm as the given one, published but not active
+     */
+    private function prepublish(int $zone_id, string $domain_name, array $keys, ?DnssecRollover $rollover): void
+    {
+        $key_id = (int)($_POST['key_id'] ?? 0);
+        $blocker = $this->planner->startBlocker($rollover, $keys, $key_id);
+        if ($blocker !== null) {
+            $this->setMessage('dnssec_rollover', 'error', $blocker);
+            return;
+        }
+
+        $old_key = $this->findKey($keys, $key_id);
+        $algorithm = DnssecAlgorithmName::fromNumber((int)$old_key[3]);
+        if ($algorithm === null) {
+            $this->setMessage('dnssec_rollover', 'error', _('The algorithm of this key cannot be used for new keys.'));
+            return;
+        }
+
+        if (!$this->dnssecProvider->addZoneKey($domain_name, strtolower($old_key[1]), (int)$old_key[4], $algorithm)) {
+            $this->setMessage('dnssec_rollover', 'error', _('Failed to add new DNSSEC key.'));
+            return;
+        }
+
+        $known_ids = array_map(fn($key) => (int)$key[0], $keys);
+        $new_key = null;
+        foreach ($this->dnssecProvider->getKeys($domain_name) as $key) {
+            if (!in_array((int)$key[0], $known_ids, true)) {
+                $new_key = $key;
+            }
+        }
+        if ($new_key === null) {
+            $this->setMessage('dnssec_rollover', 'error', _('The new key was added but could not be found afterwards. Check the keys of the zone.'));
+            return;
+        }
+
+        // Pre-publishing only puts the DNSKEY in the zone, the key must not sign yet
+        if (!empty($new_key[5])) {
+            $this->dnssecProvider->deactivateZoneKey($domain_name, (int)$new_key[0]);
+        }
+
+        $this->saveStep($zone_id, $domain_name, DnssecRollover::start($old_key[1], $key_id, (int)$new_key[0], time()), DnssecRolloverPlanner::STEP_PREPUBLISH);
+    }
+
+    /**
+     * Drop the new key and forget the rollover
+     */
+    private function cancel(int $zone_id, string $domain_name, array $keys, ?DnssecRollover $rollover): void
+    {
+        $blocker = $this->planner->cancelBlocker($rollover);
+        if ($blocker === null && $this->findKey($keys, $rollover->getNewKeyId()) !== null) {
+            $blocker = $this->keyGuard->removalBlocker($keys, $rollover->getNewKeyId());
+            if ($blocker === null && !$this->dnssecProvider->removeZoneKey($domain_name, $rollover->getNewKeyId())) {
+                $blocker = _('Failed to delete the zone key.');
+            }
+        }
+        if ($blocker !== null) {
+            $this->setMessage('dnssec_rollover', 'error', $blocker);
+            return;
+        }
+
+        $this->store->clear($zone_id, $domain_name);
+        $auditService = new AuditService($this->db);
+        $auditService->logDnssecRolloverStep($zone_id, $domain_name, $rollover->getKeyType(), 'cancel', $rollover->getOldKeyId(), $rollover->getNewKeyId());
+        $this->setMessage('dnssec_rollover', 'success', _('The key rollover has been cancelled and the new key removed.'));
+    }
+
+    private function retireKey(string $domain_name, array $keys, int $key_id): bool
+    {
+        // The old key may have been removed by hand already
+        if ($this->findKey($keys, $key_id) === null) {
+            return true;
+        }
+
+        $this->dnssecProvider->deactivateZoneKey($domain_name, $key_id);
+        return $this->dnssecProvider->removeZoneKey($domain_name, $key_id);
+    }
+
+    private function saveStep(int $zone_id, string $domain_name, DnssecRollover $rollover, string $step): void
+    {
+        $auditService = new AuditService($this->db);
+        $auditService->logDnssecRolloverStep($zone_id, $domain_name, $rollover->getKeyType(), $step, $rollover->getOldKeyId(), $rollover->getNewKeyId());
+
+        if (!$this->store->save($zone_id, $domain_name, $rollover)) {
+            $this->setMessage('dnssec_rollover', 'error', _('The key change was made, but the rollover phase could not be saved in the zone metadata.'));
+            return;
+        }
+
+        $this->setMessage('dnssec_rollover', 'success', match ($step) {
+            DnssecRolloverPlanner::STEP_PREPUBLISH => _('The new key has been published. Wait until caches have picked it up before activating it.'),
+            DnssecRolloverPlanner::STEP_ACTIVATE => _('The new key has been activated.'),
+            DnssecRolloverPlanner::STEP_DS => _('The DS update at the parent has been recorded.'),
+            default => _('The old key has been retired. The rollover is complete.'),
+        });
+    }
+
+    private function findKey(array $keys, int $key_id): ?array
+    {
+        foreach ($keys as $key) {
+            if ((int)$key[0] === $key_id) {
+                return $key;
+            }
+        }
+        return null;
+    }
+
+    private function showRollover(int $zone_id, string $domain_name): void
+    {
+        $keys = $this->dnssecProvider->getKeys($domain_name);
+        $rollover = $this->store->load($zone_id, $domain_name);
+        $in_progress = $rollover !== null && $rollover->isInProgress();
+
+        // DS records of the new key, to be handed to the parent zone
+        $new_key = $in_progress ? $this->findKey($keys, $rollover->getNewKeyId()) : null;
+        $new_ds_records = [];
+        if ($new_key !== null && $rollover->needsDsUpdate()) {
+            $new_ds_records = array_values(array_filter(
+                $this->dnssecProvider->getDsRecords($domain_name),
+                fn($record) => str_contains($record, ' IN DS ' . $new_key[2] . ' ')
+            ));
+        }
+
+        $earliest = $this->planner->earliestTime($rollover);
+
+        $this->render('dnssec_rollover.html', [
+            'domain_name' => $domain_name,
+            'idn_zone_name' => str_starts_with($domain_name, 'xn--') ? DnsIdnService::toUtf8($domain_name) : '',
+            'zone_id' => $zone_id,
+            'keys' => $keys,
+            'algorithms' => DnssecAlgorithm::ALGORITHMS,
+            'rollover' => $rollover,
+            'in_progress' => $in_progress,
+            'timeline' => $this->planner->timeline($rollover),
+            'next_step' => $in_progress ? $this->planner->nextStep($rollover) : null,
+            'old_key' => $in_progress ? $this->findKey($keys, $rollover->getOldKeyId()) : null,
+            'new_key' => $new_key,
+            'new_ds_records' => $new_ds_records,
+            'earliest' => $earliest !== null && $earliest > time() ? gmdate('Y-m-d H:i', $earliest) . ' UTC' : null,
+            'can_cancel' => $this->planner->cancelBlocker($rollover) === null,
+            'is_reverse_zone' => DnsHelper::isReverseZone($domain_name),
+        ]);
+    }
+}
@@ -37,6 +37,7 @@ use Poweradmin\BaseController;
 use Poweradmin\Domain\Model\Permission;
 use Poweradmin\Domain\Model\UserManager;
 use Poweradmin\Domain\Service\DnsRecord;
+use Poweradmin\Domain\Service\DnssecKeyGuard;
 use Poweradmin\Domain\Service\Validator;
 
 class DnssecToggleKeyController extends BaseController
@@ -103,6 +104,16 @@ class DnssecToggleKeyController extends BaseController
             $action = $is_active ? 'deactivate' : 'activate';
             $result = false;
 
+            // Refuse to leave the zone without an active key for either role
+            $blocker = $is_active
+                ? (new DnssecKeyGuard())->deactivationBlocker($dnssecProvider->getKeys($domain_name), $key_id)
+                : null;
+            if ($blocker !== null) {
+                $this->setMessage('dnssec', 'error', $blocker);
+                $this->redirect('/zones/' . $zone_id . '/dnssec');
+                return;
+            }
+
             // Perform the toggle operation
             if ($is_active) {
                 $result = $dnssecProvider->deactivateZoneKey($domain_name, $key_id);
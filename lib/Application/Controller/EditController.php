@@ -507,6 +507,8 @@ class EditController extends BaseController
             'iface_edit_save_changes_top' => $iface_edit_save_changes_top,
             'iface_record_comments' => $iface_record_comments,
             'iface_zone_comments' => $iface_zone_comments,
+            // Rows are saved one at a time through the internal API, which is only served when the API is enabled
+            'inline_record_edit' => (bool)$this->config->get('api', 'enabled', false),
             'serial' => DnsRecord::getSOASerial($soa_record),
             'file_version' => time(),
             'whois_actions' => $this->getWhoisActions($zone_id),
@@ -520,6 +522,7 @@ class EditController extends BaseController
             'dns_wizard_actions' => $this->getDnsWizardActions($zone_id),
             'export_formats' => $this->getExportFormats($zone_id),
             'import_enabled' => $this->isImportEnabled(),
+            'diff_tools' => $this->getDiffTools($zone_id),
         ]);
     }
 
@@ -718,6 +721,13 @@ class EditController extends BaseController
         return $registry->getCapabilityData('zone_export', ['zone_id' => $zone_id]);
     }
 
+    private function getDiffTools(int $zone_id): array
+    {
+        $registry = new ModuleRegistry($this->config);
+        $registry->loadModules();
+        return $registry->getCapabilityData('zone_diff', ['zone_id' => $zone_id]);
+    }
+
     private function isImportEnabled(): bool
     {
         $registry = new ModuleRegistry($this->config);
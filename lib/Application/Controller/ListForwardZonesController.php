@@ -241,6 +241,7 @@ class ListForwardZonesController extends BaseController
             'zone_sort_direction' => $zone_sort_direction,
             'iface_zonelist_serial' => $iface_zonelist_serial,
             'iface_zonelist_template' => $iface_zonelist_template,
+            'file_version' => time(),
             'iface_zonelist_fullname' => $iface_zonelist_fullname,
             'is_user_owner_allowed' => $isUserOwnerAllowed,
             'is_group_owner_allowed' => $isGroupOwnerAllowed,
@@ -40,6 +40,7 @@ use Poweradmin\BaseController;
 use Poweradmin\Domain\Model\Permission;
 use Poweradmin\Domain\Model\UserManager;
 use Poweradmin\Domain\Service\ForwardZoneAssociationService;
+use Poweradmin\Domain\Service\ReverseZoneLookupService;
 use Poweradmin\Domain\Service\UserContextService;
 use Poweradmin\Domain\Service\ZoneOwnershipModeService;
 use Poweradmin\Domain\Service\ZoneSortingService;
@@ -51,6 +52,9 @@ use Poweradmin\Domain\Utility\IpHelper;
 
 class ListReverseZonesController extends BaseController
 {
+    // Upper bound for the network tree and the PTR lookup, which load every zone at once
+    private const TREE_ZONE_LIMIT = 10000;
+
     private DnsDataService $dnsDataService;
     private ForwardZoneAssociationService $forwardZoneAssociationService;
     private UserContextService $userContextService;
@@ -83,6 +87,108 @@ class ListReverseZonesController extends BaseController
         $this->listReverseZones();
     }
 
+    /**
+     * List the visible reverse zones with the network each one covers
+     *
+     * Feeds the network tree view, which nests the zones client-side.
+     */
+    public function tree(): void
+    {
+        $perm_view = Permission::getViewPermission($this->db);
+        if ($perm_view == 'none') {
+            $this->sendJson(['message' => _('You do not have the permission to see any zones.')], 403);
+        }
+
+        $zones = $this->dnsDataService->getReverseZones(
+            $perm_view,
+            $this->userContextService->getLoggedInUserId(),
+            $this->zoneSortingService->getReverseZoneTypeFilter(),
+            0,
+            self::TREE_ZONE_LIMIT,
+            'name',
+            'ASC'
+        );
+
+        $nodes = [];
+        foreach ($zones as $zone) {
+            $nodes[] = [
+                'id' => (int)$zone['id'],
+                'name' => $zone['utf8_name'] ?? $zone['name'],
+                'type' => $zone['type'],
+                'records' => (int)$zone['count_records'],
+                'disabled' => (bool)($zone['is_disabled'] ?? false),
+                // Null for names like "arpa.example.com" that describe no network
+                'network' => IpHelper::reverseZoneToNetwork($zone['name']),
+            ];
+        }
+
+        $this->sendJson([
+            'zones' => $nodes,
+            'truncated' => count($nodes) >= self::TREE_ZONE_LIMIT,
+        ]);
+    }
+
+    /**
+     * Find the zone and PTR records for the reverse name of an address
+     *
+     * The browser computes the reverse name; this resolves the owning zone,
+     * including RFC 2317 delegations, among the zones the user can see.
+     */
+    public function ptr(): void
+    {
+        $perm_view = Permission::getViewPermission($this->db);
+        if ($perm_view == 'none') {
+            $this->sendJson(['message' => _('You do not have the permission to see any zones.')], 403);
+        }
+
+        $name = strtolower(rtrim(trim($_GET['name'] ?? ''), '.'));
+        $network = IpHelper::reverseZoneToNetwork($name);
+        if ($network === null) {
+            $this->sendJson(['message' => _('Invalid reverse name.')], 400);
+        }
+
+        $zones = $this->dnsDataService->getReverseZones(
+            $perm_view,
+            $this->userContextService->getLoggedInUserId(),
+            $network['family'] === 4 ? 'ipv4' : 'ipv6',
+            0,
+            self::TREE_ZONE_LIMIT,
+            'name',
+            'ASC'
+        );
+
+        $lookupService = new ReverseZoneLookupService();
+        $match = $lookupService->locate($name, array_values($zones));
+        if ($match === null) {
+            $this->sendJson(['name' => $name, 'zone' => null, 'record_name' => null, 'records' => []]);
+        }
+
+        $zone = $match['zone'];
+        $records = [];
+        if ($match['record_name'] !== null) {
+            $recordRepository = $this->getRepositoryFactory()->createRecordRepository();
+            foreach ($recordRepository->getRRSetRecords((int)$zone['id'], $match['record_name'], 'PTR') as $record) {
+                $records[] = [
+                    'id' => $record['id'],
+                    'content' => $record['content'],
+                    'ttl' => (int)$record['ttl'],
+                    'disabled' => (bool)($record['disabled'] ?? false),
+                ];
+            }
+        }
+
+        $this->sendJson([
+            'name' => $name,
+            'zone' => [
+                'id' => (int)$zone['id'],
+                'name' => $zone['utf8_name'] ?? $zone['name'],
+                'classless' => IpHelper::reverseZoneToNetwork($zone['name'])['classless'],
+            ],
+            'record_name' => $match['record_name'],
+            'records' => $records,
+        ]);
+    }
+
     private function listReverseZones(): void
     {
         $pdnssec_use = $this->config->get('dnssec', 'enabled', false);
@@ -133,6 +239,9 @@ class ListReverseZonesController extends BaseController
             $this->showError(_('You do not have the permission to see any zones.'));
         }
 
+        // The network tree loads its zones through tree() once the page is shown
+        $zone_view = ($_GET['view'] ?? '') === 'tree' ? 'tree' : 'table';
+
         // Get the reverse zone filter type from the request
         $reverse_zone_type = $this->zoneSortingService->getReverseZoneTypeFilter();
         $loggedInUserId = $this->userContextService->getLoggedInUserId();
@@ -235,6 +344,7 @@ class ListReverseZonesController extends BaseController
             'zone_sort_direction' => $zone_sort_direction,
             'iface_zonelist_serial' => $iface_zonelist_serial,
             'iface_zonelist_template' => $iface_zonelist_template,
+            'file_version' => time(),
             'iface_zonelist_fullname' => $iface_zonelist_fullname,
             'is_user_owner_allowed' => $isUserOwnerAllowed,
             'is_group_owner_allowed' => $isGroupOwnerAllowed,
@@ -248,6 +358,7 @@ class ListReverseZonesController extends BaseController
             'perm_zone_slave_add' => UserManager::verifyPermission($this->db, 'zone_slave_add'),
             'perm_is_godlike' => UserManager::verifyPermission($this->db, 'user_is_ueberuser'),
             'reverse_zone_type' => $reverse_zone_type,
+            'zone_view' => $zone_view,
             'count_ipv4_zones' => $count_ipv4_zones,
             'count_ipv6_zones' => $count_ipv6_zones,
             'count_all_reverse_zones' => $count_all_reverse_zones,
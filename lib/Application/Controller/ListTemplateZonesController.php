@@ -104,7 +104,8 @@ class ListTemplateZonesController extends BaseController
             'user_name' => UserManager::getFullnameFromUserId($this->db, $_SESSION['userid']) ?: $_SESSION['userlogin'],
             'pagination' => $paginationHtml,
             'total_zones' => $totalZones,
-            'iface_rowamount' => $itemsPerPage
+            'iface_rowamount' => $itemsPerPage,
+            'file_version' => time(),
         ]);
     }
 }
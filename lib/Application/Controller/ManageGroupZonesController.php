@@ -354,6 +354,20 @@ class ManageGroupZonesController extends BaseController
                 usort($ownedZones, fn($a, $b) => strcasecmp($a['name'], $b['name']));
             }
 
+            // With the internal API enabled, zones are searched with the zone picker
+            // instead of listing every zone on the page
+            if ($this->config->get('api', 'enabled', false)) {
+                $this->render('manage_group_zones.html', [
+                    'group' => $group,
+                    'owned_zones' => $ownedZones,
+                    'owned_zone_ids' => $ownedDomainIds,
+                    'zone_picker' => true,
+                    'available_zones' => [],
+                    'file_version' => time(),
+                ]);
+                return;
+            }
+
             // Get all zones for selection
             $backendProvider = DnsBackendProviderFactory::create($this->db, $this->config);
             if ($backendProvider->isApiBackend()) {
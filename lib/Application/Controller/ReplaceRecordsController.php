@@ -0,0 +1,315 @@
+<?php
+
+/*  Poweradmin, a friendly web-based admin tool for PowerDNS.
+ *  See <https://www.poweradmin.org> for more details.
+ *
+ *  Copyright 2007-2010 Rejo Zenger <rejo@zenger.nl>
+ *  Copyright 2010-2025 Poweradmin Development Team
+ *
+ *  This program is free software: you can redistribute it and/or modify
+ *  it under the terms of the GNU General Public License as published by
+ *  the Free Software Foundation, either version 3 of the License, or
+ *  (at your option) any later version.
+ *
+ *  This program is distributed in the hope that it will be useful,
+ *  but WITHOUT ANY WARRANTY; without even the implied warranty of
+ *  MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ *  GNU General Public License for more details.
+ *
+ *  You should have received a copy of the GNU General Public License
+ *  along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+/**
+ * Script that handles search-and-replace in the content of records
+ *
+ * @package     Poweradmin
+ * @copyright   2007-2010 Rejo Zenger <rejo@zenger.nl>
+ * @copyright   2010-2026 Poweradmin Development Team
+ * @license     https://opensource.org/licenses/GPL-3.0 GPL
+ */
+
+namespace Poweradmin\Application\Controller;
+
+use Poweradmin\Application\Service\CsrfTokenService;
+use Poweradmin\Application\Service\DnssecProviderFactory;
+use Poweradmin\BaseController;
+use Poweradmin\Domain\Service\ApiPermissionService;
+use Poweradmin\Domain\Service\DnsIdnService;
+use Poweradmin\Domain\Service\DnsRecord;
+use Poweradmin\Domain\Service\RecordContentReplacer;
+use Poweradmin\Domain\Service\UserContextService;
+use Poweradmin\Domain\Utility\RecordIdHelper;
+use Poweradmin\Infrastructure\Database\DbCompat;
+use Poweradmin\Infrastructure\Logger\LegacyLogger;
+use Poweradmin\Infrastructure\Utility\IpAddressRetriever;
+
+/**
+ * Replaces text in the content of records selected on the search page.
+ *
+ * Both endpoints take the selection as "record_id[]" together with "find",
+ * "replace" and "match". The preview reports the content of every record
+ * before and after the change without saving anything; apply saves the
+ * changed records one by one and bumps the SOA serial of each affected zone once.
+ */
+class ReplaceRecordsController extends BaseController
+{
+    public const MAX_RECORDS = 500;
+
+    private LegacyLogger $auditLogger;
+    private IpAddressRetriever $ipAddressRetriever;
+    private UserContextService $userContextService;
+    private ApiPermissionService $permissionService;
+    private CsrfTokenService $csrfTokenService;
+    private RecordContentReplacer $replacer;
+    private DnsRecord $dnsRecord;
+
+    public function __construct(array $request)
+    {
+        parent::__construct($request);
+
+        $this->auditLogger = new LegacyLogger($this->db);
+        $this->ipAddressRetriever = new IpAddressRetriever($_SERVER);
+        $this->userContextService = new UserContextService();
+        $this->permissionService = new ApiPermissionService($this->db);
+        $this->csrfTokenService = new CsrfTokenService();
+        $this->replacer = new RecordContentReplacer();
+        $this->dnsRecord = new DnsRecord($this->db, $this->getConfig());
+    }
+
+    public function run(): void
+    {
+        $this->preview();
+    }
+
+    /**
+     * Show the content of the selected records before and after the replace
+     */
+    public function preview(): void
+    {
+        $changes = $this->planChanges($this->readRequest());
+
+        $this->sendJson(['records' => array_map(fn($change) => $this->describe($change), $changes)]);
+    }
+
+    /**
+     * Save the replaced content of the selected records
+     */
+    public function apply(): void
+    {
+        $changes = $this->planChanges($this->readRequest());
+
+        $results = [];
+        $affectedZones = [];
+        foreach ($changes as $change) {
+            if ($change['status'] === 'change') {
+                $change = $this->applyChange($change);
+                if ($change['status'] === 'updated') {
+                    $affectedZones[$change['zone_id']] = $change['zone'];
+                }
+            }
+            $results[] = $this->describe($change);
+        }
+
+        foreach ($affectedZones as $zoneId => $zoneName) {
+            $this->dnsRecord->updateSOASerial($zoneId);
+
+            if ($this->config->get('dnssec', 'enabled', false)) {
+                $dnssecProvider = DnssecProviderFactory::create($this->db, $this->getConfig());
+                $dnssecProvider->rectifyZone($zoneName);
+            }
+        }
+
+        $statuses = array_count_values(array_column($results, 'status'));
+        $this->sendJson([
+            'results' => $results,
+            'updated' => $statuses['updated'] ?? 0,
+            'failed' => $statuses['failed'] ?? 0,
+            'zones' => count($affectedZones),
+        ]);
+    }
+
+    /**
+     * @return array{record_ids: array<int|string>, find: string, replace: string, match: string}
+     */
+    private function readRequest(): array
+    {
+        $this->checkPermission('search', _("You do not have the permission to perform searches."));
+
+        $tokenValidation = $this->config->get('security', 'global_token_validation', true);
+        if ($tokenValidation && !$this->csrfTokenService->validateToken($_POST['_token'] ?? '')) {
+            $this->sendJson(['message' => _('Invalid CSRF token.')], 403);
+        }
+
+        $recordIds = array_values(array_filter(
+            (array)($_POST['record_id'] ?? []),
+            fn($id) => (is_int($id) || is_string($id)) && $id !== ''
+        ));
+        $find = $_POST['find'] ?? '';
+        $replace = $_POST['replace'] ?? '';
+        $match = $_POST['match'] ?? RecordContentReplacer::MATCH_CONTENT;
+
+        if ($recordIds === []) {
+            $this->sendJson(['message' => _('No records selected.')], 400);
+        }
+        if (count($recordIds) > self::MAX_RECORDS) {
+            $this->sendJson(['message' => sprintf(_('At most %d records can be changed at once.'), self::MAX_RECORDS)], 400);
+        }
+        if (!is_string($find) || trim($find) === '' || !is_string($replace)) {
+            $this->sendJson(['message' => _('Enter the text to find.')], 400);
+        }
+        if (!in_array($match, [RecordContentReplacer::MATCH_CONTENT, RecordContentReplacer::MATCH_SUBSTRING], true)) {
+            $this->sendJson(['message' => _('Invalid match mode.')], 400);
+        }
+
+        return [
+            'record_ids' => array_map(fn($id) => RecordIdHelper::normalizeId($id), $recordIds),
+            'find' => $find,
+            'replace' => $replace,
+            'match' => $match,
+        ];
+    }
+
+    /**
+     * Work out the new content of each selected record
+     *
+     * Every record comes back with a status: "change" when its content would
+     * change, "unchanged" when the search did not match and "denied",
+     * "skipped" or "missing" when the record cannot be changed here. The
+     * permissions are checked before any field of the record is read, so
+     * denied and missing records only carry their ID, status and message.
+     */
+    private function planChanges(array $request): array
+    {
+        $userId = (int)$this->userContextService->getLoggedInUserId();
+        $zones = [];
+        $changes = [];
+
+        foreach ($request['record_ids'] as $recordId) {
+            $zoneId = $this->dnsRecord->getZoneIdFromRecordId($recordId);
+            if ($zoneId <= 0) {
+                $changes[] = $this->rejectChange($recordId, 'missing', _('Record not found.'));
+                continue;
+            }
+
+            $zones[$zoneId] ??= $this->readZone($userId, $zoneId);
+            if (!$zones[$zoneId]['editable']) {
+                $changes[] = $this->rejectChange($recordId, 'denied', _('You do not have the permission to edit this record.'));
+                continue;
+            }
+
+            $record = $this->dnsRecord->getRecordFromId($recordId);
+            if ($record === null) {
+                $changes[] = $this->rejectChange($recordId, 'missing', _('Record not found.'));
+                continue;
+            }
+            if (!$this->permissionService->canEditZoneRecord($userId, $zoneId, (string)$record['type'], $zones[$zoneId]['type'])) {
+                $changes[] = $this->rejectChange($recordId, 'denied', _('You do not have the permission to edit this record.'));
+                continue;
+            }
+
+            $change = [
+                'id' => $recordId,
+                'zone_id' => $zoneId,
+                'zone' => $zones[$zoneId]['name'],
+                'name' => $record['name'],
+                'type' => $record['type'],
+                'before' => $record['content'],
+                'after' => $record['content'],
+                'status' => 'unchanged',
+                'message' => '',
+                'record' => $record,
+            ];
+
+            if (strtoupper((string)$record['type']) === 'SOA') {
+                // SOA content holds the serial, which the apply step bumps itself
+                $change['status'] = 'skipped';
+                $change['message'] = _('SOA records cannot be changed by a replace.');
+            } else {
+                $change['after'] = $this->replacer->replace($record['type'], $record['content'], $request['find'], $request['replace'], $request['match']);
+                if ($change['after'] !== $change['before']) {
+                    $change['status'] = 'change';
+                }
+            }
+
+            $changes[] = $change;
+        }
+
+        return $changes;
+    }
+
+    /**
+     * @return array{editable: bool, name: string, type: string}
+     */
+    private function readZone(int $userId, int $zoneId): array
+    {
+        $type = $this->dnsRecord->getDomainType($zoneId);
+        $editable = $this->permissionService->canViewZone($userId, $zoneId)
+            && $this->permissionService->canEditZoneContent($userId, $zoneId, $type);
+
+        return [
+            'editable' => $editable,
+            'name' => $editable ? ($this->dnsRecord->getDomainNameById($zoneId) ?? '') : '',
+            'type' => $type,
+        ];
+    }
+
+    private function rejectChange(int|string $recordId, string $status, string $message): array
+    {
+        return ['id' => $recordId, 'status' => $status, 'message' => $message];
+    }
+
+    private function applyChange(array $change): array
+    {
+        $record = $change['record'];
+        $recordData = [
+            'rid' => $change['id'],
+            'zid' => $change['zone_id'],
+            'name' => $record['name'],
+            'type' => $record['type'],
+            'content' => DnsIdnService::convertContentToPunycode($record['type'], $change['after']),
+            'ttl' => (int)$record['ttl'],
+            'prio' => (int)($record['prio'] ?? 0),
+            'disabled' => DbCompat::boolFromDb($record['disabled'] ?? 0),
+        ];
+
+        if (!$this->dnsRecord->editRecord($recordData)) {
+            // RecordManager reports validation failures as system messages
+            $errors = $this->getSystemErrors();
+            $change['status'] = 'failed';
+            $change['message'] = $errors[0] ?? _('The record could not be updated.');
+            return $change;
+        }
+
+        $this->auditLogger->logInfo(sprintf(
+            'client_ip:%s user:%s operation:edit_record'
+            . ' old_record_type:%s old_record:%s old_content:%s old_ttl:%s old_priority:%s'
+            . ' record_type:%s record:%s content:%s ttl:%s priority:%s',
+            $this->ipAddressRetriever->getClientIp(),
+            $this->userContextService->getLoggedInUsername(),
+            $record['type'],
+            $record['name'],
+            $record['content'],
+            $record['ttl'],
+            $record['prio'] ?? 0,
+            $recordData['type'],
+            $recordData['name'],
+            $recordData['content'],
+            $recordData['ttl'],
+            $recordData['prio']
+        ), $change['zone_id']);
+
+        $change['after'] = $recordData['content'];
+        $change['status'] = 'updated';
+        return $change;
+    }
+
+    /**
+     * Strip the stored record from a change before it is sent to the page
+     */
+    private function describe(array $change): array
+    {
+        unset($change['record']);
+        return $change;
+    }
+}
@@ -53,6 +53,47 @@ class SearchController extends BaseController
         $this->setCurrentPage('search');
         $this->setPageTitle(_('Search'));
 
+        // Searches come from the form or, when bookmarked or shared, from the URL
+        $input = null;
+        if ($this->isPost()) {
+            $this->validateCsrfToken();
+            $input = $_POST;
+        } elseif (isset($_GET['query'])) {
+            $input = $_GET;
+        }
+
+        $this->showSearchForm($this->search($input));
+    }
+
+    /**
+     * Return the result tables of a search as JSON
+     *
+     * Takes the fields of the search form in the query string, so the page
+     * can update its results while the user types without reloading.
+     */
+    public function results(): void
+    {
+        $this->checkPermission('search', _("You do not have the permission to perform searches."));
+
+        $search = $this->search($_GET);
+
+        $this->sendJson([
+            'html' => $this->renderPartial('search_results.html', $this->getResultParams($search)),
+            'total_zones' => $search['total_zones'],
+            'total_records' => $search['total_records'],
+            'zones_page' => $search['zones_page'],
+            'records_page' => $search['records_page'],
+        ]);
+    }
+
+    /**
+     * Run a search
+     *
+     * @param array|null $input Search form fields, or null to only show the form
+     * @return array Parameters, results, totals, paging and sort order
+     */
+    private function search(?array $input): array
+    {
         $parameters = [
             'query' => '',
             'zones' => true,
@@ -71,8 +112,8 @@ class SearchController extends BaseController
         $searchResultRecords = [];
         $records_page = 1;
 
-        list($zone_sort_by, $zone_sort_direction) = $this->getSortOrder('zone_sort_by', ['name', 'type', 'count_records', 'fullname']);
-        list($record_sort_by, $record_sort_direction) = $this->getSortOrder('record_sort_by', ['name', 'type', 'prio', 'content', 'ttl', 'disabled']);
+        list($zone_sort_by, $zone_sort_direction) = $this->getSortOrder('zone_sort_by', ['name', 'type', 'count_records', 'fullname'], $input ?? []);
+        list($record_sort_by, $record_sort_direction) = $this->getSortOrder('record_sort_by', ['name', 'type', 'prio', 'content', 'ttl', 'disabled'], $input ?? []);
 
         $_SESSION['zone_sort_by'] = $zone_sort_by;
         $_SESSION['zone_sort_by_direction'] = $zone_sort_direction;
@@ -88,9 +129,9 @@ class SearchController extends BaseController
 
         // Get zones rows per page
         $zone_rowamount = $paginationService->getUserRowsPerPage($default_rowamount, $userId);
-        // Override with POST parameter if available for zones
-        if ($this->isPost() && isset($_POST['zones_rows_per_page']) && is_numeric($_POST['zones_rows_per_page'])) {
-            $post_rows_per_page = (int)$_POST['zones_rows_per_page'];
+        // Override with the submitted value if available for zones
+        if (isset($input['zones_rows_per_page']) && is_numeric($input['zones_rows_per_page'])) {
+            $post_rows_per_page = (int)$input['zones_rows_per_page'];
             // Validate against allowed values
             if (in_array($post_rows_per_page, [10, 20, 50, 100])) {
                 $zone_rowamount = $post_rows_per_page;
@@ -99,9 +140,9 @@ class SearchController extends BaseController
 
         // Get records rows per page
         $record_rowamount = $paginationService->getUserRowsPerPage($default_rowamount, $userId);
-        // Override with POST parameter if available for records
-        if ($this->isPost() && isset($_POST['records_rows_per_page']) && is_numeric($_POST['records_rows_per_page'])) {
-            $post_rows_per_page = (int)$_POST['records_rows_per_page'];
+        // Override with the submitted value if available for records
+        if (isset($input['records_rows_per_page']) && is_numeric($input['records_rows_per_page'])) {
+            $post_rows_per_page = (int)$input['records_rows_per_page'];
             // Validate against allowed values
             if (in_array($post_rows_per_page, [10, 20, 50, 100])) {
                 $record_rowamount = $post_rows_per_page;
@@ -109,8 +150,8 @@ class SearchController extends BaseController
         }
 
         // Backward compatibility
-        if ($this->isPost() && isset($_POST['rows_per_page']) && is_numeric($_POST['rows_per_page'])) {
-            $post_rows_per_page = (int)$_POST['rows_per_page'];
+        if (isset($input['rows_per_page']) && is_numeric($input['rows_per_page'])) {
+            $post_rows_per_page = (int)$input['rows_per_page'];
             // Validate against allowed values
             if (in_array($post_rows_per_page, [10, 20, 50, 100])) {
                 $zone_rowamount = $post_rows_per_page;
@@ -120,10 +161,8 @@ class SearchController extends BaseController
         $iface_zone_comments = $this->config->get('interface', 'show_zone_comments', true);
         $iface_record_comments = $this->config->get('interface', 'show_record_comments', false);
 
-        if ($this->isPost()) {
-            $this->validateCsrfToken();
-
-            $rawQuery = !empty($_POST['query']) ? $_POST['query'] : '';
+        if ($input !== null) {
+            $rawQuery = !empty($input['query']) && is_string($input['query']) ? $input['query'] : '';
 
             // Parse query for embedded filters
             list($cleanQuery, $extractedFilters) = $this->parseQueryFilters($rawQuery);
@@ -137,11 +176,11 @@ class SearchController extends BaseController
             // Store the original query for display purposes
             $parameters['displayed_query'] = htmlspecialchars($displayed_query);
 
-            $parameters['zones'] = isset($_POST['zones']) ? htmlspecialchars($_POST['zones']) : false;
-            $parameters['records'] = isset($_POST['records']) ? htmlspecialchars($_POST['records']) : false;
-            $parameters['wildcard'] = isset($_POST['wildcard']) ? htmlspecialchars($_POST['wildcard']) : false;
-            $parameters['reverse'] = isset($_POST['reverse']) ? htmlspecialchars($_POST['reverse']) : false;
-            $parameters['comments'] = isset($_POST['comments']) ? htmlspecialchars($_POST['comments']) : false;
+            $parameters['zones'] = $this->getEscapedInput($input, 'zones') ?? false;
+            $parameters['records'] = $this->getEscapedInput($input, 'records') ?? false;
+            $parameters['wildcard'] = $this->getEscapedInput($input, 'wildcard') ?? false;
+            $parameters['reverse'] = $this->getEscapedInput($input, 'reverse') ?? false;
+            $parameters['comments'] = $this->getEscapedInput($input, 'comments') ?? false;
 
             // A bare IP query should always search records and reverse zones, even when
             // the user did not tick those boxes - that is almost certainly a PTR lookup.
@@ -159,7 +198,7 @@ class SearchController extends BaseController
                 $parameters['records'] = true;
             } else {
                 // Only use form field if no filter in query string
-                $parameters['type_filter'] = isset($_POST['type_filter']) ? htmlspecialchars($_POST['type_filter']) : '';
+                $parameters['type_filter'] = $this->getEscapedInput($input, 'type_filter') ?? '';
             }
 
             if (!empty($extractedFilters['content'])) {
@@ -168,7 +207,7 @@ class SearchController extends BaseController
                 $parameters['records'] = true;
             } else {
                 // Only use form field if no filter in query string
-                $parameters['content_filter'] = isset($_POST['content_filter']) ? htmlspecialchars($_POST['content_filter']) : '';
+                $parameters['content_filter'] = $this->getEscapedInput($input, 'content_filter') ?? '';
             }
 
             // If records search is disabled, clear the filters
@@ -177,7 +216,7 @@ class SearchController extends BaseController
                 $parameters['content_filter'] = '';
             }
 
-            $zones_page = isset($_POST['zones_page']) ? (int)$_POST['zones_page'] : 1;
+            $zones_page = isset($input['zones_page']) ? (int)$input['zones_page'] : 1;
 
             $permission_view = Permission::getViewPermission($this->db);
 
@@ -195,7 +234,7 @@ class SearchController extends BaseController
 
             $totalZones = $dnsDataService->searchZonesTotalCount($parameters, $permission_view);
 
-            $records_page = isset($_POST['records_page']) ? (int)$_POST['records_page'] : 1;
+            $records_page = isset($input['records_page']) ? (int)$input['records_page'] : 1;
 
             $iface_search_group_records = $this->config->get('interface', 'search_group_records', false);
             $searchResultRecords = $dnsDataService->searchRecords(
@@ -228,67 +267,14 @@ class SearchController extends BaseController
             $deletePermission
         );
 
-        $this->showSearchForm(
-            $parameters,
-            $searchResultZones,
-            $searchResultRecords,
-            $zone_sort_by,
-            $zone_sort_direction,
-            $record_sort_by,
-            $record_sort_direction,
-            $totalZones,
-            $totalRecords,
-            $zones_page,
-            $records_page,
-            $zone_rowamount,
-            $record_rowamount,
-            $iface_zone_comments,
-            $iface_record_comments,
-            $editPermission,
-            $deletePermission
-        );
-    }
-
-    private function showSearchForm(
-        $parameters,
-        $searchResultZones,
-        $searchResultRecords,
-        $zone_sort_by,
-        $zone_sort_direction,
-        $record_sort_by,
-        $record_sort_direction,
-        $totalZones,
-        $totalRecords,
-        $zones_page,
-        $records_page,
-        $zone_rowamount,
-        $record_rowamount,
-        $iface_zone_comments,
-        $iface_record_comments,
-        string $editPermission,
-        string $deletePermission
-    ): void {
-        // Get all record types for the filter dropdown
-        $recordTypeService = new RecordTypeService($this->getConfig());
-        $recordTypes = $recordTypeService->getAllTypes($this->getRecordTypeCapabilities());
-
-        $this->render('search.html', [
+        return [
+            'parameters' => $parameters,
+            'found_zones' => $searchResultZones,
+            'found_records' => $searchResultRecords,
             'zone_sort_by' => $zone_sort_by,
             'zone_sort_direction' => $zone_sort_direction,
             'record_sort_by' => $record_sort_by,
             'record_sort_direction' => $record_sort_direction,
-            'query' => isset($parameters['displayed_query']) ? $parameters['displayed_query'] : $parameters['query'],
-            'search_by_zones' => $parameters['zones'],
-            'search_by_records' => $parameters['records'],
-            'search_by_comments' => $parameters['comments'],
-            'search_by_wildcard' => $parameters['wildcard'],
-            'search_by_reverse' => $parameters['reverse'],
-            'type_filter' => $parameters['type_filter'],
-            'content_filter' => $parameters['content_filter'],
-            'has_zones' => !empty($searchResultZones),
-            'has_records' => !empty($searchResultRecords),
-            'found_zones' => $searchResultZones,
-            'found_records' => $searchResultRecords,
             'total_zones' => $totalZones,
             'total_records' => $totalRecords,
             'zones_page' => $zones_page,
@@ -299,11 +285,58 @@ class SearchController extends BaseController
             'iface_record_comments' => $iface_record_comments,
             'edit_permission' => $editPermission,
             'delete_permission' => $deletePermission,
+        ];
+    }
+
+    private function showSearchForm(array $search): void
+    {
+        // Get all record types for the filter dropdown
+        $recordTypeService = new RecordTypeService($this->getConfig());
+        $recordTypes = $recordTypeService->getAllTypes($this->getRecordTypeCapabilities());
+
+        $this->render('search.html', array_merge($this->getResultParams($search), [
+            'record_types' => $recordTypes,
+        ]));
+    }
+
+    /**
+     * Template parameters shared by the search page and the result tables
+     */
+    private function getResultParams(array $search): array
+    {
+        $parameters = $search['parameters'];
+
+        return [
+            'zone_sort_by' => $search['zone_sort_by'],
+            'zone_sort_direction' => $search['zone_sort_direction'],
+            'record_sort_by' => $search['record_sort_by'],
+            'record_sort_direction' => $search['record_sort_direction'],
+            'query' => isset($parameters['displayed_query']) ? $parameters['displayed_query'] : $parameters['query'],
+            'search_by_zones' => $parameters['zones'],
+            'search_by_records' => $parameters['records'],
+            'search_by_comments' => $parameters['comments'],
+            'search_by_wildcard' => $parameters['wildcard'],
+            'search_by_reverse' => $parameters['reverse'],
+            'type_filter' => $parameters['type_filter'],
+            'content_filter' => $parameters['content_filter'],
+            'has_zones' => !empty($search['found_zones']),
+            'has_records' => !empty($search['found_records']),
+            'found_zones' => $search['found_zones'],
+            'found_records' => $search['found_records'],
+            'total_zones' => $search['total_zones'],
+            'total_records' => $search['total_records'],
+            'zones_page' => $search['zones_page'],
+            'records_page' => $search['records_page'],
+            'zone_rowamount' => $search['zone_rowamount'],
+            'record_rowamount' => $search['record_rowamount'],
+            'iface_zone_comments' => $search['iface_zone_comments'],
+            'iface_record_comments' => $search['iface_record_comments'],
+            'edit_permission' => $search['edit_permission'],
+            'delete_permission' => $search['delete_permission'],
             'user_id' => $_SESSION['userid'],
             'whois_action_patterns' => $this->getModuleActionPatterns('whois_lookup'),
             'rdap_action_patterns' => $this->getModuleActionPatterns('rdap_lookup'),
-            'record_types' => $recordTypes,
-        ]);
+        ];
     }
 
     private function getModuleActionPatterns(string $capability): array
@@ -479,25 +512,34 @@ class SearchController extends BaseController
         return !empty(array_intersect($permissionSources['group_ids'], $zoneGroupIds));
     }
 
+    /**
+     * Searches may come from a URL, so a field holding anything but a string
+     * (such as "zones[]=1") counts as not set.
+     */
+    private function getEscapedInput(array $input, string $name): ?string
+    {
+        return isset($input[$name]) && is_string($input[$name]) ? htmlspecialchars($input[$name]) : null;
+    }
+
     /**
      * Both values are checked against a literal allowlist before assignment,
      * so the result is safe to interpolate into ORDER BY.
      *
      * @psalm-taint-escape sql
      */
-    private function getSortOrder(string $name, array $allowedValues): array
+    private function getSortOrder(string $name, array $allowedValues, array $input): array
     {
         $sortOrder = 'name';
         $sortDirection = 'ASC';
 
-        if (isset($_POST[$name]) && in_array($_POST[$name], $allowedValues)) {
-            $sortOrder = $_POST[$name];
+        if (isset($input[$name]) && in_array($input[$name], $allowedValues)) {
+            $sortOrder = $input[$name];
         } elseif (isset($_SESSION[$name]) && in_array($_SESSION[$name], $allowedValues)) {
             $sortOrder = $_SESSION[$name];
         }
 
-        if (isset($_POST[$name . '_direction']) && in_array(strtoupper($_POST[$name . '_direction']), ['ASC', 'DESC'])) {
-            $sortDirection = strtoupper($_POST[$name . '_direction']);
+        if (isset($input[$name . '_direction']) && is_string($input[$name . '_direction']) && in_array(strtoupper($input[$name . '_direction']), ['ASC', 'DESC'])) {
+            $sortDirection = strtoupper($input[$name . '_direction']);
         } elseif (isset($_SESSION[$name . '_direction']) && in_array(strtoupper($_SESSION[$name . '_direction']), ['ASC', 'DESC'])) {
             $sortDirection = strtoupper($_SESSION[$name . '_direction']);
         }
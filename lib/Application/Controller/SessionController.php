@@ -0,0 +1,193 @@
+<?php
+
+/*  Poweradmin, a friendly web-based admin tool for PowerDNS.
+ *  See <https://www.poweradmin.org> for more details.
+ *
+ *  Copyright 2007-2010 Rejo Zenger <rejo@zenger.nl>
+ *  Copyright 2010-2026 Poweradmin Development Team
+ *
+ *  This program is free software: you can redistribute it and/or modify
+ *  it under the terms of the GNU General Public License as published by
+ *  the Free Software Foundation, either version 3 of the License, or
+ *  (at your option) any later version.
+ *
+ *  This program is distributed in the hope that it will be useful,
+ *  but WITHOUT ANY WARRANTY; without even the implied warranty of
+ *  MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ *  GNU General Public License for more details.
+ *
+ *  You should have received a copy of the GNU General Public License
+ *  along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+namespace Poweradmin\Application\Controller;
+
+use InvalidArgumentException;
+use Poweradmin\Application\Service\AuditService;
+use Poweradmin\Application\Service\CsrfTokenService;
+use Poweradmin\BaseController;
+use Poweradmin\Domain\Model\UserPreference;
+use Poweradmin\Domain\Service\MfaSessionManager;
+use Poweradmin\Domain\Service\SessionService;
+use Poweradmin\Domain\Service\UserContextService;
+
+/**
+ * Session endpoints used by the session watchdog and user settings scripts
+ *
+ * The status check runs without authentication so that polling it does not
+ * refresh the session timestamp, and it changes nothing in the session. The
+ * login token for signing in again is only issued by a separate request when
+ * the dialog asks for it. Extending the session and switching its language go
+ * through the regular authentication, which refreshes the timestamp like any
+ * page load.
+ */
+class SessionController extends BaseController
+{
+    private CsrfTokenService $csrfTokenService;
+    private UserContextService $userContextService;
+
+    public function __construct(array $request)
+    {
+        parent::__construct($request, in_array($request['page'] ?? '', ['session_extend', 'session_language'], true));
+
+        $this->csrfTokenService = new CsrfTokenService();
+        $this->userContextService = new UserContextService();
+    }
+
+    public function run(): void
+    {
+        $this->status();
+    }
+
+    /**
+     * Report the remaining session lifetime without touching it
+     */
+    public function status(): void
+    {
+        $timeout = $this->getSessionTimeout();
+
+        if ($this->userContextService->isAuthenticated() && !$this->isTimedOut($timeout)) {
+            $lastmod = $_SESSION['lastmod'] ?? '';
+
+            $this->sendJson([
+                'authenticated' => true,
+                'remaining' => $lastmod !== '' ? max(0, $timeout - (time() - $lastmod)) : $timeout,
+                'timeout' => $timeout,
+                'username' => $this->userContextService->getLoggedInUsername(),
+                'csrf_token' => $this->csrfTokenService->getToken(),
+            ]);
+        }
+
+        $this->sendJson([
+            'authenticated' => false,
+            'expired' => $this->userContextService->isAuthenticated(),
+            'mfa_required' => $this->isMfaPending(),
+            'timeout' => $timeout,
+        ]);
+    }
+
+    /**
+     * Prepare the session for signing in again from the watchdog dialog
+     *
+     * Called when the dialog opens and after each login attempt from it. The
+     * flash message is only handed out after an attempt, so messages meant
+     * for the next page are left alone.
+     */
+    public function prepareLogin(): void
+    {
+        $timeout = $this->getSessionTimeout();
+
+        // Same check as SessionAuthenticator, which would reject the login otherwise
+        if ($this->userContextService->isAuthenticated() && $this->isTimedOut($timeout)) {
+            $auditService = new AuditService($this->db);
+            $auditService->logSessionExpired();
+
+            $sessionService = new SessionService();
+            $sessionService->endSession();
+        }
+
+        $loginToken = $this->csrfTokenService->generateToken();
+        $_SESSION['login_token'] = $loginToken;
+
+        $message = '';
+        if (($_POST['after_login'] ?? '') === '1') {
+            $message = ($_SESSION['type'] ?? '') === 'danger' ? ($_SESSION['message'] ?? '') : '';
+            unset($_SESSION['message'], $_SESSION['type']);
+        }
+
+        $this->sendJson([
+            'login_token' => $loginToken,
+            'mfa_required' => $this->isMfaPending(),
+            'message' => $message,
+        ]);
+    }
+
+    /**
+     * Refresh the session timestamp
+     *
+     * Reaching this point means the regular authentication has accepted the
+     * session, otherwise it would have redirected to the login page.
+     */
+    public function extend(): void
+    {
+        $this->requireValidToken();
+
+        $timeout = $this->getSessionTimeout();
+
+        $this->sendJson([
+            'authenticated' => true,
+            'remaining' => $timeout,
+            'timeout' => $timeout,
+            'username' => $this->userContextService->getLoggedInUsername(),
+            'csrf_token' => $this->csrfTokenService->getToken(),
+        ]);
+    }
+
+    /**
+     * Switch the interface language of the session and remember it as preference
+     *
+     * The language is part of the session, so the preference API alone cannot
+     * apply it to the current login.
+     */
+    public function language(): void
+    {
+        $this->requireValidToken();
+
+        $language = $_POST['language'] ?? '';
+        $userPreferenceService = $this->createUserPreferenceService();
+
+        try {
+            $userPreferenceService->setPreference($this->getCurrentUserId(), UserPreference::KEY_LANGUAGE, $language);
+        } catch (InvalidArgumentException $e) {
+            $this->sendJson(['message' => $e->getMessage()], 400);
+        }
+
+        $this->userContextService->setUserLanguage($language);
+
+        $this->sendJson(['language' => $language]);
+    }
+
+    private function getSessionTimeout(): int
+    {
+        return (int)$this->config->get('interface', 'session_timeout', 1800);
+    }
+
+    private function isTimedOut(int $timeout): bool
+    {
+        $lastmod = $_SESSION['lastmod'] ?? '';
+        return $lastmod !== '' && (time() - $lastmod) > $timeout;
+    }
+
+    private function isMfaPending(): bool
+    {
+        return isset($_SESSION['pending_userid']) && MfaSessionManager::isMfaRequired();
+    }
+
+    private function requireValidToken(): void
+    {
+        $tokenValidation = $this->config->get('security', 'global_token_validation', true);
+        if ($tokenValidation && !$this->csrfTokenService->validateToken($_POST['_token'] ?? '')) {
+            $this->sendJson(['authenticated' => true, 'message' => _('Invalid CSRF token.')], 403);
+        }
+    }
+}
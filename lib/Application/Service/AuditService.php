@@ -153,6 +153,19 @@ class AuditService
         ), $zoneId);
     }
 
+    public function logDnssecRolloverStep(int $zoneId, string $zoneName, string $keyType, string $step, int $oldKeyId, int $newKeyId): void
+    {
+        $this->logger->logInfo(sprintf(
+            '%s operation:dnssec_rollover zone:%s key_type:%s step:%s old_key_id:%d new_key_id:%d',
+            $this->getContext(),
+            $zoneName,
+            $keyType,
+            $step,
+            $oldKeyId,
+            $newKeyId
+        ), $zoneId);
+    }
+
     public function logDnssecSignZone(int $zoneId, string $zoneName): void
     {
         $this->logger->logInfo(sprintf(
@@ -0,0 +1,94 @@
+<?php
+
+/*  Poweradmin, a friendly web-based admin tool for PowerDNS.
+ *  See <https://www.poweradmin.org> for more details.
+ *
+ *  Copyright 2007-2010 Rejo Zenger <rejo@zenger.nl>
+ *  Copyright 2010-2025 Poweradmin Development Team
+ *
+ *  This program is free software: you can redistribute it and/or modify
+ *  it under the terms of the GNU General Public License as published by
+ *  the Free Software Foundation, either version 3 of the License, or
+ *  (at your option) any later version.
+ *
+ *  This program is distributed in the hope that it will be useful,
+ *  but WITHOUT ANY WARRANTY; without even the implied warranty of
+ *  MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ *  GNU General Public License for more details.
+ *
+ *  You should have received a copy of the GNU General Public License
+ *  along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+namespace Poweradmin\Application\Service;
+
+use Poweradmin\Domain\Model\DnssecRollover;
+use Poweradmin\Domain\Model\Zone;
+use Poweradmin\Domain\Repository\ZoneRepositoryInterface;
+use Poweradmin\Infrastructure\Api\PowerdnsApiClient;
+
+/**
+ * Keeps the rollover state of a zone in its domain metadata.
+ *
+ * Goes through the PowerDNS API when it is the DNS backend and through the
+ * domainmetadata table otherwise, like the zone metadata editor.
+ */
+class DnssecRolloverStore
+{
+    private ZoneRepositoryInterface $zoneRepository;
+    private ?PowerdnsApiClient $apiClient;
+
+    public function __construct(ZoneRepositoryInterface $zoneRepository, ?PowerdnsApiClient $apiClient = null)
+    {
+        $this->zoneRepository = $zoneRepository;
+        $this->apiClient = $apiClient;
+    }
+
+    public function load(int $zoneId, string $zoneName): ?DnssecRollover
+    {
+        if ($this->apiClient !== null) {
+            $entry = $this->apiClient->getZoneMetadataKind(new Zone($zoneName), DnssecRollover::METADATA_KIND);
+            $values = $entry['metadata'] ?? [];
+        } else {
+            $rows = array_filter(
+                $this->zoneRepository->getDomainMetadata($zoneId),
+                fn($row) => strtoupper($row['kind']) === DnssecRollover::METADATA_KIND
+            );
+            $values = array_column($rows, 'content');
+        }
+
+        $value = reset($values);
+        return is_string($value) ? DnssecRollover::fromJson($value) : null;
+    }
+
+    public function save(int $zoneId, string $zoneName, DnssecRollover $rollover): bool
+    {
+        if ($this->apiClient !== null) {
+            return $this->apiClient->updateZoneMetadata(new Zone($zoneName), DnssecRollover::METADATA_KIND, [$rollover->toJson()]);
+        }
+
+        $rows = $this->withoutRollover($zoneId);
+        $rows[] = ['kind' => DnssecRollover::METADATA_KIND, 'content' => $rollover->toJson()];
+        return $this->zoneRepository->replaceDomainMetadata($zoneId, $rows);
+    }
+
+    public function clear(int $zoneId, string $zoneName): bool
+    {
+        if ($this->apiClient !== null) {
+            return $this->apiClient->deleteZoneMetadata(new Zone($zoneName), DnssecRollover::METADATA_KIND);
+        }
+
+        return $this->zoneRepository->replaceDomainMetadata($zoneId, $this->withoutRollover($zoneId));
+    }
+
+    /**
+     * @return array<int, array{kind: string, content: string}>
+     */
+    private function withoutRollover(int $zoneId): array
+    {
+        return array_values(array_filter(
+            $this->zoneRepository->getDomainMetadata($zoneId),
+            fn($row) => strtoupper($row['kind']) !== DnssecRollover::METADATA_KIND
+        ));
+    }
+}
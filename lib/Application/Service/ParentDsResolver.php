@@ -0,0 +1,154 @@
+<?php
+
+/*  Poweradmin, a friendly web-based admin tool for PowerDNS.
+ *  See <https://www.poweradmin.org> for more details.
+ *
+ *  Copyright 2007-2010 Rejo Zenger <rejo@zenger.nl>
+ *  Copyright 2010-2025 Poweradmin Development Team
+ *
+ *  This program is free software: you can redistribute it and/or modify
+ *  it under the terms of the GNU General Public License as published by
+ *  the Free Software Foundation, either version 3 of the License, or
+ *  (at your option) any later version.
+ *
+ *  This program is distributed in the hope that it will be useful,
+ *  but WITHOUT ANY WARRANTY; without even the implied warranty of
+ *  MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ *  GNU General Public License for more details.
+ *
+ *  You should have received a copy of the GNU General Public License
+ *  along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+namespace Poweradmin\Application\Service;
+
+/**
+ * Looks up the DS records the parent zone publishes for a zone.
+ *
+ * The source is either a DNS-over-HTTPS resolver with a JSON API (Google and
+ * Cloudflare style, queried with name and type parameters) or, for offline
+ * testing, a JSON file that maps zone names to lists of DS records.
+ */
+class ParentDsResolver
+{
+    private const TYPE_DS = 43;
+
+    private string $source;
+    private int $requestTimeout;
+
+    public function __construct(string $source, int $requestTimeout = 10)
+    {
+        $this->source = trim($source);
+        $this->requestTimeout = max(1, $requestTimeout);
+    }
+
+    public function isConfigured(): bool
+    {
+        return $this->source !== '';
+    }
+
+    /**
+     * Get the DS records of the zone as "key-tag algorithm digest-type digest"
+     *
+     * @return string[]|null Null when the source could not be queried
+     */
+    public function lookup(string $zoneName): ?array
+    {
+        if (!$this->isConfigured()) {
+            return null;
+        }
+
+        $zoneName = strtolower(rtrim($zoneName, '.'));
+        $records = $this->isUrl() ? $this->queryResolver($zoneName) : $this->readStub($zoneName);
+        if ($records === null) {
+            return null;
+        }
+
+        return array_values(array_filter(array_map([self::class, 'normalizeRecord'], $records)));
+    }
+
+    /**
+     * Reduce a DS record in presentation format to its data fields
+     *
+     * Accepts both full records ("zone. 3600 IN DS ...") and bare data and
+     * joins digests that are split into several words.
+     *
+     * @return string|null Null when the value is not a DS record
+     */
+    public static function normalizeRecord(mixed $record): ?string
+    {
+        if (!is_string($record)) {
+            return null;
+        }
+
+        $data = preg_split('/\s+DS\s+/i', ' ' . trim($record) . ' ', 2);
+        $fields = preg_split('/\s+/', trim(end($data)));
+        if (count($fields) < 4 || !ctype_digit($fields[0]) || !ctype_digit($fields[1]) || !ctype_digit($fields[2])) {
+            return null;
+        }
+
+        $digest = strtoupper(implode('', array_slice($fields, 3)));
+        if (!ctype_xdigit($digest)) {
+            return null;
+        }
+
+        return sprintf('%d %d %d %s', $fields[0], $fields[1], $fields[2], $digest);
+    }
+
+    private function isUrl(): bool
+    {
+        return in_array(parse_url($this->source, PHP_URL_SCHEME), ['http', 'https'], true);
+    }
+
+    private function queryResolver(string $zoneName): ?array
+    {
+        $url = $this->source . (str_contains($this->source, '?') ? '&' : '?') . http_build_query(['name' => $zoneName, 'type' => 'DS']);
+        $context = stream_context_create([
+            'http' => [
+                'method' => 'GET',
+                'header' => [
+                    'User-Agent: Poweradmin DS Check',
+                    'Accept: application/dns-json',
+                ],
+                'timeout' => $this->requestTimeout,
+                'follow_location' => 0,
+            ],
+        ]);
+
+        $response = @file_get_contents($url, false, $context);
+        $data = $response !== false ? json_decode($response, true) : null;
+        // NXDOMAIN just means the parent has no DS record for the zone
+        if (!is_array($data) || !in_array($data['Status'] ?? 0, [0, 3], true)) {
+            return null;
+        }
+
+        $records = [];
+        foreach ($data['Answer'] ?? [] as $answer) {
+            if (($answer['type'] ?? null) === self::TYPE_DS && isset($answer['data'])) {
+                $records[] = $answer['data'];
+            }
+        }
+
+        return $records;
+    }
+
+    private function readStub(string $zoneName): ?array
+    {
+        if (!is_readable($this->source)) {
+            return null;
+        }
+
+        $data = json_decode((string)file_get_contents($this->source), true);
+        if (!is_array($data)) {
+            return null;
+        }
+
+        foreach ($data as $name => $records) {
+            if (strtolower(rtrim((string)$name, '.')) === $zoneName) {
+                return (array)$records;
+            }
+        }
+
+        return [];
+    }
+}
@@ -32,6 +32,7 @@ use Poweradmin\Application\Service\PaginationService;
 use Poweradmin\Application\Service\PdnsVersionService;
 use Poweradmin\Application\Service\RepositoryFactory;
 use Poweradmin\Domain\Model\UserManager;
+use Poweradmin\Domain\Model\UserPreference;
 use Poweradmin\Domain\Service\MfaSessionManager;
 use Poweradmin\Domain\Service\PdnsCapabilities;
 use Poweradmin\Domain\Service\UserAvatarService;
@@ -316,6 +317,37 @@ abstract class BaseController
         $this->renderFooter();
     }
 
+    /**
+     * Renders a template without header and footer, for markup returned by JSON endpoints.
+     *
+     * @param string $template The template to render.
+     * @param array $params The parameters to pass to the template.
+     * @return string The rendered template.
+     */
+    protected function renderPartial(string $template, array $params): string
+    {
+        $this->csrfTokenService->ensureTokenExists();
+        $params['csrf_token'] = $this->csrfTokenService->getToken();
+        $params['base_url_prefix'] = $this->config->get('interface', 'base_url_prefix', '');
+
+        return $this->app->renderToString($template, $params);
+    }
+
+    /**
+     * Sends a JSON response and ends the request.
+     *
+     * @param array $data The response body.
+     * @param int $status The HTTP status code.
+     */
+    protected function sendJson(array $data, int $status = 200): never
+    {
+        http_response_code($status);
+        header('Content-Type: application/json');
+        header('Cache-Control: no-store');
+        echo json_encode($data);
+        exit;
+    }
+
     /**
      * Build a PdnsCapabilities snapshot from the session-cached PowerDNS
      * version. Constant-time and synchronous - never triggers detection,
@@ -793,6 +825,23 @@ abstract class BaseController
             if ($perm_is_godlike && DnsBackendProviderFactory::isApiBackend($this->config)) {
                 $vars['api_error'] = (new ApiStatusService())->getLastError();
             }
+
+            // Preference snapshot for the UserSettings store, so other devices' changes apply on load
+            $userPreferences = $this->createUserPreferenceService()->getAllPreferences($this->getCurrentUserId());
+            $this->csrfTokenService->ensureTokenExists();
+            $vars['user_settings'] = [
+                'preferences' => $userPreferences,
+                'sessionLanguage' => $this->userContextService->getUserLanguage() ?? $this->config->get('interface', 'language', 'en_EN'),
+                'serverSync' => (bool)$this->config->get('api', 'enabled', false),
+                'csrfToken' => $this->csrfTokenService->getToken(),
+            ];
+
+            // 'auto' depends on the browser, themeLoader.js resolves it
+            $userTheme = $userPreferences[UserPreference::KEY_THEME] ?? null;
+            if (in_array($userTheme, ['light', 'dark'], true) && in_array($vars['iface_style'], ['light', 'dark'], true)) {
+                $vars['iface_style'] = $userTheme;
+                $vars['custom_theme_exists'] = $userTheme === 'dark' ? $customDarkExists : $customLightExists;
+            }
         }
 
         // Add system messages to header template variables
@@ -822,6 +871,8 @@ abstract class BaseController
         $display_stats = $this->config->get('misc', 'display_stats');
         $db_debug = $this->config->get('database', 'debug');
 
+        $isAuthenticated = $this->userContextService->isAuthenticated();
+
         $this->app->render('footer.html', [
             'version' => $this->userContextService->isAuthenticated() ? Version::VERSION : false,
             'custom_footer' => file_exists($this->config->get('interface', 'theme_base_path', 'templates') . '/' . $this->config->get('interface', 'theme', 'default') . '/custom/footer.html'),
@@ -832,10 +883,46 @@ abstract class BaseController
             'theme' => $theme,
             'theme_base_path' => $themeBasePath,
             'base_url_prefix' => $this->config->get('interface', 'base_url_prefix', ''),
-            'user_logged_in' => $this->userContextService->isAuthenticated(),
+            'user_logged_in' => $isAuthenticated,
+            'file_version' => time(),
+            'command_palette_zone_search' => $isAuthenticated && $this->config->get('api', 'enabled', false),
+            'command_palette_pdns_status' => $isAuthenticated && $this->canViewPdnsStatus(),
+            'session_timeout' => (int)$this->config->get('interface', 'session_timeout', 1800),
+            'session_username' => $this->userContextService->getLoggedInUsername() ?? '',
+            'session_userlang' => $this->userContextService->getUserLanguage() ?? '',
+            'session_password_reauth' => $isAuthenticated && $this->canReauthenticateWithPassword(),
         ]);
     }
 
+    /**
+     * Checks whether the session watchdog may ask for the password again.
+     *
+     * Users signed in through an identity provider, and logins guarded by
+     * reCAPTCHA, have to go through the login page instead.
+     *
+     * @return bool
+     */
+    private function canReauthenticateWithPassword(): bool
+    {
+        $authMethod = $this->userContextService->getSessionData('auth_method_used');
+
+        return !in_array($authMethod, ['oidc', 'saml'], true)
+            && !$this->config->get('security', 'recaptcha.enabled', false);
+    }
+
+    /**
+     * Checks whether the PowerDNS status page is available to the current user.
+     *
+     * @return bool
+     */
+    private function canViewPdnsStatus(): bool
+    {
+        return !empty($this->config->get('pdns_api', 'url', ''))
+            && !empty($this->config->get('pdns_api', 'key', ''))
+            && $this->config->get('interface', 'show_pdns_status', false)
+            && UserManager::verifyPermission($this->db, 'user_is_ueberuser');
+    }
+
     /**
      * Gets navigation items from enabled modules.
      *
@@ -81,6 +81,17 @@ class DnssecAlgorithmName
         self::ED448 => '4.5.0',
     ];
 
+    /**
+     * Get the algorithm ID for an algorithm number as shown in DNSKEY records
+     *
+     * @return string|null Null for numbers without a name PowerDNS accepts
+     */
+    public static function fromNumber(int $number): ?string
+    {
+        $name = array_search(DnssecAlgorithm::ALGORITHMS[$number] ?? null, self::ALGORITHM_NAMES, true);
+        return $name === false ? null : $name;
+    }
+
     /**
      * Algorithm IDs the connected server is expected to accept. Algorithms
      * with a min PowerDNS version are dropped when the connected server is
@@ -0,0 +1,159 @@
+<?php
+
+/*  Poweradmin, a friendly web-based admin tool for PowerDNS.
+ *  See <https://www.poweradmin.org> for more details.
+ *
+ *  Copyright 2007-2010 Rejo Zenger <rejo@zenger.nl>
+ *  Copyright 2010-2025 Poweradmin Development Team
+ *
+ *  This program is free software: you can redistribute it and/or modify
+ *  it under the terms of the GNU General Public License as published by
+ *  the Free Software Foundation, either version 3 of the License, or
+ *  (at your option) any later version.
+ *
+ *  This program is distributed in the hope that it will be useful,
+ *  but WITHOUT ANY WARRANTY; without even the implied warranty of
+ *  MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ *  GNU General Public License for more details.
+ *
+ *  You should have received a copy of the GNU General Public License
+ *  along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+namespace Poweradmin\Domain\Model;
+
+/**
+ * State of a DNSSEC key rollover of one zone.
+ *
+ * The rollover is kept as a JSON document in the zone's X-POWERADMIN-ROLLOVER
+ * metadata, so it survives sessions and is visible to every administrator of
+ * the zone. Each phase records the time it was reached.
+ */
+class DnssecRollover
+{
+    public const METADATA_KIND = 'X-POWERADMIN-ROLLOVER';
+
+    public const PHASE_PREPUBLISHED = 'prepublished';
+    public const PHASE_ACTIVATED = 'activated';
+    public const PHASE_DS_UPDATED = 'ds_updated';
+    public const PHASE_COMPLETED = 'completed';
+
+    public const PHASES = [
+        self::PHASE_PREPUBLISHED,
+        self::PHASE_ACTIVATED,
+        self::PHASE_DS_UPDATED,
+        self::PHASE_COMPLETED,
+    ];
+
+    private string $keyType;
+    private int $oldKeyId;
+    private int $newKeyId;
+    private string $phase;
+    /** @var array<string, int> */
+    private array $timestamps;
+
+    /**
+     * @param array<string, int> $timestamps Time each phase was reached, keyed by phase
+     */
+    public function __construct(string $keyType, int $oldKeyId, int $newKeyId, string $phase, array $timestamps = [])
+    {
+        $this->keyType = strtoupper($keyType);
+        $this->oldKeyId = $oldKeyId;
+        $this->newKeyId = $newKeyId;
+        $this->phase = $phase;
+        $this->timestamps = $timestamps;
+    }
+
+    public static function start(string $keyType, int $oldKeyId, int $newKeyId, int $time): self
+    {
+        return new self($keyType, $oldKeyId, $newKeyId, self::PHASE_PREPUBLISHED, [self::PHASE_PREPUBLISHED => $time]);
+    }
+
+    public function getKeyType(): string
+    {
+        return $this->keyType;
+    }
+
+    public function getOldKeyId(): int
+    {
+        return $this->oldKeyId;
+    }
+
+    public function getNewKeyId(): int
+    {
+        return $this->newKeyId;
+    }
+
+    public function getPhase(): string
+    {
+        return $this->phase;
+    }
+
+    public function getTimestamp(string $phase): ?int
+    {
+        return $this->timestamps[$phase] ?? null;
+    }
+
+    public function isInProgress(): bool
+    {
+        return $this->phase !== self::PHASE_COMPLETED;
+    }
+
+    /**
+     * Only keys that sign the DNSKEY set have a DS record at the parent
+     */
+    public function needsDsUpdate(): bool
+    {
+        return $this->keyType !== 'ZSK';
+    }
+
+    public function advance(string $phase, int $time): self
+    {
+        return new self($this->keyType, $this->oldKeyId, $this->newKeyId, $phase, $this->timestamps + [$phase => $time]);
+    }
+
+    public function toJson(): string
+    {
+        $timestamps = [];
+        foreach ($this->timestamps as $phase => $time) {
+            $timestamps[$phase] = gmdate('Y-m-d\TH:i:s\Z', $time);
+        }
+
+        return json_encode([
+            'key_type' => $this->keyType,
+            'old_key' => $this->oldKeyId,
+            'new_key' => $this->newKeyId,
+            'phase' => $this->phase,
+            'timestamps' => $timestamps,
+        ]);
+    }
+
+    /**
+     * Read a rollover from its metadata value
+     *
+     * @return self|null Null when the value is not a rollover document
+     */
+    public static function fromJson(string $json): ?self
+    {
+        $data = json_decode($json, true);
+        if (
+            !is_array($data)
+            || !in_array($data['key_type'] ?? null, ['KSK', 'ZSK', 'CSK'], true)
+            || !is_int($data['old_key'] ?? null)
+            || !is_int($data['new_key'] ?? null)
+            || !in_array($data['phase'] ?? null, self::PHASES, true)
+        ) {
+            return null;
+        }
+
+        $timestamps = [];
+        foreach ((array)($data['timestamps'] ?? []) as $phase => $time) {
+            $parsed = is_string($time) ? strtotime($time) : false;
+            if (in_array($phase, self::PHASES, true) && $parsed !== false) {
+                $timestamps[$phase] = $parsed;
+            }
+        }
+
+        return new self($data['key_type'], $data['old_key'], $data['new_key'], $data['phase'], $timestamps);
+    }
+}
@@ -43,6 +43,26 @@ class UserPreference
     public const KEY_SHOW_RECORD_DELETE_BUTTON = 'show_record_delete_button';
     public const KEY_DISPLAY_HOSTNAME_ONLY = 'display_hostname_only';
     public const KEY_TIMEZONE = 'timezone';
+    public const KEY_ZONE_LIST_COLUMNS = 'zone_list_columns';
+    public const KEY_THEME = 'theme';
+    public const KEY_LANGUAGE = 'language';
+    public const KEY_SAVED_SEARCHES = 'saved_searches';
+    public const KEY_SEARCH_HISTORY = 'search_history';
+
+    /**
+     * Themes the style switcher can store; 'auto' follows the operating system
+     */
+    public const VALID_THEMES = ['light', 'dark', 'auto'];
+
+    /**
+     * Longest accepted zone list column layout (JSON)
+     */
+    public const MAX_ZONE_LIST_COLUMNS_LENGTH = 4096;
+
+    /**
+     * Longest accepted list of saved or recent searches (JSON)
+     */
+    public const MAX_SEARCH_LIST_LENGTH = 16384;
 
     /**
      * Valid preference keys
@@ -62,6 +82,11 @@ class UserPreference
         self::KEY_SHOW_RECORD_DELETE_BUTTON,
         self::KEY_DISPLAY_HOSTNAME_ONLY,
         self::KEY_TIMEZONE,
+        self::KEY_ZONE_LIST_COLUMNS,
+        self::KEY_THEME,
+        self::KEY_LANGUAGE,
+        self::KEY_SAVED_SEARCHES,
+        self::KEY_SEARCH_HISTORY,
     ];
 
     public function __construct(
@@ -120,6 +145,45 @@ class UserPreference
         return in_array($timezone, \DateTimeZone::listIdentifiers(), true);
     }
 
+    /**
+     * Check used when storing the zone list column layout: a JSON object
+     * keyed by list, written by the column chooser of the zone lists.
+     */
+    public static function isValidZoneListColumns(string $layout): bool
+    {
+        if (strlen($layout) > self::MAX_ZONE_LIST_COLUMNS_LENGTH) {
+            return false;
+        }
+        $decoded = json_decode($layout, true);
+        return is_array($decoded) && ($decoded === [] || !array_is_list($decoded));
+    }
+
+    /**
+     * Check used when storing saved and recent searches: a JSON list of
+     * objects, each with the search form fields as URL query string.
+     */
+    public static function isValidSearchList(string $searches): bool
+    {
+        if (strlen($searches) > self::MAX_SEARCH_LIST_LENGTH) {
+            return false;
+        }
+        $decoded = json_decode($searches, true);
+        if (!is_array($decoded) || !array_is_list($decoded)) {
+            return false;
+        }
+        foreach ($decoded as $search) {
+            if (!is_array($search) || !isset($search['params']) || !is_string($search['params'])) {
+                return false;
+            }
+        }
+        return true;
+    }
+
+    public static function isValidTheme(string $theme): bool
+    {
+        return in_array($theme, self::VALID_THEMES, true);
+    }
+
     /**
      * Permissive check used by UserTimezoneService when reading the global
      * misc.timezone fallback - it must accept the same aliases (GMT, US/Eastern)
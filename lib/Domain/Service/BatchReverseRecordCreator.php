@@ -80,6 +80,7 @@ class BatchReverseRecordCreator
      * @param bool $onlyMatchingRecords Whether to create PTRs only for existing A records
      * @param int|null $forwardTtl Optional separate TTL for the auto-created forward A records; falls back to $ttl when null
      * @param int|null $matchingPtrTtl Optional override for the PTR TTL in matching-records mode; when null, the matched A record's TTL is used (historical behavior)
+     * @param array|null $selectedAddresses Optional list of addresses picked in the preview; other addresses of the network are left out
      *
      * @return array Result of the operation
      */
@@ -95,7 +96,8 @@ class BatchReverseRecordCreator
         bool $createForwardRecords = false,
         bool $onlyMatchingRecords = false,
         ?int $forwardTtl = null,
-        ?int $matchingPtrTtl = null
+        ?int $matchingPtrTtl = null,
+        ?array $selectedAddresses = null
     ): array {
         $isReverseRecordAllowed = $this->config->get('interface', 'add_reverse_record');
 
@@ -103,6 +105,8 @@ class BatchReverseRecordCreator
             return $this->createErrorResponse('Reverse record creation is not allowed.');
         }
 
+        $selection = $this->buildSelection($selectedAddresses);
+
         // Check if CIDR notation is used
         $cidr = 24; // Default to /24
         $network = $networkPrefix;
@@ -187,6 +191,10 @@ class BatchReverseRecordCreator
                     $ip = $record['ip'];
                     $fqdn = $record['name'];
 
+                    if (!$this->isSelected($selection, $ip)) {
+                        continue;
+                    }
+
                     // Convert IP to reverse notation
                     $reverseDomain = DnsRecord::convertIPv4AddrToPtrRec($ip);
 
@@ -250,6 +258,10 @@ class BatchReverseRecordCreator
 
                     $ip = implode('.', $ipOctets);
 
+                    if (!$this->isSelected($selection, $ip)) {
+                        continue;
+                    }
+
                     // Generate hostname based on whether host prefix is provided
                     if (!empty($hostPrefix)) {
                         $name = $hostPrefix . $i;
@@ -369,6 +381,7 @@ class BatchReverseRecordCreator
      * @param int|null $forwardTtl Optional separate TTL for the auto-created forward AAAA records; falls back to $ttl when null
      * @param bool $onlyMatchingRecords Whether to create PTRs only for existing AAAA records
      * @param int|null $matchingPtrTtl Optional override for the PTR TTL in matching-records mode; when null, the matched AAAA record's TTL is used
+     * @param array|null $selectedAddresses Optional list of addresses picked in the preview; other addresses of the network are left out
      *
      * @return array Result of the operation
      */
@@ -385,7 +398,8 @@ class BatchReverseRecordCreator
         bool $createForwardRecords = false,
         ?int $forwardTtl = null,
         bool $onlyMatchingRecords = false,
-        ?int $matchingPtrTtl = null
+        ?int $matchingPtrTtl = null,
+        ?array $selectedAddresses = null
     ): array {
         $isReverseRecordAllowed = $this->config->get('interface', 'add_reverse_record');
 
@@ -393,6 +407,8 @@ class BatchReverseRecordCreator
             return $this->createErrorResponse('Reverse record creation is not allowed.');
         }
 
+        $selection = $this->buildSelection($selectedAddresses);
+
         // Validate IPv6 prefix
         if (substr_count($networkPrefix, ':') !== 3) {
             return $this->createErrorResponse('Network prefix must be a valid IPv6 /64 prefix (e.g., "2001:db8:1:1").');
@@ -438,6 +454,10 @@ class BatchReverseRecordCreator
                     $ip = $record['ip'];
                     $fqdn = $record['name'];
 
+                    if (!$this->isSelected($selection, $ip)) {
+                        continue;
+                    }
+
                     $reverseDomain = DnsRecord::convertIPv6AddrToPtrRec($ip);
 
                     $zone_rev_id = $this->dnsRecord->getBestMatchingZoneIdFromName($reverseDomain);
@@ -493,6 +513,10 @@ class BatchReverseRecordCreator
                 $hex = dechex($i);
                 $ip = $networkPrefix . '::' . $hex;
 
+                if (!$this->isSelected($selection, $ip)) {
+                    continue;
+                }
+
                 // Generate hostname based on whether host prefix is provided
                 if (!empty($hostPrefix)) {
                     $name = $hostPrefix . $hex;
@@ -563,6 +587,39 @@ class BatchReverseRecordCreator
         return $this->buildIPv6Result($successCount, $skipCount, $failCount, $errors);
     }
 
+    /**
+     * Turn the addresses picked in the preview into a lookup set
+     *
+     * @param array|null $addresses Addresses in any valid notation, or null when nothing was picked
+     * @return array|null Set keyed by packed address, or null to keep every address
+     */
+    private function buildSelection(?array $addresses): ?array
+    {
+        if ($addresses === null) {
+            return null;
+        }
+
+        $selection = [];
+        foreach ($addresses as $address) {
+            $packed = @inet_pton(trim($address));
+            if ($packed !== false) {
+                $selection[$packed] = true;
+            }
+        }
+
+        return $selection;
+    }
+
+    private function isSelected(?array $selection, string $ip): bool
+    {
+        if ($selection === null) {
+            return true;
+        }
+
+        $packed = @inet_pton($ip);
+        return $packed !== false && isset($selection[$packed]);
+    }
+
     /**
      * Build the result payload shared by the IPv6 generate-all and matching-only paths.
      */
@@ -67,6 +67,45 @@ class BulkRecordParser
         ];
     }
 
+    /**
+     * Parse a row of the record grid into a record array.
+     *
+     * Unlike CSV lines, grid rows carry each field in its own cell, so SRV
+     * content is always given as "weight port target".
+     *
+     * @param array<string, mixed> $row Cells keyed by name, type, content, ttl, prio and comment
+     * @return array{name: string, type: string, content: string, prio: int, ttl: int, disabled: int, comment: string}|string Error message on failure
+     */
+    public function parseRow(array $row, int $defaultTtl): array|string
+    {
+        $cell = fn(string $key): string => isset($row[$key]) && is_scalar($row[$key]) ? trim((string)$row[$key]) : '';
+
+        $type = strtoupper($cell('type'));
+        $content = $cell('content');
+        if ($type === '' || $content === '') {
+            return _('Type and content are required.');
+        }
+
+        $ttl = $cell('ttl');
+        if ($ttl !== '' && !ctype_digit($ttl)) {
+            return _('Invalid value for TTL field. It must be numeric.');
+        }
+        $prio = $cell('prio');
+        if ($prio !== '' && !ctype_digit($prio)) {
+            return _('Invalid value for priority field. It must be numeric.');
+        }
+
+        return [
+            'name' => $cell('name'),
+            'type' => $type,
+            'content' => $content,
+            'prio' => $prio !== '' ? (int)$prio : 0,
+            'ttl' => $ttl !== '' ? (int)$ttl : $defaultTtl,
+            'disabled' => 0,
+            'comment' => $cell('comment'),
+        ];
+    }
+
     /**
      * @param array<int, string> $parts
      * @return array{name: string, type: string, content: string, prio: int, ttl: int, disabled: int, comment: string}|string
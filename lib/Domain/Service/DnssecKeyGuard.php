@@ -0,0 +1,94 @@
+<?php
+
+/*  Poweradmin, a friendly web-based admin tool for PowerDNS.
+ *  See <https://www.poweradmin.org> for more details.
+ *
+ *  Copyright 2007-2010 Rejo Zenger <rejo@zenger.nl>
+ *  Copyright 2010-2025 Poweradmin Development Team
+ *
+ *  This program is free software: you can redistribute it and/or modify
+ *  it under the terms of the GNU General Public License as published by
+ *  the Free Software Foundation, either version 3 of the License, or
+ *  (at your option) any later version.
+ *
+ *  This program is distributed in the hope that it will be useful,
+ *  but WITHOUT ANY WARRANTY; without even the implied warranty of
+ *  MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ *  GNU General Public License for more details.
+ *
+ *  You should have received a copy of the GNU General Public License
+ *  along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+namespace Poweradmin\Domain\Service;
+
+/**
+ * Blocks key changes that would leave a signed zone without a working key.
+ *
+ * A zone needs an active key signing the DNSKEY set (KSK or CSK) and one
+ * signing the zone data (ZSK or CSK). Deleting or deactivating the last
+ * active key of either role breaks validation of the whole zone, so those
+ * changes have to go through a rollover or an unsign instead.
+ *
+ * Keys are given the way DnssecProvider::getKeys() returns them:
+ * [id, type, tag, algorithm, bits, active].
+ */
+class DnssecKeyGuard
+{
+    private const ROLES = [
+        'KSK' => ['ksk'],
+        'ZSK' => ['zsk'],
+        'CSK' => ['ksk', 'zsk'],
+    ];
+
+    /**
+     * @return string|null Error message, or null when the key may be deleted
+     */
+    public function removalBlocker(array $keys, int $keyId): ?string
+    {
+        return $this->lastActiveKeyBlocker($keys, $keyId);
+    }
+
+    /**
+     * @return string|null Error message, or null when the key may be deactivated
+     */
+    public function deactivationBlocker(array $keys, int $keyId): ?string
+    {
+        return $this->lastActiveKeyBlocker($keys, $keyId);
+    }
+
+    private function lastActiveKeyBlocker(array $keys, int $keyId): ?string
+    {
+        $key = null;
+        foreach ($keys as $candidate) {
+            if ((int)$candidate[0] === $keyId) {
+                $key = $candidate;
+            }
+        }
+        if ($key === null || empty($key[5])) {
+            return null;
+        }
+
+        foreach ($this->rolesOf($key) as $role) {
+            $others = array_filter(
+                $keys,
+                fn($other) => (int)$other[0] !== $keyId && !empty($other[5]) && in_array($role, $this->rolesOf($other), true)
+            );
+            if ($others === []) {
+                return $role === 'ksk'
+                    ? _('This is the only active key signing the DNSKEY set of the zone. Activate another KSK or CSK first, use the rollover assistant, or unsign the zone.')
+                    : _('This is the only active key signing the records of the zone. Activate another ZSK or CSK first, use the rollover assistant, or unsign the zone.');
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * @return string[] "ksk" and/or "zsk"
+     */
+    private function rolesOf(array $key): array
+    {
+        return self::ROLES[strtoupper((string)$key[1])] ?? [];
+    }
+}
@@ -0,0 +1,216 @@
+<?php
+
+/*  Poweradmin, a friendly web-based admin tool for PowerDNS.
+ *  See <https://www.poweradmin.org> for more details.
+ *
+ *  Copyright 2007-2010 Rejo Zenger <rejo@zenger.nl>
+ *  Copyright 2010-2025 Poweradmin Development Team
+ *
+ *  This program is free software: you can redistribute it and/or modify
+ *  it under the terms of the GNU General Public License as published by
+ *  the Free Software Foundation, either version 3 of the License, or
+ *  (at your option) any later version.
+ *
+ *  This program is distributed in the hope that it will be useful,
+ *  but WITHOUT ANY WARRANTY; without even the implied warranty of
+ *  MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ *  GNU General Public License for more details.
+ *
+ *  You should have received a copy of the GNU General Public License
+ *  along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+namespace Poweradmin\Domain\Service;
+
+use Poweradmin\Domain\Model\DnssecRollover;
+
+/**
+ * Decides which step of a DNSSEC key rollover is due and whether it is safe.
+ *
+ * A rollover runs through four steps: pre-publish a new key of the same type,
+ * activate it, update the DS record at the parent (KSK and CSK only) and
+ * retire the old key. Activating and retiring have to wait until caches have
+ * picked up the previous change; the wait can be confirmed away by the user,
+ * the key checks cannot.
+ *
+ * Keys are given the way DnssecProvider::getKeys() returns them:
+ * [id, type, tag, algorithm, bits, active].
+ */
+class DnssecRolloverPlanner
+{
+    public const STEP_PREPUBLISH = 'prepublish';
+    public const STEP_ACTIVATE = 'activate';
+    public const STEP_DS = 'ds';
+    public const STEP_RETIRE = 'retire';
+
+    /** Phase each step leads to */
+    public const STEP_PHASES = [
+        self::STEP_PREPUBLISH => DnssecRollover::PHASE_PREPUBLISHED,
+        self::STEP_ACTIVATE => DnssecRollover::PHASE_ACTIVATED,
+        self::STEP_DS => DnssecRollover::PHASE_DS_UPDATED,
+        self::STEP_RETIRE => DnssecRollover::PHASE_COMPLETED,
+    ];
+
+    private int $waitSeconds;
+    private DnssecKeyGuard $keyGuard;
+
+    /**
+     * @param int $waitSeconds Time caches need to pick up a change of the key set or DS record
+     */
+    public function __construct(int $waitSeconds, DnssecKeyGuard $keyGuard)
+    {
+        $this->waitSeconds = $waitSeconds;
+        $this->keyGuard = $keyGuard;
+    }
+
+    /**
+     * Get the step that is due, pre-publish when no rollover is in progress
+     */
+    public function nextStep(?DnssecRollover $rollover): string
+    {
+        if ($rollover === null || !$rollover->isInProgress()) {
+            return self::STEP_PREPUBLISH;
+        }
+
+        return match ($rollover->getPhase()) {
+            DnssecRollover::PHASE_PREPUBLISHED => self::STEP_ACTIVATE,
+            DnssecRollover::PHASE_ACTIVATED => $rollover->needsDsUpdate() ? self::STEP_DS : self::STEP_RETIRE,
+            default => self::STEP_RETIRE,
+        };
+    }
+
+    /**
+     * Describe every step of the rollover for the timeline
+     *
+     * @return array<int, array{step: string, status: string, time: int|null}> Status is done, current, pending or skipped
+     */
+    public function timeline(?DnssecRollover $rollover): array
+    {
+        $next = $rollover !== null && $rollover->isInProgress() ? $this->nextStep($rollover) : null;
+
+        $timeline = [];
+        foreach (self::STEP_PHASES as $step => $phase) {
+            $time = $rollover?->getTimestamp($phase);
+            if ($step === self::STEP_DS && $rollover !== null && !$rollover->needsDsUpdate()) {
+                $status = 'skipped';
+            } elseif ($time !== null) {
+                $status = 'done';
+            } elseif ($step === $next) {
+                $status = 'current';
+            } else {
+                $status = 'pending';
+            }
+            $timeline[] = ['step' => $step, 'status' => $status, 'time' => $time];
+        }
+
+        return $timeline;
+    }
+
+    /**
+     * Get the time from which the due step no longer needs a confirmation
+     *
+     * @return int|null Null when the due step does not wait
+     */
+    public function earliestTime(?DnssecRollover $rollover): ?int
+    {
+        if ($rollover === null || !$rollover->isInProgress()) {
+            return null;
+        }
+
+        $since = match ($this->nextStep($rollover)) {
+            self::STEP_ACTIVATE => $rollover->getTimestamp(DnssecRollover::PHASE_PREPUBLISHED),
+            self::STEP_RETIRE => $rollover->getTimestamp($rollover->needsDsUpdate() ? DnssecRollover::PHASE_DS_UPDATED : DnssecRollover::PHASE_ACTIVATED),
+            default => null,
+        };
+
+        return $since === null ? null : $since + $this->waitSeconds;
+    }
+
+    /**
+     * Check whether a rollover of the given key may start
+     *
+     * @return string|null Error message, or null when the rollover may start
+     */
+    public function startBlocker(?DnssecRollover $rollover, array $keys, int $keyId): ?string
+    {
+        if ($rollover !== null && $rollover->isInProgress()) {
+            return _('A key rollover is already in progress for this zone.');
+        }
+
+        $key = $this->findKey($keys, $keyId);
+        if ($key === null || empty($key[5])) {
+            return _('Only an active key can be rolled over.');
+        }
+
+        return null;
+    }
+
+    /**
+     * Check whether the given step may run now
+     *
+     * @param bool $waitConfirmed Whether the user confirmed that caches picked up the previous step
+     * @return string|null Error message, or null when the step may run
+     */
+    public function stepBlocker(?DnssecRollover $rollover, string $step, array $keys, int $now, bool $waitConfirmed): ?string
+    {
+        if ($rollover === null || !$rollover->isInProgress()) {
+            return _('No key rollover is in progress for this zone.');
+        }
+        if ($step !== $this->nextStep($rollover)) {
+            return _('This step is not due in the current phase of the rollover.');
+        }
+
+        $newKey = $this->findKey($keys, $rollover->getNewKeyId());
+        if ($newKey === null) {
+            return _('The new key of the rollover no longer exists. Cancel the rollover and start again.');
+        }
+        if ($step !== self::STEP_ACTIVATE && empty($newKey[5])) {
+            return _('The new key is not active. Activate it before continuing the rollover.');
+        }
+
+        $earliest = $this->earliestTime($rollover);
+        if ($earliest !== null && $now < $earliest && !$waitConfirmed) {
+            return sprintf(
+                _('Caches may hold the previous key set or DS record until %s UTC. Confirm that they have expired to continue now.'),
+                gmdate('Y-m-d H:i', $earliest)
+            );
+        }
+
+        if ($step === self::STEP_RETIRE) {
+            return $this->keyGuard->removalBlocker($keys, $rollover->getOldKeyId());
+        }
+
+        return null;
+    }
+
+    /**
+     * Check whether the rollover may be cancelled
+     *
+     * Once the parent may publish the DS record of the new key, removing that
+     * key would break the chain of trust, so only the first two phases can be undone.
+     *
+     * @return string|null Error message, or null when the rollover may be cancelled
+     */
+    public function cancelBlocker(?DnssecRollover $rollover): ?string
+    {
+        if ($rollover === null || !$rollover->isInProgress()) {
+            return _('No key rollover is in progress for this zone.');
+        }
+        if (!in_array($rollover->getPhase(), [DnssecRollover::PHASE_PREPUBLISHED, DnssecRollover::PHASE_ACTIVATED], true)) {
+            return _('The parent zone may already publish the DS record of the new key, so the rollover can no longer be cancelled. Finish it by retiring the old key.');
+        }
+
+        return null;
+    }
+
+    private function findKey(array $keys, int $keyId): ?array
+    {
+        foreach ($keys as $key) {
+            if ((int)$key[0] === $keyId) {
+                return $key;
+            }
+        }
+
+        return null;
+    }
+}
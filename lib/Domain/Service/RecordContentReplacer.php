@@ -0,0 +1,71 @@
+<?php
+
+/*  Poweradmin, a friendly web-based admin tool for PowerDNS.
+ *  See <https://www.poweradmin.org> for more details.
+ *
+ *  Copyright 2007-2010 Rejo Zenger <rejo@zenger.nl>
+ *  Copyright 2010-2026 Poweradmin Development Team
+ *
+ *  This program is free software: you can redistribute it and/or modify
+ *  it under the terms of the GNU General Public License as published by
+ *  the Free Software Foundation, either version 3 of the License, or
+ *  (at your option) any later version.
+ *
+ *  This program is distributed in the hope that it will be useful,
+ *  but WITHOUT ANY WARRANTY; without even the implied warranty of
+ *  MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ *  GNU General Public License for more details.
+ *
+ *  You should have received a copy of the GNU General Public License
+ *  along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+namespace Poweradmin\Domain\Service;
+
+/**
+ * Computes the new content of a record for a search-and-replace.
+ *
+ * Matching the whole content is meant for swapping one value for another, so
+ * 10.0.0.1 does not also rewrite 10.0.0.10. Addresses of A and AAAA records are
+ * compared as addresses there, as the database may hold a different notation
+ * of the same IPv6 address than the one the user typed.
+ */
+class RecordContentReplacer
+{
+    public const MATCH_CONTENT = 'content';
+    public const MATCH_SUBSTRING = 'substring';
+
+    /**
+     * Replace the search string in the content of a record.
+     *
+     * @return string The new content, the unchanged content when nothing matched
+     */
+    public function replace(string $type, string $content, string $search, string $replacement, string $match = self::MATCH_CONTENT): string
+    {
+        if ($search === '') {
+            return $content;
+        }
+
+        if ($match === self::MATCH_SUBSTRING) {
+            return str_replace($search, $replacement, $content);
+        }
+
+        return $this->contentMatches($type, $content, $search) ? $replacement : $content;
+    }
+
+    private function contentMatches(string $type, string $content, string $search): bool
+    {
+        if ($content === $search) {
+            return true;
+        }
+
+        if (!in_array(strtoupper($type), ['A', 'AAAA'], true)) {
+            return false;
+        }
+
+        $contentAddress = @inet_pton($content);
+        $searchAddress = @inet_pton(trim($search));
+
+        return $contentAddress !== false && $contentAddress === $searchAddress;
+    }
+}
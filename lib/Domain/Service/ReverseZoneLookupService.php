@@ -0,0 +1,159 @@
+<?php
+
+/*  Poweradmin, a friendly web-based admin tool for PowerDNS.
+ *  See <https://www.poweradmin.org> for more details.
+ *
+ *  Copyright 2007-2010 Rejo Zenger <rejo@zenger.nl>
+ *  Copyright 2010-2026 Poweradmin Development Team
+ *
+ *  This program is free software: you can redistribute it and/or modify
+ *  it under the terms of the GNU General Public License as published by
+ *  the Free Software Foundation, either version 3 of the License, or
+ *  (at your option) any later version.
+ *
+ *  This program is distributed in the hope that it will be useful,
+ *  but WITHOUT ANY WARRANTY; without even the implied warranty of
+ *  MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ *  GNU General Public License for more details.
+ *
+ *  You should have received a copy of the GNU General Public License
+ *  along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+namespace Poweradmin\Domain\Service;
+
+use Poweradmin\Domain\Utility\IpHelper;
+
+/**
+ * Finds the reverse zone that holds the PTR record of an address
+ *
+ * The most specific zone containing the address wins, so an RFC 2317
+ * delegation such as 64/26.2.1.10.in-addr.arpa is preferred over its parent
+ * 2.1.10.in-addr.arpa. Inside a classless zone the record lives below the
+ * zone name ("70.64/26.2.1.10.in-addr.arpa") rather than at the plain
+ * reverse name.
+ */
+class ReverseZoneLookupService
+{
+    /**
+     * Locate the zone for a reverse name
+     *
+     * @param string $reverseName Reverse name of an address or network, e.g. "70.2.1.10.in-addr.arpa"
+     *                            or "64/26.2.1.10.in-addr.arpa"
+     * @param array $zones Candidate zones, each with at least 'id' and 'name'
+     * @return array|null ['zone' => array, 'record_name' => string|null], where record_name is null
+     *                    for networks; null if the name is invalid or no zone contains it
+     */
+    public function locate(string $reverseName, array $zones): ?array
+    {
+        $target = IpHelper::reverseZoneToNetwork($reverseName);
+        if ($target === null) {
+            return null;
+        }
+
+        $best = null;
+        $bestNetwork = null;
+        foreach ($zones as $zone) {
+            $network = IpHelper::reverseZoneToNetwork($zone['name']);
+            if ($network === null || !$this->contains($network, $target)) {
+                continue;
+            }
+            if ($bestNetwork === null || $network['prefix'] > $bestNetwork['prefix']) {
+                $best = $zone;
+                $bestNetwork = $network;
+            }
+        }
+
+        if ($best === null) {
+            return null;
+        }
+
+        $isAddress = $target['prefix'] === ($target['family'] === 4 ? 32 : 128);
+        $recordName = null;
+        if ($isAddress) {
+            $recordName = $bestNetwork['classless']
+                ? substr($target['network'], strrpos($target['network'], '.') + 1) . '.' . strtolower($best['name'])
+                : strtolower(rtrim(trim($reverseName), '.'));
+        }
+
+        return [
+            'zone' => $best,
+            'record_name' => $recordName,
+        ];
+    }
+
+    /**
+     * Find the zones that share addresses with a network
+     *
+     * Used to check which zones a batch of PTR records would land in: a /22
+     * can span several /24 zones, and a /24 can hold classless delegations.
+     *
+     * @param array $network Network as returned by IpHelper::reverseZoneToNetwork()
+     * @param array $zones Candidate zones, each with at least 'id' and 'name'
+     * @return array Matching zones, each extended with its 'network'
+     */
+    public function overlapping(array $network, array $zones): array
+    {
+        $matches = [];
+        foreach ($zones as $zone) {
+            $zoneNetwork = IpHelper::reverseZoneToNetwork($zone['name']);
+            if ($zoneNetwork === null) {
+                continue;
+            }
+            if ($this->contains($zoneNetwork, $network) || $this->contains($network, $zoneNetwork)) {
+                $matches[] = $zone + ['network' => $zoneNetwork];
+            }
+        }
+
+        return $matches;
+    }
+
+    /**
+     * Get the address a PTR record name stands for
+     *
+     * @param string $recordName Record name, e.g. "70.2.1.10.in-addr.arpa" or "70.64/26.2.1.10.in-addr.arpa"
+     * @return string|null Address in canonical form, or null if the name does not name a single address
+     */
+    public function recordAddress(string $recordName): ?string
+    {
+        $name = strtolower(rtrim(trim($recordName), '.'));
+        // Inside an RFC 2317 delegation the zone label sits between the host and the parent octets
+        $name = preg_replace('/^(\d+)\.\d+[\/-]\d+\./', '$1.', $name);
+
+        $network = IpHelper::reverseZoneToNetwork($name);
+        if ($network === null || $network['classless']) {
+            return null;
+        }
+
+        return $network['prefix'] === ($network['family'] === 4 ? 32 : 128) ? $network['network'] : null;
+    }
+
+    /**
+     * Check whether a network lies within another one
+     *
+     * @param array $outer Network as returned by IpHelper::reverseZoneToNetwork()
+     * @param array $inner Network as returned by IpHelper::reverseZoneToNetwork()
+     * @return bool True if every address of $inner belongs to $outer
+     */
+    public function contains(array $outer, array $inner): bool
+    {
+        if ($outer['family'] !== $inner['family'] || $outer['prefix'] > $inner['prefix']) {
+            return false;
+        }
+
+        $outerBits = inet_pton($outer['network']);
+        $innerBits = inet_pton($inner['network']);
+        $fullBytes = intdiv($outer['prefix'], 8);
+        if (substr($outerBits, 0, $fullBytes) !== substr($innerBits, 0, $fullBytes)) {
+            return false;
+        }
+
+        $remainingBits = $outer['prefix'] % 8;
+        if ($remainingBits === 0) {
+            return true;
+        }
+
+        $mask = (0xff << (8 - $remainingBits)) & 0xff;
+        return (ord($outerBits[$fullBytes]) & $mask) === (ord($innerBits[$fullBytes]) & $mask);
+    }
+}
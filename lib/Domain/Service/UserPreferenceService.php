@@ -79,6 +79,30 @@ class UserPreferenceService
             throw new InvalidArgumentException("Invalid timezone: {$value}");
         }
 
+        if (
+            $key === UserPreference::KEY_ZONE_LIST_COLUMNS
+            && $value !== null
+            && !UserPreference::isValidZoneListColumns($value)
+        ) {
+            throw new InvalidArgumentException('Invalid zone list column layout');
+        }
+
+        if (
+            in_array($key, [UserPreference::KEY_SAVED_SEARCHES, UserPreference::KEY_SEARCH_HISTORY], true)
+            && $value !== null
+            && !UserPreference::isValidSearchList($value)
+        ) {
+            throw new InvalidArgumentException('Invalid search list');
+        }
+
+        if ($key === UserPreference::KEY_THEME && $value !== null && !UserPreference::isValidTheme($value)) {
+            throw new InvalidArgumentException("Invalid theme: {$value}");
+        }
+
+        if ($key === UserPreference::KEY_LANGUAGE && $value !== null && !in_array($value, $this->getEnabledLanguages(), true)) {
+            throw new InvalidArgumentException("Invalid language: {$value}");
+        }
+
         $this->repository->createOrUpdate($userId, $key, $value);
 
         $cacheKey = $userId . '_' . $key;
@@ -101,6 +125,32 @@ class UserPreferenceService
         return $result;
     }
 
+    /**
+     * Save several preferences, skipping the ones that are rejected
+     *
+     * @param array<string, mixed> $preferences Values by key
+     * @return array<string, string> Error message by rejected key
+     */
+    public function setPreferences(int $userId, array $preferences): array
+    {
+        $errors = [];
+
+        foreach ($preferences as $key => $value) {
+            if ($value !== null && !is_scalar($value)) {
+                $errors[$key] = "Invalid value for preference: {$key}";
+                continue;
+            }
+
+            try {
+                $this->setPreference($userId, (string)$key, $value === null ? null : (string)$value);
+            } catch (InvalidArgumentException $e) {
+                $errors[$key] = $e->getMessage();
+            }
+        }
+
+        return $errors;
+    }
+
     public function resetPreference(int $userId, string $key): void
     {
         $this->repository->deleteByUserIdAndKey($userId, $key);
@@ -182,6 +232,16 @@ class UserPreferenceService
         return $this->getPreference($userId, UserPreference::KEY_DISPLAY_HOSTNAME_ONLY) === 'true';
     }
 
+    /**
+     * Column layout of the zone lists, keyed by list (forward, reverse, template)
+     */
+    public function getZoneListColumns(int $userId): array
+    {
+        $value = $this->getPreference($userId, UserPreference::KEY_ZONE_LIST_COLUMNS);
+        $layout = $value !== null ? json_decode($value, true) : null;
+        return is_array($layout) ? $layout : [];
+    }
+
     public function clearCache(): void
     {
         $this->cache = [];
@@ -206,6 +266,15 @@ class UserPreferenceService
         ];
     }
 
+    /**
+     * Languages enabled in the configuration, the only ones a user can pick
+     */
+    private function getEnabledLanguages(): array
+    {
+        $enabledLanguages = $this->config->get('interface', 'enabled_languages', 'en_EN') ?? 'en_EN';
+        return array_map('trim', explode(',', $enabledLanguages));
+    }
+
     private function getDefaultValue(string $key): ?string
     {
         return $this->defaultValues[$key] ?? null;
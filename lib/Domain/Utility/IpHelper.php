@@ -348,6 +348,96 @@ class IpHelper
         return inet_ntop($binary);
     }
 
+    /**
+     * Convert a reverse zone name to the network it covers.
+     *
+     * Handles octet (in-addr.arpa) and nibble (ip6.arpa) aligned zones as well
+     * as RFC 2317 classless delegations, whose first label holds the range as
+     * "0/26" or "0-63" (e.g. "0/26.2.1.10.in-addr.arpa" is 10.1.2.0/26).
+     *
+     * @param string $zoneName Reverse zone name
+     * @return array|null ['family' => 4|6, 'network' => string, 'prefix' => int, 'classless' => bool],
+     *                    or null if the name does not describe a network
+     */
+    public static function reverseZoneToNetwork(string $zoneName): ?array
+    {
+        $zoneName = strtolower(rtrim(trim($zoneName), '.'));
+
+        if (str_ends_with($zoneName, '.in-addr.arpa')) {
+            return self::ipv4ReverseZoneToNetwork(substr($zoneName, 0, -strlen('.in-addr.arpa')));
+        }
+        if (str_ends_with($zoneName, '.ip6.arpa')) {
+            return self::ipv6ReverseZoneToNetwork(substr($zoneName, 0, -strlen('.ip6.arpa')));
+        }
+
+        return null;
+    }
+
+    private static function ipv4ReverseZoneToNetwork(string $labels): ?array
+    {
+        $octets = array_reverse(explode('.', $labels));
+        if (count($octets) > 4) {
+            return null;
+        }
+
+        $prefix = count($octets) * 8;
+        $classless = false;
+
+        // The classless range can only sit in the fourth octet
+        if (count($octets) === 4 && preg_match('/^(\d{1,3})([\/-])(\d{1,3})$/', $octets[3], $matches)) {
+            $start = (int)$matches[1];
+            if ($matches[2] === '/') {
+                $prefix = (int)$matches[3];
+            } else {
+                $size = (int)$matches[3] - $start + 1;
+                if ($size < 1 || ($size & ($size - 1)) !== 0) {
+                    return null;
+                }
+                $prefix = 32 - (int)round(log($size, 2));
+            }
+            if ($prefix <= 24 || $prefix > 32 || $start > 255 || !self::isSubnetAligned($start, $prefix)) {
+                return null;
+            }
+            $octets[3] = (string)$start;
+            $classless = true;
+        }
+
+        foreach ($octets as $octet) {
+            if ($octet === '' || !ctype_digit($octet) || (int)$octet > 255) {
+                return null;
+            }
+        }
+
+        return [
+            'family' => 4,
+            'network' => implode('.', array_map('intval', array_pad($octets, 4, '0'))),
+            'prefix' => $prefix,
+            'classless' => $classless,
+        ];
+    }
+
+    private static function ipv6ReverseZoneToNetwork(string $labels): ?array
+    {
+        $nibbles = array_reverse(explode('.', $labels));
+        if (count($nibbles) > 32) {
+            return null;
+        }
+        foreach ($nibbles as $nibble) {
+            if (strlen($nibble) !== 1 || !ctype_xdigit($nibble)) {
+                return null;
+            }
+        }
+
+        $binary = hex2bin(str_pad(implode('', $nibbles), 32, '0'));
+
+        return [
+            'family' => 6,
+            'network' => inet_ntop($binary),
+            'prefix' => count($nibbles) * 4,
+            'classless' => false,
+        ];
+    }
+
     /**
      * Extract the first valid IP address from a PowerDNS master field value
      *
@@ -0,0 +1,128 @@
+<?php
+
+/*  Poweradmin, a friendly web-based admin tool for PowerDNS.
+ *  See <https://www.poweradmin.org> for more details.
+ *
+ *  Copyright 2007-2010 Rejo Zenger <rejo@zenger.nl>
+ *  Copyright 2010-2026 Poweradmin Development Team
+ *
+ *  This program is free software: you can redistribute it and/or modify
+ *  it under the terms of the GNU General Public License as published by
+ *  the Free Software Foundation, either version 3 of the License, or
+ *  (at your option) any later version.
+ *
+ *  This program is distributed in the hope that it will be useful,
+ *  but WITHOUT ANY WARRANTY; without even the implied warranty of
+ *  MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ *  GNU General Public License for more details.
+ *
+ *  You should have received a copy of the GNU General Public License
+ *  along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+namespace Poweradmin\Infrastructure\Web;
+
+use Poweradmin\Infrastructure\Configuration\ConfigurationInterface;
+
+/**
+ * Content-Security-Policy for the pages rendered by Poweradmin
+ *
+ * Scripts run only from the application itself or from inline blocks carrying
+ * the nonce of the current request, so the policy never needs 'unsafe-inline'
+ * for scripts. Templates read the nonce from the csp_nonce global.
+ */
+class ContentSecurityPolicy
+{
+    public const MODE_OFF = 'off';
+    public const MODE_REPORT_ONLY = 'report-only';
+    public const MODE_ENFORCE = 'enforce';
+
+    private const RECAPTCHA_SOURCES = ['https://www.google.com', 'https://www.gstatic.com'];
+
+    private string $mode;
+    private string $reportUri;
+    private bool $recaptchaEnabled;
+    private string $nonce;
+    private bool $headerSent = false;
+
+    public function __construct(ConfigurationInterface $config)
+    {
+        $mode = $config->get('security', 'csp.mode', self::MODE_OFF);
+        $this->mode = in_array($mode, [self::MODE_REPORT_ONLY, self::MODE_ENFORCE], true) ? $mode : self::MODE_OFF;
+        $this->reportUri = (string)$config->get('security', 'csp.report_uri', '');
+        $this->recaptchaEnabled = (bool)$config->get('security', 'recaptcha.enabled', false);
+        $this->nonce = base64_encode(random_bytes(16));
+    }
+
+    public function getMode(): string
+    {
+        return $this->mode;
+    }
+
+    public function getNonce(): string
+    {
+        return $this->nonce;
+    }
+
+    public function getHeaderName(): ?string
+    {
+        return match ($this->mode) {
+            self::MODE_ENFORCE => 'Content-Security-Policy',
+            self::MODE_REPORT_ONLY => 'Content-Security-Policy-Report-Only',
+            default => null,
+        };
+    }
+
+    /**
+     * Build the policy for the current request
+     *
+     * Styles keep 'unsafe-inline' because templates and Bootstrap use style
+     * attributes; they cannot run code.
+     */
+    public function getPolicy(): string
+    {
+        $scriptSources = ["'self'", "'nonce-" . $this->nonce . "'"];
+        $frameSources = ["'self'"];
+        if ($this->recaptchaEnabled) {
+            $scriptSources = array_merge($scriptSources, self::RECAPTCHA_SOURCES);
+            $frameSources = array_merge($frameSources, self::RECAPTCHA_SOURCES);
+        }
+
+        $directives = [
+            'default-src' => ["'self'"],
+            'script-src' => $scriptSources,
+            'style-src' => ["'self'", "'unsafe-inline'"],
+            'img-src' => ["'self'", 'data:', 'https:'],
+            'font-src' => ["'self'", 'data:'],
+            'connect-src' => ["'self'"],
+            'frame-src' => $frameSources,
+            'object-src' => ["'none'"],
+            'base-uri' => ["'self'"],
+            'frame-ancestors' => ["'self'"],
+        ];
+        if ($this->reportUri !== '') {
+            $directives['report-uri'] = [$this->reportUri];
+        }
+
+        $parts = [];
+        foreach ($directives as $directive => $sources) {
+            $parts[] = $directive . ' ' . implode(' ', $sources);
+        }
+
+        return implode('; ', $parts);
+    }
+
+    /**
+     * Send the policy header once per request, unless the mode is off
+     */
+    public function sendHeader(): void
+    {
+        $headerName = $this->getHeaderName();
+        if ($headerName === null || $this->headerSent || headers_sent()) {
+            return;
+        }
+
+        header($headerName . ': ' . $this->getPolicy());
+        $this->headerSent = true;
+    }
+}
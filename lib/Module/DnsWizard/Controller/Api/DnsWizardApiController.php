@@ -207,6 +207,7 @@ class DnsWizardApiController extends InternalApiController
             if (!$validation['valid']) {
                 return $this->returnApiResponse([
                     'preview' => '',
+                    'record' => null,
                     'validation' => $validation
                 ]);
             }
@@ -215,6 +216,7 @@ class DnsWizardApiController extends InternalApiController
 
             return $this->returnApiResponse([
                 'preview' => $preview,
+                'record' => $wizard->generateRecord($formData),
                 'validation' => $validation
             ]);
         } catch (RuntimeException $e) {
@@ -22,6 +22,7 @@
 
 namespace Poweradmin\Module\DnsWizard\Controller;
 
+use Poweradmin\Application\Service\DnssecProviderFactory;
 use Poweradmin\Application\Service\RecordCommentService;
 use Poweradmin\Application\Service\RecordCommentSyncService;
 use Poweradmin\Application\Service\RecordManagerService;
@@ -29,6 +30,9 @@ use Poweradmin\BaseController;
 use Poweradmin\Domain\Model\Permission;
 use Poweradmin\Domain\Model\UserManager;
 use Poweradmin\Domain\Service\DnsRecord;
+use Poweradmin\Domain\Service\Validator;
+use Poweradmin\Domain\ValueObject\RecordIdentifier;
+use Poweradmin\Module\DnsWizard\Service\DnsWizardInterface;
 use Poweradmin\Module\DnsWizard\Service\WizardRegistry;
 use Poweradmin\Domain\Service\FormStateService;
 use Poweradmin\Domain\Utility\DnsHelper;
@@ -40,7 +44,8 @@ use Poweradmin\Infrastructure\Utility\IpAddressRetriever;
 /**
  * DNS Wizard Form Controller
  *
- * Handles the wizard form display and submission for creating DNS records.
+ * Handles the wizard form display and submission for creating DNS records,
+ * or for updating an existing record in place when opened with a record_id.
  */
 class DnsWizardFormController extends BaseController
 {
@@ -49,6 +54,7 @@ class DnsWizardFormController extends BaseController
     private ZoneRepositoryInterface $zoneRepository;
     private RecordManagerService $recordManager;
     private FormStateService $formStateService;
+    private LegacyLogger $logger;
 
     public function __construct(array $request)
     {
@@ -59,7 +65,7 @@ class DnsWizardFormController extends BaseController
         $this->zoneRepository = $this->createZoneRepository();
         $this->formStateService = new FormStateService();
 
-        $logger = new LegacyLogger($this->db);
+        $this->logger = new LegacyLogger($this->db);
         $backendProvider = $this->createDnsBackendProvider();
         $repositoryFactory = $this->getRepositoryFactory($backendProvider);
         $recordCommentRepository = $repositoryFactory->createRecordCommentRepository();
@@ -71,7 +77,7 @@ class DnsWizardFormController extends BaseController
             $this->dnsRecord,
             $recordCommentService,
             $commentSyncService,
-            $logger,
+            $this->logger,
             $this->getConfig(),
             $backendProvider
         );
@@ -119,9 +125,16 @@ class DnsWizardFormController extends BaseController
             return;
         }
 
+        // Load the record when an existing record is edited in the wizard
+        $record = null;
+        $record_id = $this->getSafeRequestValue('record_id');
+        if ($record_id !== '') {
+            $record = $this->getRecordForWizard($zone_id, $record_id, $wizard);
+        }
+
         // Handle form submission
         if ($_SERVER['REQUEST_METHOD'] === 'POST' && isset($_POST['submit_wizard'])) {
-            $this->handleFormSubmission($zone_id, $zone_name, $wizard, $wizard_type);
+            $this->handleFormSubmission($zone_id, $zone_name, $wizard, $wizard_type, $record);
             return;
         }
 
@@ -144,10 +157,13 @@ class DnsWizardFormController extends BaseController
         $formId = $_GET['form_id'] ?? null;
         $showWarnings = $_GET['show_warnings'] ?? null;
         $warnings = [];
+        $restored = false;
 
         if ($formId) {
             $savedFormData = $this->formStateService->getFormData($formId);
             if ($savedFormData) {
+                $restored = true;
+
                 // Extract warnings if present
                 if (isset($savedFormData['_warnings'])) {
                     $warnings = $savedFormData['_warnings'];
@@ -176,10 +192,53 @@ class DnsWizardFormController extends BaseController
             'formData' => $formData,
             'warnings' => $warnings,
             'showWarnings' => $showWarnings === '1',
+            'record' => $record === null ? null : [
+                'id' => $record['id'],
+                'name' => DnsHelper::stripZoneSuffix($record['name'], $zone_name),
+                'content' => $record['content'],
+                'ttl' => $record['ttl'],
+                'prio' => $record['prio'],
+            ],
+            // Form values are parsed from the record on the client, unless the
+            // form is being redisplayed with the user's own input
+            'prefill_record' => $record !== null && !$restored,
+            'file_version' => time(),
         ]);
     }
 
-    private function handleFormSubmission(int $zone_id, string $zone_name, $wizard, string $wizard_type): void
+    /**
+     * Load a record of this zone that the wizard can edit
+     *
+     * @param int $zone_id Zone the record must belong to
+     * @param string $record_id Record ID from the request
+     * @param DnsWizardInterface $wizard Wizard the record is opened in
+     * @return array Record data
+     */
+    private function getRecordForWizard(int $zone_id, string $record_id, DnsWizardInterface $wizard): array
+    {
+        if (!Validator::isNumber($record_id) && !RecordIdentifier::isEncoded($record_id)) {
+            $this->showError(_('Invalid record ID.'));
+        }
+        $rid = Validator::isNumber($record_id) ? (int)$record_id : $record_id;
+
+        if ($this->dnsRecord->getZoneIdFromRecordId($rid) !== $zone_id) {
+            $this->showError(_('Invalid record ID.'));
+        }
+
+        $record = $this->dnsRecord->getRecordFromId($rid);
+        if ($record === null) {
+            $this->showError(_('Record not found.'));
+        }
+
+        if (strtoupper($record['type']) !== $wizard->getRecordType()) {
+            $this->showError(_('This record cannot be edited with this wizard.'));
+        }
+
+        $record['id'] = $rid;
+        return $record;
+    }
+
+    private function handleFormSubmission(int $zone_id, string $zone_name, $wizard, string $wizard_type, ?array $record = null): void
     {
         // Validate CSRF token
         $this->validateCsrfToken();
@@ -190,11 +249,14 @@ class DnsWizardFormController extends BaseController
         foreach ($_POST as $key => $value) {
             if ($key === 'warnings_acknowledged' && $value === '1') {
                 $warningsAcknowledged = true;
-            } elseif ($key !== '_token' && $key !== 'submit_wizard' && $key !== 'warnings_acknowledged') {
+            } elseif (!in_array($key, ['_token', 'submit_wizard', 'warnings_acknowledged', 'record_id'], true)) {
                 $formData[$key] = $value;
             }
         }
 
+        // Redirects back to the form keep editing the same record
+        $recordParams = $record !== null ? ['record_id' => $record['id']] : [];
+
         // Validate form data
         $validation = $wizard->validate($formData);
 
@@ -207,7 +269,7 @@ class DnsWizardFormController extends BaseController
             $formId = $this->formStateService->generateFormId('dns_wizard_form');
             $this->formStateService->saveFormData($formId, $formData);
 
-            $this->redirect('/zones/' . $zone_id . '/wizard/' . strtolower($wizard_type), ['form_id' => $formId]);
+            $this->redirect('/zones/' . $zone_id . '/wizard/' . strtolower($wizard_type), array_merge(['form_id' => $formId], $recordParams));
             return;
         }
 
@@ -217,7 +279,7 @@ class DnsWizardFormController extends BaseController
             $formId = $this->formStateService->generateFormId('dns_wizard_form');
             $this->formStateService->saveFormData($formId, array_merge($formData, ['_warnings' => $warnings]));
 
-            $this->redirect('/zones/' . $zone_id . '/wizard/' . strtolower($wizard_type), ['form_id' => $formId, 'show_warnings' => '1']);
+            $this->redirect('/zones/' . $zone_id . '/wizard/' . strtolower($wizard_type), array_merge(['form_id' => $formId, 'show_warnings' => '1'], $recordParams));
             return;
         }
 
@@ -231,7 +293,7 @@ class DnsWizardFormController extends BaseController
             $formId = $this->formStateService->generateFormId('dns_wizard_form');
             $this->formStateService->saveFormData($formId, $formData);
 
-            $this->redirect('/zones/' . $zone_id . '/wizard/' . strtolower($wizard_type), ['form_id' => $formId]);
+            $this->redirect('/zones/' . $zone_id . '/wizard/' . strtolower($wizard_type), array_merge(['form_id' => $formId], $recordParams));
             return;
         }
 
@@ -242,6 +304,11 @@ class DnsWizardFormController extends BaseController
         $ttl = isset($recordData['ttl']) && $recordData['ttl'] !== '' ? (int)$recordData['ttl'] : $this->getConfig()->get('dns', 'ttl', 3600);
         $prio = isset($recordData['prio']) && $recordData['prio'] !== '' ? (int)$recordData['prio'] : 0;
 
+        if ($record !== null) {
+            $this->updateRecord($zone_id, $zone_name, $wizard, $wizard_type, $record, $formData, $name, $type, $content, $ttl, $prio);
+            return;
+        }
+
         // Create the record
         $userContextService = new UserContextService();
         $userlogin = $userContextService->getLoggedInUsername() ?? 'unknown';
@@ -267,7 +334,7 @@ class DnsWizardFormController extends BaseController
             $formId = $this->formStateService->generateFormId('dns_wizard_form');
             $this->formStateService->saveFormData($formId, $formData);
 
-            $this->redirect('/zones/' . $zone_id . '/wizard/' . strtolower($wizard_type), ['form_id' => $formId]);
+            $this->redirect('/zones/' . $zone_id . '/wizard/' . strtolower($wizard_type), array_merge(['form_id' => $formId], $recordParams));
             return;
         }
 
@@ -275,4 +342,89 @@ class DnsWizardFormController extends BaseController
         $this->setMessage('edit', 'success', _('The record was successfully added.'));
         $this->redirect('/zones/' . $zone_id . '/edit');
     }
+
+    private function updateRecord(int $zone_id, string $zone_name, DnsWizardInterface $wizard, string $wizard_type, array $record, array $formData, string $name, string $type, string $content, int $ttl, int $prio): void
+    {
+        // Wizards with a fixed name (SPF and CAA at "@", DMARC at "_dmarc") would
+        // move a record published below the apex, so such records keep their name.
+        if (!$this->wizardReproducesName($wizard, $record, $zone_name)) {
+            $name = $record['name'];
+        }
+
+        $success = $this->dnsRecord->editRecord([
+            'rid' => $record['id'],
+            'zid' => $zone_id,
+            'name' => $name,
+            'type' => $type,
+            'content' => $content,
+            'ttl' => $ttl,
+            'prio' => $prio,
+            'disabled' => (int)$record['disabled'],
+        ]);
+
+        if (!$success) {
+            $this->setMessage('dns_wizard_form', 'error', _('The record could not be updated. It may conflict with an existing record or contain invalid data.'));
+
+            // Save form data so it can be repopulated
+            $formId = $this->formStateService->generateFormId('dns_wizard_form');
+            $this->formStateService->saveFormData($formId, $formData);
+
+            $this->redirect('/zones/' . $zone_id . '/wizard/' . strtolower($wizard_type), ['form_id' => $formId, 'record_id' => $record['id']]);
+            return;
+        }
+
+        $this->dnsRecord->updateSOASerial($zone_id);
+
+        $userContextService = new UserContextService();
+        $ipRetriever = new IpAddressRetriever($_SERVER);
+        $this->logger->logInfo(sprintf(
+            'client_ip:%s user:%s operation:edit_record'
+            . ' old_record_type:%s old_record:%s old_content:%s old_ttl:%s old_priority:%s'
+            . ' record_type:%s record:%s content:%s ttl:%s priority:%s',
+            $ipRetriever->getClientIp(),
+            $userContextService->getLoggedInUsername() ?? 'unknown',
+            $record['type'],
+            $record['name'],
+            $record['content'],
+            $record['ttl'],
+            $record['prio'],
+            $type,
+            $name,
+            $content,
+            $ttl,
+            $prio
+        ), $zone_id);
+
+        if ($this->getConfig()->get('dnssec', 'enabled', false)) {
+            $dnssecProvider = DnssecProviderFactory::create($this->db, $this->getConfig());
+            $dnssecProvider->rectifyZone($zone_name);
+        }
+
+        $this->setMessage('edit', 'success', _('The record has been updated successfully.'));
+        $this->redirect('/zones/' . $zone_id . '/edit');
+    }
+
+    /**
+     * Check whether the wizard derives the record's current name from its fields
+     *
+     * @param DnsWizardInterface $wizard Wizard the record is edited in
+     * @param array $record Record being edited
+     * @param string $zone_name Zone name
+     * @return bool True if the generated name can be used for the record
+     */
+    private function wizardReproducesName(DnsWizardInterface $wizard, array $record, string $zone_name): bool
+    {
+        try {
+            $parsed = $wizard->parseExistingRecord($record['content'], [
+                'name' => DnsHelper::stripZoneSuffix($record['name'], $zone_name),
+                'ttl' => $record['ttl'],
+                'prio' => $record['prio'],
+            ]);
+            $regenerated = $wizard->generateRecord($parsed);
+        } catch (\Exception $e) {
+            return false;
+        }
+
+        return strcasecmp(DnsHelper::restoreZoneSuffix($regenerated['name'] ?? '', $zone_name), rtrim($record['name'], '.')) === 0;
+    }
 }
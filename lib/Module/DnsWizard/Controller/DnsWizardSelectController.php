@@ -26,6 +26,8 @@ use Poweradmin\BaseController;
 use Poweradmin\Domain\Model\Permission;
 use Poweradmin\Domain\Model\UserManager;
 use Poweradmin\Domain\Service\DnsRecord;
+use Poweradmin\Domain\Service\Validator;
+use Poweradmin\Domain\ValueObject\RecordIdentifier;
 use Poweradmin\Module\DnsWizard\Service\WizardRegistry;
 use Poweradmin\Domain\Repository\ZoneRepositoryInterface;
 
@@ -33,7 +35,8 @@ use Poweradmin\Domain\Repository\ZoneRepositoryInterface;
  * DNS Wizard Selection Controller
  *
  * Displays the wizard selection page where users can choose
- * which DNS record wizard to use.
+ * which DNS record wizard to use, or opens an existing record
+ * in the wizard that can edit it.
  */
 class DnsWizardSelectController extends BaseController
 {
@@ -80,6 +83,13 @@ class DnsWizardSelectController extends BaseController
             $this->showError(_('You do not have permission to add records to this zone.'));
         }
 
+        // Opening an existing record goes straight to the wizard that handles it
+        $record_id = $this->getSafeRequestValue('record_id');
+        if ($record_id !== '') {
+            $this->openRecordInWizard($zone_id, $record_id);
+            return;
+        }
+
         // Check if zone is reverse zone
         $is_reverse_zone = preg_match('/\.in-addr\.arpa$/i', $zone_name) || preg_match('/\.ip6\.arpa$/i', $zone_name);
 
@@ -95,4 +105,30 @@ class DnsWizardSelectController extends BaseController
             'wizards' => $wizards,
         ]);
     }
+
+    private function openRecordInWizard(int $zone_id, string $record_id): void
+    {
+        if (!Validator::isNumber($record_id) && !RecordIdentifier::isEncoded($record_id)) {
+            $this->showError(_('Invalid record ID.'));
+        }
+        $rid = Validator::isNumber($record_id) ? (int)$record_id : $record_id;
+
+        if ($this->dnsRecord->getZoneIdFromRecordId($rid) !== $zone_id) {
+            $this->showError(_('Invalid record ID.'));
+        }
+
+        $record = $this->dnsRecord->getRecordFromId($rid);
+        if ($record === null) {
+            $this->showError(_('Record not found.'));
+        }
+
+        $wizard_type = $this->wizardRegistry->getWizardTypeForRecord($record['type'], $record['content'], $record['name']);
+        if ($wizard_type === null) {
+            $this->setMessage('edit', 'error', _('This record cannot be edited with a DNS wizard.'));
+            $this->redirect('/zones/' . $zone_id . '/edit');
+            return;
+        }
+
+        $this->redirect('/zones/' . $zone_id . '/wizard/' . strtolower($wizard_type), ['record_id' => $record_id]);
+    }
 }
@@ -238,16 +238,34 @@ abstract class AbstractDnsWizard implements DnsWizardInterface
     /**
      * Create a standard validation result array
      *
+     * Errors may be keyed by the form field they belong to (a message or a list
+     * of messages per field); numeric keys are errors not tied to a field. The
+     * result always carries the flat 'errors' list, plus 'fieldErrors' mapping
+     * each field name to its messages.
+     *
      * @param bool $valid Whether validation passed
-     * @param array $errors List of error messages
+     * @param array $errors Error messages, optionally keyed by field name
      * @param array $warnings List of warning messages
      * @return array Validation result
      */
     protected function createValidationResult(bool $valid, array $errors = [], array $warnings = []): array
     {
+        $messages = [];
+        $fieldErrors = [];
+
+        foreach ($errors as $field => $fieldMessages) {
+            foreach ((array) $fieldMessages as $message) {
+                $messages[] = $message;
+                if (is_string($field)) {
+                    $fieldErrors[$field][] = $message;
+                }
+            }
+        }
+
         return [
             'valid' => $valid,
-            'errors' => $errors,
+            'errors' => $messages,
+            'fieldErrors' => $fieldErrors,
             'warnings' => $warnings
         ];
     }
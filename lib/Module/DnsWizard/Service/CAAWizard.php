@@ -201,18 +201,18 @@ class CAAWizard extends AbstractDnsWizard
 
         // Validate tag
         if (!in_array($tag, ['issue', 'issuewild', 'iodef'])) {
-            $errors[] = _('Invalid CAA tag. Must be issue, issuewild, or iodef');
+            $errors['tag'][] = _('Invalid CAA tag. Must be issue, issuewild, or iodef');
         }
 
         // Validate CA provider/domain
         if ($tag !== 'iodef') {
             if (empty($caProvider)) {
-                $errors[] = _('CA provider is required');
+                $errors['ca_provider'][] = _('CA provider is required');
             } elseif ($caProvider === 'custom') {
                 if (empty($formData['ca_domain'])) {
-                    $errors[] = _('Custom CA domain is required when "Custom" is selected');
+                    $errors['ca_domain'][] = _('Custom CA domain is required when "Custom" is selected');
                 } elseif (!$this->isValidDomain($formData['ca_domain'])) {
-                    $errors[] = _('Invalid CA domain format');
+                    $errors['ca_domain'][] = _('Invalid CA domain format');
                 }
             }
 
@@ -224,16 +224,16 @@ class CAAWizard extends AbstractDnsWizard
             // Validate iodef URL
             $iodefUrl = $formData['iodef_url'] ?? '';
             if (empty($iodefUrl)) {
-                $errors[] = _('Reporting URL is required for iodef tag');
+                $errors['iodef_url'][] = _('Reporting URL is required for iodef tag');
             } elseif (!str_starts_with($iodefUrl, 'mailto:') && !str_starts_with($iodefUrl, 'https://') && !str_starts_with($iodefUrl, 'http://')) {
-                $errors[] = sprintf(_('Reporting URL must start with %s, %s, or %s'), 'mailto:', 'https://', 'http://');
+                $errors['iodef_url'][] = sprintf(_('Reporting URL must start with %s, %s, or %s'), 'mailto:', 'https://', 'http://');
             }
         }
 
         // Validate flags
         $flags = (int) ($formData['flags'] ?? 0);
         if (!in_array($flags, [0, 128])) {
-            $errors[] = _('Flags must be 0 or 128');
+            $errors['flags'][] = _('Flags must be 0 or 128');
         }
 
         if ($flags === 128) {
@@ -244,7 +244,7 @@ class CAAWizard extends AbstractDnsWizard
         if (isset($formData['ttl'])) {
             $ttlValidation = $this->validateTTL($formData['ttl']);
             if (!$ttlValidation['valid']) {
-                $errors = array_merge($errors, $ttlValidation['errors']);
+                $errors['ttl'] = $ttlValidation['errors'];
             }
         }
 
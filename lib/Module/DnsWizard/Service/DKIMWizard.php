@@ -195,20 +195,20 @@ class DKIMWizard extends AbstractDnsWizard
 
         // Validate selector (required)
         if (empty($formData['selector'])) {
-            $errors[] = _('Selector is required');
+            $errors['selector'][] = _('Selector is required');
         } elseif (!preg_match('/^[a-zA-Z0-9_-]+$/', $formData['selector'])) {
-            $errors[] = _('Selector can only contain alphanumeric characters, hyphens, and underscores');
+            $errors['selector'][] = _('Selector can only contain alphanumeric characters, hyphens, and underscores');
         }
 
         // Validate public key (required)
         if (empty($formData['public_key'])) {
-            $errors[] = _('Public key is required');
+            $errors['public_key'][] = _('Public key is required');
         } else {
             $cleanKey = $this->cleanPublicKey($formData['public_key']);
 
             // Check if it's valid base64
             if (!$this->isValidBase64($cleanKey)) {
-                $errors[] = _('Public key must be valid base64-encoded data');
+                $errors['public_key'][] = _('Public key must be valid base64-encoded data');
             }
 
             // Check minimum length (RSA 2048-bit public key is ~350 chars base64)
@@ -218,7 +218,7 @@ class DKIMWizard extends AbstractDnsWizard
 
             // Check for common mistakes
             if (str_contains($formData['public_key'], 'PRIVATE KEY')) {
-                $errors[] = _('You pasted a PRIVATE KEY. Only the PUBLIC KEY should be in DNS. Never share your private key!');
+                $errors['public_key'][] = _('You pasted a PRIVATE KEY. Only the PUBLIC KEY should be in DNS. Never share your private key!');
             }
 
             if (str_contains($formData['public_key'], 'BEGIN') || str_contains($formData['public_key'], 'END')) {
@@ -230,7 +230,7 @@ class DKIMWizard extends AbstractDnsWizard
         if (isset($formData['ttl'])) {
             $ttlValidation = $this->validateTTL($formData['ttl']);
             if (!$ttlValidation['valid']) {
-                $errors = array_merge($errors, $ttlValidation['errors']);
+                $errors['ttl'] = $ttlValidation['errors'];
             }
         }
 
@@ -258,21 +258,21 @@ class DMARCWizard extends AbstractDnsWizard
 
         // Validate policy (required)
         if (empty($formData['policy'])) {
-            $errors[] = _('Policy is required');
+            $errors['policy'][] = _('Policy is required');
         } elseif (!in_array($formData['policy'], ['none', 'quarantine', 'reject'])) {
-            $errors[] = _('Invalid policy value');
+            $errors['policy'][] = _('Invalid policy value');
         }
 
         // Validate subdomain policy if provided
         if (!empty($formData['subdomain_policy']) && !in_array($formData['subdomain_policy'], ['none', 'quarantine', 'reject'])) {
-            $errors[] = _('Invalid subdomain policy value');
+            $errors['subdomain_policy'][] = _('Invalid subdomain policy value');
         }
 
         // Validate percentage
         if (isset($formData['percentage'])) {
             $pct = (int) $formData['percentage'];
             if ($pct < 0 || $pct > 100) {
-                $errors[] = _('Percentage must be between 0 and 100');
+                $errors['percentage'][] = _('Percentage must be between 0 and 100');
             } elseif ($pct < 100) {
                 $warnings[] = sprintf(_('Policy will only apply to %d%% of messages. Use 100%% once testing is complete.'), $pct);
             }
@@ -280,11 +280,11 @@ class DMARCWizard extends AbstractDnsWizard
 
         // Validate email addresses
         if (!empty($formData['rua']) && !$this->isValidEmail($formData['rua'])) {
-            $errors[] = _('Invalid aggregate report email address');
+            $errors['rua'][] = _('Invalid aggregate report email address');
         }
 
         if (!empty($formData['ruf']) && !$this->isValidEmail($formData['ruf'])) {
-            $errors[] = _('Invalid forensic report email address');
+            $errors['ruf'][] = _('Invalid forensic report email address');
         }
 
         // Warn if no reporting configured
@@ -296,7 +296,7 @@ class DMARCWizard extends AbstractDnsWizard
         if (isset($formData['ttl'])) {
             $ttlValidation = $this->validateTTL($formData['ttl']);
             if (!$ttlValidation['valid']) {
-                $errors = array_merge($errors, $ttlValidation['errors']);
+                $errors['ttl'] = $ttlValidation['errors'];
             }
         }
 
@@ -88,7 +88,7 @@ interface DnsWizardInterface
      * Returns validation result with any errors or warnings.
      *
      * @param array $formData The form data to validate
-     * @return array Validation result with 'valid' (bool), 'errors' (array), 'warnings' (array)
+     * @return array Validation result with 'valid' (bool), 'errors' (array), 'fieldErrors' (array), 'warnings' (array)
      */
     public function validate(array $formData): array;
 
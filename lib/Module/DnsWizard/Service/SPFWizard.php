@@ -301,7 +301,7 @@ class SPFWizard extends AbstractDnsWizard
             $ips = array_filter(array_map('trim', explode("\n", $formData['ip4'])));
             foreach ($ips as $ip) {
                 if (!$this->isValidIpv4($ip)) {
-                    $errors[] = sprintf(_('Invalid IPv4 address or network: %s'), $ip);
+                    $errors['ip4'][] = sprintf(_('Invalid IPv4 address or network: %s'), $ip);
                 }
             }
         }
@@ -310,7 +310,7 @@ class SPFWizard extends AbstractDnsWizard
             $ips = array_filter(array_map('trim', explode("\n", $formData['ip6'])));
             foreach ($ips as $ip) {
                 if (!$this->isValidIpv6($ip)) {
-                    $errors[] = sprintf(_('Invalid IPv6 address or network: %s'), $ip);
+                    $errors['ip6'][] = sprintf(_('Invalid IPv6 address or network: %s'), $ip);
                 }
             }
         }
@@ -320,7 +320,7 @@ class SPFWizard extends AbstractDnsWizard
             $includes = array_filter(array_map('trim', explode("\n", $formData['includes'])));
             foreach ($includes as $include) {
                 if (!$this->isValidDomain($include)) {
-                    $errors[] = sprintf(_('Invalid include domain: %s'), $include);
+                    $errors['includes'][] = sprintf(_('Invalid include domain: %s'), $include);
                 }
             }
         }
@@ -329,7 +329,7 @@ class SPFWizard extends AbstractDnsWizard
         if (isset($formData['ttl'])) {
             $ttlValidation = $this->validateTTL($formData['ttl']);
             if (!$ttlValidation['valid']) {
-                $errors = array_merge($errors, $ttlValidation['errors']);
+                $errors['ttl'] = $ttlValidation['errors'];
             }
         }
 
@@ -258,41 +258,41 @@ class SRVWizard extends AbstractDnsWizard
         // Validate service
         $service = $formData['service'] ?? '';
         if (empty($service)) {
-            $errors[] = _('Service is required');
+            $errors['service'][] = _('Service is required');
         } elseif ($service === 'custom') {
             $customService = $formData['custom_service'] ?? '';
             if (empty($customService)) {
-                $errors[] = _('Custom service name is required');
+                $errors['custom_service'][] = _('Custom service name is required');
             } elseif (!preg_match('/^_?[a-z0-9-]+$/i', $customService)) {
-                $errors[] = _('Service name must contain only alphanumeric characters and hyphens');
+                $errors['custom_service'][] = _('Service name must contain only alphanumeric characters and hyphens');
             }
         }
 
         // Validate target (required)
         if (empty($formData['target'])) {
-            $errors[] = _('Target hostname is required');
+            $errors['target'][] = _('Target hostname is required');
         } else {
             $target = $formData['target'];
             if (!$this->isValidDomain(rtrim($target, '.'))) {
-                $errors[] = _('Invalid target hostname format');
+                $errors['target'][] = _('Invalid target hostname format');
             }
 
             // Warn if target looks like IP address
             if (filter_var($target, FILTER_VALIDATE_IP)) {
-                $errors[] = _('Target must be a hostname, not an IP address. Create an A or AAAA record for the hostname first.');
+                $errors['target'][] = _('Target must be a hostname, not an IP address. Create an A or AAAA record for the hostname first.');
             }
         }
 
         // Validate port
         $port = (int) ($formData['port'] ?? 0);
         if ($port < 1 || $port > 65535) {
-            $errors[] = _('Port must be between 1 and 65535');
+            $errors['port'][] = _('Port must be between 1 and 65535');
         }
 
         // Validate priority
         $priority = (int) ($formData['priority'] ?? 0);
         if ($priority < 0 || $priority > 65535) {
-            $errors[] = _('Priority must be between 0 and 65535');
+            $errors['priority'][] = _('Priority must be between 0 and 65535');
         }
 
         if ($priority === 0) {
@@ -302,19 +302,19 @@ class SRVWizard extends AbstractDnsWizard
         // Validate weight
         $weight = (int) ($formData['weight'] ?? 0);
         if ($weight < 0 || $weight > 65535) {
-            $errors[] = _('Weight must be between 0 and 65535');
+            $errors['weight'][] = _('Weight must be between 0 and 65535');
         }
 
         // Validate domain if provided
         if (!empty($formData['domain']) && $formData['domain'] !== '@' && !$this->isValidDomain($formData['domain'])) {
-            $errors[] = _('Invalid domain format');
+            $errors['domain'][] = _('Invalid domain format');
         }
 
         // Validate TTL
         if (isset($formData['ttl'])) {
             $ttlValidation = $this->validateTTL($formData['ttl']);
             if (!$ttlValidation['valid']) {
-                $errors = array_merge($errors, $ttlValidation['errors']);
+                $errors['ttl'] = $ttlValidation['errors'];
             }
         }
 
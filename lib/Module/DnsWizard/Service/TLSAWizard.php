@@ -224,33 +224,33 @@ class TLSAWizard extends AbstractDnsWizard
         // Validate port
         $port = (int) ($formData['port'] ?? 0);
         if ($port < 1 || $port > 65535) {
-            $errors[] = _('Port must be between 1 and 65535');
+            $errors['port'][] = _('Port must be between 1 and 65535');
         }
 
         // Validate usage, selector, matching type
         $usage = (int) ($formData['usage'] ?? -1);
         if (!in_array($usage, [0, 1, 2, 3])) {
-            $errors[] = _('Usage must be 0, 1, 2, or 3');
+            $errors['usage'][] = _('Usage must be 0, 1, 2, or 3');
         }
 
         $selector = (int) ($formData['selector'] ?? -1);
         if (!in_array($selector, [0, 1])) {
-            $errors[] = _('Selector must be 0 or 1');
+            $errors['selector'][] = _('Selector must be 0 or 1');
         }
 
         $matchingType = (int) ($formData['matching_type'] ?? -1);
         if (!in_array($matchingType, [0, 1, 2])) {
-            $errors[] = _('Matching type must be 0, 1, or 2');
+            $errors['matching_type'][] = _('Matching type must be 0, 1, or 2');
         }
 
         // Validate certificate data
         if (empty($formData['cert_data'])) {
-            $errors[] = _('Certificate association data is required');
+            $errors['cert_data'][] = _('Certificate association data is required');
         } else {
             $certData = $this->cleanHexData($formData['cert_data']);
 
             if (!ctype_xdigit($certData)) {
-                $errors[] = _('Certificate data must be hexadecimal (0-9, a-f)');
+                $errors['cert_data'][] = _('Certificate data must be hexadecimal (0-9, a-f)');
             }
 
             // Validate expected length based on matching type
@@ -271,7 +271,7 @@ class TLSAWizard extends AbstractDnsWizard
 
         // Validate hostname if provided
         if (!empty($formData['hostname']) && $formData['hostname'] !== '@' && !$this->isValidDomain($formData['hostname'])) {
-            $errors[] = _('Invalid hostname format');
+            $errors['hostname'][] = _('Invalid hostname format');
         }
 
         // Critical DNSSEC warning
@@ -281,7 +281,7 @@ class TLSAWizard extends AbstractDnsWizard
         if (isset($formData['ttl'])) {
             $ttlValidation = $this->validateTTL($formData['ttl']);
             if (!$ttlValidation['valid']) {
-                $errors = array_merge($errors, $ttlValidation['errors']);
+                $errors['ttl'] = $ttlValidation['errors'];
             }
         }
 
@@ -149,6 +149,40 @@ class WizardRegistry
         return in_array($type, $this->getAvailableWizardTypes(), true);
     }
 
+    /**
+     * Find the wizard that can edit an existing record
+     *
+     * CAA, SRV and TLSA records map to the wizard of the same name. TXT records
+     * are matched by their version tag, or by a _domainkey name for DKIM keys
+     * published without one.
+     *
+     * @param string $recordType Record type (e.g., 'TXT')
+     * @param string $content Record content
+     * @param string $name Record name
+     * @return string|null Available wizard type, or null if no wizard handles the record
+     */
+    public function getWizardTypeForRecord(string $recordType, string $content, string $name = ''): ?string
+    {
+        $recordType = strtoupper($recordType);
+        $wizardType = null;
+
+        if (in_array($recordType, ['CAA', 'SRV', 'TLSA'], true)) {
+            $wizardType = $recordType;
+        } elseif ($recordType === 'TXT') {
+            $text = strtolower(ltrim(trim($content), '"'));
+
+            if (str_starts_with($text, 'v=spf1')) {
+                $wizardType = 'SPF';
+            } elseif (str_starts_with($text, 'v=dmarc1')) {
+                $wizardType = 'DMARC';
+            } elseif (str_starts_with($text, 'v=dkim1') || str_contains(strtolower($name), '._domainkey')) {
+                $wizardType = 'DKIM';
+            }
+        }
+
+        return $wizardType !== null && $this->isWizardAvailable($wizardType) ? $wizardType : null;
+    }
+
     /**
      * Get all available wizard instances
      *
@@ -0,0 +1,128 @@
+<?php
+
+/*  Poweradmin, a friendly web-based admin tool for PowerDNS.
+ *  See <https://www.poweradmin.org> for more details.
+ *
+ *  Copyright 2007-2010 Rejo Zenger <rejo@zenger.nl>
+ *  Copyright 2010-2026 Poweradmin Development Team
+ *
+ *  This program is free software: you can redistribute it and/or modify
+ *  it under the terms of the GNU General Public License as published by
+ *  the Free Software Foundation, either version 3 of the License, or
+ *  (at your option) any later version.
+ *
+ *  This program is distributed in the hope that it will be useful,
+ *  but WITHOUT ANY WARRANTY; without even the implied warranty of
+ *  MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ *  GNU General Public License for more details.
+ *
+ *  You should have received a copy of the GNU General Public License
+ *  along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+namespace Poweradmin\Module\ZoneImportExport\Controller;
+
+use Poweradmin\BaseController;
+use Poweradmin\Domain\Model\UserManager;
+use Poweradmin\Domain\Service\DnsIdnService;
+use Poweradmin\Domain\Service\PermissionService;
+use Poweradmin\Domain\Service\UserContextService;
+use Poweradmin\Infrastructure\Repository\DbUserRepository;
+use Poweradmin\Module\ZoneImportExport\Service\ZoneFileDiffer;
+use Poweradmin\Module\ZoneImportExport\Service\ZoneFileInputReader;
+
+/**
+ * Compares a zone with an uploaded or previously exported zone file.
+ */
+class ZoneFileDiffController extends BaseController
+{
+    public function run(): void
+    {
+        $userContextService = new UserContextService();
+        if (!$userContextService->isAuthenticated()) {
+            $this->showError(_('You need to be logged in to compare zone data.'));
+            return;
+        }
+
+        $zone_id = (int)($this->requestData['id'] ?? 0);
+        if ($zone_id === 0) {
+            $this->showError(_('Invalid zone ID.'));
+            return;
+        }
+
+        $userId = $userContextService->getLoggedInUserId();
+        $userRepository = new DbUserRepository($this->db, $this->getConfig());
+        $permissionService = new PermissionService($userRepository);
+        $perm_view = $permissionService->getViewPermissionLevel($userId);
+        $user_is_zone_owner = UserManager::verifyUserIsOwnerZoneId($this->db, $zone_id);
+
+        if ($perm_view == "none" || ($perm_view == "own" && $user_is_zone_owner == "0")) {
+            $this->showError(_('You do not have permission to view this zone.'));
+            return;
+        }
+
+        $zone_name = $this->createZoneRepository()->getDomainNameById($zone_id);
+        if (!$zone_name) {
+            $this->showError(_('There is no zone with this ID.'));
+            return;
+        }
+
+        $vars = [
+            'zone_id' => $zone_id,
+            'zone_name' => $zone_name,
+            'zone_name_display' => DnsIdnService::toUtf8($zone_name),
+            'max_file_size_human' => $this->createInputReader()->getMaxFileSizeHuman(),
+            'file_version' => time(),
+        ];
+
+        if ($this->isPost()) {
+            $this->validateCsrfToken();
+            $vars = array_merge($vars, $this->compare($zone_id, $zone_name));
+        }
+
+        $this->render('@zone_import_export/diff.html', $vars);
+    }
+
+    /**
+     * Compare the submitted zone file with the records of the zone.
+     *
+     * @return array Template variables with the diff, or with the error
+     */
+    private function compare(int $zone_id, string $zone_name): array
+    {
+        $inputReader = $this->createInputReader();
+        [$content, $filename, $error] = $inputReader->read($_POST, $_FILES);
+        if ($error !== null) {
+            return ['diff_error' => $error];
+        }
+
+        [$origin, $records, $warnings] = $inputReader->parse($content);
+        if (empty($records)) {
+            return ['diff_error' => _('No valid records found in the uploaded file.')];
+        }
+
+        if ($origin !== null && strcasecmp($origin, $zone_name) !== 0) {
+            $warnings[] = sprintf(_('The file is for zone %s, not %s.'), $origin, $zone_name);
+        }
+
+        $recordRepository = $this->getRepositoryFactory($this->createDnsBackendProvider())->createRecordRepository();
+        $zoneRecords = $recordRepository->getRecordsByDomainId($zone_id);
+
+        $differ = new ZoneFileDiffer();
+        $diff = $differ->compareRrsets($records, $zoneRecords);
+
+        return [
+            'diff' => $diff,
+            'filename' => $filename,
+            'warnings' => $warnings,
+        ];
+    }
+
+    private function createInputReader(): ZoneFileInputReader
+    {
+        return new ZoneFileInputReader(
+            (int)$this->getConfig()->get('modules', 'zone_import_export.max_file_size', 1048576),
+            (int)$this->getConfig()->get('modules', 'zone_import_export.auto_ttl_value', 300)
+        );
+    }
+}
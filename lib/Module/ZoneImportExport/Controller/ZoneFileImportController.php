@@ -22,9 +22,11 @@
 
 namespace Poweradmin\Module\ZoneImportExport\Controller;
 
+use Poweradmin\Application\Service\CsrfTokenService;
 use Poweradmin\BaseController;
 use Poweradmin\Domain\Model\Permission;
 use Poweradmin\Domain\Model\UserManager;
+use Poweradmin\Domain\Service\ApiPermissionService;
 use Poweradmin\Domain\Service\DnsIdnService;
 use Poweradmin\Domain\Service\DnsRecord;
 use Poweradmin\Domain\Service\PermissionService;
@@ -37,7 +39,8 @@ use Poweradmin\Application\Service\RecordManagerService;
 use Poweradmin\Infrastructure\Logger\LegacyLogger;
 use Poweradmin\Infrastructure\Repository\DbUserRepository;
 use Poweradmin\Infrastructure\Utility\IpAddressRetriever;
-use Poweradmin\Module\ZoneImportExport\Service\BindZoneFileParser;
+use Poweradmin\Module\ZoneImportExport\Service\ZoneFileDiffer;
+use Poweradmin\Module\ZoneImportExport\Service\ZoneFileInputReader;
 
 class ZoneFileImportController extends BaseController
 {
@@ -67,6 +70,231 @@ class ZoneFileImportController extends BaseController
         $this->handleExecute();
     }
 
+    /**
+     * Parse a zone file without importing it and return the changes it would make as JSON.
+     */
+    public function dryRun(): void
+    {
+        $canAdd = UserManager::verifyPermission($this->db, 'zone_master_add');
+        if (!$canAdd && Permission::getEditPermission($this->db) === 'none') {
+            $this->sendJson(['success' => false, 'message' => _('You do not have permission to import zones.')], 403);
+        }
+
+        if (!$this->isPost()) {
+            $this->sendJson(['success' => false, 'message' => _('Method not allowed.')], 405);
+        }
+
+        if ($this->getConfig()->get('security', 'global_token_validation', true)) {
+            $csrfTokenService = new CsrfTokenService();
+            if (!$csrfTokenService->validateToken($_POST['_token'] ?? '')) {
+                $this->sendJson(['success' => false, 'message' => _('Invalid CSRF token.')], 403);
+            }
+        }
+
+        [$content, $filename, $error] = $this->createInputReader()->read($_POST, $_FILES);
+        if ($error !== null) {
+            $this->sendJson(['success' => false, 'message' => $error], 400);
+        }
+
+        [$origin, $records, $warnings] = $this->createInputReader()->parse($content);
+        if (empty($records)) {
+            $this->sendJson(['success' => false, 'message' => _('No valid records found in the uploaded file.'), 'data' => ['warnings' => $warnings]], 400);
+        }
+
+        [$importMode, $zoneId, $error] = $this->resolveTargetZone(
+            $_POST['import_mode'] ?? 'new',
+            isset($_POST['existing_zone_id']) ? (int)$_POST['existing_zone_id'] : 0,
+            $origin
+        );
+        if ($error !== null) {
+            $this->sendJson(['success' => false, 'message' => $error], 403);
+        }
+
+        $zoneRecords = [];
+        $zoneName = $origin ?? '';
+        $restrictedTypes = [];
+        if ($importMode === 'existing') {
+            $zoneName = $this->createZoneRepository()->getDomainNameById($zoneId) ?? '';
+            $recordRepository = $this->getRepositoryFactory($this->createDnsBackendProvider())->createRecordRepository();
+            $zoneRecords = $recordRepository->getRecordsByDomainId($zoneId);
+
+            $userRepository = new DbUserRepository($this->db, $this->getConfig());
+            $permissionService = new PermissionService($userRepository);
+            if ($permissionService->getEditPermissionLevelForZone($this->db, $this->userContextService->getLoggedInUserId(), $zoneId) === 'own_as_client') {
+                $restrictedTypes = ['NS'];
+            }
+        }
+
+        $differ = new ZoneFileDiffer();
+        $diff = $differ->diff($records, $zoneRecords, $zoneName, $restrictedTypes);
+
+        // Only changes against an existing zone are applied from the diff; a new
+        // zone is created through the regular preview and confirm steps.
+        if ($importMode === 'existing') {
+            $_SESSION['zone_import_diff'] = [
+                'zone_id' => $zoneId,
+                'changes' => $diff['changes'],
+            ];
+        } else {
+            unset($_SESSION['zone_import_diff']);
+        }
+
+        $this->sendJson([
+            'success' => true,
+            'data' => [
+                'origin' => $origin,
+                'filename' => $filename,
+                'import_mode' => $importMode,
+                'zone_id' => $zoneId,
+                'zone_name' => $zoneName,
+                'changes' => $diff['changes'],
+                'summary' => $diff['summary'],
+                'warnings' => $warnings,
+            ],
+        ]);
+    }
+
+    /**
+     * Apply the changes selected from the dry-run diff to the existing zone.
+     */
+    public function apply(): void
+    {
+        $this->checkImportPermission();
+        $this->validateCsrfToken();
+
+        $diff = $_SESSION['zone_import_diff'] ?? null;
+        if (!is_array($diff) || empty($diff['zone_id'])) {
+            $this->showError(_('Import session expired. Please upload the file again.'));
+            return;
+        }
+
+        $zoneId = (int)$diff['zone_id'];
+        $zoneName = $this->createZoneRepository()->getDomainNameById($zoneId);
+        if (!$zoneName) {
+            $this->showError(_('The selected zone does not exist.'));
+            return;
+        }
+
+        $userId = $this->userContextService->getLoggedInUserId();
+        $userRepository = new DbUserRepository($this->db, $this->getConfig());
+        $permissionService = new PermissionService($userRepository);
+        if ($permissionService->getEditPermissionLevelForZone($this->db, $userId, $zoneId) === 'none') {
+            $this->showError(_('You do not have permission to modify this zone.'));
+            return;
+        }
+
+        $selected = array_map('intval', (array)($_POST['changes'] ?? []));
+        if (empty($selected)) {
+            $this->showError(_('Select at least one change to apply.'));
+            return;
+        }
+
+        $userLogin = $this->userContextService->getLoggedInUsername();
+        $ipRetriever = new IpAddressRetriever($_SERVER);
+        $clientIp = $ipRetriever->getClientIp();
+
+        $dnsRecord = new DnsRecord($this->db, $this->getConfig());
+        [$recordManager, $recordRepository] = $this->createRecordServices($dnsRecord);
+        $apiPermissionService = new ApiPermissionService($this->db);
+        $zoneType = $dnsRecord->getDomainType($zoneId);
+
+        $counts = ['add' => 0, 'change' => 0, 'remove' => 0, 'fail' => 0];
+
+        foreach ($diff['changes'] as $change) {
+            if (!in_array($change['id'], $selected, true) || $change['action'] === ZoneFileDiffer::ACTION_SKIP) {
+                continue;
+            }
+
+            $record = $change['record'];
+            $current = $change['current'];
+
+            // The diff is kept in the session, so the record types are checked again before writing
+            $types = array_filter([$record['type'] ?? null, $current['type'] ?? null]);
+            foreach ($types as $type) {
+                if (!$apiPermissionService->canEditZoneRecord($userId, $zoneId, $type, $zoneType)) {
+                    $counts['fail']++;
+                    continue 2;
+                }
+            }
+
+            // Changes and removals only apply to the record as it was when the diff was made
+            if ($current !== null) {
+                $existing = $recordRepository->getRecordById($current['id']);
+                if (
+                    $existing === null
+                    || (int)$existing['domain_id'] !== $zoneId
+                    || $existing['content'] !== $current['content']
+                    || (int)$existing['ttl'] !== $current['ttl']
+                    || (int)($existing['prio'] ?? 0) !== $current['priority']
+                ) {
+                    $counts['fail']++;
+                    continue;
+                }
+            }
+
+            $result = match ($change['action']) {
+                ZoneFileDiffer::ACTION_ADD => $recordManager->createRecord(
+                    $zoneId,
+                    $record['name'],
+                    $record['type'],
+                    $record['content'],
+                    $record['ttl'],
+                    $record['priority'],
+                    '',
+                    $userLogin,
+                    $clientIp
+                ),
+                ZoneFileDiffer::ACTION_CHANGE => $dnsRecord->editRecord([
+                    'rid' => $current['id'],
+                    'zid' => $zoneId,
+                    'name' => $record['name'],
+                    'type' => $record['type'],
+                    'content' => $record['content'],
+                    'ttl' => $record['ttl'],
+                    'prio' => $record['priority'],
+                    'disabled' => $existing['disabled'] ?? 0,
+                ]),
+                ZoneFileDiffer::ACTION_REMOVE => $dnsRecord->deleteRecord($current['id']),
+                default => false,
+            };
+
+            if ($result) {
+                $counts[$change['action']]++;
+            } else {
+                $counts['fail']++;
+            }
+        }
+
+        unset($_SESSION['zone_import_diff']);
+
+        if ($counts['add'] + $counts['change'] + $counts['remove'] > 0) {
+            $dnsRecord->updateSOASerial($zoneId);
+        }
+
+        $logger = new LegacyLogger($this->db);
+        $logger->logInfo(sprintf(
+            'client_ip:%s user:%s operation:zone_import_records zone_name:%s added:%d changed:%d removed:%d failed:%d',
+            $clientIp,
+            $userLogin,
+            $zoneName,
+            $counts['add'],
+            $counts['change'],
+            $counts['remove'],
+            $counts['fail']
+        ), $zoneId);
+
+        $this->showForm([
+            'result' => true,
+            'success_count' => $counts['add'],
+            'changed_count' => $counts['change'],
+            'removed_count' => $counts['remove'],
+            'fail_count' => $counts['fail'],
+            'skip_count' => 0,
+            'zone_id' => $zoneId,
+            'zone_name' => $zoneName,
+        ]);
+    }
+
     private function checkImportPermission(): void
     {
         $canAdd = UserManager::verifyPermission($this->db, 'zone_master_add');
@@ -79,7 +307,7 @@ class ZoneFileImportController extends BaseController
 
     private function showForm(array $extra = []): void
     {
-        $maxFileSize = $this->getConfig()->get('modules', 'zone_import_export.max_file_size', 1048576);
+        $inputReader = $this->createInputReader();
 
         $targetZoneId = 0;
         $targetZoneName = '';
@@ -100,11 +328,12 @@ class ZoneFileImportController extends BaseController
         }
 
         $vars = array_merge([
-            'max_file_size' => $maxFileSize,
-            'max_file_size_human' => $this->formatBytes($maxFileSize),
+            'max_file_size' => $inputReader->getMaxFileSize(),
+            'max_file_size_human' => $inputReader->getMaxFileSizeHuman(),
             'csrf_token' => $this->getCsrfToken(),
             'target_zone_id' => $targetZoneId,
             'target_zone_name' => $targetZoneName,
+            'file_version' => time(),
         ], $extra);
 
         $this->render('@zone_import_export/import.html', $vars);
@@ -114,75 +343,29 @@ class ZoneFileImportController extends BaseController
     {
         $this->validateCsrfToken();
 
-        if (!isset($_FILES['zone_file']) || $_FILES['zone_file']['error'] !== UPLOAD_ERR_OK) {
-            $this->showError(_('Please select a valid zone file to upload.'));
+        [$content, $filename, $error] = $this->createInputReader()->read($_POST, $_FILES);
+        if ($error !== null) {
+            $this->showError($error);
             return;
         }
 
-        $maxFileSize = $this->getConfig()->get('modules', 'zone_import_export.max_file_size', 1048576);
-        if ($_FILES['zone_file']['size'] > $maxFileSize) {
-            $this->showError(sprintf(_('File size exceeds the maximum allowed size of %s.'), $this->formatBytes($maxFileSize)));
-            return;
-        }
-
-        $content = file_get_contents($_FILES['zone_file']['tmp_name']);
-        if ($content === false || trim($content) === '') {
-            $this->showError(_('The uploaded file is empty or could not be read.'));
-            return;
-        }
-
-        $autoTtlValue = $this->getConfig()->get('modules', 'zone_import_export.auto_ttl_value', 300);
-        $parser = new BindZoneFileParser($autoTtlValue);
-        $parsed = $parser->parse($content);
-
-        if ($parsed->getRecordCount() === 0) {
+        [$origin, $records, $warnings] = $this->createInputReader()->parse($content);
+        if (empty($records)) {
             $this->showError(_('No valid records found in the uploaded file.'));
             return;
         }
 
-        // Convert IDN names
-        $records = [];
-        foreach ($parsed->getRecords() as $record) {
-            if (DnsIdnService::isIdn($record->name)) {
-                $record->name = DnsIdnService::toPunycode($record->name);
-            }
-            $records[] = $record;
-        }
-
-        $origin = $parsed->getOrigin();
-        if ($origin !== null && DnsIdnService::isIdn($origin)) {
-            $origin = DnsIdnService::toPunycode($origin);
-        }
-
         // Filter out SOA records (Poweradmin creates its own)
         $filteredRecords = array_values(array_filter($records, fn($r) => $r->type !== 'SOA'));
 
-        $importMode = $_POST['import_mode'] ?? 'new';
-        $existingZoneId = isset($_POST['existing_zone_id']) ? (int)$_POST['existing_zone_id'] : 0;
-
-        $userId = $this->userContextService->getLoggedInUserId();
-        $userRepository = new DbUserRepository($this->db, $this->getConfig());
-        $permissionService = new PermissionService($userRepository);
-
-        // Verify permission when importing into an existing zone via POST
-        if ($importMode === 'existing' && $existingZoneId > 0) {
-            $permEdit = $permissionService->getEditPermissionLevelForZone($this->db, $userId, $existingZoneId);
-            if ($permEdit === 'none') {
-                $this->showError(_('You do not have permission to modify this zone.'));
-                return;
-            }
-        }
-
-        // Auto-detect existing zone when importing from the menu
-        $dnsRecord = new DnsRecord($this->db, $this->getConfig());
-        if ($importMode === 'new' && $origin !== null && $dnsRecord->domainExists($origin)) {
-            $existingZoneId = $dnsRecord->getZoneIdFromName($origin) ?? 0;
-            if ($existingZoneId > 0) {
-                $permEdit = $permissionService->getEditPermissionLevelForZone($this->db, $userId, $existingZoneId);
-                if ($permEdit !== 'none') {
-                    $importMode = 'existing';
-                }
-            }
+        [$importMode, $existingZoneId, $error] = $this->resolveTargetZone(
+            $_POST['import_mode'] ?? 'new',
+            isset($_POST['existing_zone_id']) ? (int)$_POST['existing_zone_id'] : 0,
+            $origin
+        );
+        if ($error !== null) {
+            $this->showError($error);
+            return;
         }
 
         // Store parsed data in session for the execute step
@@ -195,8 +378,8 @@ class ZoneFileImportController extends BaseController
                 'ttl' => $r->ttl,
                 'priority' => $r->priority,
             ], $filteredRecords)),
-            'warnings' => $parsed->getWarnings(),
-            'filename' => $_FILES['zone_file']['name'],
+            'warnings' => $warnings,
+            'filename' => $filename,
         ];
 
         // Build preview data
@@ -215,9 +398,9 @@ class ZoneFileImportController extends BaseController
             'preview' => true,
             'records' => $previewRecords,
             'record_count' => count($filteredRecords),
-            'warnings' => $parsed->getWarnings(),
+            'warnings' => $warnings,
             'origin' => $origin,
-            'filename' => $_FILES['zone_file']['name'],
+            'filename' => $filename,
             'import_mode' => $importMode,
             'existing_zone_id' => $existingZoneId,
         ];
@@ -392,22 +575,7 @@ class ZoneFileImportController extends BaseController
         }
 
         // Import records
-        $backendProvider = $this->createDnsBackendProvider();
-        $repositoryFactory = $this->getRepositoryFactory($backendProvider);
-        $recordCommentRepository = $repositoryFactory->createRecordCommentRepository();
-        $recordCommentService = new RecordCommentService($recordCommentRepository);
-        $recordRepository = $repositoryFactory->createRecordRepository();
-        $commentSyncService = new RecordCommentSyncService($recordCommentService, $recordRepository, $backendProvider);
-        $logger = new LegacyLogger($this->db);
-        $recordManager = new RecordManagerService(
-            $this->db,
-            $dnsRecord,
-            $recordCommentService,
-            $commentSyncService,
-            $logger,
-            $this->getConfig(),
-            $backendProvider
-        );
+        [$recordManager, $recordRepository] = $this->createRecordServices($dnsRecord);
 
         $successCount = 0;
         $failCount = 0;
@@ -467,14 +635,82 @@ class ZoneFileImportController extends BaseController
         ]);
     }
 
-    private function formatBytes(int $bytes): string
+    private function createInputReader(): ZoneFileInputReader
+    {
+        return new ZoneFileInputReader(
+            (int)$this->getConfig()->get('modules', 'zone_import_export.max_file_size', 1048576),
+            (int)$this->getConfig()->get('modules', 'zone_import_export.auto_ttl_value', 300)
+        );
+    }
+
+    /**
+     * Decide whether the file goes into an existing zone, checking the user's permission on it.
+     *
+     * @return array{0: string, 1: int, 2: string|null} Import mode, existing zone ID and error message
+     */
+    private function resolveTargetZone(string $importMode, int $existingZoneId, ?string $origin): array
     {
-        if ($bytes >= 1048576) {
-            return round($bytes / 1048576, 1) . ' MB';
+        $userId = $this->userContextService->getLoggedInUserId();
+        $userRepository = new DbUserRepository($this->db, $this->getConfig());
+        $permissionService = new PermissionService($userRepository);
+
+        // Verify permission when importing into an existing zone via POST
+        if ($importMode === 'existing' && $existingZoneId > 0) {
+            $permEdit = $permissionService->getEditPermissionLevelForZone($this->db, $userId, $existingZoneId);
+            if ($permEdit === 'none') {
+                return [$importMode, $existingZoneId, _('You do not have permission to modify this zone.')];
+            }
+        }
+
+        // Auto-detect existing zone when importing from the menu
+        $dnsRecord = new DnsRecord($this->db, $this->getConfig());
+        if ($importMode === 'new' && $origin !== null && $dnsRecord->domainExists($origin)) {
+            $existingZoneId = $dnsRecord->getZoneIdFromName($origin) ?? 0;
+            if ($existingZoneId > 0) {
+                $permEdit = $permissionService->getEditPermissionLevelForZone($this->db, $userId, $existingZoneId);
+                if ($permEdit !== 'none') {
+                    $importMode = 'existing';
+                }
+            }
         }
-        return round($bytes / 1024, 1) . ' KB';
+
+        if ($importMode !== 'existing' || $existingZoneId <= 0) {
+            $importMode = 'new';
+        }
+
+        return [$importMode, $existingZoneId, null];
     }
 
+    /**
+     * @return array{0: RecordManagerService, 1: \Poweradmin\Domain\Repository\RecordRepositoryInterface}
+     */
+    private function createRecordServices(DnsRecord $dnsRecord): array
+    {
+        $backendProvider = $this->createDnsBackendProvider();
+        $repositoryFactory = $this->getRepositoryFactory($backendProvider);
+        $recordCommentRepository = $repositoryFactory->createRecordCommentRepository();
+        $recordCommentService = new RecordCommentService($recordCommentRepository);
+        $recordRepository = $repositoryFactory->createRecordRepository();
+        $commentSyncService = new RecordCommentSyncService($recordCommentService, $recordRepository, $backendProvider);
+        $logger = new LegacyLogger($this->db);
+        $recordManager = new RecordManagerService(
+            $this->db,
+            $dnsRecord,
+            $recordCommentService,
+            $commentSyncService,
+            $logger,
+            $this->getConfig(),
+            $backendProvider
+        );
+
+        return [$recordManager, $recordRepository];
+    }
+
+    /**
+     * @param array $data Response body
+     * @param int $status HTTP status code
+     */
+
     private function getCsrfToken(): string
     {
         return $_SESSION['csrf_token'] ?? '';
@@ -0,0 +1,344 @@
+<?php
+
+/*  Poweradmin, a friendly web-based admin tool for PowerDNS.
+ *  See <https://www.poweradmin.org> for more details.
+ *
+ *  Copyright 2007-2010 Rejo Zenger <rejo@zenger.nl>
+ *  Copyright 2010-2026 Poweradmin Development Team
+ *
+ *  This program is free software: you can redistribute it and/or modify
+ *  it under the terms of the GNU General Public License as published by
+ *  the Free Software Foundation, either version 3 of the License, or
+ *  (at your option) any later version.
+ *
+ *  This program is distributed in the hope that it will be useful,
+ *  but WITHOUT ANY WARRANTY; without even the implied warranty of
+ *  MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ *  GNU General Public License for more details.
+ *
+ *  You should have received a copy of the GNU General Public License
+ *  along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+namespace Poweradmin\Module\ZoneImportExport\Service;
+
+/**
+ * Compares the records of a parsed zone file with the records of a zone.
+ *
+ * Records are matched per RRset (name and type). A record with the same
+ * content on both sides is unchanged, or changed when only its TTL or
+ * priority differ. When an RRset holds exactly one unmatched record on each
+ * side, the pair is reported as a content change; any other unmatched
+ * records are additions (file only) or removals (zone only). File records
+ * that cannot be imported are reported as skipped with the reason.
+ *
+ * compareRrsets() uses the same matching to line up an exported snapshot
+ * with the zone for a side-by-side view of every RRset.
+ */
+class ZoneFileDiffer
+{
+    public const ACTION_ADD = 'add';
+    public const ACTION_REMOVE = 'remove';
+    public const ACTION_CHANGE = 'change';
+    public const ACTION_SKIP = 'skip';
+
+    public const STATE_UNCHANGED = 'unchanged';
+    public const STATE_ADDED = 'added';
+    public const STATE_REMOVED = 'removed';
+    public const STATE_CHANGED = 'changed';
+
+    // Types whose content is a host name, compared without case and trailing dot
+    private const TYPES_WITH_NAME_CONTENT = [
+        'MX', 'NS', 'CNAME', 'PTR', 'DNAME', 'AFSDB', 'KX', 'ALIAS',
+    ];
+
+    /**
+     * Build the list of changes that importing the file would make.
+     *
+     * @param ParsedRecord[] $fileRecords Records parsed from the zone file
+     * @param array $zoneRecords Zone records with keys: id, name, type, content, ttl, prio
+     * @param string $zoneName Name of the zone the file is compared with
+     * @param string[] $restrictedTypes Record types the user may not change in this zone
+     * @return array{changes: array, summary: array<string, int>}
+     */
+    public function diff(array $fileRecords, array $zoneRecords, string $zoneName, array $restrictedTypes = []): array
+    {
+        $changes = [];
+        $unchanged = 0;
+        $zoneName = strtolower(rtrim($zoneName, '.'));
+        $restrictedTypes = array_map('strtoupper', $restrictedTypes);
+
+        // Group the importable file records and the zone records by RRset
+        $fileSets = [];
+        $seen = [];
+        foreach ($fileRecords as $record) {
+            $reason = $this->getSkipReason($record, $zoneName, $restrictedTypes);
+            $key = $this->rrsetKey($record->name, $record->type);
+            $contentKey = $key . '|' . $this->normalizeContent($record->type, $record->content);
+
+            if ($reason === null && isset($seen[$contentKey])) {
+                $reason = _('Duplicate of another record in the file.');
+            }
+            if ($reason !== null) {
+                $changes[] = $this->buildChange(self::ACTION_SKIP, $record, null, $reason);
+                continue;
+            }
+
+            $seen[$contentKey] = true;
+            $fileSets[$key][] = $record;
+        }
+
+        // Records the user may not change stay out of the diff, so they are never offered for removal
+        $zoneSets = [];
+        foreach ($zoneRecords as $record) {
+            $type = strtoupper($record['type']);
+            if ($type === 'SOA' || in_array($type, $restrictedTypes, true)) {
+                continue;
+            }
+            $zoneSets[$this->rrsetKey($record['name'], $record['type'])][] = $record;
+        }
+
+        $removals = [];
+        foreach (array_unique(array_merge(array_keys($fileSets), array_keys($zoneSets))) as $key) {
+            $fileLeft = $fileSets[$key] ?? [];
+            $zoneLeft = $zoneSets[$key] ?? [];
+
+            // Same content on both sides
+            foreach ($fileLeft as $fileIndex => $record) {
+                foreach ($zoneLeft as $zoneIndex => $current) {
+                    if ($this->normalizeContent($record->type, $record->content) !== $this->normalizeContent($current['type'], $current['content'])) {
+                        continue;
+                    }
+
+                    if ($record->ttl === (int)$current['ttl'] && $record->priority === (int)($current['prio'] ?? 0)) {
+                        $unchanged++;
+                    } else {
+                        $changes[] = $this->buildChange(self::ACTION_CHANGE, $record, $current);
+                    }
+                    unset($fileLeft[$fileIndex], $zoneLeft[$zoneIndex]);
+                    break;
+                }
+            }
+
+            // A single record replaced by a single record is a content change
+            if (count($fileLeft) === 1 && count($zoneLeft) === 1) {
+                $changes[] = $this->buildChange(self::ACTION_CHANGE, reset($fileLeft), reset($zoneLeft));
+                continue;
+            }
+
+            foreach ($fileLeft as $record) {
+                $changes[] = $this->buildChange(self::ACTION_ADD, $record, null);
+            }
+            foreach ($zoneLeft as $current) {
+                $removals[] = $this->buildChange(self::ACTION_REMOVE, null, $current);
+            }
+        }
+
+        $changes = array_merge($changes, $removals);
+        foreach ($changes as $index => &$change) {
+            $change['id'] = $index;
+        }
+        unset($change);
+
+        $summary = [
+            self::ACTION_ADD => 0,
+            self::ACTION_REMOVE => 0,
+            self::ACTION_CHANGE => 0,
+            self::ACTION_SKIP => 0,
+            'unchanged' => $unchanged,
+        ];
+        foreach ($changes as $change) {
+            $summary[$change['action']]++;
+        }
+
+        return ['changes' => $changes, 'summary' => $summary];
+    }
+
+    /**
+     * Line up the RRsets of a zone file snapshot with the RRsets of the zone.
+     *
+     * Each RRset holds rows pairing a snapshot record (before) with a zone
+     * record (after). Unlike diff(), nothing is skipped: the SOA and records
+     * outside the zone are compared like any other RRset.
+     *
+     * @param ParsedRecord[] $snapshotRecords Records parsed from the snapshot
+     * @param array $zoneRecords Zone records with keys: name, type, content, ttl, prio
+     * @return array{rrsets: array, summary: array<string, int>, types: string[]}
+     */
+    public function compareRrsets(array $snapshotRecords, array $zoneRecords): array
+    {
+        $sets = [];
+        foreach ($snapshotRecords as $record) {
+            $key = $this->rrsetKey($record->name, $record->type);
+            $sets[$key]['name'] ??= strtolower(rtrim($record->name, '.'));
+            $sets[$key]['type'] ??= strtoupper($record->type);
+            $sets[$key]['before'][] = [
+                'content' => $record->content,
+                'ttl' => $record->ttl,
+                'priority' => $record->priority,
+            ];
+        }
+        foreach ($zoneRecords as $record) {
+            $key = $this->rrsetKey($record['name'], $record['type']);
+            $sets[$key]['name'] ??= strtolower(rtrim($record['name'], '.'));
+            $sets[$key]['type'] ??= strtoupper($record['type']);
+            $sets[$key]['after'][] = [
+                'content' => $record['content'],
+                'ttl' => (int)$record['ttl'],
+                'priority' => (int)($record['prio'] ?? 0),
+            ];
+        }
+
+        $rrsets = [];
+        $summary = [
+            self::STATE_UNCHANGED => 0,
+            self::STATE_ADDED => 0,
+            self::STATE_REMOVED => 0,
+            self::STATE_CHANGED => 0,
+        ];
+
+        foreach ($sets as $set) {
+            $rows = $this->pairRrsetRecords($set['type'], $set['before'] ?? [], $set['after'] ?? []);
+            $states = array_unique(array_column($rows, 'state'));
+            $status = count($states) === 1 ? reset($states) : self::STATE_CHANGED;
+
+            $summary[$status]++;
+            $rrsets[] = [
+                'name' => $set['name'],
+                'type' => $set['type'],
+                'status' => $status,
+                'rows' => $rows,
+            ];
+        }
+
+        // Parent names before their children, the SOA first within a name
+        usort($rrsets, function (array $a, array $b): int {
+            $byName = strcmp(
+                implode('.', array_reverse(explode('.', $a['name']))),
+                implode('.', array_reverse(explode('.', $b['name'])))
+            );
+            if ($byName !== 0) {
+                return $byName;
+            }
+            return [$a['type'] !== 'SOA', $a['type']] <=> [$b['type'] !== 'SOA', $b['type']];
+        });
+
+        $types = array_values(array_unique(array_column($rrsets, 'type')));
+        sort($types);
+
+        return ['rrsets' => $rrsets, 'summary' => $summary, 'types' => $types];
+    }
+
+    /**
+     * Pair the records of one RRset, matching equal content first.
+     *
+     * @param array $before Snapshot records with keys: content, ttl, priority
+     * @param array $after Zone records with keys: content, ttl, priority
+     * @return array<array{state: string, before: array|null, after: array|null}>
+     */
+    private function pairRrsetRecords(string $type, array $before, array $after): array
+    {
+        $rows = [];
+        foreach ($before as $beforeIndex => $old) {
+            foreach ($after as $afterIndex => $new) {
+                if ($this->normalizeContent($type, $old['content']) !== $this->normalizeContent($type, $new['content'])) {
+                    continue;
+                }
+
+                $same = $old['ttl'] === $new['ttl'] && $old['priority'] === $new['priority'];
+                $rows[] = ['state' => $same ? self::STATE_UNCHANGED : self::STATE_CHANGED, 'before' => $old, 'after' => $new];
+                unset($before[$beforeIndex], $after[$afterIndex]);
+                break;
+            }
+        }
+
+        if (count($before) === 1 && count($after) === 1) {
+            $rows[] = ['state' => self::STATE_CHANGED, 'before' => reset($before), 'after' => reset($after)];
+            return $rows;
+        }
+
+        foreach ($before as $old) {
+            $rows[] = ['state' => self::STATE_REMOVED, 'before' => $old, 'after' => null];
+        }
+        foreach ($after as $new) {
+            $rows[] = ['state' => self::STATE_ADDED, 'before' => null, 'after' => $new];
+        }
+
+        return $rows;
+    }
+
+    /**
+     * Explain why a file record cannot be imported.
+     *
+     * @return string|null Reason, or null if the record can be imported
+     */
+    private function getSkipReason(ParsedRecord $record, string $zoneName, array $restrictedTypes): ?string
+    {
+        if ($record->type === 'SOA') {
+            return _('The SOA record is managed by Poweradmin.');
+        }
+
+        $name = strtolower($record->name);
+        if ($zoneName !== '' && $name !== $zoneName && !str_ends_with($name, '.' . $zoneName)) {
+            return _('The record name is outside the zone.');
+        }
+
+        if (in_array($record->type, $restrictedTypes, true)) {
+            return sprintf(_('You do not have permission to change %s records.'), $record->type);
+        }
+
+        return null;
+    }
+
+    private function rrsetKey(string $name, string $type): string
+    {
+        return strtolower(rtrim($name, '.')) . '|' . strtoupper($type);
+    }
+
+    private function normalizeContent(string $type, string $content): string
+    {
+        $content = trim(preg_replace('/\s+/', ' ', $content));
+        $type = strtoupper($type);
+        if (in_array($type, self::TYPES_WITH_NAME_CONTENT, true)) {
+            return strtolower(rtrim($content, '.'));
+        }
+
+        // Host names inside the rdata are compared like the content of the types above
+        if ($type === 'SOA' || $type === 'SRV') {
+            $parts = explode(' ', $content);
+            $hostFields = $type === 'SOA' ? [0, 1] : [count($parts) - 1];
+            foreach ($hostFields as $index) {
+                $parts[$index] = strtolower(rtrim($parts[$index], '.'));
+            }
+            return implode(' ', $parts);
+        }
+        return $content;
+    }
+
+    /**
+     * @param ParsedRecord|null $record Record from the file
+     * @param array|null $current Record in the zone
+     */
+    private function buildChange(string $action, ?ParsedRecord $record, ?array $current, ?string $reason = null): array
+    {
+        return [
+            'action' => $action,
+            'record' => $record === null ? null : [
+                'name' => $record->name,
+                'type' => $record->type,
+                'content' => $record->content,
+                'ttl' => $record->ttl,
+                'priority' => $record->priority,
+            ],
+            'current' => $current === null ? null : [
+                'id' => $current['id'],
+                'name' => $current['name'],
+                'type' => $current['type'],
+                'content' => $current['content'],
+                'ttl' => (int)$current['ttl'],
+                'priority' => (int)($current['prio'] ?? 0),
+            ],
+            'reason' => $reason,
+        ];
+    }
+}
@@ -0,0 +1,128 @@
+<?php
+
+/*  Poweradmin, a friendly web-based admin tool for PowerDNS.
+ *  See <https://www.poweradmin.org> for more details.
+ *
+ *  Copyright 2007-2010 Rejo Zenger <rejo@zenger.nl>
+ *  Copyright 2010-2026 Poweradmin Development Team
+ *
+ *  This program is free software: you can redistribute it and/or modify
+ *  it under the terms of the GNU General Public License as published by
+ *  the Free Software Foundation, either version 3 of the License, or
+ *  (at your option) any later version.
+ *
+ *  This program is distributed in the hope that it will be useful,
+ *  but WITHOUT ANY WARRANTY; without even the implied warranty of
+ *  MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ *  GNU General Public License for more details.
+ *
+ *  You should have received a copy of the GNU General Public License
+ *  along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+namespace Poweradmin\Module\ZoneImportExport\Service;
+
+use Poweradmin\Domain\Service\DnsIdnService;
+
+/**
+ * Reads a zone file from an upload or pasted text and parses it.
+ *
+ * Shared by the import and diff pages, which take the same zone_file upload
+ * and zone_content text field.
+ */
+class ZoneFileInputReader
+{
+    private int $maxFileSize;
+    private int $autoTtlValue;
+
+    public function __construct(int $maxFileSize, int $autoTtlValue)
+    {
+        $this->maxFileSize = $maxFileSize;
+        $this->autoTtlValue = $autoTtlValue;
+    }
+
+    public function getMaxFileSize(): int
+    {
+        return $this->maxFileSize;
+    }
+
+    public function getMaxFileSizeHuman(): string
+    {
+        return self::formatBytes($this->maxFileSize);
+    }
+
+    /**
+     * Read the zone file from the upload, or from the pasted text when no file was chosen.
+     *
+     * @param array $post Request body, read for zone_content
+     * @param array $files Uploaded files, read for zone_file
+     * @return array{0: string, 1: string, 2: string|null} Content, file name and error message
+     */
+    public function read(array $post, array $files): array
+    {
+        $pasted = $post['zone_content'] ?? '';
+        $upload = $files['zone_file'] ?? null;
+        $hasUpload = is_array($upload) && $upload['error'] !== UPLOAD_ERR_NO_FILE;
+
+        if (!$hasUpload && is_string($pasted) && trim($pasted) !== '') {
+            if (strlen($pasted) > $this->maxFileSize) {
+                return ['', '', $this->sizeError()];
+            }
+            return [$pasted, _('Pasted zone file'), null];
+        }
+
+        if (!$hasUpload || $upload['error'] !== UPLOAD_ERR_OK) {
+            return ['', '', _('Please select a valid zone file to upload.')];
+        }
+
+        if ($upload['size'] > $this->maxFileSize) {
+            return ['', '', $this->sizeError()];
+        }
+
+        $content = file_get_contents($upload['tmp_name']);
+        if ($content === false || trim($content) === '') {
+            return ['', '', _('The uploaded file is empty or could not be read.')];
+        }
+
+        return [$content, $upload['name'], null];
+    }
+
+    /**
+     * Parse a zone file, converting IDN names to punycode.
+     *
+     * @return array{0: string|null, 1: ParsedRecord[], 2: string[]} Origin, records and warnings
+     */
+    public function parse(string $content): array
+    {
+        $parser = new BindZoneFileParser($this->autoTtlValue);
+        $parsed = $parser->parse($content);
+
+        $records = [];
+        foreach ($parsed->getRecords() as $record) {
+            if (DnsIdnService::isIdn($record->name)) {
+                $record->name = DnsIdnService::toPunycode($record->name);
+            }
+            $records[] = $record;
+        }
+
+        $origin = $parsed->getOrigin();
+        if ($origin !== null && DnsIdnService::isIdn($origin)) {
+            $origin = DnsIdnService::toPunycode($origin);
+        }
+
+        return [$origin, $records, $parsed->getWarnings()];
+    }
+
+    public static function formatBytes(int $bytes): string
+    {
+        if ($bytes >= 1048576) {
+            return round($bytes / 1048576, 1) . ' MB';
+        }
+        return round($bytes / 1024, 1) . ' KB';
+    }
+
+    private function sizeError(): string
+    {
+        return sprintf(_('File size exceeds the maximum allowed size of %s.'), $this->getMaxFileSizeHuman());
+    }
+}
@@ -56,6 +56,18 @@ class ZoneImportExportModule implements ModuleInterface
                 'controller' => 'Poweradmin\Module\ZoneImportExport\Controller\ZoneFileImportController::execute',
                 'methods' => ['POST'],
             ],
+            [
+                'name' => 'module_zone_import_dry_run',
+                'path' => '/tools/zone-import/dry-run',
+                'controller' => 'Poweradmin\Module\ZoneImportExport\Controller\ZoneFileImportController::dryRun',
+                'methods' => ['POST'],
+            ],
+            [
+                'name' => 'module_zone_import_apply',
+                'path' => '/tools/zone-import/apply',
+                'controller' => 'Poweradmin\Module\ZoneImportExport\Controller\ZoneFileImportController::apply',
+                'methods' => ['POST'],
+            ],
             [
                 'name' => 'module_zone_export',
                 'path' => '/zones/{id}/export/zonefile',
@@ -63,6 +75,13 @@ class ZoneImportExportModule implements ModuleInterface
                 'methods' => ['GET'],
                 'requirements' => ['id' => '\d+'],
             ],
+            [
+                'name' => 'module_zone_diff',
+                'path' => '/zones/{id}/diff',
+                'controller' => 'Poweradmin\Module\ZoneImportExport\Controller\ZoneFileDiffController::run',
+                'methods' => ['GET', 'POST'],
+                'requirements' => ['id' => '\d+'],
+            ],
         ];
     }
 
@@ -81,7 +100,7 @@ class ZoneImportExportModule implements ModuleInterface
 
     public function getCapabilities(): array
     {
-        return ['zone_export', 'zone_import'];
+        return ['zone_export', 'zone_import', 'zone_diff'];
     }
 
     public function getCapabilityData(string $capability): array
@@ -95,6 +114,15 @@ class ZoneImportExportModule implements ModuleInterface
                 ],
             ];
         }
+        if ($capability === 'zone_diff') {
+            return [
+                [
+                    'label' => 'Compare with file',
+                    'url_pattern' => '/zones/{id}/diff',
+                    'icon' => 'file-diff',
+                ],
+            ];
+        }
         return [];
     }
 
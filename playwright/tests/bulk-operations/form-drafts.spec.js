@@ -0,0 +1,81 @@
+/**
+ * Form Drafts Tests
+ *
+ * Tests for keeping unsaved input of long forms in localStorage and
+ * offering to restore it on the next visit.
+ */
+
+import { test, expect } from '@playwright/test';
+import { loginAndWaitForDashboard } from '../../helpers/auth.js';
+import users from '../../fixtures/users.json' assert { type: 'json' };
+
+// Helper to get a zone ID for testing
+async function getTestZoneId(page) {
+  await page.goto('/zones/forward?letter=all');
+  const editLink = page.locator('a[href*="/edit"]').first();
+  if (await editLink.count() > 0) {
+    const href = await editLink.getAttribute('href');
+    const match = href.match(/\/zones\/(\d+)\/edit/);
+    return match ? match[1] : null;
+  }
+  return null;
+}
+
+// Helper to type into the bulk record form and reload the page
+async function leaveBulkDraft(page, zoneId, text) {
+  await page.goto(`/zones/${zoneId}/records/bulk`);
+  const records = page.locator('form[data-form-draft] #records');
+  if (await records.count() === 0) return false;
+
+  await records.fill(text);
+  // Drafts are saved shortly after the last change
+  await page.waitForTimeout(800);
+  await page.reload();
+  return true;
+}
+
+test.describe('Form Drafts', () => {
+  test('should offer to restore unsaved bulk records', async ({ page }) => {
+    await loginAndWaitForDashboard(page, users.admin.username, users.admin.password);
+    const zoneId = await getTestZoneId(page);
+    if (!zoneId) return;
+
+    const text = 'draft-a,A,192.0.2.10\ndraft-b,A,192.0.2.11';
+    if (!await leaveBulkDraft(page, zoneId, text)) return;
+
+    const prompt = page.locator('[data-form-draft-prompt]');
+    await expect(prompt).toBeVisible();
+    await prompt.locator('[data-draft-restore]').click();
+
+    await expect(page.locator('#records')).toHaveValue(text);
+    await expect(prompt).toHaveCount(0);
+  });
+
+  test('should forget the draft when discarded', async ({ page }) => {
+    await loginAndWaitForDashboard(page, users.admin.username, users.admin.password);
+    const zoneId = await getTestZoneId(page);
+    if (!zoneId) return;
+
+    if (!await leaveBulkDraft(page, zoneId, 'discard-me,A,192.0.2.12')) return;
+
+    await page.locator('[data-form-draft-prompt] [data-draft-discard]').click();
+    await page.reload();
+
+    await expect(page.locator('[data-form-draft-prompt]')).toHaveCount(0);
+    await expect(page.locator('#records')).toHaveValue('');
+  });
+
+  test('should keep drafts of different zones apart', async ({ page }) => {
+    await loginAndWaitForDashboard(page, users.admin.username, users.admin.password);
+    const zoneId = await getTestZoneId(page);
+    if (!zoneId) return;
+
+    if (!await leaveBulkDraft(page, zoneId, 'zone-scoped,A,192.0.2.13')) return;
+
+    const keys = await page.evaluate(() => Object.keys(localStorage).filter(key => key.startsWith('poweradmin.draft.')));
+    expect(keys.some(key => key.endsWith(`.bulk-records:${zoneId}`))).toBeTruthy();
+
+    // Clean up
+    await page.locator('[data-form-draft-prompt] [data-draft-discard]').click();
+  });
+});
@@ -0,0 +1,90 @@
+/**
+ * DNSSEC DS Check Tests
+ *
+ * Tests for the registrar exports and the parent DS check on the DS and
+ * DNSKEY page.
+ */
+
+import { test, expect } from '../../fixtures/test-fixtures.js';
+import { ensureZoneExists } from '../../helpers/zones.js';
+
+test.describe.configure({ mode: 'serial' });
+
+test.describe('DNSSEC DS Check', () => {
+  const zoneName = 'ds-check-test.example.com';
+  let zoneId = null;
+
+  test('should create the zone for the check', async ({ adminPage: page }) => {
+    zoneId = await ensureZoneExists(page, zoneName, 'master');
+    expect(zoneId).toBeTruthy();
+  });
+
+  test('should tell key tag, algorithm and digest mismatches apart', async ({ adminPage: page }) => {
+    await page.goto(`/zones/${zoneId}/dnssec/ds-dnskey`);
+
+    const statuses = await page.evaluate(() => {
+      const zone = ['z. IN DS 12345 13 2 ABCD'].map(DnssecRecords.parseDs);
+      return DnssecRecords.compare(zone, [
+        '12345 13 2 abcd',
+        '54321 13 2 ABCD',
+        '12345 8 2 ABCD',
+        '12345 13 2 FFFF',
+        '12345 13 4 ABCD'
+      ]).rows.map(row => row.status);
+    });
+    expect(statuses).toEqual(['match', 'key_tag', 'algorithm', 'digest', 'digest_type']);
+  });
+
+  test('should build the registrar formats', async ({ adminPage: page }) => {
+    await page.goto(`/zones/${zoneId}/dnssec/ds-dnskey`);
+
+    const exports = await page.evaluate(() => {
+      const ds = [DnssecRecords.parseDs('z. IN DS 12345 13 2 abcd')];
+      const keys = [DnssecRecords.parseDnskey('z. IN DNSKEY 257 3 13 AAAA'), DnssecRecords.parseDnskey('z. IN DNSKEY 256 3 13 BBBB')];
+      return {
+        json: JSON.parse(DnssecRecords.formatExport('json', 'z', ds, keys)),
+        registrar: DnssecRecords.formatExport('registrar', 'z', ds, keys),
+        cds: DnssecRecords.formatExport('cds', 'z', ds, keys)
+      };
+    });
+    expect(exports.json).toEqual([{ keyTag: 12345, algorithm: 13, digestType: 2, digest: 'ABCD' }]);
+    expect(exports.registrar).toBe('12345 13 2 ABCD');
+    expect(exports.cds).toBe('z. IN CDS 12345 13 2 ABCD\nz. IN CDNSKEY 257 3 13 AAAA');
+  });
+
+  test('should switch the export format', async ({ adminPage: page }) => {
+    await page.goto(`/zones/${zoneId}/dnssec/ds-dnskey`);
+
+    const output = page.locator('[data-export-output]');
+    await page.locator('[data-export-format]').selectOption('json');
+    await expect(output).not.toBeEmpty();
+    const text = await output.textContent();
+    if (text.startsWith('[')) {
+      expect(Array.isArray(JSON.parse(text))).toBe(true);
+    }
+  });
+
+  test('should flag pasted DS records that match no key', async ({ adminPage: page }) => {
+    await page.goto(`/zones/${zoneId}/dnssec/ds-dnskey`);
+
+    const form = page.locator('form[data-ds-check]');
+    await form.locator('textarea[name="parent_ds"]').fill(`${zoneName}. 86400 IN DS 1 13 2 ABCDEF\nnot a record`);
+    await form.locator('button[type="submit"]').click();
+
+    await expect(form.locator('tbody tr')).toHaveCount(2);
+    await expect(form.locator('tbody tr').first()).toHaveAttribute('data-status', 'key_tag');
+    await expect(form.locator('tbody tr').nth(1)).toHaveAttribute('data-status', 'invalid');
+    await expect(form.locator('[data-ds-check-status]')).not.toBeEmpty();
+  });
+
+  test('should answer the parent lookup with JSON', async ({ adminPage: page }) => {
+    const response = await page.request.get(`/zones/${zoneId}/dnssec/parent-ds`);
+    const result = await response.json();
+
+    if (response.status() === 200) {
+      expect(Array.isArray(result.records)).toBe(true);
+    } else {
+      expect(result.message).toBeTruthy();
+    }
+  });
+});
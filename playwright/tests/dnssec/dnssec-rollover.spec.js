@@ -0,0 +1,83 @@
+/**
+ * DNSSEC Key Rollover Tests
+ *
+ * Tests for the key rollover assistant: the step timeline, starting and
+ * cancelling a rollover and the guard against removing the last active key.
+ */
+
+import { test, expect } from '../../fixtures/test-fixtures.js';
+import { ensureZoneExists } from '../../helpers/zones.js';
+
+test.describe.configure({ mode: 'serial' });
+
+test.describe('DNSSEC Key Rollover', () => {
+  const zoneName = 'rollover-test.example.com';
+  let zoneId = null;
+
+  async function openRollover(page) {
+    await page.goto(`/zones/${zoneId}/dnssec/rollover`);
+    const rollover = page.locator('[data-dnssec-rollover]');
+    if (await rollover.count() === 0) {
+      test.skip('DNSSEC is not available');
+    }
+    return rollover;
+  }
+
+  test('should create the zone for the rollover', async ({ adminPage: page }) => {
+    zoneId = await ensureZoneExists(page, zoneName, 'master');
+    expect(zoneId).toBeTruthy();
+  });
+
+  test('should show the four rollover steps', async ({ adminPage: page }) => {
+    const rollover = await openRollover(page);
+
+    const steps = rollover.locator('[data-rollover-timeline] > li');
+    await expect(steps).toHaveCount(4);
+    await expect(steps.nth(0)).toHaveAttribute('data-step', 'prepublish');
+    await expect(steps.nth(2)).toHaveAttribute('data-step', 'ds');
+  });
+
+  test('should link the rollover from the DNSSEC page', async ({ adminPage: page }) => {
+    await page.goto(`/zones/${zoneId}/dnssec`);
+
+    await expect(page.locator(`a[href$="/zones/${zoneId}/dnssec/rollover"]`).first()).toBeVisible();
+  });
+
+  test('should start and cancel a rollover', async ({ adminPage: page }) => {
+    const rollover = await openRollover(page);
+
+    const start = rollover.locator('form:has(input[name="step"][value="prepublish"]) button').first();
+    if (await start.count() === 0) {
+      test.skip('Zone has no active DNSSEC key');
+    }
+    await start.click();
+
+    await expect(rollover.locator('[data-step="prepublish"]')).toHaveAttribute('data-status', 'done');
+    await expect(rollover.locator('[data-step="activate"]')).toHaveAttribute('data-status', 'current');
+    await expect(rollover.locator('[data-rollover-phase]')).toHaveAttribute('data-rollover-phase', 'prepublished');
+
+    await page.goto(`/zones/${zoneId}/dnssec`);
+    await expect(page.locator('[data-rollover-phase="prepublished"]')).toBeVisible();
+
+    await openRollover(page);
+    await page.locator('[data-rollover-cancel]').click();
+    await expect(page.locator('[data-rollover-step-form]')).toHaveCount(0);
+    await expect(page.locator('[data-rollover-timeline] [data-status="done"]')).toHaveCount(0);
+  });
+
+  test('should refuse to delete the only active key', async ({ adminPage: page }) => {
+    await page.goto(`/zones/${zoneId}/dnssec`);
+
+    const deleteLinks = page.locator('a[href*="/dnssec/keys/"][href$="/delete"]');
+    if (await deleteLinks.count() !== 1) {
+      test.skip('Zone does not have exactly one key');
+    }
+    await deleteLinks.first().click();
+    if (await page.locator('.badge', { hasText: 'Inactive' }).count() > 0) {
+      test.skip('The only key of the zone is inactive');
+    }
+
+    await expect(page.locator('[data-key-guard]')).toBeVisible();
+    await expect(page.locator('button:has-text("Delete key")')).toHaveCount(0);
+  });
+});
@@ -0,0 +1,81 @@
+/**
+ * Group Zone Picker Tests
+ *
+ * Tests for the typeahead zone picker on the group zones page, which is
+ * used instead of the full zone list when the internal API is enabled.
+ */
+
+import { test, expect } from '@playwright/test';
+import { loginAndWaitForDashboard } from '../../helpers/auth.js';
+import users from '../../fixtures/users.json' assert { type: 'json' };
+
+test.describe('Group Zone Picker', () => {
+  async function openZonePicker(page, groupName) {
+    await page.goto('/groups');
+    const row = page.locator(`tr:has-text("${groupName}")`);
+    if (await row.count() === 0) return null;
+
+    const zonesLink = row.locator('a[href*="/zones"]').first();
+    if (await zonesLink.count() === 0) return null;
+    await zonesLink.click();
+
+    const picker = page.locator('#add-zone-picker');
+    return await picker.count() > 0 ? picker : null;
+  }
+
+  test('should search zones and show them as options', async ({ page }) => {
+    await loginAndWaitForDashboard(page, users.admin.username, users.admin.password);
+    const picker = await openZonePicker(page, 'Viewers');
+    if (!picker) return;
+
+    const search = page.waitForResponse(resp => resp.url().includes('/api/internal/zone'));
+    await picker.locator('input[role="combobox"]').click();
+    const response = await search;
+    expect(response.status()).toBe(200);
+
+    const data = await response.json();
+    expect(data.meta).toHaveProperty('has_more');
+    await expect(picker.locator('.dropdown-menu')).toHaveClass(/show/);
+  });
+
+  test('should add picked zones as chips and enable the add button', async ({ page }) => {
+    await loginAndWaitForDashboard(page, users.admin.username, users.admin.password);
+    const picker = await openZonePicker(page, 'Viewers');
+    if (!picker) return;
+
+    const input = picker.locator('input[role="combobox"]');
+    const search = page.waitForResponse(resp => resp.url().includes('/api/internal/zone'));
+    await input.click();
+    await search;
+
+    const option = picker.locator('[data-zone-picker-index]').first();
+    if (await option.count() === 0) return;
+    const zoneName = (await option.locator('span').first().innerText()).trim();
+
+    await input.press('Enter');
+
+    await expect(picker.locator('.badge').filter({ hasText: zoneName })).toHaveCount(1);
+    await expect(picker.locator('input[type="hidden"][name="domain_ids"]')).toHaveCount(1);
+    await expect(page.locator('#add-btn')).toBeEnabled();
+    await expect(page.locator('#zone-add-count')).toContainText('1');
+  });
+
+  test('should remove the last chip with Backspace', async ({ page }) => {
+    await loginAndWaitForDashboard(page, users.admin.username, users.admin.password);
+    const picker = await openZonePicker(page, 'Viewers');
+    if (!picker) return;
+
+    const input = picker.locator('input[role="combobox"]');
+    const search = page.waitForResponse(resp => resp.url().includes('/api/internal/zone'));
+    await input.click();
+    await search;
+
+    if (await picker.locator('[data-zone-picker-index]').count() === 0) return;
+    await input.press('Enter');
+    await expect(picker.locator('.badge')).toHaveCount(1);
+
+    await input.press('Backspace');
+    await expect(picker.locator('.badge')).toHaveCount(0);
+    await expect(page.locator('#add-btn')).toBeDisabled();
+  });
+});
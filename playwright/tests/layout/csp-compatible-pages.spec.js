@@ -0,0 +1,65 @@
+/**
+ * CSP Compatible Pages Tests
+ *
+ * Tests that pages load their theme without document.write, carry no inline
+ * event handlers and mark every inline script with the request nonce.
+ */
+
+import { test, expect } from '@playwright/test';
+import { loginAndWaitForDashboard } from '../../helpers/auth.js';
+import users from '../../fixtures/users.json' assert { type: 'json' };
+
+const pages = ['/', '/zones/forward', '/users', '/search', '/zones/add/master'];
+
+test.describe('CSP Compatible Pages', () => {
+  test('should render the login page with the theme stylesheet and page config', async ({ page }) => {
+    await page.goto('/login');
+
+    await expect(page.locator('link#theme-stylesheet')).toHaveAttribute('href', /\/style\/\w+\.css/);
+    const config = JSON.parse(await page.locator('#page-config').textContent());
+    expect(config.theme).toBeTruthy();
+    expect(await page.evaluate(() => typeof window.BASE_URL_PREFIX)).toBe('string');
+  });
+
+  for (const path of pages) {
+    test(`should not use inline handlers on ${path}`, async ({ page }) => {
+      await loginAndWaitForDashboard(page, users.admin.username, users.admin.password);
+      await page.goto(path);
+
+      const html = await page.content();
+      expect(html).not.toMatch(/\son(click|change|submit|input|load)=/i);
+      expect(html).not.toContain('href="javascript:');
+
+      const scripts = await page.locator('script:not([src]):not([type="application/json"])').evaluateAll(
+        nodes => nodes.map(node => node.nonce || node.getAttribute('nonce'))
+      );
+      for (const nonce of scripts) {
+        expect(nonce).toBeTruthy();
+      }
+    });
+  }
+
+  for (const path of ['/users/add', '/zones/forward', '/zones/reverse', '/tools/database-consistency']) {
+    test(`should load the page scripts of ${path} from assets`, async ({ page }) => {
+      await loginAndWaitForDashboard(page, users.admin.username, users.admin.password);
+      await page.goto(path);
+
+      await expect(page.locator('script:not([src]):not([type="application/json"])')).toHaveCount(0);
+    });
+  }
+
+  test('should keep delegated actions working', async ({ page }) => {
+    await loginAndWaitForDashboard(page, users.admin.username, users.admin.password);
+    await page.goto('/zones/forward');
+
+    const selectAll = page.locator('#select_zones');
+    if (await selectAll.count() === 0) {
+      test.skip();
+    }
+    await selectAll.check();
+    const boxes = page.locator('input[name="zone_id[]"]');
+    if (await boxes.count() > 0) {
+      await expect(boxes.first()).toBeChecked();
+    }
+  });
+});
@@ -0,0 +1,119 @@
+/**
+ * Session Watchdog Tests
+ *
+ * Tests for the session status endpoints and the dialog that lets the user
+ * log in again without leaving the page.
+ */
+
+import { test, expect } from '@playwright/test';
+import { loginAndWaitForDashboard } from '../../helpers/auth.js';
+import users from '../../fixtures/users.json' assert { type: 'json' };
+
+test.describe('Session Watchdog', () => {
+  test('should report the remaining lifetime without extending it', async ({ page }) => {
+    await loginAndWaitForDashboard(page, users.admin.username, users.admin.password);
+
+    const first = await (await page.request.get('/session/status')).json();
+    expect(first.authenticated).toBe(true);
+    expect(first.remaining).toBeLessThanOrEqual(first.timeout);
+    expect(first.username).toBe(users.admin.username);
+
+    await page.waitForTimeout(1500);
+    const second = await (await page.request.get('/session/status')).json();
+    expect(second.remaining).toBeLessThan(first.timeout);
+    expect(second.remaining).toBeLessThanOrEqual(first.remaining);
+  });
+
+  test('should report a signed out session without issuing a login token', async ({ request }) => {
+    const response = await request.get('/session/status');
+    expect(response.status()).toBe(200);
+
+    const status = await response.json();
+    expect(status.authenticated).toBe(false);
+    expect(status.login_token).toBeUndefined();
+  });
+
+  test('should hand out a login token when the dialog asks for one', async ({ request }) => {
+    const response = await request.post('/session/login', { form: { after_login: '0' } });
+    expect(response.status()).toBe(200);
+
+    const login = await response.json();
+    expect(login.login_token).toBeTruthy();
+    expect(login.message).toBe('');
+  });
+
+  test('should keep the login form token while the status is polled', async ({ page }) => {
+    await page.goto('/login');
+    const token = await page.locator('input[name="_token"]').inputValue();
+
+    await page.request.get('/session/status');
+    await page.request.get('/session/status');
+
+    await page.fill('[data-testid="username-input"]', users.admin.username);
+    await page.fill('[data-testid="password-input"]', users.admin.password);
+    expect(await page.locator('input[name="_token"]').inputValue()).toBe(token);
+    await page.click('[data-testid="login-button"]');
+
+    await page.waitForURL(url => !url.pathname.includes('/login'), { timeout: 10000 });
+  });
+
+  test('should refuse to extend the session without a CSRF token', async ({ page }) => {
+    await loginAndWaitForDashboard(page, users.admin.username, users.admin.password);
+
+    const response = await page.request.post('/session/extend', { form: { _token: 'invalid' } });
+    expect(response.status()).toBe(403);
+  });
+
+  test('should extend the session from a page without a form token', async ({ page }) => {
+    await loginAndWaitForDashboard(page, users.admin.username, users.admin.password);
+    await expect(page.locator('input[name="_token"]')).toHaveCount(0);
+
+    const extended = page.waitForResponse(response => response.url().includes('/session/extend'));
+    await page.evaluate(() => SessionWatchdog.extend());
+    expect((await extended).status()).toBe(200);
+  });
+
+  test('should log in again from the dialog after the session ended', async ({ page }) => {
+    await loginAndWaitForDashboard(page, users.admin.username, users.admin.password);
+    await page.goto('/zones/forward');
+
+    const dialog = page.locator('#sessionWatchdog');
+    if (await dialog.count() === 0) return;
+
+    // End the session behind the page's back
+    await page.request.get('/logout');
+    await page.evaluate(() => SessionWatchdog.check());
+
+    const expired = dialog.locator('[data-session-pane="expired"]');
+    await expect(expired).toBeVisible();
+
+    const password = dialog.locator('#session_password');
+    if (await password.count() === 0) return;
+
+    await password.fill(users.admin.password);
+    await expired.locator('button[type="submit"]').click();
+
+    await expect(dialog).toBeHidden();
+    const status = await (await page.request.get('/session/status')).json();
+    expect(status.authenticated).toBe(true);
+  });
+
+  test('should show an error for a wrong password', async ({ page }) => {
+    await loginAndWaitForDashboard(page, users.admin.username, users.admin.password);
+    await page.goto('/zones/forward');
+
+    const dialog = page.locator('#sessionWatchdog');
+    if (await dialog.count() === 0) return;
+
+    await page.request.get('/logout');
+    await page.evaluate(() => SessionWatchdog.check());
+
+    const password = dialog.locator('#session_password');
+    if (await password.count() === 0) return;
+
+    await password.fill('wrong-password');
+    await dialog.locator('[data-session-pane="expired"] button[type="submit"]').click();
+
+    await expect(dialog.locator('[data-session-error]')).toBeVisible();
+  });
+});
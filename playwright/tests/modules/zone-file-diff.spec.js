@@ -0,0 +1,92 @@
+/**
+ * Zone File Diff E2E Tests
+ *
+ * Tests for the page comparing a zone with an uploaded or pasted zone file.
+ */
+
+import { test, expect } from '@playwright/test';
+import { loginAndWaitForDashboard } from '../../helpers/auth.js';
+import users from '../../fixtures/users.json' assert { type: 'json' };
+
+// Helper to get a zone ID for testing
+async function getTestZoneId(page) {
+  await page.goto('/zones/forward?letter=all');
+  const editLink = page.locator('a[href*="/edit"]').first();
+  if (await editLink.count() > 0) {
+    const href = await editLink.getAttribute('href');
+    const match = href.match(/\/zones\/(\d+)\/edit/);
+    return match ? match[1] : null;
+  }
+  return null;
+}
+
+test.describe('Zone File Diff', () => {
+  test('should link to the compare page from the zone edit page', async ({ page }) => {
+    await loginAndWaitForDashboard(page, users.admin.username, users.admin.password);
+    const zoneId = await getTestZoneId(page);
+    if (!zoneId) return;
+
+    await page.goto(`/zones/${zoneId}/edit`);
+    const link = page.locator(`a[href*="/zones/${zoneId}/diff"]`);
+    if (await link.count() === 0) return;
+
+    await link.first().click();
+    await expect(page).toHaveURL(new RegExp(`/zones/${zoneId}/diff`));
+    await expect(page.locator('#zone_content')).toBeVisible();
+  });
+
+  test('should mark records only in the file as removed and zone-only records as added', async ({ page }) => {
+    await loginAndWaitForDashboard(page, users.admin.username, users.admin.password);
+    const zoneId = await getTestZoneId(page);
+    if (!zoneId) return;
+
+    await page.goto(`/zones/${zoneId}/diff`);
+    const content = page.locator('#zone_content');
+    if (await content.count() === 0) return;
+
+    const zoneName = (await page.locator('.breadcrumb-item a[href$="/edit"]').innerText()).trim();
+    await content.fill(`$ORIGIN ${zoneName}.\nsnapshot-only 3600 IN A 192.0.2.99\n`);
+    await page.locator('form[action$="/diff"] button[type="submit"]').click();
+
+    const diff = page.locator('[data-zone-diff]');
+    await expect(diff).toBeVisible();
+    await expect(diff.locator('tbody[data-rrset][data-rrset-status="removed"]').filter({ hasText: 'snapshot-only' })).toHaveCount(1);
+    expect(await diff.locator('tbody[data-rrset][data-rrset-status="added"]').count()).toBeGreaterThan(0);
+  });
+
+  test('should filter RRsets by record type', async ({ page }) => {
+    await loginAndWaitForDashboard(page, users.admin.username, users.admin.password);
+    const zoneId = await getTestZoneId(page);
+    if (!zoneId) return;
+
+    await page.goto(`/zones/${zoneId}/diff`);
+    const content = page.locator('#zone_content');
+    if (await content.count() === 0) return;
+
+    const zoneName = (await page.locator('.breadcrumb-item a[href$="/edit"]').innerText()).trim();
+    await content.fill(`$ORIGIN ${zoneName}.\nfilter-test 3600 IN TXT "snapshot"\n`);
+    await page.locator('form[action$="/diff"] button[type="submit"]').click();
+
+    const diff = page.locator('[data-zone-diff]');
+    await expect(diff).toBeVisible();
+    await diff.locator('[data-zone-diff-type]').selectOption('TXT');
+
+    await expect(diff.locator('tbody[data-rrset]:not(.d-none):not([data-rrset-type="TXT"])')).toHaveCount(0);
+    await expect(diff.locator('tbody[data-rrset][data-rrset-type="TXT"]').filter({ hasText: 'filter-test' })).toBeVisible();
+  });
+
+  test('should report an empty zone file as an error', async ({ page }) => {
+    await loginAndWaitForDashboard(page, users.admin.username, users.admin.password);
+    const zoneId = await getTestZoneId(page);
+    if (!zoneId) return;
+
+    await page.goto(`/zones/${zoneId}/diff`);
+    const content = page.locator('#zone_content');
+    if (await content.count() === 0) return;
+
+    await content.fill('; only a comment\n');
+    await page.locator('form[action$="/diff"] button[type="submit"]').click();
+
+    await expect(page.locator('[data-zone-diff-error]')).toBeVisible();
+  });
+});
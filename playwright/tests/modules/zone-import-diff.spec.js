@@ -0,0 +1,102 @@
+/**
+ * Zone Import Diff E2E Tests
+ *
+ * Tests for the dry-run diff on the zone import page, which compares a
+ * pasted or uploaded zone file with the zone before anything is imported.
+ */
+
+import { test, expect } from '@playwright/test';
+import { loginAndWaitForDashboard } from '../../helpers/auth.js';
+import users from '../../fixtures/users.json' assert { type: 'json' };
+
+// Helper to read the target zone name shown on the import form
+async function getTargetZoneName(page) {
+  const target = page.locator('form[data-zone-import-form] .form-control.bg-light');
+  return (await target.count()) > 0 ? (await target.innerText()).trim() : null;
+}
+
+// Helper to get a zone ID for testing
+async function getTestZoneId(page) {
+  await page.goto('/zones/forward?letter=all');
+  const editLink = page.locator('a[href*="/edit"]').first();
+  if (await editLink.count() > 0) {
+    const href = await editLink.getAttribute('href');
+    const match = href.match(/\/zones\/(\d+)\/edit/);
+    return match ? match[1] : null;
+  }
+  return null;
+}
+
+test.describe('Zone Import Diff', () => {
+  test('should show the diff for a pasted zone file into an existing zone', async ({ page }) => {
+    await loginAndWaitForDashboard(page, users.admin.username, users.admin.password);
+    const zoneId = await getTestZoneId(page);
+    if (!zoneId) return;
+
+    await page.goto(`/tools/zone-import?zone_id=${zoneId}`);
+    const compare = page.locator('[data-zone-import-dry-run]');
+    if (await compare.count() === 0) return;
+
+    const zoneName = await getTargetZoneName(page);
+    if (!zoneName) return;
+
+    const name = `diff-${Date.now()}`;
+    await page.locator('#zone_content').fill(`$ORIGIN ${zoneName}.\n${name} 3600 IN A 192.0.2.77\n`);
+
+    const dryRun = page.waitForResponse(resp => resp.url().includes('/tools/zone-import/dry-run'));
+    await compare.click();
+    const response = await dryRun;
+    expect(response.status()).toBe(200);
+
+    const data = await response.json();
+    expect(data.success).toBe(true);
+    expect(data.data.import_mode).toBe('existing');
+
+    const panel = page.locator('[data-import-diff]');
+    await expect(panel).toBeVisible();
+    const added = panel.locator('tr[data-diff-action="add"]');
+    await expect(added.filter({ hasText: name })).toHaveCount(1);
+    await expect(added.filter({ hasText: name }).locator('input[name="changes[]"]')).toBeChecked();
+  });
+
+  test('should leave removals unchecked', async ({ page }) => {
+    await loginAndWaitForDashboard(page, users.admin.username, users.admin.password);
+    const zoneId = await getTestZoneId(page);
+    if (!zoneId) return;
+
+    await page.goto(`/tools/zone-import?zone_id=${zoneId}`);
+    const compare = page.locator('[data-zone-import-dry-run]');
+    if (await compare.count() === 0) return;
+
+    const zoneName = await getTargetZoneName(page);
+    if (!zoneName) return;
+
+    // A file with a single new record leaves every other zone record as a removal
+    await page.locator('#zone_content').fill(`$ORIGIN ${zoneName}.\nonly-${Date.now()} 3600 IN A 192.0.2.78\n`);
+    const dryRun = page.waitForResponse(resp => resp.url().includes('/tools/zone-import/dry-run'));
+    await compare.click();
+    if ((await dryRun).status() !== 200) return;
+
+    const removals = page.locator('[data-import-diff] tr[data-diff-action="remove"] input[name="changes[]"]');
+    const count = await removals.count();
+    for (let i = 0; i < count; i++) {
+      await expect(removals.nth(i)).not.toBeChecked();
+    }
+  });
+
+  test('should report an empty zone file as an error', async ({ page }) => {
+    await loginAndWaitForDashboard(page, users.admin.username, users.admin.password);
+
+    await page.goto('/tools/zone-import');
+    const compare = page.locator('[data-zone-import-dry-run]');
+    if (await compare.count() === 0) return;
+
+    await page.locator('#zone_content').fill('; only a comment\n');
+    const dryRun = page.waitForResponse(resp => resp.url().includes('/tools/zone-import/dry-run'));
+    await compare.click();
+    const response = await dryRun;
+
+    expect(response.status()).toBe(400);
+    await expect(page.locator('[data-diff-error]')).toBeVisible();
+  });
+});
@@ -0,0 +1,88 @@
+/**
+ * Command Palette Tests
+ *
+ * Tests for the Ctrl+K palette that searches zones and pages.
+ */
+
+import { test, expect } from '@playwright/test';
+import { loginAndWaitForDashboard } from '../../helpers/auth.js';
+import users from '../../fixtures/users.json' assert { type: 'json' };
+
+test.describe('Command Palette', () => {
+  test.beforeEach(async ({ page }) => {
+    await loginAndWaitForDashboard(page, users.admin.username, users.admin.password);
+  });
+
+  test('should open with Ctrl+K and focus the search box', async ({ page }) => {
+    await page.keyboard.press('Control+k');
+
+    const palette = page.locator('#commandPalette');
+    await expect(palette).toBeVisible();
+    await expect(palette.locator('[data-command-palette-input]')).toBeFocused();
+  });
+
+  test('should close with Escape', async ({ page }) => {
+    await page.keyboard.press('Control+k');
+    const palette = page.locator('#commandPalette');
+    await expect(palette).toBeVisible();
+
+    await page.keyboard.press('Escape');
+    await expect(palette).toBeHidden();
+  });
+
+  test('should fuzzy-match pages and open the selection with Enter', async ({ page }) => {
+    await page.keyboard.press('Control+k');
+    const input = page.locator('[data-command-palette-input]');
+    await expect(input).toBeFocused();
+
+    await input.fill('addmstr');
+    const active = page.locator('[data-command-palette-results] .active');
+    await expect(active).toContainText(/Add master zone/i);
+
+    await input.press('Enter');
+    await expect(page).toHaveURL(/\/zones\/add\/master/);
+  });
+
+  test('should move the selection with the arrow keys', async ({ page }) => {
+    await page.keyboard.press('Control+k');
+    const input = page.locator('[data-command-palette-input]');
+    await expect(input).toBeFocused();
+
+    const entries = page.locator('[data-command-palette-results] [data-command-palette-index]');
+    if (await entries.count() < 2) return;
+
+    await expect(entries.nth(0)).toHaveClass(/active/);
+    await input.press('ArrowDown');
+    await expect(entries.nth(1)).toHaveClass(/active/);
+    await input.press('ArrowUp');
+    await expect(entries.nth(0)).toHaveClass(/active/);
+  });
+
+  test('should list matching zones', async ({ page }) => {
+    const palette = page.locator('#commandPalette');
+    if (await palette.getAttribute('data-zone-search') !== 'true') return;
+
+    const list = await page.request.get('/api/internal/zone?action=list&limit=1');
+    if (!list.ok()) return;
+    const zones = (await list.json()).data.zones;
+    if (zones.length === 0) return;
+    const zone = zones[0];
+
+    await page.keyboard.press('Control+k');
+    const input = page.locator('[data-command-palette-input]');
+    await expect(input).toBeFocused();
+
+    const search = page.waitForResponse(resp => resp.url().includes('/api/internal/zone'));
+    await input.fill(zone.name);
+    await search;
+
+    await expect(page.locator(`[data-command-palette-results] a[href$="/zones/${zone.id}/edit"]`)).toHaveCount(1);
+  });
+
+  test('should treat a non-text zone search as no search', async ({ page }) => {
+    const response = await page.request.get('/api/internal/zone?action=list&limit=1&search[]=x');
+    expect(response.status()).toBeLessThan(500);
+    if (!response.ok()) return;
+    expect(Array.isArray((await response.json()).data.zones)).toBe(true);
+  });
+});
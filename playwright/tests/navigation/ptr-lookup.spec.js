@@ -0,0 +1,65 @@
+/**
+ * PTR Lookup Tests
+ *
+ * Tests for finding the PTR record of an IP address from the command palette,
+ * including RFC 2317 classless delegations.
+ */
+
+import { test, expect } from '../../fixtures/test-fixtures.js';
+import { ensureZoneExists } from '../../helpers/zones.js';
+
+test.describe.configure({ mode: 'serial' });
+
+test.describe('PTR Lookup', () => {
+  const parentZone = '6.77.10.in-addr.arpa';
+  const classlessZone = '128/25.6.77.10.in-addr.arpa';
+  let classlessZoneId = null;
+
+  test('should create the reverse zones for the lookup', async ({ adminPage: page }) => {
+    expect(await ensureZoneExists(page, parentZone, 'master')).toBeTruthy();
+    classlessZoneId = await ensureZoneExists(page, classlessZone, 'master');
+    expect(classlessZoneId).toBeTruthy();
+  });
+
+  test('should resolve the owning zone of an address', async ({ adminPage: page }) => {
+    const plain = await (await page.request.get('/zones/reverse/ptr?name=5.6.77.10.in-addr.arpa')).json();
+    expect(plain.zone.name).toBe(parentZone);
+    expect(plain.record_name).toBe('5.6.77.10.in-addr.arpa');
+
+    const classless = await (await page.request.get('/zones/reverse/ptr?name=200.6.77.10.in-addr.arpa')).json();
+    expect(classless.zone.name).toBe(classlessZone);
+    expect(classless.zone.classless).toBe(true);
+    expect(classless.record_name).toBe('200.' + classlessZone);
+  });
+
+  test('should reject names that are no reverse names', async ({ adminPage: page }) => {
+    const response = await page.request.get('/zones/reverse/ptr?name=example.com');
+    expect(response.status()).toBe(400);
+  });
+
+  test('should offer to create a missing PTR record', async ({ adminPage: page }) => {
+    await page.keyboard.press('Control+k');
+    const input = page.locator('[data-command-palette-input]');
+    await expect(input).toBeFocused();
+
+    await input.fill('10.77.6.200');
+    const results = page.locator('[data-command-palette-results]');
+    await expect(results).toContainText('200.6.77.10.in-addr.arpa');
+
+    const create = results.locator('a', { hasText: '10.77.6.200' }).first();
+    await expect(create).toHaveAttribute('href', /\/records\/add\?type=PTR&name=200$/);
+
+    await create.click();
+    await expect(page).toHaveURL(new RegExp(`/zones/${classlessZoneId}/records/add`));
+    await expect(page.locator('input[name="records[0][name]"]')).toHaveValue('200');
+    await expect(page.locator('select[name="records[0][type]"]')).toHaveValue('PTR');
+  });
+
+  test('should tell when no reverse zone covers the address', async ({ adminPage: page }) => {
+    await page.keyboard.press('Control+k');
+    const input = page.locator('[data-command-palette-input]');
+    await input.fill('198.51.100.77');
+
+    await expect(page.locator('[data-command-palette-results]')).toContainText('77.100.51.198.in-addr.arpa');
+  });
+});
@@ -0,0 +1,96 @@
+/**
+ * User Settings Write Queue Tests
+ *
+ * Tests for the batch form of the preference endpoint and for preference
+ * changes made while the connection is down.
+ */
+
+import { test, expect } from '@playwright/test';
+import { loginAndWaitForDashboard } from '../../helpers/auth.js';
+import users from '../../fixtures/users.json' assert { type: 'json' };
+
+test.describe('User Settings Write Queue', () => {
+  test.beforeEach(async ({ page }) => {
+    await loginAndWaitForDashboard(page, users.admin.username, users.admin.password);
+  });
+
+  test('should save a batch and report rejected keys', async ({ page }) => {
+    const serverSync = await page.evaluate(() => window.USER_SETTINGS?.serverSync === true);
+    if (!serverSync) {
+      return;
+    }
+
+    const current = await page.evaluate(() => window.USER_SETTINGS.preferences.rows_per_page);
+    const response = await page.request.post('/api/internal/user-preferences', {
+      data: { preferences: { rows_per_page: current, theme: 'neon' } },
+    });
+    expect(response.status()).toBe(400);
+
+    const body = await response.json();
+    expect(body.saved).toEqual(['rows_per_page']);
+    expect(body.errors.theme).toContain('Invalid theme');
+  });
+
+  test('should queue changes while offline and send them when back online', async ({ page, context }) => {
+    const serverSync = await page.evaluate(() => window.USER_SETTINGS?.serverSync === true);
+    if (!serverSync || await page.locator('#style-switcher').count() === 0) {
+      return;
+    }
+
+    const before = await page.evaluate(() => UserSettings.get('theme') || 'light');
+    await page.evaluate(() => UserSettings.set('theme', 'light'));
+
+    await context.setOffline(true);
+    await page.locator('#style-switcher').click();
+
+    await expect(page.locator('#settings-sync-indicator')).toBeVisible({ timeout: 10000 });
+    const queued = await page.evaluate(() => JSON.parse(localStorage.getItem('poweradmin.settings.pending') || '{}'));
+    expect(queued.user).toBe(await page.evaluate(() => parseInt(window.SESSION_USER_ID, 10)));
+    expect(Object.keys(queued.values)).toContain('theme');
+
+    const saved = page.waitForResponse(response => response.url().includes('/api/internal/user-preferences') && response.request().method() === 'POST');
+    await context.setOffline(false);
+    await saved;
+
+    await expect(page.locator('#settings-sync-indicator')).toBeHidden();
+    expect(await page.evaluate(() => localStorage.getItem('poweradmin.settings.pending'))).toBeNull();
+
+    await page.evaluate(mode => UserSettings.set('theme', mode), before);
+  });
+
+  test('should drop changes queued by another user instead of sending them', async ({ page }) => {
+    const serverSync = await page.evaluate(() => window.USER_SETTINGS?.serverSync === true);
+    if (!serverSync) {
+      return;
+    }
+
+    const userId = await page.evaluate(() => parseInt(window.SESSION_USER_ID, 10));
+    await page.evaluate(other => localStorage.setItem('poweradmin.settings.pending', JSON.stringify({
+      user: other,
+      values: { rows_per_page: '77' },
+    })), userId + 1000);
+
+    const posts = [];
+    page.on('request', request => {
+      if (request.url().includes('/api/internal/user-preferences') && request.method() === 'POST') {
+        posts.push(request);
+      }
+    });
+
+    await page.reload();
+    await page.waitForTimeout(1000);
+
+    expect(posts).toHaveLength(0);
+    expect(await page.evaluate(() => localStorage.getItem('poweradmin.settings.pending'))).toBeNull();
+    expect(await page.evaluate(() => UserSettings.get('rows_per_page'))).not.toBe(77);
+  });
+
+  test('should keep the values of each user apart', async ({ page }) => {
+    const userId = await page.evaluate(() => parseInt(window.SESSION_USER_ID, 10));
+    await page.evaluate(other => localStorage.setItem('poweradmin.settings.' + other + '.zone_list_columns', '{"owner":false}'), userId + 1000);
+
+    await page.reload();
+
+    expect(await page.evaluate(() => UserSettings.get('zone_list_columns'))).not.toEqual({ owner: false });
+  });
+});
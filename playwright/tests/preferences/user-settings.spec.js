@@ -0,0 +1,127 @@
+/**
+ * User Settings Store Tests
+ *
+ * Tests for the UserSettings store: theme changes reach the other open tabs,
+ * are saved as user preference when the internal API is enabled, the auto
+ * theme follows the operating system, and a language picked before login is
+ * remembered.
+ */
+
+import { test, expect } from '@playwright/test';
+import { loginAndWaitForDashboard } from '../../helpers/auth.js';
+import users from '../../fixtures/users.json' assert { type: 'json' };
+
+async function currentTheme(page) {
+  return page.evaluate(() => (document.body.classList.contains('dark') ? 'dark' : 'light'));
+}
+
+async function setThemeMode(page, mode) {
+  await page.evaluate(value => UserSettings.set('theme', value), mode);
+}
+
+test.describe('User Settings Store', () => {
+  test('should switch the theme in other open tabs', async ({ page, context }) => {
+    await loginAndWaitForDashboard(page, users.admin.username, users.admin.password);
+    if (await page.locator('#style-switcher').count() === 0) {
+      return;
+    }
+
+    const before = await page.evaluate(() => UserSettings.get('theme') || 'light');
+    await setThemeMode(page, 'light');
+
+    const otherTab = await context.newPage();
+    await otherTab.goto('/');
+
+    // Light is followed by dark
+    await page.locator('#style-switcher').click();
+
+    await expect(otherTab.locator('body')).toHaveClass(/\bdark\b/);
+    await expect(otherTab.locator('#theme-stylesheet')).toHaveAttribute('href', /\/style\/dark\.css/);
+
+    await setThemeMode(page, before);
+    await otherTab.close();
+  });
+
+  test('should restore the theme from the server on a fresh device', async ({ page }) => {
+    await loginAndWaitForDashboard(page, users.admin.username, users.admin.password);
+    const serverSync = await page.evaluate(() => window.USER_SETTINGS?.serverSync === true);
+    if (!serverSync || await page.locator('#style-switcher').count() === 0) {
+      return;
+    }
+
+    const before = await page.evaluate(() => UserSettings.get('theme') || 'light');
+    await setThemeMode(page, 'light');
+    await page.locator('#style-switcher').click();
+    expect(await page.evaluate(() => UserSettings.flush().then(() => UserSettings.get('theme')))).toBe('dark');
+
+    // Forget everything this browser knows, as on another machine
+    await page.evaluate(() => localStorage.clear());
+    await page.reload();
+    expect(await currentTheme(page)).toBe('dark');
+
+    await setThemeMode(page, before);
+  });
+
+  test('should follow the operating system in auto mode', async ({ page }) => {
+    await loginAndWaitForDashboard(page, users.admin.username, users.admin.password);
+    if (await page.locator('#style-switcher').count() === 0) {
+      return;
+    }
+
+    const before = await page.evaluate(() => UserSettings.get('theme') || 'light');
+    await setThemeMode(page, 'dark');
+    await page.reload();
+    await page.emulateMedia({ colorScheme: 'light' });
+
+    // Dark is followed by auto
+    await page.locator('#style-switcher').click();
+    await expect(page.locator('#style-icon')).toHaveClass(/bi-circle-half/);
+    expect(await currentTheme(page)).toBe('light');
+
+    await page.emulateMedia({ colorScheme: 'dark' });
+    await expect(page.locator('body')).toHaveClass(/\bdark\b/);
+    await expect(page.locator('#theme-stylesheet')).toHaveAttribute('href', /\/style\/dark\.css/);
+
+    // Auto survives a reload and is resolved before the page renders
+    await page.reload();
+    await expect(page.locator('#theme-stylesheet')).toHaveAttribute('href', /\/style\/dark\.css/);
+
+    await setThemeMode(page, before);
+  });
+
+  test('should remember the language picked on the login page without queueing it', async ({ page }) => {
+    await page.goto('/login');
+    const languages = page.locator('#langSwitcher + .dropdown-menu .dropdown-item');
+    if (await languages.count() < 2) {
+      return;
+    }
+
+    const language = await languages.nth(1).getAttribute('data-lang');
+    await page.locator('#langSwitcher').click();
+    await languages.nth(1).click();
+    await page.waitForURL(/lang=/);
+
+    const stored = await page.evaluate(() => ({
+      language: localStorage.getItem('poweradmin_language'),
+      pending: JSON.parse(localStorage.getItem('poweradmin.settings.pending') || '{}'),
+    }));
+    expect(stored.language).toBe(language);
+    // Logged out there is no user to save the preference for
+    expect(stored.pending.values).toBeUndefined();
+
+    await page.evaluate(() => localStorage.clear());
+  });
+
+  test('should reject unknown settings', async ({ page }) => {
+    await page.goto('/login');
+    const error = await page.evaluate(() => {
+      try {
+        UserSettings.get('no_such_setting');
+        return null;
+      } catch (e) {
+        return e.message;
+      }
+    });
+    expect(error).toContain('Unknown setting');
+  });
+});
@@ -0,0 +1,77 @@
+/**
+ * Batch PTR Preview Tests
+ *
+ * Tests for the preview grid of the batch PTR form: expanding the network,
+ * marking existing PTR records and submitting only the ticked addresses.
+ */
+
+import { test, expect } from '../../fixtures/test-fixtures.js';
+import { ensureZoneExists } from '../../helpers/zones.js';
+
+test.describe.configure({ mode: 'serial' });
+
+test.describe('Batch PTR Preview', () => {
+  const reverseZone = '9.77.10.in-addr.arpa';
+
+  test('should create the reverse zone for the batch', async ({ adminPage: page }) => {
+    expect(await ensureZoneExists(page, reverseZone, 'master')).toBeTruthy();
+  });
+
+  test('should report the zones of the network', async ({ adminPage: page }) => {
+    const response = await page.request.get('/zones/batch-ptr/preview?network_type=ipv4&network_prefix=10.77.9.0/28&domain=example.com');
+    expect(response.status()).toBe(200);
+
+    const result = await response.json();
+    expect(result.network).toMatchObject({ family: 4, network: '10.77.9.0', prefix: 28 });
+    expect(result.zones.map(zone => zone.name)).toContain(reverseZone);
+  });
+
+  test('should reject networks the batch does not support', async ({ adminPage: page }) => {
+    const response = await page.request.get('/zones/batch-ptr/preview?network_type=ipv4&network_prefix=10.77.0.0/16&domain=example.com');
+    expect(response.status()).toBe(400);
+  });
+
+  test('should show the preview before submitting', async ({ adminPage: page }) => {
+    await page.goto('/zones/batch-ptr');
+    await page.locator('#network_prefix').fill('10.77.9.0/28');
+    await page.locator('#host_prefix').fill('preview');
+    await page.locator('#domain').fill('example.com');
+
+    await page.locator('form button[type="submit"]').click();
+
+    const preview = page.locator('[data-batch-ptr-preview]');
+    await expect(preview).toBeVisible();
+    await expect(page).toHaveURL(/\/zones\/batch-ptr$/);
+    await expect(preview.locator('[data-preview-rows] tr')).toHaveCount(14);
+    await expect(preview).toContainText('3.9.77.10.in-addr.arpa');
+    await expect(preview).toContainText('preview3.example.com');
+  });
+
+  test('should only create the ticked addresses', async ({ adminPage: page }) => {
+    await page.goto('/zones/batch-ptr');
+    await page.locator('#network_prefix').fill('10.77.9.0/28');
+    await page.locator('#host_prefix').fill('preview');
+    await page.locator('#domain').fill('example.com');
+    await page.locator('[data-batch-ptr-preview-button]').click();
+
+    const preview = page.locator('[data-batch-ptr-preview]');
+    await expect(preview.locator('[data-preview-rows] tr')).toHaveCount(14);
+    await preview.locator('[data-preview-select="none"]').click();
+    await preview.getByRole('checkbox', { name: '10.77.9.3', exact: true }).check();
+
+    await page.locator('form button[type="submit"]').click();
+    await expect(page.locator('.alert')).toContainText(/PTR records/);
+
+    await page.locator('#network_prefix').fill('10.77.9.0/28');
+    await page.locator('#host_prefix').fill('preview');
+    await page.locator('#domain').fill('example.com');
+    await page.locator('[data-batch-ptr-preview-button]').click();
+
+    const created = preview.locator('[data-preview-rows] tr').filter({ hasText: '3.9.77.10.in-addr.arpa' });
+    await expect(created).toContainText('Exists');
+    await expect(created.getByRole('checkbox')).not.toBeChecked();
+
+    const other = preview.locator('[data-preview-rows] tr').filter({ hasText: '4.9.77.10.in-addr.arpa' });
+    await expect(other).not.toContainText('Exists');
+  });
+});
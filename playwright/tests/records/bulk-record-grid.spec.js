@@ -0,0 +1,76 @@
+/**
+ * Bulk Record Grid Tests
+ *
+ * Tests for the grid mode of the bulk record form: pasting spreadsheet rows,
+ * live validation of each row and submitting only the valid rows.
+ */
+
+import { test, expect } from '../../fixtures/test-fixtures.js';
+import { ensureZoneExists } from '../../helpers/zones.js';
+
+test.describe.configure({ mode: 'serial' });
+
+/**
+ * Paste text into a grid cell the way a browser does for clipboard data
+ */
+async function pasteInto(locator, text) {
+  await locator.evaluate((input, value) => {
+    const data = new DataTransfer();
+    data.setData('text/plain', value);
+    input.dispatchEvent(new ClipboardEvent('paste', { clipboardData: data, bubbles: true, cancelable: true }));
+  }, text);
+}
+
+test.describe('Bulk Record Grid', () => {
+  const zoneName = 'bulk-grid-test.example.com';
+  const host = `grid-${Date.now()}`;
+  let zoneId = null;
+
+  test('should create the zone for the grid', async ({ adminPage: page }) => {
+    zoneId = await ensureZoneExists(page, zoneName, 'master');
+    expect(zoneId).toBeTruthy();
+  });
+
+  test('should keep the text mode as default', async ({ adminPage: page }) => {
+    await page.goto(`/zones/${zoneId}/records/bulk`);
+
+    await expect(page.locator('textarea#records')).toBeVisible();
+    await expect(page.locator('[data-bulk-record-grid]')).toHaveCount(0);
+  });
+
+  test('should fill the grid from pasted spreadsheet rows', async ({ adminPage: page }) => {
+    await page.goto(`/zones/${zoneId}/records/bulk?mode=grid`);
+
+    const grid = page.locator('[data-bulk-record-grid]');
+    await pasteInto(grid.locator('input[data-column="name"]').first(),
+      `name\ttype\tcontent\tttl\n${host}\tA\t192.0.2.10\t300\n${host}-bad\tA\tnot-an-address\t\n${host}-type\tBOGUS\tx\t`);
+
+    const rows = grid.locator('[data-grid-rows] tr');
+    await expect(rows.nth(0).locator('input[data-column="name"]')).toHaveValue(host);
+    await expect(rows.nth(0).locator('input[data-column="ttl"]')).toHaveValue('300');
+
+    await expect(rows.nth(1).locator('input[data-column="content"]')).toHaveClass(/is-invalid/);
+    await expect(rows.nth(2).locator('input[data-column="type"]')).toHaveClass(/is-invalid/);
+    await expect(rows.nth(0).locator('.bi-check-circle-fill')).toBeVisible();
+  });
+
+  test('should only add the valid rows', async ({ adminPage: page }) => {
+    await page.goto(`/zones/${zoneId}/records/bulk?mode=grid`);
+
+    const grid = page.locator('[data-bulk-record-grid]');
+    await pasteInto(grid.locator('input[data-column="name"]').first(),
+      `${host}\tA\t192.0.2.10\n${host}-bad\tA\tnot-an-address`);
+    await expect(grid.locator('[data-grid-rows] tr').nth(1).locator('input[data-column="content"]')).toHaveClass(/is-invalid/);
+
+    await page.locator('[data-bulk-record-grid-form] button[type="submit"]').click();
+    await page.waitForLoadState('networkidle');
+
+    // The skipped row comes back into the grid with its error
+    await expect(page.locator('.alert')).toBeVisible();
+    await expect(grid.locator('input[data-column="name"]').first()).toHaveValue(`${host}-bad`);
+
+    await page.goto(`/zones/${zoneId}/edit`);
+    await expect(page.locator('body')).toContainText(host);
+    await expect(page.locator('body')).not.toContainText(`${host}-bad`);
+  });
+});
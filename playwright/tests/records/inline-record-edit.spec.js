@@ -0,0 +1,123 @@
+/**
+ * Inline Record Editing Tests
+ *
+ * Tests for editing a single row on the zone edit page and saving it
+ * through the internal record API.
+ */
+
+import { test, expect } from '@playwright/test';
+import { loginAndWaitForDashboard } from '../../helpers/auth.js';
+import users from '../../fixtures/users.json' assert { type: 'json' };
+
+// Helper to get a zone ID for testing
+async function getTestZoneId(page) {
+  await page.goto('/zones/forward?letter=all');
+  const editLink = page.locator('a[href*="/edit"]').first();
+  if (await editLink.count() > 0) {
+    const href = await editLink.getAttribute('href');
+    const match = href.match(/\/zones\/(\d+)\/edit/);
+    return match ? match[1] : null;
+  }
+  return null;
+}
+
+// Helper to find an editable row whose TTL can be changed
+async function getEditableRow(page, zoneId) {
+  await page.goto(`/zones/${zoneId}/edit`);
+  const form = page.locator('form[data-inline-edit]');
+  if (await form.count() === 0) return null;
+
+  const row = form.locator('tr[data-record-id]').filter({ has: page.locator('input[name$="[ttl]"]') }).first();
+  return await row.count() > 0 ? row : null;
+}
+
+test.describe('Inline Record Editing', () => {
+  test('should show rows read-only until clicked', async ({ page }) => {
+    await loginAndWaitForDashboard(page, users.admin.username, users.admin.password);
+    const zoneId = await getTestZoneId(page);
+    if (!zoneId) return;
+
+    const row = await getEditableRow(page, zoneId);
+    if (!row) return;
+
+    const ttl = row.locator('input[name$="[ttl]"]');
+    await expect(ttl).toHaveAttribute('readonly', '');
+    await expect(row.locator('[data-inline-actions]')).toBeHidden();
+
+    await ttl.click();
+    await expect(ttl).not.toHaveAttribute('readonly', '');
+    await expect(row.locator('[data-inline-actions]')).toBeVisible();
+  });
+
+  test('should restore the row values on cancel', async ({ page }) => {
+    await loginAndWaitForDashboard(page, users.admin.username, users.admin.password);
+    const zoneId = await getTestZoneId(page);
+    if (!zoneId) return;
+
+    const row = await getEditableRow(page, zoneId);
+    if (!row) return;
+
+    const ttl = row.locator('input[name$="[ttl]"]');
+    const original = await ttl.inputValue();
+
+    await ttl.click();
+    await ttl.fill('12345');
+    await row.locator('[data-inline-cancel]').click();
+
+    await expect(ttl).toHaveValue(original);
+    await expect(ttl).toHaveAttribute('readonly', '');
+  });
+
+  test('should save only the edited row', async ({ page }) => {
+    await loginAndWaitForDashboard(page, users.admin.username, users.admin.password);
+    const zoneId = await getTestZoneId(page);
+    if (!zoneId) return;
+
+    const row = await getEditableRow(page, zoneId);
+    if (!row) return;
+
+    const ttl = row.locator('input[name$="[ttl]"]');
+    const original = await ttl.inputValue();
+    const updated = original === '3600' ? '7200' : '3600';
+
+    await ttl.click();
+    await ttl.fill(updated);
+
+    const save = page.waitForResponse(resp => resp.url().includes('/api/internal/record'));
+    await row.locator('[data-inline-save]').click();
+    const response = await save;
+    if (response.status() !== 200) return;
+
+    const data = await response.json();
+    expect(data.success).toBe(true);
+    expect(String(data.data.record.ttl)).toBe(updated);
+    await expect(row).toHaveClass(/table-success/);
+    await expect(page).toHaveURL(new RegExp(`/zones/${zoneId}/edit`));
+
+    // Put the original TTL back
+    await ttl.click();
+    await ttl.fill(original);
+    const restore = page.waitForResponse(resp => resp.url().includes('/api/internal/record'));
+    await ttl.press('Enter');
+    await restore;
+  });
+
+  test('should show an error on the row when the record is rejected', async ({ page }) => {
+    await loginAndWaitForDashboard(page, users.admin.username, users.admin.password);
+    const zoneId = await getTestZoneId(page);
+    if (!zoneId) return;
+
+    const row = await getEditableRow(page, zoneId);
+    if (!row) return;
+
+    const ttl = row.locator('input[name$="[ttl]"]');
+    await ttl.click();
+    await ttl.fill('0');
+
+    await row.locator('[data-inline-save]').click();
+
+    // Either live validation or the record API rejects the TTL; the row stays in edit mode
+    await expect(row.locator('.inline-edit-feedback, .record-validation-feedback').first()).toBeVisible();
+    await expect(row).toHaveAttribute('data-inline-editing', 'true');
+  });
+});
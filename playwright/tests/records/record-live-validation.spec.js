@@ -0,0 +1,99 @@
+/**
+ * Live Record Validation Tests
+ *
+ * Tests for per-field validation through the internal validation API
+ * on the zone edit, add record and edit record pages.
+ */
+
+import { test, expect } from '@playwright/test';
+import { loginAndWaitForDashboard } from '../../helpers/auth.js';
+import users from '../../fixtures/users.json' assert { type: 'json' };
+
+// Helper to get a zone ID for testing
+async function getTestZoneId(page) {
+  await page.goto('/zones/forward?letter=all');
+  const editLink = page.locator('a[href*="/edit"]').first();
+  if (await editLink.count() > 0) {
+    const href = await editLink.getAttribute('href');
+    const match = href.match(/\/zones\/(\d+)\/edit/);
+    return match ? match[1] : null;
+  }
+  return null;
+}
+
+test.describe('Live Record Validation', () => {
+  test('should call the validation API while typing on the add record page', async ({ page }) => {
+    await loginAndWaitForDashboard(page, users.admin.username, users.admin.password);
+    const zoneId = await getTestZoneId(page);
+    if (!zoneId) return;
+
+    await page.goto(`/zones/${zoneId}/records/add`);
+    const row = page.locator('tr[data-record-validator]').first();
+    await row.locator('select[name*="[type]"]').selectOption('A');
+    await row.locator('input[name*="[name]"]').fill(`live-${Date.now()}`);
+
+    const validation = page.waitForResponse(resp => resp.url().includes('/api/internal/validation'));
+    await row.locator('input[name*="[content]"]').fill('not-an-ip');
+    const response = await validation;
+
+    // The internal API is only served when the API is enabled
+    if (response.status() !== 200) return;
+
+    const data = await response.json();
+    expect(data.valid).toBe(false);
+    await expect(row.locator('.record-validation-feedback')).toBeVisible();
+    await expect(row.locator('input[name*="[content]"]')).toHaveClass(/is-invalid/);
+  });
+
+  test('should clear the error once the record is valid', async ({ page }) => {
+    await loginAndWaitForDashboard(page, users.admin.username, users.admin.password);
+    const zoneId = await getTestZoneId(page);
+    if (!zoneId) return;
+
+    await page.goto(`/zones/${zoneId}/records/add`);
+    const row = page.locator('tr[data-record-validator]').first();
+    await row.locator('select[name*="[type]"]').selectOption('A');
+    await row.locator('input[name*="[name]"]').fill(`live-${Date.now()}`);
+
+    const invalid = page.waitForResponse(resp => resp.url().includes('/api/internal/validation'));
+    await row.locator('input[name*="[content]"]').fill('999.1.1.1');
+    if ((await invalid).status() !== 200) return;
+    await expect(row.locator('.record-validation-feedback')).toBeVisible();
+
+    const valid = page.waitForResponse(resp => resp.url().includes('/api/internal/validation'));
+    await row.locator('input[name*="[content]"]').fill('192.0.2.10');
+    await valid;
+    await expect(row.locator('.record-validation-feedback')).toHaveCount(0);
+  });
+
+  test('should block submit while a record shows a validation error', async ({ page }) => {
+    await loginAndWaitForDashboard(page, users.admin.username, users.admin.password);
+    const zoneId = await getTestZoneId(page);
+    if (!zoneId) return;
+
+    await page.goto(`/zones/${zoneId}/records/add`);
+    const row = page.locator('tr[data-record-validator]').first();
+    await row.locator('select[name*="[type]"]').selectOption('A');
+    await row.locator('input[name*="[name]"]').fill(`live-${Date.now()}`);
+
+    const validation = page.waitForResponse(resp => resp.url().includes('/api/internal/validation'));
+    await row.locator('input[name*="[content]"]').fill('not-an-ip');
+    if ((await validation).status() !== 200) return;
+    await expect(row.locator('.record-validation-feedback')).toBeVisible();
+
+    await page.locator('button[name="commit"]').click();
+    await expect(page).toHaveURL(new RegExp(`/zones/${zoneId}/records/add`));
+  });
+
+  test('should mark existing record rows on the zone edit page', async ({ page }) => {
+    await loginAndWaitForDashboard(page, users.admin.username, users.admin.password);
+    const zoneId = await getTestZoneId(page);
+    if (!zoneId) return;
+
+    await page.goto(`/zones/${zoneId}/edit`);
+    const rows = page.locator('#edit-zone-form tr[data-record-validator]');
+    if (await rows.count() === 0) return;
+
+    await expect(rows.first()).toHaveAttribute('data-record-id', /.+/);
+  });
+});
@@ -0,0 +1,85 @@
+/**
+ * Instant Search Tests
+ *
+ * Tests for search-as-you-type on the search page: the JSON results
+ * endpoint, keeping the search in the URL and the back button.
+ */
+
+import { test, expect } from '../../fixtures/test-fixtures.js';
+import { ensureZoneExists } from '../../helpers/zones.js';
+
+test.describe.configure({ mode: 'serial' });
+
+test.describe('Instant Search', () => {
+  const timestamp = Date.now();
+  const zoneA = `instant-a-${timestamp}.example.com`;
+  const zoneB = `instant-b-${timestamp}.example.org`;
+
+  test('should create the zones to search for', async ({ adminPage: page }) => {
+    expect(await ensureZoneExists(page, zoneA, 'master')).toBeTruthy();
+    expect(await ensureZoneExists(page, zoneB, 'master')).toBeTruthy();
+  });
+
+  test('should return the result tables as JSON', async ({ adminPage: page }) => {
+    const response = await page.request.get(`/search/results?query=instant-a-${timestamp}&zones=true&records=true&wildcard=true`, {
+      headers: { 'Accept': 'application/json' }
+    });
+    expect(response.status()).toBe(200);
+
+    const result = await response.json();
+    expect(result.total_zones).toBeGreaterThanOrEqual(1);
+    expect(result.html).toContain(zoneA);
+    expect(result.html).not.toContain(zoneB);
+  });
+
+  test('should update the results while typing', async ({ adminPage: page }) => {
+    await page.goto('/search');
+    await page.locator('input[name="query"]').pressSequentially(`instant-b-${timestamp}`);
+
+    const results = page.locator('[data-search-results]');
+    await expect(results).toContainText(zoneB);
+    await expect(results).not.toContainText(zoneA);
+
+    // The search is kept in the URL without reloading the page
+    await expect(page).toHaveURL(new RegExp(`[?&]query=instant-b-${timestamp}`));
+  });
+
+  test('should run a search from the URL', async ({ adminPage: page }) => {
+    await page.goto(`/search?query=instant-a-${timestamp}&zones=true&wildcard=true`);
+
+    await expect(page.locator('[data-search-results]')).toContainText(zoneA);
+    await expect(page.locator('input[name="query"]')).toHaveValue(`instant-a-${timestamp}`);
+    await expect(page.locator('#records_check')).not.toBeChecked();
+  });
+
+  test('should sort without reloading and go back to the previous search', async ({ adminPage: page }) => {
+    await page.goto(`/search?query=instant-&zones=true&wildcard=true`);
+    const results = page.locator('[data-search-results]');
+    await expect(results).toContainText(zoneA);
+
+    // A marker on the window survives only if the page is not reloaded
+    await page.evaluate(() => { window.instantSearchMarker = true; });
+
+    await results.locator('a[data-action-args=\'["type"]\']').first().click();
+    await expect(page).toHaveURL(/zone_sort_by=type/);
+
+    await page.locator('input[name="query"]').fill(`instant-b-${timestamp}`);
+    await expect(results).not.toContainText(zoneA);
+
+    await page.goBack();
+    await expect(page.locator('input[name="query"]')).toHaveValue('instant-');
+    await expect(results).toContainText(zoneA);
+    expect(await page.evaluate(() => window.instantSearchMarker)).toBe(true);
+  });
+
+  test('should ignore search fields given as lists in the URL', async ({ adminPage: page }) => {
+    const response = await page.goto('/search?query=instant-&zones[]=1&type_filter[]=A&zone_sort_by_direction[]=asc');
+    expect(response.status()).toBe(200);
+    await expect(page.locator('input[name="query"]')).toHaveValue('instant-');
+
+    const results = await page.request.get('/search/results?query=instant-&records[]=1&content_filter[]=x', {
+      headers: { 'Accept': 'application/json' }
+    });
+    expect(results.status()).toBe(200);
+  });
+});
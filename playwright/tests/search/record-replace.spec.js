@@ -0,0 +1,142 @@
+/**
+ * Record Replace Tests
+ *
+ * Tests for replacing text in the content of records selected on the search
+ * page: the before/after preview, applying the change, the SOA serial and
+ * what is shown of records the user cannot edit.
+ */
+
+import { test, expect } from '../../fixtures/test-fixtures.js';
+import { ensureZoneExists } from '../../helpers/zones.js';
+
+test.describe.configure({ mode: 'serial' });
+
+test.describe('Record Replace', () => {
+  const timestamp = Date.now();
+  const zoneName = `replace-${timestamp}.example.com`;
+  let zoneId = null;
+  let recordId = null;
+
+  async function addRecord(page, name, content) {
+    await page.goto(`/zones/${zoneId}/records/add`);
+    await page.locator('select[name="records[0][type]"]').selectOption('A');
+    await page.locator('input[name="records[0][name]"]').fill(name);
+    await page.locator('input[name="records[0][content]"]').fill(content);
+    await page.locator('button[type="submit"]').first().click();
+    await page.waitForLoadState('networkidle');
+  }
+
+  async function searchAddress(page, address) {
+    await page.goto(`/search?query=${address}&records=true`);
+    await expect(page.locator('[data-search-results]')).toContainText(address);
+  }
+
+  async function readSerial(page) {
+    const response = await page.request.get(`/search/results?query=${zoneName}&records=true&type_filter=SOA`, {
+      headers: { 'Accept': 'application/json' }
+    });
+    const result = await response.json();
+    return result.html.match(/\s(\d{10})\s/)?.[1];
+  }
+
+  test('should create the records to replace', async ({ adminPage: page }) => {
+    zoneId = await ensureZoneExists(page, zoneName, 'master');
+    expect(zoneId).toBeTruthy();
+
+    await addRecord(page, 'web1', '198.51.100.71');
+    await addRecord(page, 'web2', '198.51.100.71');
+    await addRecord(page, 'web3', '198.51.100.171');
+
+    await page.goto(`/zones/${zoneId}/edit`);
+    recordId = await page.locator('input[name="record_id[]"]').first().inputValue();
+  });
+
+  test('should preview the content before and after the change', async ({ adminPage: page }) => {
+    await searchAddress(page, '198.51.100.71');
+
+    const results = page.locator('[data-search-results]');
+    await results.locator('#select_records').check();
+    await results.locator('[data-record-replace-open]').click();
+
+    const dialog = page.locator('#replaceRecordsModal');
+    await expect(dialog).toBeVisible();
+    await dialog.locator('input[name="find"]').fill('198.51.100.71');
+    await dialog.locator('input[name="replace"]').fill('198.51.100.72');
+    await dialog.locator('button[type="submit"]').click();
+
+    const rows = dialog.locator('[data-replace-rows] tr');
+    await expect(rows.filter({ hasText: 'web1' })).toHaveAttribute('data-status', 'change');
+    await expect(rows.filter({ hasText: 'web1' })).toContainText('198.51.100.72');
+    await expect(dialog.locator('[data-replace-apply]')).toBeEnabled();
+
+    // The whole content has to match, so the longer address is left alone
+    const web3 = rows.filter({ hasText: 'web3' });
+    if (await web3.count() > 0) {
+      await expect(web3).toHaveAttribute('data-status', 'unchanged');
+    }
+
+    // Editing the fields drops the preview
+    await dialog.locator('input[name="replace"]').fill('198.51.100.73');
+    await expect(dialog.locator('[data-replace-apply]')).toBeDisabled();
+  });
+
+  test('should apply the change and bump the SOA serial', async ({ adminPage: page }) => {
+    const serialBefore = await readSerial(page);
+    await searchAddress(page, '198.51.100.71');
+
+    const results = page.locator('[data-search-results]');
+    await results.locator('#select_records').check();
+    await results.locator('[data-record-replace-open]').click();
+
+    const dialog = page.locator('#replaceRecordsModal');
+    await dialog.locator('input[name="find"]').fill('198.51.100.71');
+    await dialog.locator('input[name="replace"]').fill('198.51.100.72');
+    await dialog.locator('button[type="submit"]').click();
+    await expect(dialog.locator('[data-replace-apply]')).toBeEnabled();
+    await dialog.locator('[data-replace-apply]').click();
+
+    const rows = dialog.locator('[data-replace-rows] tr');
+    await expect(rows.filter({ hasText: 'web1' })).toHaveAttribute('data-status', 'updated');
+    await expect(rows.filter({ hasText: 'web2' })).toHaveAttribute('data-status', 'updated');
+    await expect(dialog.locator('[data-replace-status]')).toHaveClass(/text-success/);
+
+    const serialAfter = await readSerial(page);
+    if (serialBefore && serialAfter) {
+      expect(Number(serialAfter)).toBeGreaterThan(Number(serialBefore));
+    }
+
+    await page.goto(`/zones/${zoneId}/edit`);
+    await expect(page.locator('body')).toContainText('198.51.100.72');
+    await expect(page.locator('body')).toContainText('198.51.100.171');
+  });
+
+  test('should not show records of a zone the user cannot edit', async ({ clientPage: page }) => {
+    await page.goto('/search');
+    const token = await page.locator('input[name="_token"]').first().inputValue();
+
+    const response = await page.request.post('/zones/records/replace/preview', {
+      headers: { 'Accept': 'application/json' },
+      form: { 'record_id[]': recordId, _token: token, find: '198.51.100.72', replace: '198.51.100.73' }
+    });
+    expect(response.status()).toBe(200);
+
+    const body = await response.text();
+    const { records } = JSON.parse(body);
+    expect(records).toHaveLength(1);
+    expect(Object.keys(records[0]).sort()).toEqual(['id', 'message', 'status']);
+    expect(records[0].status).toBe('denied');
+    expect(body).not.toContain(zoneName);
+    expect(body).not.toContain('198.51.100.');
+  });
+
+  test('should reject a replace without a selection', async ({ adminPage: page }) => {
+    await page.goto('/search');
+    const token = await page.locator('input[name="_token"]').first().inputValue();
+
+    const response = await page.request.post('/zones/records/replace/preview', {
+      headers: { 'Accept': 'application/json' },
+      form: { _token: token, find: '198.51.100.72', replace: '198.51.100.73' }
+    });
+    expect(response.status()).toBe(400);
+  });
+});
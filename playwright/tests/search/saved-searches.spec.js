@@ -0,0 +1,114 @@
+/**
+ * Saved Searches Tests
+ *
+ * Tests for named saved searches and the recent searches list of the
+ * search page, running a saved search from its link, and keeping the lists
+ * of users sharing a browser apart.
+ */
+
+import { test, expect } from '../../fixtures/test-fixtures.js';
+import { loginAndWaitForDashboard, logout } from '../../helpers/auth.js';
+import users from '../../fixtures/users.json' assert { type: 'json' };
+
+test.describe.configure({ mode: 'serial' });
+
+test.describe('Saved Searches', () => {
+  const timestamp = Date.now();
+  const query = `saved-${timestamp}`;
+  const name = `Audit ${timestamp}`;
+
+  test('should save the current search with all options', async ({ adminPage: page }) => {
+    await page.goto('/search');
+    await page.locator('#wildcard_check').uncheck();
+    await page.locator('input[name="query"]').fill(`${query} type:MX`);
+    await page.locator('input[name="query"]').press('Enter');
+
+    const saved = page.locator('[data-saved-searches]');
+    await saved.getByRole('button', { name: /Saved searches/ }).click();
+    await saved.locator('input[name="saved_search_name"]').fill(name);
+    await saved.locator('[data-saved-search-form] button[type="submit"]').click();
+
+    const link = saved.locator('[data-saved-search-list] a', { hasText: name });
+    await expect(link).toBeVisible();
+    await expect(link).toHaveAttribute('href', new RegExp(`/search\\?.*query=${query}`));
+    expect(await link.getAttribute('href')).not.toContain('wildcard=');
+    expect(await link.getAttribute('href')).not.toContain('_token');
+  });
+
+  test('should run a saved search from its link', async ({ adminPage: page }) => {
+    await page.goto('/search');
+
+    const saved = page.locator('[data-saved-searches]');
+    await saved.getByRole('button', { name: /Saved searches/ }).click();
+    await saved.locator('[data-saved-search-list] a', { hasText: name }).click();
+
+    await expect(page).toHaveURL(new RegExp(`query=${query}`));
+    await expect(page.locator('input[name="query"]')).toHaveValue(`${query} type:MX`);
+    await expect(page.locator('#wildcard_check')).not.toBeChecked();
+    await expect(page.locator('[data-search-results]')).toContainText(/No results found/);
+  });
+
+  test('should list the search under recent searches', async ({ adminPage: page }) => {
+    await page.goto('/search');
+    await page.locator('input[name="query"]').fill(`recent-${timestamp}`);
+    await page.locator('input[name="query"]').press('Enter');
+    await expect(page.locator('[data-search-results]')).toContainText(/No results found/);
+
+    const saved = page.locator('[data-saved-searches]');
+    await expect(async () => {
+      await page.keyboard.press('Escape');
+      await saved.getByRole('button', { name: /Recent/ }).click();
+      await expect(saved.locator('[data-search-history]')).toContainText(`recent-${timestamp}`, { timeout: 1000 });
+    }).toPass();
+  });
+
+  test('should delete a saved search', async ({ adminPage: page }) => {
+    await page.goto('/search');
+
+    const saved = page.locator('[data-saved-searches]');
+    await saved.getByRole('button', { name: /Saved searches/ }).click();
+    await saved.locator('[data-saved-search-list] li', { hasText: name }).getByRole('button').click();
+    await expect(saved.locator('[data-saved-search-list] a', { hasText: name })).toHaveCount(0);
+  });
+});
+
+test.describe('Saved Searches of users sharing a browser', () => {
+  test('should not show one user\'s searches to the next', async ({ page }) => {
+    const timestamp = Date.now();
+    const query = `private-${timestamp}`;
+    const name = `Private ${timestamp}`;
+
+    await loginAndWaitForDashboard(page, users.admin.username, users.admin.password);
+    await page.goto('/search');
+    await page.locator('input[name="query"]').fill(query);
+    await page.locator('input[name="query"]').press('Enter');
+    await expect(page.locator('[data-search-results]')).toContainText(/No results found/);
+
+    const saved = page.locator('[data-saved-searches]');
+    await saved.getByRole('button', { name: /Saved searches/ }).click();
+    await saved.locator('input[name="saved_search_name"]').fill(name);
+    await saved.locator('[data-saved-search-form] button[type="submit"]').click();
+    await expect(saved.locator('[data-saved-search-list] a', { hasText: name })).toBeVisible();
+    await page.evaluate(() => UserSettings.flush());
+
+    await logout(page);
+    await loginAndWaitForDashboard(page, users.manager.username, users.manager.password);
+    await page.goto('/search');
+
+    const lists = await page.evaluate(() => JSON.stringify([
+      UserSettings.get('saved_searches'),
+      UserSettings.get('search_history'),
+    ]));
+    expect(lists).not.toContain(query);
+    await expect(page.locator('[data-saved-search-list]')).not.toContainText(name);
+    await expect(page.locator('[data-search-history]')).not.toContainText(query);
+
+    // Clean up the first user's saved search
+    await logout(page);
+    await loginAndWaitForDashboard(page, users.admin.username, users.admin.password);
+    await page.goto('/search');
+    await saved.getByRole('button', { name: /Saved searches/ }).click();
+    await saved.locator('[data-saved-search-list] li', { hasText: name }).getByRole('button').click();
+    await expect(saved.locator('[data-saved-search-list] a', { hasText: name })).toHaveCount(0);
+  });
+});
@@ -0,0 +1,114 @@
+/**
+ * Bulk Registration Runner Tests
+ *
+ * Tests for registering domains in batches with live per-domain status,
+ * pausing and cancelling the run and downloading the CSV report.
+ */
+
+import { test, expect } from '../../fixtures/test-fixtures.js';
+import { ensureZoneExists } from '../../helpers/zones.js';
+
+test.describe.configure({ mode: 'serial' });
+
+test.describe('Bulk Registration Runner', () => {
+  const timestamp = Date.now();
+  const existingZone = `runner-existing-${timestamp}.example.com`;
+  const newZones = [`runner-a-${timestamp}.example.com`, `runner-b-${timestamp}.example.com`];
+
+  test('should create the zone that already exists', async ({ adminPage: page }) => {
+    expect(await ensureZoneExists(page, existingZone, 'master')).toBeTruthy();
+  });
+
+  test('should report every domain of a batch', async ({ adminPage: page }) => {
+    await page.goto('/zones/bulk-registration');
+
+    const results = await page.evaluate(async () => {
+      const form = document.querySelector('form[data-bulk-registration-runner]');
+      const params = new URLSearchParams(new FormData(form));
+      params.delete('domains');
+      ['bad_name!.example.com'].forEach(domain => params.append('domains[]', domain));
+      const response = await fetch(form.dataset.batchUrl, {
+        method: 'POST',
+        headers: { 'Accept': 'application/json' },
+        body: params
+      });
+      return { status: response.status, body: await response.json() };
+    });
+
+    expect(results.status).toBe(200);
+    expect(results.body.results).toEqual([
+      expect.objectContaining({ domain: 'bad_name!.example.com', status: 'invalid' })
+    ]);
+  });
+
+  test('should reject a batch without a valid token', async ({ adminPage: page }) => {
+    await page.goto('/zones/bulk-registration');
+
+    const status = await page.evaluate(async () => {
+      const form = document.querySelector('form[data-bulk-registration-runner]');
+      const params = new URLSearchParams(new FormData(form));
+      params.set('_token', 'invalid');
+      params.append('domains[]', 'token-test.example.com');
+      const response = await fetch(form.dataset.batchUrl, { method: 'POST', body: params });
+      return response.status;
+    });
+
+    expect(status).toBe(403);
+  });
+
+  test('should show the status of each domain as it is registered', async ({ adminPage: page }) => {
+    await page.goto('/zones/bulk-registration');
+    await page.locator('textarea[name="domains"]').fill(
+      [...newZones, existingZone, 'bad_name!.example.com', newZones[0]].join('\n')
+    );
+    await page.locator('form button[type="submit"]').click();
+
+    const progress = page.locator('[data-bulk-registration-progress]');
+    await expect(progress).toBeVisible();
+    await expect(progress.locator('[data-runner-download]')).toBeVisible();
+
+    // The repeated domain is only sent once
+    await expect(progress.locator('[data-runner-rows] tr')).toHaveCount(4);
+    await expect(progress.locator('[data-runner-count="created"]')).toHaveText('2');
+    await expect(progress.locator('[data-runner-count="exists"]')).toHaveText('1');
+    await expect(progress.locator('[data-runner-count="invalid"]')).toHaveText('1');
+    await expect(progress.locator('[data-runner-bar]')).toHaveText('100%');
+    await expect(progress.locator(`tr[data-status="exists"]`)).toContainText(existingZone);
+
+    // Domains that were not added stay in the textarea
+    await expect(page.locator('textarea[name="domains"]')).toHaveValue(`${existingZone}\nbad_name!.example.com`);
+
+    const [download] = await Promise.all([
+      page.waitForEvent('download'),
+      progress.locator('[data-runner-download]').click()
+    ]);
+    expect(download.suggestedFilename()).toMatch(/^bulk-registration-.*\.csv$/);
+    const stream = await download.createReadStream();
+    let csv = '';
+    for await (const chunk of stream) {
+      csv += chunk;
+    }
+    expect(csv).toContain('domain,status,message,zone_id');
+    expect(csv).toContain(`${newZones[0]},created,`);
+    expect(csv).toContain(`${existingZone},exists,`);
+  });
+
+  test('should pause and cancel a run between batches', async ({ adminPage: page }) => {
+    await page.goto('/zones/bulk-registration');
+
+    // Invalid names keep the run from creating zones
+    const domains = Array.from({ length: 30 }, (_, index) => `bad_${index}!.example.com`);
+    await page.locator('textarea[name="domains"]').fill(domains.join('\n'));
+    await page.locator('form button[type="submit"]').click();
+
+    const progress = page.locator('[data-bulk-registration-progress]');
+    await progress.locator('[data-runner-pause]').click();
+    await expect(progress.locator('[data-runner-pause]')).toHaveText(/Resume/);
+    await expect(progress.locator('[data-runner-count="invalid"]')).toHaveText('25');
+
+    await progress.locator('[data-runner-cancel]').click();
+    await expect(progress.locator('[data-runner-count="cancelled"]')).toHaveText('5');
+    await expect(progress.locator('[data-runner-pause]')).toBeHidden();
+    await expect(progress.locator('[data-runner-download]')).toBeVisible();
+  });
+});
@@ -0,0 +1,70 @@
+/**
+ * DNS Wizard Edit Record Tests
+ *
+ * Tests for opening existing TXT/CAA/SRV/TLSA records in the DNS wizard
+ * and pre-filling the wizard form from the parsed record.
+ */
+
+import { test, expect } from '@playwright/test';
+import { loginAndWaitForDashboard } from '../../helpers/auth.js';
+import users from '../../fixtures/users.json' assert { type: 'json' };
+
+// Helper to find a zone edit page that offers "Open in wizard" on a record
+async function findWizardRecordLink(page) {
+  await page.goto('/zones/forward?letter=all');
+  const editLinks = page.locator('a[href*="/edit"]');
+  const hrefs = [];
+  for (let i = 0; i < Math.min(await editLinks.count(), 5); i++) {
+    const href = await editLinks.nth(i).getAttribute('href');
+    if (/\/zones\/\d+\/edit/.test(href)) {
+      hrefs.push(href);
+    }
+  }
+
+  for (const href of hrefs) {
+    await page.goto(href);
+    const link = page.locator('a[href*="/wizard?record_id="]').first();
+    if (await link.count() > 0) {
+      return link;
+    }
+  }
+  return null;
+}
+
+test.describe('DNS Wizard Edit Record', () => {
+  test('should open a record in its wizard with the record pre-filled', async ({ page }) => {
+    await loginAndWaitForDashboard(page, users.admin.username, users.admin.password);
+    const link = await findWizardRecordLink(page);
+    if (!link) return;
+
+    const parse = page.waitForResponse(resp => resp.url().includes('/api/internal/dns-wizard?action=parse'));
+    await link.click();
+    await expect(page).toHaveURL(/\/zones\/\d+\/wizard\/[a-z]+\?record_id=/);
+    await expect(page.locator('input[name="record_id"]')).toHaveCount(1);
+
+    const submit = page.locator('button[name="submit_wizard"]');
+    await expect(submit).toContainText('Update Record');
+
+    // The internal API is only served when the API is enabled
+    if ((await parse).status() !== 200) {
+      await expect(submit).toBeDisabled();
+      await expect(page.locator('[data-wizard-prefill-error]')).toBeVisible();
+      return;
+    }
+
+    await expect(submit).toBeEnabled();
+  });
+
+  test('should reject a record from another zone', async ({ page }) => {
+    await loginAndWaitForDashboard(page, users.admin.username, users.admin.password);
+    const link = await findWizardRecordLink(page);
+    if (!link) return;
+
+    const href = await link.getAttribute('href');
+    const recordId = new URL(href, 'http://localhost').searchParams.get('record_id');
+    await page.goto(`/zones/999999/wizard/spf?record_id=${recordId}`);
+
+    const bodyText = await page.locator('body').textContent();
+    expect(bodyText).toMatch(/invalid|not found|error|permission/i);
+  });
+});
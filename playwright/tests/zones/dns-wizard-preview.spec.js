@@ -0,0 +1,88 @@
+/**
+ * DNS Wizard Live Preview Tests
+ *
+ * Tests for the live record preview and per-field errors on the
+ * DNS wizard form.
+ */
+
+import { test, expect } from '@playwright/test';
+import { loginAndWaitForDashboard } from '../../helpers/auth.js';
+import users from '../../fixtures/users.json' assert { type: 'json' };
+
+// Helper to get a zone ID for testing
+async function getTestZoneId(page) {
+  await page.goto('/zones/forward?letter=all');
+  const editLink = page.locator('a[href*="/edit"]').first();
+  if (await editLink.count() > 0) {
+    const href = await editLink.getAttribute('href');
+    const match = href.match(/\/zones\/(\d+)\/edit/);
+    return match ? match[1] : null;
+  }
+  return null;
+}
+
+// Open a wizard form and wait for its first preview request
+async function openWizard(page, zoneId, type) {
+  const preview = page.waitForResponse(resp => resp.url().includes('/api/internal/dns-wizard?action=preview'));
+  await page.goto(`/zones/${zoneId}/wizard/${type}`);
+  if (await page.locator('form[data-wizard-type]').count() === 0) {
+    return null;
+  }
+  return preview;
+}
+
+test.describe('DNS Wizard Live Preview', () => {
+  test('should show the generated DMARC record while typing', async ({ page }) => {
+    await loginAndWaitForDashboard(page, users.admin.username, users.admin.password);
+    const zoneId = await getTestZoneId(page);
+    if (!zoneId) return;
+
+    const initial = await openWizard(page, zoneId, 'dmarc');
+    if (!initial || (await initial).status() !== 200) return;
+
+    const panel = page.locator('[data-wizard-preview]');
+    await expect(panel).toBeVisible();
+
+    const updated = page.waitForResponse(resp => resp.url().includes('/api/internal/dns-wizard?action=preview'));
+    await page.locator('#wizard_rua').fill('dmarc-reports@example.com');
+    await updated;
+
+    await expect(panel.locator('[data-preview-field="name"]')).toContainText('_dmarc');
+    await expect(panel.locator('[data-preview-field="content"]')).toContainText('v=DMARC1');
+    await expect(panel.locator('[data-preview-field="content"]')).toContainText('rua=mailto:dmarc-reports@example.com');
+  });
+
+  test('should show the validation error on the field it belongs to', async ({ page }) => {
+    await loginAndWaitForDashboard(page, users.admin.username, users.admin.password);
+    const zoneId = await getTestZoneId(page);
+    if (!zoneId) return;
+
+    const initial = await openWizard(page, zoneId, 'dmarc');
+    if (!initial || (await initial).status() !== 200) return;
+
+    const updated = page.waitForResponse(resp => resp.url().includes('/api/internal/dns-wizard?action=preview'));
+    await page.locator('#wizard_rua').fill('not-an-email');
+    const data = await (await updated).json();
+    expect(data.data.validation.fieldErrors.rua).toBeTruthy();
+
+    await expect(page.locator('#wizard_rua')).toHaveClass(/is-invalid/);
+    await expect(page.locator('.wizard-api-feedback')).toBeVisible();
+    await expect(page.locator('[data-preview-empty]')).toBeVisible();
+  });
+
+  test('should keep the form on the page while a field has a server error', async ({ page }) => {
+    await loginAndWaitForDashboard(page, users.admin.username, users.admin.password);
+    const zoneId = await getTestZoneId(page);
+    if (!zoneId) return;
+
+    const initial = await openWizard(page, zoneId, 'dmarc');
+    if (!initial || (await initial).status() !== 200) return;
+
+    const updated = page.waitForResponse(resp => resp.url().includes('/api/internal/dns-wizard?action=preview'));
+    await page.locator('#wizard_rua').fill('not-an-email');
+    await updated;
+
+    await page.locator('button[name="submit_wizard"]').click();
+    await expect(page).toHaveURL(new RegExp(`/zones/${zoneId}/wizard/dmarc`, 'i'));
+  });
+});
@@ -0,0 +1,76 @@
+/**
+ * Reverse Zone Network Tree Tests
+ *
+ * Tests for the network tree view of the reverse zone list: nesting under
+ * parent networks, RFC 2317 delegations and the IP/prefix search.
+ */
+
+import { test, expect } from '../../fixtures/test-fixtures.js';
+import { ensureZoneExists } from '../../helpers/zones.js';
+
+test.describe.configure({ mode: 'serial' });
+
+test.describe('Reverse Zone Network Tree', () => {
+  const parentZone = '77.10.in-addr.arpa';
+  const childZone = '5.77.10.in-addr.arpa';
+  const classlessZone = '64/26.5.77.10.in-addr.arpa';
+
+  test('should create the reverse zones for the tree', async ({ adminPage: page }) => {
+    for (const zone of [parentZone, childZone, classlessZone]) {
+      expect(await ensureZoneExists(page, zone, 'master')).toBeTruthy();
+    }
+  });
+
+  test('should report the network of each reverse zone', async ({ adminPage: page }) => {
+    const response = await page.request.get('/zones/reverse/tree?reverse_type=ipv4');
+    expect(response.status()).toBe(200);
+
+    const result = await response.json();
+    const byName = Object.fromEntries(result.zones.map(zone => [zone.name, zone]));
+    expect(byName[childZone].network).toMatchObject({ family: 4, network: '10.77.5.0', prefix: 24, classless: false });
+    expect(byName[classlessZone].network).toMatchObject({ network: '10.77.5.64', prefix: 26, classless: true });
+  });
+
+  test('should nest zones under their parent networks', async ({ adminPage: page }) => {
+    await page.goto('/zones/reverse?reverse_type=ipv4&view=tree');
+
+    const tree = page.locator('[data-reverse-zone-tree]');
+    await expect(tree.locator('[data-tree-root] > li[role="treeitem"]').first()).toBeVisible();
+
+    // Children are rendered on first expand
+    await expect(tree.getByText('10.77.5.0/24')).toHaveCount(0);
+
+    const group = tree.locator('li[role="treeitem"]').filter({ hasText: '10.0.0.0/8' }).first();
+    await group.locator('> div button').click();
+    const parent = group.locator('li[role="treeitem"]').filter({ hasText: '10.77.0.0/16' }).first();
+    await expect(parent.getByRole('link', { name: parentZone })).toBeVisible();
+
+    await parent.locator('> div button').click();
+    await expect(parent.getByText('10.77.5.0/24')).toBeVisible();
+  });
+
+  test('should find the most specific network for an address', async ({ adminPage: page }) => {
+    await page.goto('/zones/reverse?reverse_type=ipv4&view=tree');
+
+    const tree = page.locator('[data-reverse-zone-tree]');
+    await expect(tree.locator('[data-tree-root] > li[role="treeitem"]').first()).toBeVisible();
+
+    await tree.locator('[data-tree-search]').fill('10.77.5.70');
+    await tree.locator('[data-tree-search]').press('Enter');
+
+    await expect(tree.getByText('10.77.5.64/26')).toBeVisible();
+    await expect(tree.getByText('RFC 2317').first()).toBeVisible();
+    await expect(tree.locator('[data-tree-status]')).toContainText(classlessZone);
+
+    await tree.locator('[data-tree-search]').fill('10.78.1.1');
+    await tree.locator('[data-tree-search]').press('Enter');
+    await expect(tree.locator('[data-tree-status]')).not.toContainText(classlessZone);
+  });
+
+  test('should keep the table view as default', async ({ adminPage: page }) => {
+    await page.goto('/zones/reverse');
+
+    await expect(page.locator('[data-reverse-zone-tree]')).toHaveCount(0);
+    await expect(page.locator('#delete-zones-form')).toBeVisible();
+  });
+});
@@ -0,0 +1,78 @@
+/**
+ * Zone List Column Chooser Tests
+ *
+ * Tests for hiding, reordering and sticky headers of the zone list columns.
+ */
+
+import { test, expect } from '@playwright/test';
+import { loginAndWaitForDashboard } from '../../helpers/auth.js';
+import users from '../../fixtures/users.json' assert { type: 'json' };
+
+test.describe('Zone List Columns', () => {
+  test.beforeEach(async ({ page }) => {
+    await loginAndWaitForDashboard(page, users.admin.username, users.admin.password);
+    await page.goto('/zones/forward');
+  });
+
+  test.afterEach(async ({ page }) => {
+    const reset = page.locator('[data-column-chooser-menu="forward"] [data-column-reset]');
+    if (await reset.count() > 0 && await page.locator('[data-column-chooser-menu="forward"]').isVisible()) {
+      await page.locator('[data-column-chooser-menu="forward"] .dropdown-toggle').click();
+      await reset.click();
+      await page.waitForTimeout(1000);
+    }
+  });
+
+  test('should keep a hidden column hidden after reload', async ({ page }) => {
+    const menu = page.locator('[data-column-chooser-menu="forward"]');
+    if (await menu.count() === 0 || !(await menu.isVisible())) {
+      return;
+    }
+
+    await menu.locator('.dropdown-toggle').click();
+    await menu.locator('#column_forward_type').uncheck();
+    await expect(page.locator('th[data-column="type"]')).toBeHidden();
+
+    // Saving is debounced
+    await page.waitForTimeout(1000);
+    await page.reload();
+
+    await expect(page.locator('th[data-column="type"]')).toBeHidden();
+    await expect(page.locator('th[data-column="name"]')).toBeVisible();
+  });
+
+  test('should not allow hiding the name column', async ({ page }) => {
+    const menu = page.locator('[data-column-chooser-menu="forward"]');
+    if (await menu.count() === 0 || !(await menu.isVisible())) {
+      return;
+    }
+
+    await menu.locator('.dropdown-toggle').click();
+    await expect(menu.locator('#column_forward_name')).toBeDisabled();
+  });
+
+  test('should move a column with the keyboard', async ({ page }) => {
+    const menu = page.locator('[data-column-chooser-menu="forward"]');
+    if (await menu.count() === 0 || !(await menu.isVisible())) {
+      return;
+    }
+
+    await menu.locator('.dropdown-toggle').click();
+    await menu.locator('#column_forward_records').focus();
+    await page.keyboard.press('Alt+ArrowUp');
+
+    const order = await page.locator('th[data-column]').evaluateAll(cells => cells.map(cell => cell.dataset.column));
+    expect(order.indexOf('records')).toBeLessThan(order.indexOf('type'));
+  });
+
+  test('should make the header sticky', async ({ page }) => {
+    const menu = page.locator('[data-column-chooser-menu="forward"]');
+    if (await menu.count() === 0 || !(await menu.isVisible())) {
+      return;
+    }
+
+    await menu.locator('.dropdown-toggle').click();
+    await menu.locator('[data-column-sticky]').check();
+    await expect(page.locator('.table-responsive.table-sticky-head')).toHaveCount(1);
+  });
+});
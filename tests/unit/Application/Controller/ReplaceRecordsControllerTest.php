@@ -0,0 +1,137 @@
+<?php
+
+namespace Poweradmin\Tests\Unit\Application\Controller;
+
+use PHPUnit\Framework\TestCase;
+use Poweradmin\Application\Controller\ReplaceRecordsController;
+use Poweradmin\Domain\Service\ApiPermissionService;
+use Poweradmin\Domain\Service\DnsRecord;
+use Poweradmin\Domain\Service\RecordContentReplacer;
+use Poweradmin\Domain\Service\UserContextService;
+use ReflectionClass;
+
+class ReplaceRecordsControllerTest extends TestCase
+{
+    private ReflectionClass $controllerReflection;
+    private DnsRecord $dnsRecord;
+    private ApiPermissionService $permissionService;
+
+    protected function setUp(): void
+    {
+        parent::setUp();
+        $this->controllerReflection = new ReflectionClass(ReplaceRecordsController::class);
+        $this->dnsRecord = $this->createMock(DnsRecord::class);
+        $this->permissionService = $this->createMock(ApiPermissionService::class);
+
+        $this->dnsRecord->method('getZoneIdFromRecordId')->willReturnMap([[5, 42], [6, 0]]);
+        $this->dnsRecord->method('getDomainType')->willReturn('MASTER');
+    }
+
+    public function testRecordInForeignZoneComesBackWithoutContent(): void
+    {
+        $this->permissionService->method('canViewZone')->willReturn(false);
+        $this->dnsRecord->expects($this->never())->method('getRecordFromId');
+        $this->dnsRecord->expects($this->never())->method('getDomainNameById');
+
+        $records = $this->preview([5]);
+
+        $this->assertSame(['id', 'status', 'message'], array_keys($records[0]));
+        $this->assertSame('denied', $records[0]['status']);
+    }
+
+    public function testRecordInViewOnlyZoneComesBackWithoutContent(): void
+    {
+        $this->permissionService->method('canViewZone')->willReturn(true);
+        $this->permissionService->method('canEditZoneContent')->willReturn(false);
+        $this->dnsRecord->expects($this->never())->method('getRecordFromId');
+
+        $records = $this->preview([5]);
+
+        $this->assertSame(['id', 'status', 'message'], array_keys($records[0]));
+        $this->assertSame('denied', $records[0]['status']);
+    }
+
+    public function testRestrictedRecordTypeComesBackWithoutContent(): void
+    {
+        $this->allowZone();
+        $this->permissionService->method('canEditZoneRecord')->willReturn(false);
+        $this->dnsRecord->method('getRecordFromId')->willReturn($this->record('NS', 'ns1.example.com'));
+
+        $records = $this->preview([5]);
+
+        $this->assertSame(['id', 'status', 'message'], array_keys($records[0]));
+        $this->assertSame('denied', $records[0]['status']);
+    }
+
+    public function testMissingRecordComesBackWithoutContent(): void
+    {
+        $this->dnsRecord->expects($this->never())->method('getRecordFromId');
+
+        $records = $this->preview([6]);
+
+        $this->assertSame(['id' => 6, 'status' => 'missing', 'message' => 'Record not found.'], $records[0]);
+    }
+
+    public function testEditableRecordShowsContentBeforeAndAfter(): void
+    {
+        $this->allowZone();
+        $this->permissionService->method('canEditZoneRecord')->willReturn(true);
+        $this->dnsRecord->method('getRecordFromId')->willReturn($this->record('A', '198.51.100.71'));
+        $this->dnsRecord->method('getDomainNameById')->willReturn('example.com');
+
+        $records = $this->preview([5]);
+
+        $this->assertSame('change', $records[0]['status']);
+        $this->assertSame('example.com', $records[0]['zone']);
+        $this->assertSame('198.51.100.71', $records[0]['before']);
+        $this->assertSame('198.51.100.72', $records[0]['after']);
+        $this->assertArrayNotHasKey('record', $records[0]);
+    }
+
+    private function allowZone(): void
+    {
+        $this->permissionService->method('canViewZone')->willReturn(true);
+        $this->permissionService->method('canEditZoneContent')->willReturn(true);
+    }
+
+    private function record(string $type, string $content): array
+    {
+        return ['id' => 5, 'domain_id' => 42, 'name' => 'www.example.com', 'type' => $type, 'content' => $content, 'ttl' => 3600, 'prio' => 0];
+    }
+
+    private function preview(array $recordIds): array
+    {
+        $userContext = $this->createMock(UserContextService::class);
+        $userContext->method('getLoggedInUserId')->willReturn(7);
+
+        $controller = $this->controllerReflection->newInstanceWithoutConstructor();
+        $this->setProperty($controller, 'dnsRecord', $this->dnsRecord);
+        $this->setProperty($controller, 'permissionService', $this->permissionService);
+        $this->setProperty($controller, 'userContextService', $userContext);
+        $this->setProperty($controller, 'replacer', new RecordContentReplacer());
+
+        $changes = $this->invokePrivateMethod($controller, 'planChanges', [[
+            'record_ids' => $recordIds,
+            'find' => '198.51.100.71',
+            'replace' => '198.51.100.72',
+            'match' => RecordContentReplacer::MATCH_CONTENT,
+        ]]);
+
+        return array_map(fn($change) => $this->invokePrivateMethod($controller, 'describe', [$change]), $changes);
+    }
+
+    private function invokePrivateMethod(object $object, string $methodName, array $arguments = []): mixed
+    {
+        $method = $this->controllerReflection->getMethod($methodName);
+        $method->setAccessible(true);
+
+        return $method->invokeArgs($object, $arguments);
+    }
+
+    private function setProperty(object $object, string $propertyName, mixed $value): void
+    {
+        $property = $this->controllerReflection->getProperty($propertyName);
+        $property->setAccessible(true);
+        $property->setValue($object, $value);
+    }
+}
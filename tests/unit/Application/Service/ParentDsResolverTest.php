@@ -0,0 +1,100 @@
+<?php
+
+/*  Poweradmin, a friendly web-based admin tool for PowerDNS.
+ *  See <https://www.poweradmin.org> for more details.
+ *
+ *  Copyright 2007-2010 Rejo Zenger <rejo@zenger.nl>
+ *  Copyright 2010-2026 Poweradmin Development Team
+ *
+ *  This program is free software: you can redistribute it and/or modify
+ *  it under the terms of the GNU General Public License as published by
+ *  the Free Software Foundation, either version 3 of the License, or
+ *  (at your option) any later version.
+ *
+ *  This program is distributed in the hope that it will be useful,
+ *  but WITHOUT ANY WARRANTY; without even the implied warranty of
+ *  MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ *  GNU General Public License for more details.
+ *
+ *  You should have received a copy of the GNU General Public License
+ *  along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+
+namespace Poweradmin\Tests\Unit\Application\Service;
+
+use PHPUnit\Framework\Attributes\CoversClass;
+use PHPUnit\Framework\Attributes\Test;
+use PHPUnit\Framework\TestCase;
+use Poweradmin\Application\Service\ParentDsResolver;
+
+#[CoversClass(ParentDsResolver::class)]
+class ParentDsResolverTest extends TestCase
+{
+    private string $stubFile;
+
+    protected function setUp(): void
+    {
+        $this->stubFile = tempnam(sys_get_temp_dir(), 'parent_ds_');
+        file_put_contents($this->stubFile, json_encode([
+            'Example.com.' => [
+                'example.com. 86400 IN DS 12345 13 2 abcdef0123456789',
+                '23456 13 4 AABB CCDD',
+                'not a ds record',
+            ],
+            'unsigned.example' => [],
+        ]));
+    }
+
+    protected function tearDown(): void
+    {
+        @unlink($this->stubFile);
+    }
+
+    #[Test]
+    public function testReadsRecordsFromStubFile(): void
+    {
+        $resolver = new ParentDsResolver($this->stubFile);
+
+        $this->assertSame(
+            ['12345 13 2 ABCDEF0123456789', '23456 13 4 AABBCCDD'],
+            $resolver->lookup('example.com')
+        );
+    }
+
+    #[Test]
+    public function testReturnsNoRecordsForUnknownZone(): void
+    {
+        $resolver = new ParentDsResolver($this->stubFile);
+
+        $this->assertSame([], $resolver->lookup('unsigned.example.'));
+        $this->assertSame([], $resolver->lookup('other.example'));
+    }
+
+    #[Test]
+    public function testReportsUnreadableSource(): void
+    {
+        $resolver = new ParentDsResolver($this->stubFile . '.missing');
+
+        $this->assertNull($resolver->lookup('example.com'));
+    }
+
+    #[Test]
+    public function testIsNotConfiguredWithoutSource(): void
+    {
+        $resolver = new ParentDsResolver('  ');
+
+        $this->assertFalse($resolver->isConfigured());
+        $this->assertNull($resolver->lookup('example.com'));
+    }
+
+    #[Test]
+    public function testNormalizesRecordData(): void
+    {
+        $this->assertSame('12345 8 2 ABCD', ParentDsResolver::normalizeRecord('12345 8 2 ab cd'));
+        $this->assertSame('12345 8 2 ABCD', ParentDsResolver::normalizeRecord("example.com.\tIN\tDS\t12345 8 2 abcd"));
+        $this->assertNull(ParentDsResolver::normalizeRecord('12345 8 2 xyz'));
+        $this->assertNull(ParentDsResolver::normalizeRecord('12345 8'));
+        $this->assertNull(ParentDsResolver::normalizeRecord(42));
+    }
+}
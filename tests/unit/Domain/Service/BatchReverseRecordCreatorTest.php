@@ -367,4 +367,85 @@ class BatchReverseRecordCreatorTest extends TestCase
         $this->assertEquals(0, $addCount);
         $this->assertStringContainsString('skipped', $result['message']);
     }
+
+    public function testCreateIPv6NetworkOnlyCreatesSelectedAddresses(): void
+    {
+        $dnsRecord = $this->createMock(DnsRecord::class);
+        $dnsRecord->method('getBestMatchingZoneIdFromName')
+            ->willReturn(42);
+
+        $addedNames = [];
+        $dnsRecord->method('addRecord')
+            ->willReturnCallback(function ($zoneId, $name, $type, $content, $ttl, $prio) use (&$addedNames) {
+                $addedNames[] = $name;
+                return true;
+            });
+
+        $recordRepo = $this->createMock(RecordRepositoryInterface::class);
+        $recordRepo->method('hasPtrRecord')->willReturn(false);
+
+        $service = $this->createService($dnsRecord, null, $recordRepo);
+
+        $result = $service->createIPv6Network(
+            '2001:db8:1:1',
+            '',
+            'example.com',
+            '1',
+            3600,
+            0,
+            '',
+            '',
+            16,
+            false,
+            null,
+            false,
+            null,
+            ['2001:0db8:0001:0001:0000:0000:0000:0003', '2001:db8:1:1::a', 'not-an-address']
+        );
+
+        $this->assertTrue($result['success']);
+        $this->assertEquals([
+            '3.0.0.0.0.0.0.0.0.0.0.0.0.0.0.0.1.0.0.0.1.0.0.0.8.b.d.0.1.0.0.2.ip6.arpa',
+            'a.0.0.0.0.0.0.0.0.0.0.0.0.0.0.0.1.0.0.0.1.0.0.0.8.b.d.0.1.0.0.2.ip6.arpa',
+        ], $addedNames);
+    }
+
+    public function testCreateIPv4NetworkOnlyCreatesSelectedAddresses(): void
+    {
+        $dnsRecord = $this->createMock(DnsRecord::class);
+        $dnsRecord->method('getBestMatchingZoneIdFromName')
+            ->willReturn(42);
+
+        $addedNames = [];
+        $dnsRecord->method('addRecord')
+            ->willReturnCallback(function ($zoneId, $name, $type, $content, $ttl, $prio) use (&$addedNames) {
+                $addedNames[] = $name;
+                return true;
+            });
+
+        $recordRepo = $this->createMock(RecordRepositoryInterface::class);
+        $recordRepo->method('hasPtrRecord')->willReturn(false);
+
+        $service = $this->createService($dnsRecord, null, $recordRepo);
+
+        $result = $service->createIPv4Network(
+            '192.0.2.0/28',
+            'host',
+            'example.com',
+            '1',
+            3600,
+            0,
+            '',
+            '',
+            false,
+            false,
+            null,
+            null,
+            ['192.0.2.5', '192.0.2.9']
+        );
+
+        $this->assertTrue($result['success']);
+        $this->assertEquals(['5.2.0.192.in-addr.arpa', '9.2.0.192.in-addr.arpa'], $addedNames);
+        $this->assertStringContainsString('Created 2 PTR records', $result['message']);
+    }
 }
@@ -224,4 +224,38 @@ class BulkRecordParserTest extends TestCase
         $this->assertSame('A', $result['type']);
         $this->assertSame('192.168.1.1', $result['content']);
     }
+
+    public function testParseGridRowWithDefaults(): void
+    {
+        $result = $this->parser->parseRow(['name' => ' www ', 'type' => 'a', 'content' => '192.168.1.1', 'ttl' => '', 'prio' => ''], $this->defaultTtl);
+
+        $this->assertIsArray($result);
+        $this->assertSame('www', $result['name']);
+        $this->assertSame('A', $result['type']);
+        $this->assertSame(0, $result['prio']);
+        $this->assertSame(3600, $result['ttl']);
+        $this->assertSame('', $result['comment']);
+    }
+
+    public function testParseGridRowKeepsCommasInContent(): void
+    {
+        $result = $this->parser->parseRow(['name' => '@', 'type' => 'TXT', 'content' => '"a,b"', 'ttl' => '300', 'prio' => '0', 'comment' => 'note'], $this->defaultTtl);
+
+        $this->assertIsArray($result);
+        $this->assertSame('"a,b"', $result['content']);
+        $this->assertSame(300, $result['ttl']);
+        $this->assertSame('note', $result['comment']);
+    }
+
+    public function testParseGridRowRequiresTypeAndContent(): void
+    {
+        $this->assertIsString($this->parser->parseRow(['name' => 'www', 'type' => 'A'], $this->defaultTtl));
+        $this->assertIsString($this->parser->parseRow(['name' => 'www', 'content' => '192.168.1.1'], $this->defaultTtl));
+    }
+
+    public function testParseGridRowRejectsNonNumericTtlAndPriority(): void
+    {
+        $this->assertIsString($this->parser->parseRow(['type' => 'A', 'content' => '192.168.1.1', 'ttl' => '1h'], $this->defaultTtl));
+        $this->assertIsString($this->parser->parseRow(['type' => 'MX', 'content' => 'mx.example.com.', 'prio' => '-1'], $this->defaultTtl));
+    }
 }
@@ -0,0 +1,101 @@
+<?php
+
+/*  Poweradmin, a friendly web-based admin tool for PowerDNS.
+ *  See <https://www.poweradmin.org> for more details.
+ *
+ *  Copyright 2007-2010 Rejo Zenger <rejo@zenger.nl>
+ *  Copyright 2010-2026 Poweradmin Development Team
+ *
+ *  This program is free software: you can redistribute it and/or modify
+ *  it under the terms of the GNU General Public License as published by
+ *  the Free Software Foundation, either version 3 of the License, or
+ *  (at your option) any later version.
+ *
+ *  This program is distributed in the hope that it will be useful,
+ *  but WITHOUT ANY WARRANTY; without even the implied warranty of
+ *  MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ *  GNU General Public License for more details.
+ *
+ *  You should have received a copy of the GNU General Public License
+ *  along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+
+namespace Poweradmin\Tests\Unit\Domain\Service;
+
+use PHPUnit\Framework\Attributes\CoversClass;
+use PHPUnit\Framework\Attributes\Test;
+use PHPUnit\Framework\TestCase;
+use Poweradmin\Domain\Service\DnssecKeyGuard;
+
+#[CoversClass(DnssecKeyGuard::class)]
+class DnssecKeyGuardTest extends TestCase
+{
+    private DnssecKeyGuard $guard;
+
+    protected function setUp(): void
+    {
+        $this->guard = new DnssecKeyGuard();
+    }
+
+    #[Test]
+    public function testBlocksRemovingOnlyActiveKsk(): void
+    {
+        $keys = [
+            [1, 'KSK', 11111, 13, 256, true],
+            [2, 'ZSK', 22222, 13, 256, true],
+            [3, 'KSK', 33333, 13, 256, false],
+        ];
+
+        $this->assertNotNull($this->guard->removalBlocker($keys, 1));
+        $this->assertNotNull($this->guard->deactivationBlocker($keys, 2));
+    }
+
+    #[Test]
+    public function testAllowsRemovingKeyWithActiveSuccessor(): void
+    {
+        $keys = [
+            [1, 'KSK', 11111, 13, 256, true],
+            [2, 'ZSK', 22222, 13, 256, true],
+            [3, 'KSK', 33333, 13, 256, true],
+        ];
+
+        $this->assertNull($this->guard->removalBlocker($keys, 1));
+    }
+
+    #[Test]
+    public function testAllowsRemovingInactiveKey(): void
+    {
+        $keys = [
+            [1, 'CSK', 11111, 13, 256, true],
+            [2, 'CSK', 22222, 13, 256, false],
+        ];
+
+        $this->assertNull($this->guard->removalBlocker($keys, 2));
+    }
+
+    #[Test]
+    public function testCskCoversBothRoles(): void
+    {
+        $keys = [
+            [1, 'KSK', 11111, 13, 256, true],
+            [2, 'ZSK', 22222, 13, 256, true],
+            [3, 'CSK', 33333, 13, 256, true],
+        ];
+
+        $this->assertNull($this->guard->deactivationBlocker($keys, 1));
+        $this->assertNull($this->guard->deactivationBlocker($keys, 2));
+        $this->assertNull($this->guard->deactivationBlocker($keys, 3));
+    }
+
+    #[Test]
+    public function testBlocksRemovingCskThatIsOnlyZoneSigner(): void
+    {
+        $keys = [
+            [1, 'CSK', 11111, 13, 256, true],
+            [2, 'KSK', 22222, 13, 256, true],
+        ];
+
+        $this->assertNotNull($this->guard->removalBlocker($keys, 1));
+    }
+}
@@ -0,0 +1,152 @@
+<?php
+
+/*  Poweradmin, a friendly web-based admin tool for PowerDNS.
+ *  See <https://www.poweradmin.org> for more details.
+ *
+ *  Copyright 2007-2010 Rejo Zenger <rejo@zenger.nl>
+ *  Copyright 2010-2026 Poweradmin Development Team
+ *
+ *  This program is free software: you can redistribute it and/or modify
+ *  it under the terms of the GNU General Public License as published by
+ *  the Free Software Foundation, either version 3 of the License, or
+ *  (at your option) any later version.
+ *
+ *  This program is distributed in the hope that it will be useful,
+ *  but WITHOUT ANY WARRANTY; without even the implied warranty of
+ *  MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ *  GNU General Public License for more details.
+ *
+ *  You should have received a copy of the GNU General Public License
+ *  along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+
+namespace Poweradmin\Tests\Unit\Domain\Service;
+
+use PHPUnit\Framework\Attributes\CoversClass;
+use PHPUnit\Framework\Attributes\Test;
+use PHPUnit\Framework\TestCase;
+use Poweradmin\Domain\Model\DnssecRollover;
+use Poweradmin\Domain\Service\DnssecKeyGuard;
+use Poweradmin\Domain\Service\DnssecRolloverPlanner;
+
+#[CoversClass(DnssecRolloverPlanner::class)]
+#[CoversClass(DnssecRollover::class)]
+class DnssecRolloverPlannerTest extends TestCase
+{
+    private const WAIT = 3600;
+    private const START = 1767225600;
+
+    private DnssecRolloverPlanner $planner;
+
+    protected function setUp(): void
+    {
+        $this->planner = new DnssecRolloverPlanner(self::WAIT, new DnssecKeyGuard());
+    }
+
+    private function keys(bool $newActive, bool $oldActive = true): array
+    {
+        return [
+            [1, 'KSK', 11111, 13, 256, $oldActive],
+            [2, 'ZSK', 22222, 13, 256, true],
+            [3, 'KSK', 33333, 13, 256, $newActive],
+        ];
+    }
+
+    #[Test]
+    public function testWalksKskRolloverThroughAllSteps(): void
+    {
+        $rollover = DnssecRollover::start('KSK', 1, 3, self::START);
+        $this->assertSame(DnssecRolloverPlanner::STEP_ACTIVATE, $this->planner->nextStep($rollover));
+
+        $rollover = $rollover->advance(DnssecRollover::PHASE_ACTIVATED, self::START + self::WAIT);
+        $this->assertSame(DnssecRolloverPlanner::STEP_DS, $this->planner->nextStep($rollover));
+
+        $rollover = $rollover->advance(DnssecRollover::PHASE_DS_UPDATED, self::START + 2 * self::WAIT);
+        $this->assertSame(DnssecRolloverPlanner::STEP_RETIRE, $this->planner->nextStep($rollover));
+    }
+
+    #[Test]
+    public function testZskRolloverSkipsDsStep(): void
+    {
+        $rollover = DnssecRollover::start('ZSK', 2, 4, self::START)
+            ->advance(DnssecRollover::PHASE_ACTIVATED, self::START + self::WAIT);
+
+        $this->assertSame(DnssecRolloverPlanner::STEP_RETIRE, $this->planner->nextStep($rollover));
+        $this->assertSame(self::START + 2 * self::WAIT, $this->planner->earliestTime($rollover));
+
+        $statuses = array_column($this->planner->timeline($rollover), 'status', 'step');
+        $this->assertSame(['prepublish' => 'done', 'activate' => 'done', 'ds' => 'skipped', 'retire' => 'current'], $statuses);
+    }
+
+    #[Test]
+    public function testTimelineWithoutRolloverIsPending(): void
+    {
+        $statuses = array_column($this->planner->timeline(null), 'status');
+
+        $this->assertSame(['pending', 'pending', 'pending', 'pending'], $statuses);
+    }
+
+    #[Test]
+    public function testActivationWaitsForCachesUnlessConfirmed(): void
+    {
+        $rollover = DnssecRollover::start('KSK', 1, 3, self::START);
+
+        $this->assertNotNull($this->planner->stepBlocker($rollover, 'activate', $this->keys(false), self::START + 60, false));
+        $this->assertNull($this->planner->stepBlocker($rollover, 'activate', $this->keys(false), self::START + 60, true));
+        $this->assertNull($this->planner->stepBlocker($rollover, 'activate', $this->keys(false), self::START + self::WAIT, false));
+    }
+
+    #[Test]
+    public function testRejectsStepsOutOfOrder(): void
+    {
+        $rollover = DnssecRollover::start('KSK', 1, 3, self::START);
+
+        $this->assertNotNull($this->planner->stepBlocker($rollover, 'retire', $this->keys(true), self::START + self::WAIT, true));
+        $this->assertNotNull($this->planner->stepBlocker(null, 'activate', $this->keys(true), self::START, true));
+    }
+
+    #[Test]
+    public function testRetireIsBlockedWhileNewKeyIsInactive(): void
+    {
+        $rollover = DnssecRollover::start('KSK', 1, 3, self::START)
+            ->advance(DnssecRollover::PHASE_ACTIVATED, self::START)
+            ->advance(DnssecRollover::PHASE_DS_UPDATED, self::START);
+
+        $this->assertNotNull($this->planner->stepBlocker($rollover, 'retire', $this->keys(false), self::START + self::WAIT, true));
+        $this->assertNull($this->planner->stepBlocker($rollover, 'retire', $this->keys(true), self::START + self::WAIT, false));
+    }
+
+    #[Test]
+    public function testRolloverStartsOnlyFromActiveKey(): void
+    {
+        $this->assertNull($this->planner->startBlocker(null, $this->keys(false), 1));
+        $this->assertNotNull($this->planner->startBlocker(null, $this->keys(false), 3));
+        $this->assertNotNull($this->planner->startBlocker(DnssecRollover::start('KSK', 1, 3, self::START), $this->keys(false), 2));
+    }
+
+    #[Test]
+    public function testCancelIsRefusedOnceDsWasUpdated(): void
+    {
+        $rollover = DnssecRollover::start('KSK', 1, 3, self::START)
+            ->advance(DnssecRollover::PHASE_ACTIVATED, self::START);
+
+        $this->assertNull($this->planner->cancelBlocker($rollover));
+        $this->assertNotNull($this->planner->cancelBlocker($rollover->advance(DnssecRollover::PHASE_DS_UPDATED, self::START)));
+    }
+
+    #[Test]
+    public function testRolloverSurvivesMetadataRoundTrip(): void
+    {
+        $rollover = DnssecRollover::start('csk', 5, 6, self::START)
+            ->advance(DnssecRollover::PHASE_ACTIVATED, self::START + self::WAIT);
+
+        $restored = DnssecRollover::fromJson($rollover->toJson());
+
+        $this->assertNotNull($restored);
+        $this->assertSame('CSK', $restored->getKeyType());
+        $this->assertSame(DnssecRollover::PHASE_ACTIVATED, $restored->getPhase());
+        $this->assertSame(self::START + self::WAIT, $restored->getTimestamp(DnssecRollover::PHASE_ACTIVATED));
+        $this->assertNull(DnssecRollover::fromJson('{"phase":"unknown"}'));
+    }
+}
@@ -0,0 +1,83 @@
+<?php
+
+/*  Poweradmin, a friendly web-based admin tool for PowerDNS.
+ *  See <https://www.poweradmin.org> for more details.
+ *
+ *  Copyright 2007-2010 Rejo Zenger <rejo@zenger.nl>
+ *  Copyright 2010-2026 Poweradmin Development Team
+ *
+ *  This program is free software: you can redistribute it and/or modify
+ *  it under the terms of the GNU General Public License as published by
+ *  the Free Software Foundation, either version 3 of the License, or
+ *  (at your option) any later version.
+ *
+ *  This program is distributed in the hope that it will be useful,
+ *  but WITHOUT ANY WARRANTY; without even the implied warranty of
+ *  MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ *  GNU General Public License for more details.
+ *
+ *  You should have received a copy of the GNU General Public License
+ *  along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+
+namespace Poweradmin\Tests\Unit\Domain\Service;
+
+use PHPUnit\Framework\Attributes\CoversClass;
+use PHPUnit\Framework\Attributes\Test;
+use PHPUnit\Framework\TestCase;
+use Poweradmin\Domain\Service\RecordContentReplacer;
+
+#[CoversClass(RecordContentReplacer::class)]
+class RecordContentReplacerTest extends TestCase
+{
+    private RecordContentReplacer $replacer;
+
+    protected function setUp(): void
+    {
+        $this->replacer = new RecordContentReplacer();
+    }
+
+    #[Test]
+    public function testReplacesWholeContent(): void
+    {
+        $this->assertSame('192.0.2.20', $this->replacer->replace('A', '192.0.2.10', '192.0.2.10', '192.0.2.20'));
+    }
+
+    #[Test]
+    public function testWholeContentDoesNotMatchLongerAddress(): void
+    {
+        $this->assertSame('10.0.0.10', $this->replacer->replace('A', '10.0.0.10', '10.0.0.1', '10.0.0.2'));
+    }
+
+    #[Test]
+    public function testComparesIpv6AddressesInAnyNotation(): void
+    {
+        $content = '2001:0db8:0000:0000:0000:0000:0000:0001';
+
+        $this->assertSame('2001:db8::2', $this->replacer->replace('AAAA', $content, '2001:db8::1', '2001:db8::2'));
+    }
+
+    #[Test]
+    public function testComparesOtherTypesAsText(): void
+    {
+        $this->assertSame('old.example.com', $this->replacer->replace('CNAME', 'old.example.com', 'OLD.example.com', 'new.example.com'));
+    }
+
+    #[Test]
+    public function testReplacesEverySubstring(): void
+    {
+        $content = 'v=spf1 ip4:192.0.2.10 ip4:192.0.2.10 -all';
+
+        $this->assertSame(
+            'v=spf1 ip4:198.51.100.1 ip4:198.51.100.1 -all',
+            $this->replacer->replace('TXT', $content, '192.0.2.10', '198.51.100.1', RecordContentReplacer::MATCH_SUBSTRING)
+        );
+    }
+
+    #[Test]
+    public function testKeepsContentWhenSearchIsEmpty(): void
+    {
+        $this->assertSame('mail.example.com', $this->replacer->replace('MX', 'mail.example.com', '', 'x', RecordContentReplacer::MATCH_SUBSTRING));
+    }
+}
@@ -0,0 +1,127 @@
+<?php
+
+/*  Poweradmin, a friendly web-based admin tool for PowerDNS.
+ *  See <https://www.poweradmin.org> for more details.
+ *
+ *  Copyright 2007-2010 Rejo Zenger <rejo@zenger.nl>
+ *  Copyright 2010-2026 Poweradmin Development Team
+ *
+ *  This program is free software: you can redistribute it and/or modify
+ *  it under the terms of the GNU General Public License as published by
+ *  the Free Software Foundation, either version 3 of the License, or
+ *  (at your option) any later version.
+ *
+ *  This program is distributed in the hope that it will be useful,
+ *  but WITHOUT ANY WARRANTY; without even the implied warranty of
+ *  MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ *  GNU General Public License for more details.
+ *
+ *  You should have received a copy of the GNU General Public License
+ *  along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+namespace Poweradmin\Tests\Unit\Domain\Service;
+
+use PHPUnit\Framework\TestCase;
+use Poweradmin\Domain\Service\ReverseZoneLookupService;
+
+class ReverseZoneLookupServiceTest extends TestCase
+{
+    private ReverseZoneLookupService $service;
+    private array $zones;
+
+    protected function setUp(): void
+    {
+        $this->service = new ReverseZoneLookupService();
+        $this->zones = [
+            ['id' => 1, 'name' => '10.in-addr.arpa'],
+            ['id' => 2, 'name' => '2.1.10.in-addr.arpa'],
+            ['id' => 3, 'name' => '64/26.2.1.10.in-addr.arpa'],
+            ['id' => 4, 'name' => '8.b.d.0.1.0.0.2.ip6.arpa'],
+            ['id' => 5, 'name' => 'example.com'],
+        ];
+    }
+
+    public function testMostSpecificZoneWins(): void
+    {
+        $result = $this->service->locate('5.2.1.10.in-addr.arpa', $this->zones);
+
+        $this->assertEquals(2, $result['zone']['id']);
+        $this->assertEquals('5.2.1.10.in-addr.arpa', $result['record_name']);
+    }
+
+    public function testClasslessDelegationNamesRecordBelowZone(): void
+    {
+        $result = $this->service->locate('70.2.1.10.in-addr.arpa', $this->zones);
+
+        $this->assertEquals(3, $result['zone']['id']);
+        $this->assertEquals('70.64/26.2.1.10.in-addr.arpa', $result['record_name']);
+    }
+
+    public function testAddressOutsideDelegationFallsBackToParent(): void
+    {
+        $result = $this->service->locate('130.2.1.10.in-addr.arpa', $this->zones);
+
+        $this->assertEquals(2, $result['zone']['id']);
+    }
+
+    public function testShorterPrefixFallsBackToCoveringZone(): void
+    {
+        $result = $this->service->locate('9.9.10.in-addr.arpa.', $this->zones);
+
+        $this->assertEquals(1, $result['zone']['id']);
+        $this->assertNull($result['record_name']);
+    }
+
+    public function testClasslessNetworkFindsDelegation(): void
+    {
+        $result = $this->service->locate('64/26.2.1.10.in-addr.arpa', $this->zones);
+
+        $this->assertEquals(3, $result['zone']['id']);
+        $this->assertNull($result['record_name']);
+    }
+
+    public function testIpv6Address(): void
+    {
+        $name = '1.0.0.0.0.0.0.0.0.0.0.0.0.0.0.0.0.0.0.0.0.0.0.0.8.b.d.0.1.0.0.2.ip6.arpa';
+        $result = $this->service->locate($name, $this->zones);
+
+        $this->assertEquals(4, $result['zone']['id']);
+        $this->assertEquals($name, $result['record_name']);
+    }
+
+    public function testNoCoveringZone(): void
+    {
+        $this->assertNull($this->service->locate('1.0.168.192.in-addr.arpa', $this->zones));
+        $this->assertNull($this->service->locate('example.com', $this->zones));
+    }
+
+    public function testOverlappingFindsParentAndDelegations(): void
+    {
+        $network = ['family' => 4, 'network' => '10.1.2.0', 'prefix' => 24, 'classless' => false];
+        $ids = array_column($this->service->overlapping($network, $this->zones), 'id');
+
+        $this->assertEquals([1, 2, 3], $ids);
+    }
+
+    public function testOverlappingSkipsDisjointZones(): void
+    {
+        $network = ['family' => 4, 'network' => '10.1.4.0', 'prefix' => 22, 'classless' => false];
+        $matches = $this->service->overlapping($network, $this->zones);
+
+        $this->assertCount(1, $matches);
+        $this->assertEquals(8, $matches[0]['network']['prefix']);
+    }
+
+    public function testRecordAddress(): void
+    {
+        $this->assertEquals('10.1.2.70', $this->service->recordAddress('70.2.1.10.in-addr.arpa'));
+        $this->assertEquals('10.1.2.70', $this->service->recordAddress('70.64/26.2.1.10.in-addr.arpa.'));
+        $this->assertEquals(
+            '2001:db8::1',
+            $this->service->recordAddress('1.0.0.0.0.0.0.0.0.0.0.0.0.0.0.0.0.0.0.0.0.0.0.0.8.b.d.0.1.0.0.2.ip6.arpa')
+        );
+        $this->assertNull($this->service->recordAddress('2.1.10.in-addr.arpa'));
+        $this->assertNull($this->service->recordAddress('64/26.2.1.10.in-addr.arpa'));
+    }
+}
@@ -0,0 +1,86 @@
+<?php
+
+/*  Poweradmin, a friendly web-based admin tool for PowerDNS.
+ *  See <https://www.poweradmin.org> for more details.
+ *
+ *  Copyright 2007-2010 Rejo Zenger <rejo@zenger.nl>
+ *  Copyright 2010-2026 Poweradmin Development Team
+ *
+ *  This program is free software: you can redistribute it and/or modify
+ *  it under the terms of the GNU General Public License as published by
+ *  the Free Software Foundation, either version 3 of the License, or
+ *  (at your option) any later version.
+ *
+ *  This program is distributed in the hope that it will be useful,
+ *  but WITHOUT ANY WARRANTY; without even the implied warranty of
+ *  MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ *  GNU General Public License for more details.
+ *
+ *  You should have received a copy of the GNU General Public License
+ *  along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+namespace Poweradmin\Tests\Unit\Domain\Service;
+
+use PHPUnit\Framework\Attributes\CoversClass;
+use PHPUnit\Framework\Attributes\Test;
+use PHPUnit\Framework\TestCase;
+use Poweradmin\Domain\Model\UserPreference;
+use Poweradmin\Domain\Repository\UserPreferenceRepositoryInterface;
+use Poweradmin\Domain\Service\UserPreferenceService;
+use Poweradmin\Infrastructure\Configuration\ConfigurationInterface;
+
+#[CoversClass(UserPreferenceService::class)]
+class UserPreferenceServiceBatchTest extends TestCase
+{
+    private function makeService(?UserPreferenceRepositoryInterface $repo = null): UserPreferenceService
+    {
+        $repo ??= $this->createMock(UserPreferenceRepositoryInterface::class);
+        $config = $this->createMock(ConfigurationInterface::class);
+        $config->method('get')->willReturnArgument(2);
+        return new UserPreferenceService($repo, $config);
+    }
+
+    #[Test]
+    public function testSetPreferencesSavesEveryValidKey(): void
+    {
+        $repo = $this->createMock(UserPreferenceRepositoryInterface::class);
+        $repo->expects($this->exactly(2))
+            ->method('createOrUpdate')
+            ->willReturnCallback(function (int $userId, string $key, ?string $value) {
+                $this->assertSame(7, $userId);
+                $this->assertContains([$key, $value], [
+                    [UserPreference::KEY_ROWS_PER_PAGE, '50'],
+                    [UserPreference::KEY_THEME, 'dark'],
+                ]);
+            });
+
+        $service = $this->makeService($repo);
+        $errors = $service->setPreferences(7, [
+            UserPreference::KEY_ROWS_PER_PAGE => 50,
+            UserPreference::KEY_THEME => 'dark',
+        ]);
+
+        $this->assertSame([], $errors);
+    }
+
+    #[Test]
+    public function testSetPreferencesReportsRejectedKeysAndSavesTheRest(): void
+    {
+        $repo = $this->createMock(UserPreferenceRepositoryInterface::class);
+        $repo->expects($this->once())
+            ->method('createOrUpdate')
+            ->with(7, UserPreference::KEY_SHOW_ZONE_SERIAL, 'true');
+
+        $service = $this->makeService($repo);
+        $errors = $service->setPreferences(7, [
+            'no_such_key' => 'x',
+            UserPreference::KEY_THEME => 'neon',
+            UserPreference::KEY_SHOW_ZONE_SERIAL => 'true',
+            UserPreference::KEY_ZONE_LIST_COLUMNS => ['forward' => []],
+        ]);
+
+        $this->assertSame(['no_such_key', UserPreference::KEY_THEME, UserPreference::KEY_ZONE_LIST_COLUMNS], array_keys($errors));
+        $this->assertSame('Invalid preference key: no_such_key', $errors['no_such_key']);
+    }
+}
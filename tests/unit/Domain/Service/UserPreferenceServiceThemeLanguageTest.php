@@ -0,0 +1,111 @@
+<?php
+
+/*  Poweradmin, a friendly web-based admin tool for PowerDNS.
+ *  See <https://www.poweradmin.org> for more details.
+ *
+ *  Copyright 2007-2010 Rejo Zenger <rejo@zenger.nl>
+ *  Copyright 2010-2026 Poweradmin Development Team
+ *
+ *  This program is free software: you can redistribute it and/or modify
+ *  it under the terms of the GNU General Public License as published by
+ *  the Free Software Foundation, either version 3 of the License, or
+ *  (at your option) any later version.
+ *
+ *  This program is distributed in the hope that it will be useful,
+ *  but WITHOUT ANY WARRANTY; without even the implied warranty of
+ *  MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ *  GNU General Public License for more details.
+ *
+ *  You should have received a copy of the GNU General Public License
+ *  along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+namespace Poweradmin\Tests\Unit\Domain\Service;
+
+use InvalidArgumentException;
+use PHPUnit\Framework\Attributes\CoversClass;
+use PHPUnit\Framework\Attributes\Test;
+use PHPUnit\Framework\TestCase;
+use Poweradmin\Domain\Model\UserPreference;
+use Poweradmin\Domain\Repository\UserPreferenceRepositoryInterface;
+use Poweradmin\Domain\Service\UserPreferenceService;
+use Poweradmin\Infrastructure\Configuration\ConfigurationInterface;
+
+#[CoversClass(UserPreferenceService::class)]
+class UserPreferenceServiceThemeLanguageTest extends TestCase
+{
+    private function makeService(?UserPreferenceRepositoryInterface $repo = null): UserPreferenceService
+    {
+        $repo ??= $this->createMock(UserPreferenceRepositoryInterface::class);
+        $config = $this->createMock(ConfigurationInterface::class);
+        $config->method('get')->willReturnCallback(
+            fn(string $group, string $key, mixed $default = null) => $key === 'enabled_languages' ? 'en_EN, de_DE,nl_NL' : $default
+        );
+        return new UserPreferenceService($repo, $config);
+    }
+
+    #[Test]
+    public function testSetPreferenceAcceptsTheme(): void
+    {
+        $repo = $this->createMock(UserPreferenceRepositoryInterface::class);
+        $repo->expects($this->once())
+            ->method('createOrUpdate')
+            ->with(7, UserPreference::KEY_THEME, 'dark');
+
+        $service = $this->makeService($repo);
+        $service->setPreference(7, UserPreference::KEY_THEME, 'dark');
+    }
+
+    #[Test]
+    public function testSetPreferenceAcceptsAutoTheme(): void
+    {
+        $repo = $this->createMock(UserPreferenceRepositoryInterface::class);
+        $repo->expects($this->once())
+            ->method('createOrUpdate')
+            ->with(7, UserPreference::KEY_THEME, 'auto');
+
+        $service = $this->makeService($repo);
+        $service->setPreference(7, UserPreference::KEY_THEME, 'auto');
+    }
+
+    #[Test]
+    public function testSetPreferenceRejectsUnknownTheme(): void
+    {
+        $this->expectException(InvalidArgumentException::class);
+        $this->expectExceptionMessage('Invalid theme: solarized');
+
+        $service = $this->makeService();
+        $service->setPreference(7, UserPreference::KEY_THEME, 'solarized');
+    }
+
+    #[Test]
+    public function testSetPreferenceAcceptsEnabledLanguage(): void
+    {
+        $repo = $this->createMock(UserPreferenceRepositoryInterface::class);
+        $repo->expects($this->once())
+            ->method('createOrUpdate')
+            ->with(7, UserPreference::KEY_LANGUAGE, 'de_DE');
+
+        $service = $this->makeService($repo);
+        $service->setPreference(7, UserPreference::KEY_LANGUAGE, 'de_DE');
+    }
+
+    #[Test]
+    public function testSetPreferenceRejectsLanguageNotEnabled(): void
+    {
+        $this->expectException(InvalidArgumentException::class);
+        $this->expectExceptionMessage('Invalid language: fr_FR');
+
+        $service = $this->makeService();
+        $service->setPreference(7, UserPreference::KEY_LANGUAGE, 'fr_FR');
+    }
+
+    #[Test]
+    public function testThemeAndLanguageHaveNoDefault(): void
+    {
+        $service = $this->makeService();
+
+        $this->assertNull($service->getPreference(7, UserPreference::KEY_THEME));
+        $this->assertNull($service->getPreference(7, UserPreference::KEY_LANGUAGE));
+    }
+}
@@ -0,0 +1,106 @@
+<?php
+
+/*  Poweradmin, a friendly web-based admin tool for PowerDNS.
+ *  See <https://www.poweradmin.org> for more details.
+ *
+ *  Copyright 2007-2010 Rejo Zenger <rejo@zenger.nl>
+ *  Copyright 2010-2026 Poweradmin Development Team
+ *
+ *  This program is free software: you can redistribute it and/or modify
+ *  it under the terms of the GNU General Public License as published by
+ *  the Free Software Foundation, either version 3 of the License, or
+ *  (at your option) any later version.
+ *
+ *  This program is distributed in the hope that it will be useful,
+ *  but WITHOUT ANY WARRANTY; without even the implied warranty of
+ *  MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ *  GNU General Public License for more details.
+ *
+ *  You should have received a copy of the GNU General Public License
+ *  along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+namespace Poweradmin\Tests\Unit\Domain\Service;
+
+use InvalidArgumentException;
+use PHPUnit\Framework\Attributes\CoversClass;
+use PHPUnit\Framework\Attributes\Test;
+use PHPUnit\Framework\TestCase;
+use Poweradmin\Domain\Model\UserPreference;
+use Poweradmin\Domain\Repository\UserPreferenceRepositoryInterface;
+use Poweradmin\Domain\Service\UserPreferenceService;
+use Poweradmin\Infrastructure\Configuration\ConfigurationInterface;
+
+#[CoversClass(UserPreferenceService::class)]
+class UserPreferenceServiceZoneListColumnsTest extends TestCase
+{
+    private function makeService(?UserPreferenceRepositoryInterface $repo = null): UserPreferenceService
+    {
+        $repo ??= $this->createMock(UserPreferenceRepositoryInterface::class);
+        $config = $this->createMock(ConfigurationInterface::class);
+        $config->method('get')->willReturnArgument(2);
+        return new UserPreferenceService($repo, $config);
+    }
+
+    #[Test]
+    public function testSetPreferenceAcceptsLayoutObject(): void
+    {
+        $layout = '{"forward":{"order":["name","type"],"hidden":["owner"],"sticky":true}}';
+
+        $repo = $this->createMock(UserPreferenceRepositoryInterface::class);
+        $repo->expects($this->once())
+            ->method('createOrUpdate')
+            ->with(7, UserPreference::KEY_ZONE_LIST_COLUMNS, $layout);
+
+        $service = $this->makeService($repo);
+        $service->setPreference(7, UserPreference::KEY_ZONE_LIST_COLUMNS, $layout);
+    }
+
+    #[Test]
+    public function testSetPreferenceRejectsInvalidJson(): void
+    {
+        $this->expectException(InvalidArgumentException::class);
+        $this->expectExceptionMessage('Invalid zone list column layout');
+
+        $service = $this->makeService();
+        $service->setPreference(7, UserPreference::KEY_ZONE_LIST_COLUMNS, '{"forward":');
+    }
+
+    #[Test]
+    public function testSetPreferenceRejectsList(): void
+    {
+        $this->expectException(InvalidArgumentException::class);
+
+        $service = $this->makeService();
+        $service->setPreference(7, UserPreference::KEY_ZONE_LIST_COLUMNS, '["name","type"]');
+    }
+
+    #[Test]
+    public function testSetPreferenceRejectsOversizedLayout(): void
+    {
+        $this->expectException(InvalidArgumentException::class);
+
+        $layout = json_encode(['forward' => ['hidden' => [str_repeat('x', UserPreference::MAX_ZONE_LIST_COLUMNS_LENGTH)]]]);
+
+        $service = $this->makeService();
+        $service->setPreference(7, UserPreference::KEY_ZONE_LIST_COLUMNS, $layout);
+    }
+
+    #[Test]
+    public function testGetZoneListColumnsDecodesStoredLayout(): void
+    {
+        $repo = $this->createMock(UserPreferenceRepositoryInterface::class);
+        $repo->method('findByUserIdAndKey')
+            ->willReturn(new UserPreference(1, 7, UserPreference::KEY_ZONE_LIST_COLUMNS, '{"reverse":{"sticky":true}}'));
+
+        $service = $this->makeService($repo);
+        $this->assertSame(['reverse' => ['sticky' => true]], $service->getZoneListColumns(7));
+    }
+
+    #[Test]
+    public function testGetZoneListColumnsDefaultsToEmptyLayout(): void
+    {
+        $service = $this->makeService();
+        $this->assertSame([], $service->getZoneListColumns(7));
+    }
+}
@@ -553,4 +553,49 @@ class IpHelperTest extends TestCase
         // IPv6 reverse zones must align to a nibble boundary
         $this->assertNull(IpHelper::networkToReverseZone('2001:db8::/33'));
     }
+
+    public function testReverseZoneToNetworkOctetAligned(): void
+    {
+        $this->assertEquals(
+            ['family' => 4, 'network' => '10.0.0.0', 'prefix' => 8, 'classless' => false],
+            IpHelper::reverseZoneToNetwork('10.in-addr.arpa')
+        );
+        $this->assertEquals('10.1.2.0', IpHelper::reverseZoneToNetwork('2.1.10.in-addr.arpa.')['network']);
+        $this->assertEquals(24, IpHelper::reverseZoneToNetwork('2.1.10.IN-ADDR.ARPA')['prefix']);
+    }
+
+    public function testReverseZoneToNetworkClassless(): void
+    {
+        $this->assertEquals(
+            ['family' => 4, 'network' => '10.1.2.64', 'prefix' => 26, 'classless' => true],
+            IpHelper::reverseZoneToNetwork('64/26.2.1.10.in-addr.arpa')
+        );
+        $this->assertEquals(
+            ['family' => 4, 'network' => '10.1.2.128', 'prefix' => 25, 'classless' => true],
+            IpHelper::reverseZoneToNetwork('128-255.2.1.10.in-addr.arpa')
+        );
+        // Start not aligned to the block size, or a range that is no power of two
+        $this->assertNull(IpHelper::reverseZoneToNetwork('10/26.2.1.10.in-addr.arpa'));
+        $this->assertNull(IpHelper::reverseZoneToNetwork('0-99.2.1.10.in-addr.arpa'));
+        $this->assertNull(IpHelper::reverseZoneToNetwork('0/24.2.1.10.in-addr.arpa'));
+    }
+
+    public function testReverseZoneToNetworkIpv6(): void
+    {
+        $this->assertEquals(
+            ['family' => 6, 'network' => '2001:db8::', 'prefix' => 32, 'classless' => false],
+            IpHelper::reverseZoneToNetwork('8.b.d.0.1.0.0.2.ip6.arpa')
+        );
+        $this->assertEquals(48, IpHelper::reverseZoneToNetwork('1.0.0.0.8.b.d.0.1.0.0.2.ip6.arpa')['prefix']);
+        $this->assertEquals('2001:db8:1::', IpHelper::reverseZoneToNetwork('1.0.0.0.8.b.d.0.1.0.0.2.ip6.arpa')['network']);
+    }
+
+    public function testReverseZoneToNetworkRejectsOtherNames(): void
+    {
+        $this->assertNull(IpHelper::reverseZoneToNetwork('example.com'));
+        $this->assertNull(IpHelper::reverseZoneToNetwork('in-addr.arpa'));
+        $this->assertNull(IpHelper::reverseZoneToNetwork('300.1.10.in-addr.arpa'));
+        $this->assertNull(IpHelper::reverseZoneToNetwork('sub.2.1.10.in-addr.arpa'));
+        $this->assertNull(IpHelper::reverseZoneToNetwork('10.8.b.d.0.1.0.0.2.ip6.arpa'));
+    }
 }
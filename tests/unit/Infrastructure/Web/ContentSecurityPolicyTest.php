@@ -0,0 +1,95 @@
+<?php
+
+/*  Poweradmin, a friendly web-based admin tool for PowerDNS.
+ *  See <https://www.poweradmin.org> for more details.
+ *
+ *  Copyright 2007-2010 Rejo Zenger <rejo@zenger.nl>
+ *  Copyright 2010-2026 Poweradmin Development Team
+ *
+ *  This program is free software: you can redistribute it and/or modify
+ *  it under the terms of the GNU General Public License as published by
+ *  the Free Software Foundation, either version 3 of the License, or
+ *  (at your option) any later version.
+ *
+ *  This program is distributed in the hope that it will be useful,
+ *  but WITHOUT ANY WARRANTY; without even the implied warranty of
+ *  MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ *  GNU General Public License for more details.
+ *
+ *  You should have received a copy of the GNU General Public License
+ *  along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+namespace Poweradmin\Tests\Unit\Infrastructure\Web;
+
+use PHPUnit\Framework\TestCase;
+use Poweradmin\Infrastructure\Configuration\ConfigurationInterface;
+use Poweradmin\Infrastructure\Web\ContentSecurityPolicy;
+
+class ContentSecurityPolicyTest extends TestCase
+{
+    private function createPolicy(array $settings): ContentSecurityPolicy
+    {
+        $config = $this->createMock(ConfigurationInterface::class);
+        $config->method('get')->willReturnCallback(
+            fn(string $group, string $key, mixed $default = null) => $settings[$key] ?? $default
+        );
+
+        return new ContentSecurityPolicy($config);
+    }
+
+    public function testModeDefaultsToOff(): void
+    {
+        $policy = $this->createPolicy([]);
+
+        $this->assertEquals(ContentSecurityPolicy::MODE_OFF, $policy->getMode());
+        $this->assertNull($policy->getHeaderName());
+    }
+
+    public function testUnknownModeFallsBackToOff(): void
+    {
+        $policy = $this->createPolicy(['csp.mode' => 'strict']);
+
+        $this->assertEquals(ContentSecurityPolicy::MODE_OFF, $policy->getMode());
+    }
+
+    public function testHeaderNameFollowsMode(): void
+    {
+        $this->assertEquals('Content-Security-Policy', $this->createPolicy(['csp.mode' => 'enforce'])->getHeaderName());
+        $this->assertEquals('Content-Security-Policy-Report-Only', $this->createPolicy(['csp.mode' => 'report-only'])->getHeaderName());
+    }
+
+    public function testNonceIsRandomPerInstance(): void
+    {
+        $first = $this->createPolicy([]);
+        $second = $this->createPolicy([]);
+
+        $this->assertEquals(16, strlen(base64_decode($first->getNonce(), true)));
+        $this->assertNotEquals($first->getNonce(), $second->getNonce());
+    }
+
+    public function testScriptsNeedNonceWithoutUnsafeInline(): void
+    {
+        $policy = $this->createPolicy(['csp.mode' => 'enforce']);
+
+        $this->assertStringContainsString("script-src 'self' 'nonce-" . $policy->getNonce() . "';", $policy->getPolicy());
+        $this->assertStringContainsString("object-src 'none'", $policy->getPolicy());
+        $this->assertStringNotContainsString('google', $policy->getPolicy());
+        $this->assertStringNotContainsString('report-uri', $policy->getPolicy());
+    }
+
+    public function testRecaptchaSourcesAreAllowedWhenEnabled(): void
+    {
+        $policy = $this->createPolicy(['csp.mode' => 'enforce', 'recaptcha.enabled' => true]);
+
+        $this->assertStringContainsString("'nonce-" . $policy->getNonce() . "' https://www.google.com https://www.gstatic.com;", $policy->getPolicy());
+        $this->assertStringContainsString("frame-src 'self' https://www.google.com https://www.gstatic.com;", $policy->getPolicy());
+    }
+
+    public function testReportUriIsAppended(): void
+    {
+        $policy = $this->createPolicy(['csp.mode' => 'report-only', 'csp.report_uri' => 'https://csp.example.com/report']);
+
+        $this->assertStringEndsWith('; report-uri https://csp.example.com/report', $policy->getPolicy());
+    }
+}
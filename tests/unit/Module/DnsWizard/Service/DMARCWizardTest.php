@@ -0,0 +1,92 @@
+<?php
+
+/*  Poweradmin, a friendly web-based admin tool for PowerDNS.
+ *  See <https://www.poweradmin.org> for more details.
+ *
+ *  Copyright 2007-2010 Rejo Zenger <rejo@zenger.nl>
+ *  Copyright 2010-2026 Poweradmin Development Team
+ *
+ *  This program is free software: you can redistribute it and/or modify
+ *  it under the terms of the GNU General Public License as published by
+ *  the Free Software Foundation, either version 3 of the License, or
+ *  (at your option) any later version.
+ *
+ *  This program is distributed in the hope that it will be useful,
+ *  but WITHOUT ANY WARRANTY; without even the implied warranty of
+ *  MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ *  GNU General Public License for more details.
+ *
+ *  You should have received a copy of the GNU General Public License
+ *  along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+namespace Poweradmin\Tests\Unit\Module\DnsWizard\Service;
+
+use PHPUnit\Framework\TestCase;
+use Poweradmin\Infrastructure\Configuration\ConfigurationManager;
+use Poweradmin\Module\DnsWizard\Service\DMARCWizard;
+
+class DMARCWizardTest extends TestCase
+{
+    private DMARCWizard $wizard;
+
+    protected function setUp(): void
+    {
+        $config = $this->createMock(ConfigurationManager::class);
+        $config->method('get')->willReturn(3600);
+        $this->wizard = new DMARCWizard($config);
+    }
+
+    public function testValidDataHasNoFieldErrors(): void
+    {
+        $result = $this->wizard->validate([
+            'policy' => 'reject',
+            'percentage' => '100',
+            'rua' => 'dmarc@example.com',
+            'ttl' => '3600',
+        ]);
+
+        $this->assertTrue($result['valid']);
+        $this->assertSame([], $result['errors']);
+        $this->assertSame([], $result['fieldErrors']);
+    }
+
+    public function testErrorsAreKeyedByField(): void
+    {
+        $result = $this->wizard->validate([
+            'policy' => 'invalid',
+            'rua' => 'not-an-email',
+            'ttl' => 'abc',
+        ]);
+
+        $this->assertFalse($result['valid']);
+        $this->assertSame(['policy', 'rua', 'ttl'], array_keys($result['fieldErrors']));
+        $this->assertCount(1, $result['fieldErrors']['policy']);
+        $this->assertSame(['TTL must be a numeric value'], $result['fieldErrors']['ttl']);
+    }
+
+    public function testErrorsRemainAFlatList(): void
+    {
+        $result = $this->wizard->validate([
+            'policy' => '',
+            'percentage' => '150',
+        ]);
+
+        $this->assertFalse($result['valid']);
+        $this->assertTrue(array_is_list($result['errors']));
+        $this->assertCount(2, $result['errors']);
+        $this->assertSame(
+            array_merge(...array_values($result['fieldErrors'])),
+            $result['errors']
+        );
+    }
+
+    public function testPreviewRecordUsesDmarcName(): void
+    {
+        $record = $this->wizard->generateRecord(['policy' => 'none', 'ttl' => 300]);
+
+        $this->assertSame('_dmarc', $record['name']);
+        $this->assertStringStartsWith('"v=DMARC1; p=none', $record['content']);
+        $this->assertSame(300, $record['ttl']);
+    }
+}
@@ -0,0 +1,77 @@
+<?php
+
+/*  Poweradmin, a friendly web-based admin tool for PowerDNS.
+ *  See <https://www.poweradmin.org> for more details.
+ *
+ *  Copyright 2007-2010 Rejo Zenger <rejo@zenger.nl>
+ *  Copyright 2010-2026 Poweradmin Development Team
+ *
+ *  This program is free software: you can redistribute it and/or modify
+ *  it under the terms of the GNU General Public License as published by
+ *  the Free Software Foundation, either version 3 of the License, or
+ *  (at your option) any later version.
+ *
+ *  This program is distributed in the hope that it will be useful,
+ *  but WITHOUT ANY WARRANTY; without even the implied warranty of
+ *  MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ *  GNU General Public License for more details.
+ *
+ *  You should have received a copy of the GNU General Public License
+ *  along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+namespace Poweradmin\Tests\Unit\Module\DnsWizard\Service;
+
+use PHPUnit\Framework\TestCase;
+use Poweradmin\Infrastructure\Configuration\ConfigurationInterface;
+use Poweradmin\Module\DnsWizard\Service\WizardRegistry;
+
+class WizardRegistryTest extends TestCase
+{
+    private WizardRegistry $registry;
+
+    protected function setUp(): void
+    {
+        $config = $this->createMock(ConfigurationInterface::class);
+        $config->method('get')->willReturnCallback(
+            fn(string $group, string $key, mixed $default = null) =>
+                $group === 'modules' && $key === 'dns_wizards.enabled' ? true : $default
+        );
+        $config->method('getGroup')->willReturnCallback(
+            fn(string $group) => $group === 'modules'
+                ? ['dns_wizards' => ['available_types' => ['DMARC', 'SPF', 'DKIM', 'CAA', 'SRV']]]
+                : []
+        );
+
+        $this->registry = new WizardRegistry($config);
+    }
+
+    public function testTxtRecordsAreMatchedByVersionTag(): void
+    {
+        $this->assertSame('SPF', $this->registry->getWizardTypeForRecord('TXT', '"v=spf1 mx -all"', 'example.com'));
+        $this->assertSame('DMARC', $this->registry->getWizardTypeForRecord('TXT', '"v=DMARC1; p=none"', '_dmarc.example.com'));
+        $this->assertSame('DKIM', $this->registry->getWizardTypeForRecord('TXT', 'v=DKIM1; k=rsa; p=MIIB', 'mail._domainkey.example.com'));
+    }
+
+    public function testDkimKeyWithoutVersionTagIsMatchedByName(): void
+    {
+        $this->assertSame('DKIM', $this->registry->getWizardTypeForRecord('TXT', '"k=rsa; p=MIIB"', 'mail._domainkey.example.com'));
+    }
+
+    public function testOtherTxtRecordsHaveNoWizard(): void
+    {
+        $this->assertNull($this->registry->getWizardTypeForRecord('TXT', '"google-site-verification=abc"', 'example.com'));
+    }
+
+    public function testRecordTypesWithOwnWizard(): void
+    {
+        $this->assertSame('CAA', $this->registry->getWizardTypeForRecord('caa', '0 issue "letsencrypt.org"', 'example.com'));
+        $this->assertSame('SRV', $this->registry->getWizardTypeForRecord('SRV', '5 5060 sip.example.com', '_sip._tcp.example.com'));
+        $this->assertNull($this->registry->getWizardTypeForRecord('A', '192.0.2.1', 'example.com'));
+    }
+
+    public function testUnavailableWizardIsNotOffered(): void
+    {
+        $this->assertNull($this->registry->getWizardTypeForRecord('TLSA', '3 1 1 abcdef', '_443._tcp.example.com'));
+    }
+}
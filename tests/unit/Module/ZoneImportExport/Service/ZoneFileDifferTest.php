@@ -0,0 +1,269 @@
+<?php
+
+namespace Poweradmin\Tests\Unit\Module\ZoneImportExport\Service;
+
+use PHPUnit\Framework\TestCase;
+use Poweradmin\Module\ZoneImportExport\Service\ParsedRecord;
+use Poweradmin\Module\ZoneImportExport\Service\ZoneFileDiffer;
+
+class ZoneFileDifferTest extends TestCase
+{
+    private ZoneFileDiffer $differ;
+
+    protected function setUp(): void
+    {
+        $this->differ = new ZoneFileDiffer();
+    }
+
+    private function zoneRecord(int $id, string $name, string $type, string $content, int $ttl = 3600, int $prio = 0): array
+    {
+        return ['id' => $id, 'name' => $name, 'type' => $type, 'content' => $content, 'ttl' => $ttl, 'prio' => $prio];
+    }
+
+    private function actions(array $result): array
+    {
+        return array_map(fn($change) => $change['action'], $result['changes']);
+    }
+
+    public function testIdenticalRecordsAreUnchanged(): void
+    {
+        $result = $this->differ->diff(
+            [new ParsedRecord('www.example.com', 3600, 'A', '192.0.2.1')],
+            [$this->zoneRecord(1, 'www.example.com', 'A', '192.0.2.1')],
+            'example.com'
+        );
+
+        $this->assertEmpty($result['changes']);
+        $this->assertEquals(1, $result['summary']['unchanged']);
+    }
+
+    public function testNewRecordIsAdded(): void
+    {
+        $result = $this->differ->diff(
+            [new ParsedRecord('www.example.com', 3600, 'A', '192.0.2.1')],
+            [],
+            'example.com'
+        );
+
+        $this->assertEquals(['add'], $this->actions($result));
+        $this->assertNull($result['changes'][0]['current']);
+        $this->assertEquals('192.0.2.1', $result['changes'][0]['record']['content']);
+    }
+
+    public function testMissingRecordIsRemoved(): void
+    {
+        $result = $this->differ->diff(
+            [],
+            [$this->zoneRecord(7, 'old.example.com', 'A', '192.0.2.9')],
+            'example.com'
+        );
+
+        $this->assertEquals(['remove'], $this->actions($result));
+        $this->assertEquals(7, $result['changes'][0]['current']['id']);
+    }
+
+    public function testTtlDifferenceIsChange(): void
+    {
+        $result = $this->differ->diff(
+            [new ParsedRecord('www.example.com', 300, 'A', '192.0.2.1')],
+            [$this->zoneRecord(1, 'www.example.com', 'A', '192.0.2.1', 3600)],
+            'example.com'
+        );
+
+        $this->assertEquals(['change'], $this->actions($result));
+        $this->assertEquals(3600, $result['changes'][0]['current']['ttl']);
+        $this->assertEquals(300, $result['changes'][0]['record']['ttl']);
+    }
+
+    public function testSingleRecordContentReplacementIsChange(): void
+    {
+        $result = $this->differ->diff(
+            [new ParsedRecord('www.example.com', 3600, 'CNAME', 'new.example.net')],
+            [$this->zoneRecord(3, 'www.example.com', 'CNAME', 'old.example.net')],
+            'example.com'
+        );
+
+        $this->assertEquals(['change'], $this->actions($result));
+        $this->assertEquals(3, $result['changes'][0]['current']['id']);
+    }
+
+    public function testMultiRecordRrsetIsSplitIntoAddAndRemove(): void
+    {
+        $result = $this->differ->diff(
+            [
+                new ParsedRecord('example.com', 3600, 'NS', 'ns1.example.com'),
+                new ParsedRecord('example.com', 3600, 'NS', 'ns3.example.com'),
+                new ParsedRecord('example.com', 3600, 'NS', 'ns4.example.com'),
+            ],
+            [
+                $this->zoneRecord(1, 'example.com', 'NS', 'ns1.example.com'),
+                $this->zoneRecord(2, 'example.com', 'NS', 'ns2.example.com'),
+            ],
+            'example.com'
+        );
+
+        $this->assertEquals(['add', 'add', 'remove'], $this->actions($result));
+        $this->assertEquals(1, $result['summary']['unchanged']);
+    }
+
+    public function testHostnameContentIsComparedWithoutCase(): void
+    {
+        $result = $this->differ->diff(
+            [new ParsedRecord('example.com', 3600, 'MX', 'Mail.Example.com', 10)],
+            [$this->zoneRecord(1, 'example.com', 'MX', 'mail.example.com', 3600, 10)],
+            'example.com'
+        );
+
+        $this->assertEmpty($result['changes']);
+    }
+
+    public function testSoaRecordsAreSkipped(): void
+    {
+        $result = $this->differ->diff(
+            [new ParsedRecord('example.com', 3600, 'SOA', 'ns1.example.com hostmaster.example.com 1 3600 900 1209600 86400')],
+            [$this->zoneRecord(1, 'example.com', 'SOA', 'ns1.example.com hostmaster.example.com 5 3600 900 1209600 86400')],
+            'example.com'
+        );
+
+        $this->assertEquals(['skip'], $this->actions($result));
+        $this->assertNotEmpty($result['changes'][0]['reason']);
+    }
+
+    public function testRecordsOutsideZoneAreSkipped(): void
+    {
+        $result = $this->differ->diff(
+            [new ParsedRecord('www.example.org', 3600, 'A', '192.0.2.1')],
+            [],
+            'example.com'
+        );
+
+        $this->assertEquals(['skip'], $this->actions($result));
+    }
+
+    public function testDuplicateFileRecordsAreSkipped(): void
+    {
+        $result = $this->differ->diff(
+            [
+                new ParsedRecord('www.example.com', 3600, 'A', '192.0.2.1'),
+                new ParsedRecord('www.example.com', 300, 'A', '192.0.2.1'),
+            ],
+            [],
+            'example.com'
+        );
+
+        $this->assertEquals(['skip', 'add'], $this->actions($result));
+        $this->assertEquals(3600, $result['changes'][1]['record']['ttl']);
+    }
+
+    public function testRestrictedTypesAreSkipped(): void
+    {
+        $result = $this->differ->diff(
+            [
+                new ParsedRecord('example.com', 3600, 'NS', 'ns9.example.com'),
+                new ParsedRecord('www.example.com', 3600, 'A', '192.0.2.1'),
+            ],
+            [
+                $this->zoneRecord(1, 'example.com', 'NS', 'ns1.example.com'),
+                $this->zoneRecord(2, 'example.com', 'NS', 'ns2.example.com'),
+                $this->zoneRecord(3, 'sub.example.com', 'NS', 'ns.other.example'),
+            ],
+            'example.com',
+            ['NS']
+        );
+
+        $this->assertEquals(['skip', 'add'], $this->actions($result));
+        $this->assertEquals(0, $result['summary']['remove']);
+        $this->assertEmpty(array_filter(array_column($result['changes'], 'current')));
+    }
+
+    public function testChangeIdsAreUniqueAndSequential(): void
+    {
+        $result = $this->differ->diff(
+            [
+                new ParsedRecord('a.example.com', 3600, 'A', '192.0.2.1'),
+                new ParsedRecord('b.example.com', 3600, 'A', '192.0.2.2'),
+            ],
+            [$this->zoneRecord(1, 'c.example.com', 'A', '192.0.2.3')],
+            'example.com'
+        );
+
+        $this->assertEquals([0, 1, 2], array_column($result['changes'], 'id'));
+        $this->assertEquals(2, $result['summary']['add']);
+        $this->assertEquals(1, $result['summary']['remove']);
+    }
+
+    public function testCompareRrsetsReportsStatusPerRrset(): void
+    {
+        $result = $this->differ->compareRrsets(
+            [
+                new ParsedRecord('www.example.com', 3600, 'A', '192.0.2.1'),
+                new ParsedRecord('old.example.com', 3600, 'A', '192.0.2.2'),
+                new ParsedRecord('example.com', 3600, 'MX', 'mail.example.com', 10),
+            ],
+            [
+                $this->zoneRecord(1, 'www.example.com', 'A', '192.0.2.1'),
+                $this->zoneRecord(2, 'new.example.com', 'A', '192.0.2.3'),
+                $this->zoneRecord(3, 'example.com', 'MX', 'mail.example.com', 3600, 20),
+            ]
+        );
+
+        $statuses = array_column($result['rrsets'], 'status', 'name');
+        $this->assertEquals('unchanged', $statuses['www.example.com']);
+        $this->assertEquals('removed', $statuses['old.example.com']);
+        $this->assertEquals('added', $statuses['new.example.com']);
+        $this->assertEquals('changed', $statuses['example.com']);
+        $this->assertEquals(['unchanged' => 1, 'added' => 1, 'removed' => 1, 'changed' => 1], $result['summary']);
+        $this->assertEquals(['A', 'MX'], $result['types']);
+    }
+
+    public function testCompareRrsetsPairsRowsSideBySide(): void
+    {
+        $result = $this->differ->compareRrsets(
+            [
+                new ParsedRecord('example.com', 3600, 'NS', 'ns1.example.com'),
+                new ParsedRecord('example.com', 3600, 'NS', 'ns2.example.com'),
+            ],
+            [
+                $this->zoneRecord(1, 'example.com', 'NS', 'ns1.example.com'),
+                $this->zoneRecord(2, 'example.com', 'NS', 'ns3.example.com'),
+            ]
+        );
+
+        $rows = $result['rrsets'][0]['rows'];
+        $this->assertEquals(['unchanged', 'changed'], array_column($rows, 'state'));
+        $this->assertEquals('ns2.example.com', $rows[1]['before']['content']);
+        $this->assertEquals('ns3.example.com', $rows[1]['after']['content']);
+    }
+
+    public function testCompareRrsetsIgnoresTrailingDotsInSoaAndSrv(): void
+    {
+        $result = $this->differ->compareRrsets(
+            [
+                new ParsedRecord('example.com', 3600, 'SOA', 'ns1.example.com. hostmaster.example.com. 1 3600 900 1209600 86400'),
+                new ParsedRecord('_sip._tcp.example.com', 3600, 'SRV', '5 5060 sip.example.com.', 10),
+            ],
+            [
+                $this->zoneRecord(1, 'example.com', 'SOA', 'ns1.example.com hostmaster.example.com 1 3600 900 1209600 86400'),
+                $this->zoneRecord(2, '_sip._tcp.example.com', 'SRV', '5 5060 sip.example.com', 3600, 10),
+            ]
+        );
+
+        $this->assertEquals(2, $result['summary']['unchanged']);
+    }
+
+    public function testCompareRrsetsSortsParentsFirstWithSoaOnTop(): void
+    {
+        $result = $this->differ->compareRrsets(
+            [],
+            [
+                $this->zoneRecord(1, 'www.example.com', 'A', '192.0.2.1'),
+                $this->zoneRecord(2, 'example.com', 'NS', 'ns1.example.com'),
+                $this->zoneRecord(3, 'example.com', 'SOA', 'ns1.example.com hostmaster.example.com 1 3600 900 1209600 86400'),
+                $this->zoneRecord(4, 'a.example.com', 'A', '192.0.2.2'),
+            ]
+        );
+
+        $order = array_map(fn($rrset) => $rrset['name'] . ' ' . $rrset['type'], $result['rrsets']);
+        $this->assertEquals(['example.com SOA', 'example.com NS', 'a.example.com A', 'www.example.com A'], $order);
+    }
+}
@@ -0,0 +1,57 @@
+<?php
+
+namespace Poweradmin\Tests\Unit\Module\ZoneImportExport\Service;
+
+use PHPUnit\Framework\TestCase;
+use Poweradmin\Module\ZoneImportExport\Service\ZoneFileInputReader;
+
+class ZoneFileInputReaderTest extends TestCase
+{
+    private ZoneFileInputReader $reader;
+
+    protected function setUp(): void
+    {
+        $this->reader = new ZoneFileInputReader(64, 300);
+    }
+
+    public function testPastedTextIsUsedWithoutUpload(): void
+    {
+        [$content, $filename, $error] = $this->reader->read(
+            ['zone_content' => "www 3600 IN A 192.0.2.1\n"],
+            ['zone_file' => ['error' => UPLOAD_ERR_NO_FILE]]
+        );
+
+        $this->assertEquals("www 3600 IN A 192.0.2.1\n", $content);
+        $this->assertEquals('Pasted zone file', $filename);
+        $this->assertNull($error);
+    }
+
+    public function testOversizedPasteIsRejected(): void
+    {
+        [, , $error] = $this->reader->read(['zone_content' => str_repeat('x', 65)], []);
+
+        $this->assertStringContainsString('0.1 KB', $error);
+    }
+
+    public function testMissingInputIsRejected(): void
+    {
+        [$content, , $error] = $this->reader->read(['zone_content' => '  '], []);
+
+        $this->assertEquals('', $content);
+        $this->assertNotNull($error);
+    }
+
+    public function testIdnNamesAreConvertedToPunycode(): void
+    {
+        [$origin, $records] = $this->reader->parse("\$ORIGIN bücher.example.\nwww 3600 IN A 192.0.2.1\n");
+
+        $this->assertEquals('xn--bcher-kva.example', rtrim($origin, '.'));
+        $this->assertEquals('www.xn--bcher-kva.example', rtrim($records[0]->name, '.'));
+    }
+
+    public function testFormatBytes(): void
+    {
+        $this->assertEquals('1 MB', ZoneFileInputReader::formatBytes(1048576));
+        $this->assertEquals('512 KB', ZoneFileInputReader::formatBytes(524288));
+    }
+}